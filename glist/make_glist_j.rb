@@ -147,8 +147,8 @@ result_tmp.each { |k, v|
 }
 
 f = File.open('../pages/jglyphlist.js', 'w:utf-8')
-f.puts "const glyphMap = #{JSON.pretty_generate($glist)};"
-#f.puts "const glyphList = #{JSON.pretty_generate(result)};"
-#f.puts "const glyphMap = #{$glist.to_json};"
-f.puts "const glyphList = #{result.to_json};"
+f.puts "const catalogGlyphMap = #{JSON.pretty_generate($glist)};"
+#f.puts "const catalogGlyphList = #{JSON.pretty_generate(result)};"
+#f.puts "const catalogGlyphMap = #{$glist.to_json};"
+f.puts "const catalogGlyphList = #{result.to_json};"
 f.close
@@ -1,4 +1,4 @@
-const glyphMap = {
+const catalogGlyphMap = {
   "exclam": {"c":"!","w":"P","n":"半形驚嘆號"},
   "quotedbl": {"c":"\"","w":"P","n":"半形雙引號"},
   "numbersign": {"c":"#","w":"P","n":"半形井號"},
@@ -9483,4 +9483,4 @@ const glyphMap = {
   "uni31BB_dotaccent": {"c":"ㆻ˙","w":"P","n":"方音符號小ㄍ（韻尾第八調）","s":["uni31BB","dotaccent"]},
   "y_uni030C": {"c":"y̌","w":"P","n":"馬祖福州話","s":["y","uni030C"]}
 };
-const glyphList = {"基礎字":["a","b","c","d","e","f","g","h","i","j","k","l","m","n","o","p","q","r","s","t","u","v","w","x","y","z","A","B","C","D","E","F","G","H","I","J","K","L","M","N","O","P","Q","R","S","T","U","V","W","X","Y","Z","zero","one","two","three","four","five","six","seven","eight","nine","comma","period","hyphen","uni02CA","caron","uni02CB","dotaccent","uni3105","uni3106","uni3107","uni3108","uni3109","uni310A","uni310B","uni310C","uni310D","uni310E","uni310F","uni3110","uni3111","uni3112","uni3113","uni3114","uni3115","uni3116","uni3117","uni3118","uni3119","uni311A","uni311B","uni311C","uni311D","uni311E","uni311F","uni3120","uni3121","uni3122","uni3123","uni3124","uni3125","uni3126","uni3127","uni3128","uni3129","uni4E00","uni4E8C","uni4E09","uni56DB","uni4E94","uni516D","uni4E03","uni516B","uni4E5D","uni5341","uni5FAE","uni98A8","uni8FCE","uni5BA2","uni8EDF","uni8A9E","uni4F34","uni8336","uniFF0C","uni3002","uni7684","uni662F","uni4E0D","uni4EBA","uni6709","uni5728","uni5E74","uni4E2D","uni5927","uni570B","uni6703","uni70BA","uni53F0","uni51FA","uni4E0A","uni5230","uni4EE5","uni6642","uni4E5F","uni4F86","uni4ED6","uni8981","uni6C11","uni751F","uni6210","uni65E5","uni8207","uni9577","uni5F8C","uni5C0D","uni5BB6","uni4E86","uni524D","uni53EF","uni80FD","uni767C","uni8AAA","uni5E02","uni591A","uni516C","uni884C","uni9019","uni904E","uni5C31","uni5730","uni65B0","uni5B78","uni8868","uni52D5","uni4E0B","uni9AD8","uni6CD5","uni6211","uni500B","uni653F","uni81EA","uni5206","uni90FD","uni958B","uni696D","uni73FE","uni4F46","uni5929","uni65B9","uni548C","uni5834","uni5C07","uni4F5C","uni7F8E","uni6708","uni65BC","uni5143","uni53CA","uni5168","uni4E3B","uni7528","uni5FC3","uni5C0F","uni7D93","uni6700","uni5916","uni9032","uni7B49","uni5B50","uni56E0","uni4E8B","uni5DE5","uni6587","uni793A","uni6A5F","uni9078","uni5F97","uni529B","uni7576","uni90E8","uni540C","uni5B9A","uni52A0","uni8ECA"],"基本包-漢字#1":["uni9084","uni597D","uni54E1","uni5317","uni4E4B","uni8005","uni5408","uni7063","uni91D1","uni91CD","uni5340","uni672C","uni7406","uni540D","uni800C","uni8B93","uni63D0","uni624B","uni53BB","uni5EA6","uni8D77","uni95DC","uni9593","uni9AD4","uni66F4","uni9762","uni842C","uni8CC7","uni6240","uni5979","uni5167","uni96FB","uni81F3","uni6C92","uni5DF2","uni5982","uni5176","uni5165","uni671F","uni7121","uni5316","uni6B21","uni54C1","uni88AB","uni7ACB","uni610F","uni5011","uni8DEF","uni7E3D","uni9EE8","uni6B64","uni660E","uni9EDE","uni4ECA","uni9053","uni5BE6","uni7B2C","uni5169","uni5E9C","uni4E26","uni7522","uni6C34","uni61C9","uni5831","uni5EFA","uni770B","uni8B70","uni6797","uni5F88","uni8A08","uni4E09","uni6253","uni76F8","uni4FDD","uni5973","uni5B89","uni4EFB","uni53D7","uni60C5","uni56DE","uni5C40","uni5C0E","uni53EA","uni9662","uni6559","uni8ABF","uni5F9E","uni7D71","uni6B63","uni5171","uni7136","uni672A","uni6848","uni4F4D","uni7531","uni8457","uni901A","uni8FD1","uni518D","uni6027","uni8EAB","uni5C55","uni4EA4","uni7279","uni679C","uni6307","uni8A2D","uni5E73","uni611F","uni8655","uni6578","uni5F71","uni6D3B","uni5357","uni6301","uni76EE","uni4EE3","uni904B","uni63A5","uni6D77","uni5229","uni4E8C","uni52D9","uni6628","uni8A8D","uni50F9","uni6BD4","uni7403","uni6216","uni60F3","uni7269","uni539F","uni554F","uni8001","uni6BCF","uni5718","uni6295","uni5546","uni5C11","uni9673","uni5F37","uni6771","uni624D","uni91CF","uni7A0B","uni9020","uni8FA6","uni5E2B","uni7D04","uni773E","uni5E38","uni6C23","uni5341","uni793E","uni6F14","uni984C","uni57FA","uni9054","uni5247","uni7BA1","uni63A8","uni53E3","uni5F0F","uni7D50","uni5305","uni5149","uni5712","uni6230","uni5411","uni8CBB","uni91AB","uni5404","uni82B1","uni968A","uni98A8","uni8209","uni5F35","uni505A","uni982D","uni5148","uni5C71","uni5BA2","uni53CB","uni9678","uni53C3","uni7E23","uni7A7A","uni83EF","uni89C0","uni59D4","uni53F8","uni55AE","uni89E3","uni9023","uni52A9","uni6539","uni5275","uni6C42","uni7DB2","uni7E8C","uni6536","uni5DF1","uni8272","uni66F8","uni653E","uni5E36","uni50B3","uni671B","uni9664","uni5236","uni5C08","uni77E5","uni756B","uni9996","uni8B66","uni7167","uni898B","uni5B8C","uni4E16","uni7A2E","uni6A02","uni898F","uni8CFD","uni67E5","uni53CD","uni5468","uni6E05","uni4FE1","uni8B8A","uni6CBB","uni76F4","uni806F","uni7DDA","uni71DF","uni611B","uni7537","uni6821","uni8ECD","uni754C","uni4F7F","uni9580","uni6D41","uni8A31","uni9810","uni6A23","uni8996","uni53D6","uni79D1","uni592A","uni8A72","uni670D","uni7D66","uni99AC","uni82F1","uni89AA","uni8ACB","uni5225","uni7FA9","uni8FB2","uni66FE","uni6B72","uni8F49","uni738B","uni5152","uni6599","uni7247","uni4E94","uni6574","uni6C7A","uni4EF6","uni5354","uni9EBC","uni97D3","uni7CFB","uni4F4F","uni767E","uni56DB","uni80B2","uni975E","uni904A","uni6B0A","uni7BC0","uni7D44","uni74B0","uni5373","uni537B","uni9EC3","uni900F","uni8A00","uni6AA2","uni969B","uni5E03","uni96E3","uni4F9B","uni53C8","uni544A","uni7372","uni623F","uni652F","uni8853","uni4F55","uni6E2F","uni4E9B","uni5E97","uni8521","uni578B","uni5F15","uni9999","uni6D88","uni589E","uni5B98","uni98DF","uni5E0C","uni8A18","uni8CEA","uni897F","uni8AD6","uni771F","uni9700","uni674E","uni8D70","uni8D85","uni58EB","uni5F80","uni6A19","uni683C","uni628A","uni7387","uni6EFF","uni6613","uni7AD9","uni5FB7","uni64DA","uni88E1","uni4E14","uni82E5","uni4ECD","uni8003","uni9632","uni90A3","uni96C6","uni5931","uni52E2","uni8A71","uni7968","uni96C4","uni6280","uni8F03","uni8B49","uni9818","uni50CF","uni6B65","uni5883","uni5BB9","uni85DD","uni5099","uni4F60","uni4F4E","uni5104","uni8B77","uni6FDF","uni96D9","uni50C5","uni65AF","uni71B1","uni9001","uni53E6","uni843D","uni6392","uni4E9E","uni914D","uni8077","uni7814","uni722D","uni7A31","uni8DDF","uni5177","uni75C5","uni65C5","uni6E90","uni9A57","uni5E7E","uni8072","uni734E","uni767D","uni795E","uni7FD2","uni534A","uni4F8B","uni7D1A","uni6BB5","uni6B3E","uni5FC5","uni4F9D","uni798F","uni5403","uni689D","uni97FF","uni65BD","uni6236","uni6DF1","uni5ABD","uni7DAD","uni8F15","uni4FEE","uni706B","uni7D05","uni88DD","uni5B69","uni666F","uni78BA","uni5347","uni97F3","uni5FEB","uni666E","uni96E2","uni5426","uni64D4","uni661F","uni5E95"],"基本包-漢字#2":["uni5217","uni516D","uni91CC","uni96D6","uni89BA","uni9109","uni59CB","uni651D","uni5B63","uni512A","uni529F","uni88FD","uni9805","uni724C","uni62C9","uni6E96","uni81F4","uni514B","uni7B56","uni7CBE","uni65E9","uni5065","uni8CB7","uni5E2D","uni986F","uni908A","uni865F","uni5716","uni614B","uni990A","uni9650","uni5EE0","uni7B97","uni62CD","uni5F62","uni8208","uni73ED","uni4FBF","uni8CFC","uni514D","uni57CE","uni6B77","uni88DC","uni6548","uni5584","uni505C","uni5343","uni8A55","uni4E5D","uni9910","uni5CB8","uni50B7","uni64CA","uni8C61","uni62FF","uni5473","uni6BCD","uni5361","uni665A","uni667A","uni521D","uni7D00","uni5EE3","uni5433","uni5BA3","uni57F7","uni63A1","uni963F","uni9928","uni89D2","uni773C","uni7368","uni53F2","uni5C45","uni5BB3","uni96A8","uni5047","uni6CC1","uni7A4D","uni7F6E","uni516B","uni9F8D","uni503C","uni9000","uni901F","uni7DA0","uni571F","uni4F01","uni62EC","uni80A1","uni6A13","uni9752","uni8D8A","uni72C0","uni5348","uni9808","uni6E1B","uni547D","uni4F11","uni906D","uni985E","uni8DB3","uni4F73","uni8A2A","uni6CB9","uni5DDD","uni606F","uni767B","uni8A66","uni5F85","uni6975","uni862D","uni65B7","uni8B1D","uni8B58","uni6B7B","uni7559","uni5BDF","uni5287","uni6232","uni526F","uni6843","uni58D3","uni5C64","uni627E","uni5C6C","uni7F72","uni6B4C","uni5FF5","uni6839","uni92B7","uni5FD7","uni8A0A","uni642D","uni56B4","uni76CA","uni7A76","uni52DE","uni9280","uni8AC7","uni96AA","uni9435","uni5019","uni7834","uni5BF6","uni751A","uni822A","uni5FA9","uni559C","uni885B","uni9060","uni8CAC","uni9867","uni5668","uni5E6B","uni6EAB","uni9152","uni9304","uni7DF4","uni807D","uni7591","uni627F","uni52DD","uni6B61","uni5224","uni723E","uni8CA0","uni67EF","uni6A21","uni7642","uni9069","uni7D42","uni5BE9","uni5C4B","uni6D32","uni8A34","uni8CE3","uni8CA1","uni7236","uni63A7","uni9322","uni552E","uni6D3E","uni5A92","uni63DB","uni5609","uni4FC2","uni5438","uni9732","uni9858","uni5B57","uni4E03","uni7FA4","uni5EA7","uni5EB7","uni5A5A","uni7B11","uni6838","uni6B50","uni4EC0","uni98DB","uni7A05","uni5BCC","uni5BA4","uni79AE","uni5531","uni65CF","uni6545","uni6CE8","uni964D","uni77F3","uni9ED1","uni83DC","uni5747","uni6B62","uni8A9E","uni8AB2","uni7F85","uni601D","uni59D3","uni69AE","uni6551","uni76E3","uni85E5","uni4EE4","uni8B80","uni984D","uni8A0E","uni4EAB","uni5B9C","uni7AF9","uni6625","uni7AE5","uni5E63","uni81C9","uni7C89","uni5B58","uni5DF4","uni7C73","uni592E","uni5EAD","uni547C","uni5DEE","uni79C0","uni6E2C","uni8089","uni7AF6","uni79FB","uni5A01","uni5BEB","uni8840","uni967D","uni8F2A","uni7DCA","uni4EAC","uni5370","uni5F8B","uni69CB","uni60E0","uni7E7C","uni5207","uni8CA8","uni6CE2","uni7D20","uni91DD","uni6050","uni7D55","uni570D","uni7206","uni8463","uni85CD","uni8FFD","uni7A81","uni5289","uni592B","uni6750","uni591C","uni6C38","uni96F2","uni9B5A","uni53E4","uni57DF","uni5283","uni7533","uni8857","uni6C5F","uni6279","uni5178","uni9080","uni4F30","uni73A9","uni5EF6","uni9055","uni535A","uni805E","uni878D","uni8CF4","uni7D72","uni5BC6","uni76DF","uni9E97","uni677F","uni670B","uni81E8","uni5CF6","uni8607","uni5F48","uni694A","uni523B","uni5DE6","uni6297","uni7A7F","uni7248","uni8CBF","uni7F6A","uni8B1B","uni6025","uni555F","uni54F2","uni5947","uni6D0B","uni76AE","uni4E92","uni7D30","uni6BD2","uni96E8","uni9806","uni93AE","uni821E","uni5145","uni6176","uni8DD1","uni4ED8","uni51A0","uni71C8","uni5920","uni885D","uni7D0D","uni7F3A","uni77ED","uni6751","uni7238","uni5FAE","uni80CC","uni4E4E","uni653B","uni7FFB","uni8349","uni907F","uni4F3C","uni6BBA","uni4EAE","uni53F3","uni7ADF","uni75DB","uni9918","uni7C21","uni5E55","uni76E1","uni6311","uni5B88","uni64C7","uni932F","uni7A69","uni8C50","uni86CB","uni5F69","uni7BC4","uni98EF","uni8336","uni8A02","uni6167","uni5C46","uni5012","uni72AF","uni822C","uni90ED","uni91CE","uni7E3E","uni8863","uni8A13","uni6CF0","uni4E45","uni54E5","uni5DDE","uni9418","uni6728","uni6A39","uni82E6","uni912D","uni62DB","uni820A","uni66F2","uni5805","uni5C1A","uni826F","uni8449","uni7570","uni969C","uni5C3C","uni75C7","uni4EC1","uni61F7","uni76E4","uni542B","uni64AD","uni5957","uni9A5A","uni9047","uni5211","uni91CB","uni6436","uni7701","uni8FF7","uni7530","uni6E56","uni5BAE","uni6F6E","uni8173","uni7B46"],"基本包-漢字#3":["uni68D2","uni745E","uni79C1","uni745C","uni8C6A","uni9760","uni5EF3","uni707D","uni6557","uni5E78","uni5371","uni576A","uni9BAE","uni725B","uni8A62","uni7F70","uni8FCE","uni6B66","uni860B","uni60A3","uni6A4B","uni9686","uni525B","uni7C3D","uni7BC9","uni6D89","uni55CE","uni5F1F","uni671D","uni7562","uni9769","uni9644","uni56F0","uni968E","uni98F2","uni7565","uni67D3","uni7C4D","uni6388","uni9F13","uni4EFD","uni9010","uni5FB5","uni8CBC","uni79DF","uni8166","uni59BB","uni51B7","uni66B4","uni7E54","uni6377","uni5F70","uni600E","uni76DB","uni6CB3","uni5922","uni67B6","uni85AA","uni6015","uni5B85","uni84EE","uni9707","uni640D","uni64C1","uni5B97","uni6FC0","uni502B","uni5A66","uni5B83","uni9192","uni52F5","uni6162","uni5ACC","uni99D5","uni88C1","uni590F","uni8DA3","uni7DE8","uni9663","uni5E45","uni8F09","uni8DE8","uni53EC","uni64F4","uni7D1B","uni8239","uni6D2A","uni5708","uni812B","uni5C3A","uni59B9","uni9802","uni6069","uni6389","uni68EE","uni52AA","uni6F32","uni96C5","uni7981","uni68C4","uni6350","uni9F61","uni8FD4","uni5FD9","uni7389","uni8F38","uni6234","uni6108","uni52C7","uni4ECB","uni51B0","uni6D17","uni8DF3","uni7AEF","uni65D7","uni805A","uni6C99","uni5DE8","uni96DE","uni8A3A","uni8DDD","uni8CB4","uni63EE","uni5E8F","uni5EAB","uni5802","uni4E7E","uni6298","uni5C0B","uni690D","uni8FF0","uni57F9","uni504F","uni5713","uni5750","uni4F34","uni70C8","uni6D6A","uni8CDE","uni9694","uni82D7","uni5409","uni5F90","uni907A","uni8F1B","uni9748","uni6563","uni5C24","uni5967","uni98FE","uni6F01","uni96F6","uni65C1","uni4FC3","uni5049","uni85C9","uni4EA1","uni71D2","uni6F38","uni7AE0","uni660C","uni6790","uni6FB3","uni8C6C","uni8AA4","uni5CF0","uni85CF","uni7D2F","uni616E","uni638C","uni5C04","uni5C4F","uni7D9C","uni719F","uni6C59","uni5F31","uni5B8F","uni6EAA","uni675F","uni975C","uni5EFF","uni764C","uni5496","uni6BDB","uni751C","uni5175","uni5E7C","uni9B06","uni60E1","uni8056","uni5C01","uni5360","uni7D22","uni78BC","uni4F0A","uni93E1","uni66FF","uni7686","uni7B26","uni6620","uni6E6F","uni8AFE","uni7DE9","uni58DE","uni62B1","uni500D","uni61B2","uni5766","uni63F4","uni84CB","uni9EB5","uni8D95","uni966A","uni96BB","uni54EA","uni8EDF","uni9298","uni62DC","uni53EB","uni5B6B","uni5BEC","uni96DC","uni62BD","uni5EE2","uni64CD","uni63A2","uni9AA8","uni4E58","uni89F8","uni6731","uni6B78","uni6A94","uni79CB","uni7CD6","uni90A6","uni8F14","uni983B","uni4E82","uni96EA","uni6309","uni7B54","uni6E9D","uni559D","uni5FE0","uni99D0","uni99DB","uni5C0A","uni695A","uni7259","uni7D19","uni6885","uni9EBB","uni5DE7","uni59CA","uni5DE1","uni5448","uni73CD","uni5EDA","uni8CD3","uni66AB","uni9A0E","uni9031","uni4FCA","uni5100","uni63E1","uni4E88","uni978B","uni9375","uni89BD","uni69CD","uni596A","uni552F","uni7C72","uni7761","uni8FEB","uni63DA","uni558A","uni6B23","uni838A","uni96F7","uni7E2E","uni7956","uni523A","uni6696","uni6668","uni903E","uni654F","uni62B5","uni61B6","uni5091","uni6ED1","uni90B1","uni73E0","uni80AF","uni75AB","uni5561","uni9AEE","uni649E","uni6C7D","uni7D14","uni54C8","uni5A46","uni517C","uni8AB0","uni6355","uni6F2B","uni51AC","uni5976","uni92FC","uni8F9B","uni4ED4","uni6E38","uni677E","uni8C46","uni8A5E","uni786C","uni6F22","uni56FA","uni5E8A","uni6562","uni5200","uni8907","uni8AA0","uni584A","uni737B","uni76FC","uni63AA","uni4EA6","uni585E","uni5C3E","uni80E1","uni4E01","uni67CF","uni632F","uni72D7","uni6C60","uni9003","uni52E4","uni5FD8","uni9D3B","uni8DCC","uni9813","uni64EC","uni888B","uni6DE1","uni5BBF","uni532F","uni7BB1","uni8D0F","uni65A4","uni50B5","uni5B87","uni7532","uni9130","uni51F1","uni8033","uni5E33","uni5E79","uni67D0","uni65E2","uni95B1","uni4F75","uni6FC3","uni65E6","uni9EA5","uni6982","uni8D74","uni4F5B","uni4F2F","uni8D08","uni9CE5","uni8A69","uni6263","uni5851","uni6469","uni5BE7","uni7919","uni6182","uni5427","uni6DE8","uni684C","uni5238","uni8B9A","uni6CE1","uni5075","uni51CC","uni58C7","uni9592","uni4FB5","uni62D2","uni633A","uni64FA","uni9CF3","uni8C37","uni8F29","uni58FD","uni984F","uni7C43","uni963B","uni5269","uni790E","uni639B","uni7D10","uni5EDF","uni6FA4","uni7126","uni6163","uni7246","uni8DA8","uni8C93","uni8F2F","uni6F54","uni5F92","uni864E","uni8266","uni74DC","uni6F5B","uni539A","uni602A","uni7DE3"],"基本包-漢字#4":["uni9ED8","uni8212","uni82B3","uni9F4A","uni8C9D","uni5076","uni7E73","uni520A","uni8986","uni5761","uni9014","uni6293","uni96B1","uni62C6","uni9178","uni4FC4","uni5854","uni8CB8","uni934B","uni501F","uni656C","uni5FCD","uni9396","uni6524","uni796D","uni6DF7","uni6566","uni9B25","uni75BE","uni795D","uni9846","uni83AB","uni8CE2","uni511F","uni6AC3","uni79D8","uni53E5","uni6C1B","uni5118","uni856D","uni541B","uni8ECC","uni808C","uni672B","uni622A","uni70CF","uni5074","uni9677","uni5F79","uni6200","uni6676","uni6D1B","uni64FE","uni83F8","uni6881","uni90F5","uni6CBF","uni4EF2","uni52D2","uni7E6A","uni7763","uni5617","uni5BD2","uni8CA9","uni7C4C","uni599D","uni60DC","uni8A17","uni573E","uni708E","uni5783","uni83F2","uni74E6","uni58D8","uni9077","uni70B8","uni7955","uni7687","uni6C89","uni9081","uni5462","uni6148","uni9B6F","uni5144","uni8CE0","uni865B","uni8A79","uni6717","uni5ED6","uni6817","uni7D61","uni6258","uni6DFB","uni641C","uni7E41","uni5B8B","uni6BEB","uni9589","uni59B3","uni72C2","uni7210","uni9A19","uni7A97","uni840A","uni8861","uni8F5F","uni8CFA","uni59D0","uni8F1D","uni817F","uni9905","uni6CC9","uni871C","uni8B02","uni6697","uni7DD2","uni88C2","uni5687","uni8FAD","uni6383","uni4F38","uni73B2","uni676F","uni8D99","uni6B8A","uni5948","uni5951","uni6416","uni4FAF","uni827E","uni68DF","uni65FA","uni57D4","uni6DD1","uni8000","uni716E","uni5510","uni6F58","uni8FEA","uni4E73","uni71C3","uni6212","uni5077","uni81A0","uni9738","uni98B1","uni5F6D","uni4E39","uni5E1D","uni76E7","uni8389","uni904D","uni641E","uni5237","uni7965","uni718A","uni95A3","uni6DB5","uni9B27","uni819A","uni6276","uni4E32","uni626E","uni79D2","uni62DA","uni8A8C","uni675C","uni80DE","uni554A","uni4E4F","uni91AC","uni8178","uni7A3F","uni5146","uni6DB2","uni5FAA","uni6D1E","uni8377","uni6DDA","uni540E","uni7D39","uni5F7C","uni54ED","uni6575","uni820D","uni68AF","uni9326","uni6062","uni9583","uni95C6","uni5192","uni6089","uni7FC1","uni64A4","uni8A50","uni5E72","uni5442","uni9451","uni78B0","uni7345","uni5C3F","uni5BB4","uni5345","uni8FF4","uni5C16","uni66C9","uni82AC","uni62D6","uni80CE","uni92D2","uni74F6","uni7159","uni63ED","uni5B5F","uni6D25","uni70E4","uni51E1","uni8DE1","uni746A","uni8972","uni71D5","uni4F54","uni9812","uni7434","uni6F64","uni6CE5","uni5634","uni6DAF","uni9006","uni651C","uni55AC","uni6028","uni61C2","uni66FC","uni9B54","uni76D2","uni52DF","uni5B55","uni852C","uni809D","uni8A95","uni6A6B","uni9E7F","uni51C6","uni80A5","uni8FA3","uni5EF7","uni8932","uni8E0F","uni81DF","uni804A","uni6241","uni8B7D","uni6B49","uni71E6","uni9072","uni723A","uni9ECE","uni6BC0","uni5291","uni7FD4","uni50BE","uni594F","uni5678","uni7F77","uni88D5","uni8105","uni6021","uni4E1F","uni7E6B","uni775B","uni9A30","uni59FF","uni8010","uni6D3D","uni98FD","uni6D6E","uni6012","uni7F79","uni62BC","uni947D","uni614E","uni5F91","uni62D4","uni6572","uni6F6D","uni5B5D","uni7D0B","uni596E","uni6D69","uni903C","uni4F69","uni7F75","uni81FA","uni6158","uni5B54","uni727D","uni60B2","uni8E64","uni4F0D","uni6490","uni8FAF","uni9B3C","uni7CD5","uni8523","uni7518","uni7092","uni8C9E","uni9022","uni58EF","uni80F8","uni8B00","uni67F1","uni9E7D","uni5740","uni6B98","uni642C","uni5BC4","uni7D81","uni58A8","uni699C","uni5925","uni7A4E","uni51CD","uni5439","uni67D4","uni7260","uni78A9","uni4FD7","uni6691","uni85A9","uni8150","uni6EC5","uni85A6","uni96D5","uni937E","uni62FC","uni8E8D","uni6C88","uni6905","uni8332","uni8C8C","uni5915","uni62D3","uni582A","uni8058","uni5FFD","uni6AFB","uni756A","uni6EFE","uni4EF0","uni8017","uni593E","uni5DF7","uni87F2","uni5B30","uni5566","uni9670","uni5E7B","uni7D2B","uni8499","uni6B32","uni8CA2","uni758F","uni8179","uni905E","uni6C41","uni59C6","uni80A9","uni87A2","uni6B96","uni83CC","uni798D","uni8A73","uni9803","uni9B4F","uni64E0","uni5806","uni5999","uni6FD5","uni7A0D","uni58C1","uni6DBC","uni8CC0","uni8D81","uni7344","uni6F0F","uni63D2","uni9676","uni6F8E","uni66DD","uni6F02","uni52C1","uni7070","uni6C96","uni994B","uni9817","uni83CA","uni99C1","uni7BC7","uni8108","uni8766","uni9727","uni5F65","uni8036","uni64A5","uni6ECB","uni66A8","uni8170","uni7E5E","uni7A3B","uni902E","uni91C7","uni9F3B","uni6649","uni8AF8","uni76DC","uni5085","uni8870","uni5A1C"],"基本包-漢字#5":["uni526A","uni8896","uni4F59","uni64E6","uni59AE","uni8584","uni80C3","uni63CF","uni7832","uni679D","uni68A8","uni93C8","uni8482","uni6170","uni7FBD","uni81BD","uni59FB","uni6C0F","uni78B3","uni5A18","uni8015","uni5674","uni5132","uni97FB","uni8D0A","uni9285","uni540A","uni6316","uni4E43","uni4E08","uni60A0","uni7BAD","uni72AC","uni7720","uni76C3","uni5E25","uni6191","uni5F04","uni9801","uni4ED9","uni9F9C","uni687F","uni5353","uni8667","uni6E21","uni95D6","uni65A5","uni66A2","uni6CF3","uni6558","uni8A3B","uni6D74","uni6B20","uni8102","uni8CED","uni99A8","uni5141","uni5A03","uni80BA","uni78E8","uni6CDB","uni7F8A","uni819C","uni66C6","uni6876","uni8352","uni8702","uni8E5F","uni7DB1","uni98C6","uni62B9","uni5272","uni7483","uni73BB","uni6FF1","uni76C8","uni92EA","uni4E95","uni6046","uni816B","uni8070","uni518A","uni683D","uni4F48","uni5BEE","uni5606","uni59A5","uni75BC","uni6372","uni55AA","uni8EF8","uni7E31","uni51FD","uni8303","uni934A","uni8ED2","uni5B24","uni788E","uni5F4E","uni6368","uni65CB","uni8155","uni8106","uni5E3D","uni916C","uni7433","uni744B","uni6BC5","uni64CB","uni5BF5","uni5949","uni62CB","uni52F8","uni57CB","uni5821","uni8CAA","uni5CFD","uni9A45","uni5410","uni731B","uni68B0","uni723D","uni9336","uni5B64","uni5C4D","uni7169","uni60A8","uni77BB","uni722C","uni7ACA","uni5009","uni8302","uni7CFE","uni845B","uni5FB9","uni5875","uni7DFB","uni52D8","uni809A","uni541E","uni7626","uni5751","uni760B","uni6478","uni6E67","uni8CAB","uni6016","uni6C57","uni6070","uni8AEE","uni8587","uni4F50","uni8FC5","uni626D","uni7336","uni9F90","uni6F84","uni5D07","uni5EC9","uni8A98","uni6606","uni61BE","uni8CA7","uni7897","uni5D29","uni6B3A","uni8B39","uni6597","uni721B","uni61F8","uni588A","uni5EC1","uni9234","uni5A1B","uni574A","uni586B","uni838E","uni7164","uni514C","uni9127","uni62AB","uni5BFA","uni9F0E","uni9D28","uni7948","uni6DCB","uni51DD","uni6591","uni6C61","uni9838","uni6C27","uni7469","uni80D6","uni59DA","uni91C0","uni9CF4","uni932B","uni5C6F","uni5006","uni91D0","uni7AAE","uni5954","uni65EC","uni63A9","uni9038","uni5EC8","uni662D","uni6458","uni7F69","uni6B3D","uni8525","uni59A8","uni7926","uni8E48","uni6607","uni70AE","uni6735","uni7E2B","uni6085","uni6D29","uni9075","uni9177","uni8A1F","uni61A4","uni814E","uni704C","uni8FC4","uni7C97","uni78DA","uni7058","uni5378","uni8B6F","uni66EC","uni64AB","uni73AB","uni90CE","uni87F9","uni61F2","uni8FA8","uni6674","uni62AC","uni78A7","uni6770","uni5733","uni98FC","uni55C6","uni75B2","uni6912","uni9DF9","uni5CA1","uni5C62","uni8087","uni660F","uni7A3D","uni84B8","uni8ABC","uni4FF1","uni53B2","uni8A87","uni6846","uni54AC","uni5F77","uni6BBC","uni4EAD","uni829D","uni6B04","uni77AD","uni5435","uni8F44","uni5857","uni77AC","uni559A","uni758A","uni62F3","uni733F","uni7D17","uni8490","uni528D","uni632B","uni780D","uni8292","uni65ED","uni857E","uni8CC4","uni5ECA","uni4F0F","uni8B19","uni6DF9","uni8DB4","uni6B67","uni6EF4","uni6ABB","uni7DE0","uni7DDD","uni5FCC","uni4EFF","uni6DFA","uni7378","uni6842","uni5764","uni821F","uni8E29","uni5AC1","uni6500","uni90C1","uni5E7D","uni7267","uni67F4","uni8EB2","uni4F51","uni8776","uni7C60","uni50AC","uni6C70","uni5F7F","uni7375","uni8247","uni79C9","uni50D1","uni9063","uni81E5","uni5A77","uni9716","uni5F18","uni51F8","uni8C54","uni7C64","uni83C1","uni7334","uni80A2","uni9B31","uni901B","uni9059","uni70D8","uni61FC","uni7F55","uni7FE0","uni8271","uni81ED","uni76FE","uni9165","uni64B2","uni86C7","uni52F3","uni7B4B","uni81E3","uni5C65","uni5377","uni7901","uni52FF","uni522A","uni7FF0","uni901D","uni7624","uni73CA","uni7470","uni9B42","uni8CC8","uni7149","uni8549","uni7A46","uni6380","uni8154","uni6F51","uni74CA","uni7C92","uni8650","uni7A00","uni8304","uni921E","uni66F9","uni9B45","uni742A","uni540B","uni7E69","uni9F20","uni62D8","uni884D","uni5AE9","uni7891","uni6BB7","uni96C7","uni908F","uni5CA9","uni6FEB","uni58F9","uni507D","uni714C","uni5112","uni68DA","uni7E96","uni4FB6","uni8B5C","uni98C4","uni5B9B","uni7CE7","uni7CCA","uni906E","uni64C5","uni96A7","uni76EA","uni92B3","uni5955","uni7DBF","uni68C9","uni9189","uni84C4","uni7051","uni9E9F","uni6851","uni50B2","uni5BD3","uni8E22","uni846C","uni9D6C","uni81A9","uni8461","uni6514","uni88F8","uni53D4"],"基本包-漢字#6":["uni5782","uni75D5","uni7BE9","uni5DBC","uni8E10","uni6EEF","uni7737","uni7652","uni863F","uni7CBD","uni4EC7","uni8258","uni88D9","uni6492","uni5C48","uni50DA","uni849C","uni5F6C","uni658C","uni7802","uni67F3","uni58E4","uni7504","uni54C0","uni7CB9","uni52FE","uni8CE6","uni6DD8","uni896F","uni5507","uni6454","uni6155","uni76C6","uni543B","uni886B","uni8F4E","uni7709","uni711A","uni83C7","uni9074","uni525D","uni868A","uni6291","uni7838","uni971E","uni6F06","uni5E9A","uni88D4","uni589C","uni64CE","uni8D6B","uni5835","uni63C6","uni99AE","uni5A49","uni5EC2","uni6EA2","uni8606","uni8404","uni5BF8","uni8D9F","uni8CB6","uni6DF5","uni6A58","uni6734","uni537F","uni79A6","uni624E","uni68CB","uni6C9B","uni96EF","uni58E2","uni539D","uni56CA","uni820C","uni584C","uni6EF2","uni6749","uni7F50","uni62FE","uni72FC","uni7D13","uni6068","uni8FB1","uni5893","uni87BA","uni81C2","uni8AF7","uni6DEA","uni5564","uni5CB3","uni85E4","uni752B","uni9ECF","uni9594","uni7F9E","uni896A","uni60B6","uni714E","uni6094","uni8A6E","uni8EBA","uni5E15","uni8679","uni5098","uni6DC7","uni7464","uni7272","uni929C","uni970D","uni77DA","uni71AC","uni659C","uni6602","uni9A37","uni766E","uni8F9C","uni819D","uni6CBE","uni6C6A","uni50F1","uni8D64","uni55BB","uni79E6","uni592F","uni52C9","uni9E79","uni62CC","uni6AAF","uni82D1","uni6EBC","uni5E06","uni4E56","uni97CB","uni59D1","uni5DFE","uni626F","uni5594","uni5824","uni7FFC","uni715E","uni8FB0","uni71D9","uni68F2","uni6A3A","uni5632","uni9DAF","uni51F6","uni91E3","uni5F4C","uni50F5","uni971C","uni4E59","uni52A3","uni8393","uni865E","uni95CA","uni74F7","uni54AA","uni8A93","uni9175","uni508D","uni8096","uni64BF","uni72A7","uni634D","uni5B0C","uni7199","uni919C","uni95E2","uni7B4D","uni53AD","uni50BB","uni7235","uni64BC","uni5962","uni5CFB","uni818F","uni6614","uni9D5D","uni9F52","uni5F0A","uni8085","uni840C","uni8B20","uni609F","uni9935","uni76F2","uni7E7D","uni6BEF","uni8AD2","uni614C","uni4E8E","uni731C","uni6349","uni70F9","uni8B0A","uni4E18","uni79BD","uni84EC","uni77DB","uni5319","uni840D","uni9042","uni6F70","uni9370","uni9AD2","uni6BBF","uni78C1","uni9A5F","uni5598","uni6F3F","uni5F81","uni58BE","uni5375","uni5DFF","uni522E","uni8A1D","uni79E9","uni60DF","uni5589","uni61A9","uni7E8F","uni6CCA","uni8591","uni7384","uni524A","uni78EF","uni9675","uni985B","uni8AE7","uni6DF3","uni6E9C","uni4FE0","uni7DEF","uni682A","uni905C","uni5DE2","uni60D1","uni6367","uni5DBA","uni4E38","uni652C","uni851A","uni5D17","uni5147","uni775E","uni60F9","uni52C3","uni5351","uni8877","uni6084","uni57C3","uni77FD","uni883B","uni859B","uni625B","uni8F3F","uni8514","uni9952","uni5021","uni6495","uni82B8","uni817A","uni6643","uni96C0","uni5D0E","uni606D","uni82AD","uni8A60","uni90DD","uni828B","uni84C9","uni5CB1","uni964C","uni4F7C","uni4F10","uni5D14","uni9187","uni6247","uni6C83","uni8ADC","uni7E61","uni679A","uni60F1","uni5339","uni7AA9","uni6D82","uni8431","uni9017","uni6EAF","uni7119","uni6284","uni7DEC","uni5C2C","uni54E9","uni6FA1","uni70B3","uni7D2E","uni5A1F","uni9913","uni6488","uni7262","uni5349","uni6BC6","uni7779","uni5D1B","uni8259","uni72E0","uni7409","uni80AA","uni7DBA","uni7CDF","uni6A38","uni854A","uni53C9","uni9214","uni64B0","uni5EB8","uni4ED5","uni6FFE","uni68F5","uni6A11","uni6C50","uni8B74","uni608D","uni777F","uni6AB8","uni8C48","uni8180","uni7586","uni53DB","uni4E1E","uni574E","uni962A","uni690E","uni9DB4","uni638F","uni6328","uni82BD","uni6D59","uni4FD0","uni6398","uni5D19","uni6E34","uni5885","uni5862","uni748B","uni5BB5","uni561B","uni6F20","uni754F","uni82AF","uni918B","uni69FD","uni7A40","uni6850","uni72F9","uni6AAC","uni6577","uni6109","uni8569","uni72C4","uni99ED","uni51A4","uni5E84","uni6B47","uni7B52","uni6688","uni755C","uni8774","uni6168","uni70AD","uni9B91","uni566A","uni7A74","uni962E","uni65E8","uni52AB","uni71E5","uni90AA","uni7538","uni9706","uni81D8","uni9472","uni5BC5","uni582F","uni5AB3","uni5E87","uni7F88","uni9921","uni7AC4","uni9756","uni6BD3","uni5858","uni6D78","uni907C","uni8CDC","uni7A84","uni810A","uni8CC3","uni803F","uni6A01","uni99FF","uni798E","uni617E","uni81A8","uni5FA1","uni73EE","uni6EF7","uni6BAF","uni8559","uni70AB","uni6E23","uni6795","uni5C37","uni85AF","uni6CCC","uni543E","uni4F36"],"基本包-漢字#7":["uni88F9","uni598D","uni634F","uni676D","uni5A25","uni8AFA","uni5BC2","uni52FB","uni7165","uni59EC","uni7671","uni5B99","uni4ED7","uni54BD","uni647A","uni67DA","uni8881","uni6339","uni6D66","uni650F","uni6F62","uni753A","uni8944","uni9A55","uni53E2","uni6AB3","uni9BE8","uni59E8","uni5BB0","uni67D1","uni5212","uni62A8","uni5F26","uni888D","uni632A","uni7AED","uni8139","uni5C41","uni5256","uni5DEB","uni5055","uni6953","uni59DC","uni788C","uni92C1","uni6FE4","uni8299","uni68CD","uni800D","uni7950","uni5C60","uni5440","uni8046","uni5937","uni6977","uni633D","uni84BC","uni53EE","uni62F1","uni745F","uni8C79","uni6A61","uni5ED3","uni99B3","uni71C9","uni7280","uni923A","uni91D8","uni68AD","uni9245","uni533F","uni65AC","uni57E4","uni5446","uni76EF","uni7D21","uni674F","uni64F2","uni7A98","uni9640","uni75B9","uni6E4A","uni58FA","uni6399","uni7E55","uni97AD","uni8513","uni6B79","uni5FBD","uni6664","uni7455","uni8216","uni6B16","uni8993","uni90B5","uni83F1","uni7554","uni7D68","uni5983","uni8755","uni7FC5","uni7E79","uni79AA","uni97CC","uni916A","uni9B41","uni7662","uni7E9C","uni8086","uni67AF","uni61F6","uni90E1","uni4FDE","uni6064","uni813E","uni621A","uni5BE8","uni5C39","uni85FB","uni8DEA","uni5154","uni5F59","uni840E","uni4FCF","uni640F","uni7526","uni7DB4","uni7A57","uni69D3","uni6CB8","uni535C","uni946B","uni7FCA","uni7529","uni6897","uni7A1A","uni6995","uni52BE","uni8E72","uni8AF1","uni8C5A","uni63EA","uni90CA","uni9EDB","uni8A23","uni973E","uni5BA5","uni6208","uni761F","uni7DBB","uni8B9E","uni7AFF","uni9957","uni978F","uni7FA8","uni7E43","uni5960","uni6A44","uni8CCA","uni914C","uni652A","uni7693","uni87FB","uni6893","uni9183","uni6296","uni664F","uni8D13","uni4EA8","uni5366","uni947C","uni7F38","uni5A9B","uni64F1","uni9076","uni6CD3","uni86B5","uni8403","uni8E34","uni93FD","uni86D9","uni68B5","uni6583","uni9830","uni6960","uni655E","uni6E3E","uni8F3B","uni8E81","uni633E","uni8339","uni91C1","uni745A","uni6EB6","uni9F94","uni541F","uni980C","uni6101","uni6C40","uni789F","uni54B3","uni562F","uni7A6B","uni6EBA","uni57AE","uni7011","uni6631","uni5F17","uni87EC","uni5D50","uni7AAF","uni6C90","uni832B","uni6052","uni752F","uni68E0","uni7444","uni532A","uni95A9","uni56BC","uni9D09","uni6EB1","uni6CAB","uni5018","uni6B6A","uni8C6B","uni6930","uni904F","uni6FB1","uni54E8","uni5D11","uni5306","uni6670","uni6538","uni7261","uni5996","uni6FC1","uni6627","uni9903","uni5A9A","uni68D7","uni57D5","uni9015","uni9293","uni9AD3","uni51F0","uni860A","uni5D4C","uni881F","uni8AED","uni6590","uni502A","uni8B2C","uni6E26","uni7CB5","uni6467","uni703E","uni5320","uni7184","uni5A36","uni8F12","uni74E3","uni6D36","uni9112","uni6A1E","uni6177","uni8A6D","uni75B5","uni4E91","uni9470","uni75E0","uni85B0","uni6F80","uni8305","uni77EE","uni79A7","uni54FD","uni81B3","uni69FF","uni6137","uni7DB8","uni6A1F","uni5BE1","uni6E5B","uni6CE3","uni701A","uni925B","uni7CA5","uni68E7","uni8277","uni6994","uni5EB6","uni821C","uni84B2","uni7784","uni797F","uni8B5A","uni7DCB","uni56C2","uni7682","uni79B1","uni749E","uni8D66","uni5475","uni853D","uni8F3E","uni5A7F","uni73C0","uni7B1B","uni5B95","uni5D84","uni90B8","uni5587","uni9598","uni7426","uni8116","uni775C","uni700F","uni572D","uni77EF","uni6065","uni6EEC","uni9D3F","uni81FB","uni8354","uni6127","uni71ED","uni8B0E","uni672D","uni56D1","uni839E","uni6487","uni7CDE","uni965E","uni61C7","uni6190","uni9699","uni66D9","uni68B3","uni4F8D","uni60BC","uni7940","uni594E","uni6E58","uni6F2C","uni9215","uni9704","uni96B8","uni81C0","uni56DA","uni5016","uni4F3A","uni6E20","uni8205","uni5195","uni67EC","uni5BE2","uni7613","uni8401","uni4E19","uni7152","uni88CF","uni4F19","uni6DE4","uni9774","uni852D","uni79BE","uni51F9","uni5E16","uni7C3F","uni5F64","uni5F13","uni8165","uni78CB","uni54C7","uni4F83","uni5974","uni9B0D","uni5492","uni5D01","uni76BA","uni8098","uni95A8","uni51A5","uni9B44","uni7BF7","uni68D5","uni4F3D","uni7015","uni96CD","uni63E3","uni935B","uni63C9","uni6A59","uni9776","uni56AE","uni779E","uni5D16","uni7009","uni58C5","uni7B71","uni98E2","uni773A","uni6689","uni5BDE","uni5614","uni59A4","uni5CD9","uni65F1","uni7736","uni7ABA","uni80FA","uni8760","uni7B28","uni59E6","uni6DEE","uni62ED","uni797A","uni56C9","uni61FF"],"基本包-漢字#8":["uni67F5","uni6C2B","uni74BD","uni6F3E","uni5384","uni7C6C","uni78C5","uni9223","uni7DBD","uni786B","uni5C90","uni7949","uni86DB","uni6C76","uni574D","uni6F88","uni58DF","uni9811","uni91D7","uni513C","uni5AFB","uni66E0","uni543C","uni8F4D","uni53E1","uni9BAA","uni55E8","uni8018","uni8475","uni62D0","uni71EE","uni501A","uni563B","uni6DEB","uni66D6","uni9444","uni777D","uni9C3B","uni58A9","uni86E4","uni5984","uni7B8F","uni5029","uni6582","uni5F08","uni808B","uni8335","uni7C3E","uni80F0","uni7960","uni7099","uni6F86","uni65FB","uni5538","uni60F6","uni50E7","uni5690","uni646F","uni5AC2","uni7130","uni991A","uni5BC7","uni9264","uni5026","uni92F8","uni8236","uni9BAD","uni4FF8","uni5E5F","uni6EC4","uni8822","uni77E9","uni5653","uni79B9","uni8E44","uni7BE4","uni9F63","uni82DB","uni84C1","uni739F","uni8C41","uni8EAC","uni72D0","uni6020","uni51F3","uni938A","uni4FAE","uni8B6C","uni561F","uni560E","uni7D33","uni5A55","uni745B","uni82AE","uni68A7","uni5669","uni6273","uni5288","uni88F4","uni9631","uni6E73","uni6CBC","uni55C5","uni64F7","uni53ED","uni55D3","uni611A","uni6233","uni9E7C","uni531D","uni9955","uni75D8","uni82B9","uni61C8","uni968D","uni95E1","uni9BCA","uni55FD","uni8517","uni8C4E","uni5C51","uni6E89","uni7661","uni8446","uni776B","uni5254","uni7FE1","uni79E4","uni66B1","uni6C5D","uni986B","uni7CEF","uni7881","uni6687","uni76DE","uni74A8","uni6AE5","uni4FEF","uni722A","uni8759","uni7487","uni60D5","uni69BB","uni7AE3","uni8D16","uni5580","uni96C1","uni99F1","uni67FF","uni6292","uni7621","uni7076","uni7600","uni678B","uni746F","uni6756","uni7B77","uni8E1D","uni8AA6","uni66DC","uni8718","uni5BB8","uni8B4F","uni5680","uni4E4D","uni6789","uni55A7","uni56A8","uni61A8","uni7C7D","uni91DC","uni893B","uni699B","uni7DA2","uni7480","uni668C","uni8328","uni77A7","uni7A20","uni71FB","uni88B1","uni555E","uni901E","uni79BF","uni6055","uni947F","uni7030","uni9DFA","uni5C4E","uni715C","uni6A9C","uni9871","uni9452","uni4E9F","uni9051","uni548E","uni6615","uni707C","uni58E9","uni77B3","uni5109","uni93E4","uni5679","uni54C4","uni7CD9","uni9761","uni7FF9","uni6813","uni54FA","uni74D4","uni9E92","uni75A4","uni6E25","uni82D4","uni98EA","uni717D","uni83E9","uni6C81","uni6B89","uni97A0","uni9382","uni7CBF","uni8DC6","uni8FED","uni8AA1","uni831C","uni8006","uni7396","uni5C91","uni934D","uni50AD","uni62EF","uni99A5","uni69B4","uni7435","uni64A9","uni7DF9","uni82D3","uni52DB","uni4E11","uni5641","uni8588","uni63A0","uni7B4A","uni5436","uni5B73","uni9F4B","uni7325","uni604D","uni964B","uni8671","uni6636","uni7463","uni5F27","uni69A8","uni55DC","uni50A2","uni8073","uni54C9","uni7DB5","uni665F","uni82A5","uni7A9F","uni7D5E","uni85DC","uni68FA","uni64D8","uni6B46","uni9C77","uni778E","uni586D","uni9BC9","uni6417","uni77E2","uni76CE","uni5B75","uni8396","uni5CEF","uni731D","uni919E","uni7329","uni515C","uni68D8","uni6493","uni8FE6","uni9739","uni9708","uni606C","uni99AD","uni88D8","uni59EA","uni9742","uni6829","uni958E","uni5DD6","uni8B41","uni5137","uni57A3","uni5162","uni8B17","uni947E","uni6E44","uni99DD","uni9945","uni8CAF","uni618A","uni5586","uni7766","uni725F","uni75FA","uni5201","uni82B7","uni59CD","uni78CA","uni5C09","uni9AE6","uni6BCB","uni8EC0","uni64C4","uni5742","uni8CE4","uni7A92","uni9438","uni853B","uni56E4","uni8DBE","uni846B","uni6B4E","uni6DC6","uni70EF","uni6600","uni86FB","uni6413","uni5B09","uni65A7","uni599E","uni55B5","uni91E6","uni6C72","uni9EEF","uni5102","uni660A","uni5321","uni4E48","uni8309","uni6115","uni7078","uni6CAE","uni7CF0","uni6E43","uni82EF","uni80DA","uni8910","uni9091","uni6289","uni701D","uni8783","uni89B7","uni58AE","uni7FB9","uni5203","uni8123","uni8473","uni58B3","uni8782","uni61CB","uni536F","uni7587","uni8654","uni5180","uni4FB7","uni9713","uni9209","uni609A","uni6556","uni9AB8","uni9661","uni9824","uni50FB","uni7AC5","uni8AB9","uni5CC7","uni5FF1","uni80F1","uni8331","uni4F88","uni5616","uni60B8","uni7F44","uni7DDE","uni8E66","uni7AC7","uni7239","uni7B4F","uni7109","uni7672","uni598F","uni56A5","uni9D51","uni708A","uni7425","uni7F54","uni9A5B","uni76D4","uni5480","uni5E1B","uni67C4","uni77B0","uni4E98","uni879E","uni66E6","uni968B","uni5308","uni5DD4","uni7D62","uni8AA3","uni6C5B","uni75CA","uni6C2F","uni8076"],"基本包-漢字#9":["uni747E","uni7CB1","uni965D","uni6E1D","uni87D1","uni9D5C","uni524E","uni92AC","uni8936","uni5398","uni8ECB","uni5B3F","uni62C7","uni5228","uni9839","uni5F14","uni5115","uni6746","uni7028","uni837C","uni755D","uni9D98","uni978D","uni93DF","uni592D","uni6853","uni524C","uni785D","uni9B1A","uni6C3E","uni51CB","uni7729","uni73C9","uni8A6C","uni589F","uni6BB2","uni73C8","uni5EDD","uni780C","uni6D6C","uni9C57","uni5352","uni63F9","uni9DD7","uni5FFB","uni602F","uni69CC","uni896C","uni8912","uni54E6","uni7006","uni75F0","uni892A","uni5703","uni7DBE","uni9226","uni62CE","uni96DB","uni8171","uni8805","uni895F","uni5803","uni7C07","uni5FE1","uni611C","uni5D34","uni7E46","uni5477","uni9709","uni693F","uni803D","uni553E","uni79E7","uni64BB","uni7D46","uni975A","uni5565","uni8283","uni7E1B","uni9BDB","uni95BB","uni5DD2","uni627C","uni5556","uni5B5C","uni564C","uni4EA2","uni66F3","uni95A5","uni95D4","uni5243","uni6254","uni77E3","uni8814","uni760D","uni544E","uni9EF4","uni6C2E","uni647B","uni5543","uni7428","uni8317","uni4F6F","uni675E","uni77AA","uni50D5","uni56B7","uni7B60","uni566C","uni880D","uni78D0","uni7194","uni5CE8","uni99B4","uni5C8C","uni54B8","uni4E5E","uni8E39","uni70CA","uni916E","uni5495","uni5695","uni737C","uni91A3","uni5509","uni97ED","uni7FCC","uni557C","uni8CBD","uni91C9","uni9310","uni5B70","uni5F99","uni7405","uni563F","uni749F","uni9320","uni57A2","uni66F0","uni792B","uni9A0F","uni4EA5","uni61CA","uni5BE5","uni7D6E","uni69F3","uni6854","uni6986","uni61FE","uni66AE","uni6C13","uni4E30","uni9ABC","uni71A0","uni81CD","uni7C37","uni7647","uni6E3A","uni96CC","uni9D72","uni9EB4","uni7FCE","uni720D","uni6CC4","uni7156","uni6ED4","uni9C32","uni6B83","uni9249","uni4FCB","uni8301","uni8836","uni516E","uni6FDB","uni5E62","uni5583","uni8594","uni5B38","uni9E1A","uni6063","uni5F2D","uni5DBD","uni6652","uni6AC2","uni533E","uni7422","uni743A","uni849E","uni7172","uni834A","uni8F1F","uni7887","uni83E0","uni8CC2","uni6390","uni5F98","uni8466","uni970F","uni7A1C","uni7CEC","uni52AD","uni72E9","uni9698","uni8E89","uni5379","uni701F","uni8E7A","uni8235","uni7665","uni5E4C","uni5F8A","uni70D9","uni907D","uni854E","uni82DF","uni62D9","uni6DAE","uni7CD7","uni7B94","uni7E6D","uni60F0","uni7578","uni9463","uni54B1","uni816E","uni5BF0","uni622E","uni527F","uni7D91","uni7F9A","uni759A","uni5AB2","uni9328","uni541D","uni62C2","uni9D61","uni80E4","uni62D7","uni97A6","uni673D","uni97C6","uni9394","uni93DE","uni7FE9","uni6FFA","uni53E9","uni81BA","uni5506","uni97F6","uni5944","uni6963","uni9B77","uni6E32","uni75F4","uni7B20","uni63B0","uni78FA","uni8882","uni700B","uni701B","uni5A13","uni81BF","uni7A4C","uni6414","uni7FBF","uni4E3C","uni9A4A","uni8392","uni78F7","uni5331","uni549A","uni74A7","uni74CF","uni931A","uni6248","uni9C78","uni5EB5","uni61AC","uni9685","uni7515","uni7232","uni6482","uni6FE1","uni4F63","uni92F0","uni6DD2","uni8778","uni67B8","uni70FD","uni884A","uni6C1F","uni7407","uni5E11","uni711C","uni5C79","uni6B86","uni5CED","uni9210","uni50E5","uni54FC","uni51B6","uni742E","uni85E9","uni6FEC","uni6123","uni6F33","uni64C2","uni6F13","uni5208","uni984E","uni5992","uni83C5","uni55EF","uni8712","uni8FE5","uni7525","uni5993","uni9240","uni7728","uni809B","uni873F","uni7AAA","uni7C27","uni8700","uni5629","uni6D95","uni84A8","uni8859","uni8725","uni54EE","uni8B4E","uni64D2","uni8FFA","uni8823","uni8A15","uni6519","uni892B","uni93A7","uni701E","uni71B9","uni7656","uni7FAF","uni6D6F","uni8338","uni54BB","uni96C9","uni6252","uni919B","uni54A7","uni56DD","uni5C5C","uni665D","uni56EA","uni5ADA","uni96CB","uni70AF","uni93E2","uni5140","uni9766","uni5197","uni53A5","uni858F","uni8E8B","uni85D5","uni6346","uni8146","uni84D3","uni7B8D","uni5EEC","uni71DC","uni76BF","uni6ADA","uni5830","uni86C0","uni5978","uni60CB","uni8A61","uni7C84","uni5E37","uni925A","uni550F","uni807E","uni93B0","uni5F6A","uni828E","uni59DD","uni5277","uni98B6","uni8518","uni618B","uni5F1B","uni9119","uni606B","uni59F5","uni6D04","uni9321","uni82DE","uni8B3E","uni72F8","uni742C","uni8543","uni4F0E","uni7C50","uni645F","uni90A2","uni6684","uni824B","uni7B19","uni6059","uni961C","uni786F","uni823A","uni7274","uni7B51","uni920D","uni61A7","uni667E","uni9432","uni9157","uni81C6"],"基本包-漢字#10":["uni6CEE","uni8B10","uni4F70","uni6ECC","uni81FC","uni7941","uni7787","uni95A1","uni55D1","uni6C82","uni74BF","uni52FA","uni93AC","uni9CF6","uni5676","uni8611","uni9315","uni870A","uni8DDB","uni6BAD","uni53E8","uni856A","uni7E08","uni4F6C","uni8398","uni8CD1","uni8AF3","uni990C","uni72E1","uni5B40","uni8356","uni905B","uni6D85","uni6E2D","uni95D5","uni88F3","uni63C4","uni63F6","uni4E15","uni92C5","uni55E1","uni5420","uni900D","uni7BC6","uni7CA7","uni8DCB","uni9BD6","uni5189","uni60FA","uni915A","uni7E37","uni814B","uni812F","uni9A65","uni692A","uni99D2","uni7316","uni73C2","uni9AD6","uni87CE","uni6690","uni659F","uni7FDF","uni6666","uni5D69","uni77D7","uni68A2","uni72D9","uni7F8C","uni5F0B","uni7292","uni710A","uni6777","uni9E82","uni9296","uni5C94","uni5323","uni6043","uni6ED5","uni7C98","uni7A14","uni55F6","uni6C55","uni5636","uni82F3","uni9A62","uni7B9D","uni6C46","uni5241","uni619A","uni9083","uni92E4","uni8214","uni615A","uni5AC9","uni61FA","uni620E","uni6F5F","uni8FE2","uni585A","uni61AB","uni7436","uni6DEC","uni9041","uni4F47","uni6A62","uni98B3","uni8A1B","uni524B","uni540F","uni6787","uni9C2D","uni81BE","uni5664","uni70AC","uni6F29","uni57E0","uni916F","uni5FD0","uni78BE","uni5FD1","uni5777","uni8FAE","uni7281","uni71C1","uni62EE","uni795F","uni8835","uni5657","uni7E8D","uni8815","uni5486","uni6F31","uni83BD","uni55E3","uni766C","uni7440","uni776A","uni85FA","uni6DE9","uni8AE6","uni83D3","uni9951","uni4FD1","uni6096","uni6F23","uni8713","uni6175","uni873B","uni9D1B","uni5401","uni4FD8","uni4F8F","uni7942","uni689F","uni7117","uni615F","uni5638","uni5A6D","uni7337","uni6714","uni8892","uni8E4A","uni77BF","uni9251","uni568E","uni98BC","uni71F4","uni6A80","uni556A","uni6C85","uni9F66","uni741B","uni54CF","uni8DE4","uni636E","uni8A7C","uni51AA","uni7830","uni7740","uni9BE4","uni822B","uni8E35","uni7DD8","uni51DC","uni7C5F","uni9050","uni7D0A","uni8A54","uni4E2B","uni9D26","uni6FA7","uni7A62","uni7699","uni9318","uni555C","uni73FA","uni5490","uni4F96","uni8D05","uni67E2","uni606A","uni7921","uni72FD","uni91BA","uni6D5A","uni86A4","uni9B58","uni9C48","uni6C4E","uni5FA8","uni5AE3","uni5A6A","uni9AAF","uni9005","uni6C8C","uni8CB3","uni8511","uni77C7","uni9912","uni7599","uni6C5E","uni7D18","uni5249","uni7629","uni6D19","uni6D31","uni737A","uni7D43","uni557E","uni7F3D","uni5D27","uni65A1","uni807F","uni85D0","uni5AD6","uni9D70","uni68E3","uni7D5C","uni571C","uni7B87","uni8C4A","uni6968","uni7166","uni55DA","uni64AE","uni914B","uni8F9F","uni5471","uni7357","uni5A41","uni9E93","uni8F45","uni6479","uni6369","uni8423","uni5FAC","uni9176","uni5431","uni5671","uni6443","uni6E24","uni60D8","uni7F94","uni6CEF","uni8A5B","uni9102","uni5599","uni994C","uni89AC","uni7708","uni6194","uni6B38","uni60B4","uni993E","uni832D","uni9082","uni6F2A","uni83BF","uni7E1D","uni8FF8","uni89A6","uni82E1","uni6DCC","uni7BB4","uni8B04","uni6EA5","uni7827","uni819B","uni5FFF","uni9DF2","uni93D8","uni5889","uni92B9","uni4F03","uni4F91","uni6C28","uni6CB1","uni6215","uni8151","uni8E6D","uni7459","uni552C","uni9419","uni5A23","uni6BD7","uni504E","uni64E2","uni8A46","uni91E7","uni4E52","uni7005","uni86DF","uni504C","uni5E40","uni54CE","uni665E","uni75DE","uni6523","uni6452","uni778C","uni6A0A","uni8E4B","uni8568","uni69AD","uni71BE","uni70A4","uni7738","uni62C4","uni5537","uni8D1B","uni59E5","uni8A3C","uni6F7A","uni87D2","uni7B8B","uni69E4","uni6CF5","uni5B7D","uni8526","uni98F4","uni718F","uni4E10","uni7D79","uni60C7","uni7C38","uni77A5","uni6D8E","uni7FB2","uni7FF1","uni53CC","uni5800","uni557B","uni5950","uni6410","uni927B","uni5F9C","uni5DFD","uni6FD8","uni56CD","uni9730","uni7489","uni5A20","uni73A0","uni9DA9","uni86FE","uni61F5","uni97DC","uni6FB9","uni6522","uni5D87","uni54A8","uni87F3","uni9CE9","uni5F29","uni6035","uni75D4","uni54C6","uni77A0","uni73A5","uni7898","uni74E2","uni70F7","uni4E53","uni5F89","uni62F7","uni9257","uni6345","uni8737","uni76E5","uni5412","uni5D22","uni5AE1","uni7C9F","uni5501","uni8343","uni598A","uni7377","uni8A70","uni4F84","uni8B59","uni71FC","uni8FC2","uni7A96","uni9EDD","uni5C2A","uni7D09","uni9BE7","uni60DA","uni66C7","uni9621","uni502C","uni7E5A","uni98E9","uni8386","uni5544","uni9AB0","uni6144","uni620A","uni6518"],"基本包-漢字#11":["uni5B5A","uni90B0","uni5879","uni991B","uni66C4","uni6DDE","uni6499","uni76C5","uni63CD","uni69B7","uni7A79","uni91AE","uni9B28","uni78B4","uni61E6","uni62C8","uni8C82","uni6DE6","uni568F","uni8AA8","uni828A","uni5898","uni67B7","uni8A6B","uni8A86","uni9A01","uni5EB9","uni8477","uni60E6","uni542D","uni7947","uni939A","uni73E9","uni58EC","uni51BD","uni7CBC","uni60B5","uni63C0","uni93D7","uni7490","uni8174","uni91AF","uni8AF6","uni548B","uni913A","uni6D8C","uni9D15","uni80B4","uni5484","uni595A","uni5A3C","uni8869","uni8A10","uni63A3","uni84A1","uni6E29","uni8D0D","uni6221","uni4FFE","uni9E9D","uni6E6E","uni9D1E","uni5406","uni7B08","uni9F3E","uni55DD","uni6EC7","uni96BC","uni8B01","uni6440","uni923E","uni795B","uni9410","uni8913","uni75B1","uni8548","uni6727","uni6E4D","uni6DD6","uni56E1","uni616B","uni5DCD","uni9DE5","uni8AC9","uni4F09","uni4E69","uni5958","uni81E7","uni9358","uni7C0D","uni7D40","uni7BE1","uni7AFA","uni5BD0","uni643D","uni995E","uni9148","uni83A2","uni7122","uni8706","uni5121","uni8A25","uni6C08","uni95B9","uni8169","uni6A35","uni8A63","uni7678","uni6249","uni95CC","uni6D63","uni637B","uni5FA0","uni7D1C","uni7601","uni6CEB","uni5080","uni92CC","uni612B","uni5CAC","uni6B9E","uni9149","uni7A1F","uni59B2","uni8E1E","uni607F","uni53F1","uni7627","uni8EFE","uni6886","uni8494","uni74A3","uni6726","uni991E","uni8AEB","uni55C7","uni75D9","uni6473","uni75E3","uni82A1","uni8373","uni811B","uni71FF","uni8AC4","uni73DE","uni7E09","uni818A","uni8693","uni8B14","uni975B","uni769A","uni91F5","uni9AB7","uni6D93","uni564E","uni7F48","uni695E","uni5775","uni7A3C","uni891A","uni77BC","uni7A88","uni655D","uni5F57","uni618E","uni9EA9","uni9163","uni9BD3","uni9695","uni573B","uni59E3","uni7E82","uni542E","uni7889","uni8F46","uni7027","uni9997","uni942E","uni7825","uni9821","uni51E0","uni6BA4","uni5F12","uni6B12","uni5553","uni8E74","uni6A3D","uni6753","uni8F13","uni83D8","uni54AB","uni6ADB","uni7252","uni61DF","uni942B","uni64AC","uni85F7","uni6F7C","uni8734","uni6840","uni71CE","uni5CF4","uni78D5","uni86AF","uni8C49","uni527D","uni5809","uni757F","uni9E1E","uni9ACF","uni4EC6","uni8200","uni5F46","uni56FF","uni53FB","uni7168","uni8C4C","uni53FC","uni6376","uni875F","uni8708","uni6451","uni88CA","uni9C49","uni8914","uni9688","uni8334","uni76B0","uni71A8","uni5ECD","uni86A3","uni821B","uni5630","uni7837","uni637A","uni5E1A","uni7CDC","uni9672","uni9865","uni6715","uni55B3","uni4F43","uni705D","uni55B2","uni69AB","uni6D79","uni5B7A","uni5EBE","uni7D8F","uni88F1","uni93B3","uni9ED4","uni5C50","uni865C","uni7F5F","uni9E8B","uni80F3","uni6FE0","uni80ED","uni82E3","uni740A","uni86F9","uni55F2","uni7F8B","uni5F3C","uni795A","uni6822","uni792A","uni6DB8","uni5938","uni7D89","uni8435","uni93A9","uni90AF","uni6EC2","uni84BF","uni7A95","uni9035","uni532D","uni60BD","uni7CE0","uni8541","uni943A","uni85F9","uni6CD7","uni993F","uni5AE6","uni5AF5","uni5662","uni4E99","uni8CB2","uni6A47","uni6427","uni51C3","uni6B09","uni96F9","uni759D","uni75CD","uni73B3","uni5466","uni63AE","uni5F63","uni8A85","uni6FC2","uni6CBD","uni8188","uni9C39","uni75FE","uni5555","uni9132","uni5582","uni6E19","uni642A","uni634E","uni620C","uni87AB","uni868C","uni9AFB","uni5608","uni9365","uni9F95","uni9A4D","uni4F58","uni72A2","uni64C0","uni6CF1","uni55E4","uni652B","uni8E30","uni509A","uni9068","uni613F","uni92D0","uni5919","uni9211","uni7147","uni8E6C","uni5A29","uni87C4","uni5014","uni4F15","uni7B95","uni8925","uni8237","uni8CF8","uni7D73","uni8019","uni8A0C","uni587E","uni9F72","uni9798","uni8084","uni9D9A","uni8768","uni75B8","uni4EDF","uni7192","uni59BE","uni6F66","uni5575","uni86C6","uni8B5F","uni8E42","uni8E63","uni6425","uni774F","uni6698","uni932E","uni970E","uni8A03","uni7481","uni5B1B","uni55E6","uni80DB","uni695D","uni9398","uni5106","uni7E93","uni80BD","uni60BB","uni7AA0","uni9B5F","uni93D6","uni67B4","uni54A6","uni6595","uni8EAA","uni6AF8","uni958F","uni7B50","uni733E","uni75E2","uni55D4","uni6026","uni7A08","uni6C74","uni57C2","uni5E61","uni54AF","uni787C","uni8DDA","uni8CEC","uni776C","uni9BF0","uni6F87","uni92BB","uni87FE","uni71EC","uni9711","uni54A9","uni6C30","uni9B60","uni5F67","uni9F2C","uni9C5F","uni9642","uni4F7E","uni562E","uni7620","uni74A6"],"基本包-漢字#12":["uni547B","uni5429","uni57A0","uni75C2","uni84C6","uni5B51","uni5CB7","uni58D5","uni87CB","uni7C23","uni500F","uni8A36","uni9087","uni6954","uni8469","uni69D0","uni992C","uni6C93","uni9B23","uni9874","uni9B22","uni9114","uni78E1","uni765F","uni77DC","uni9DF8","uni64F0","uni849F","uni5A4A","uni623D","uni6F2F","uni87C0","uni84BB","uni923F","uni6371","uni737E","uni714A","uni8638","uni60C6","uni6AEB","uni8C62","uni558B","uni5B93","uni993D","uni9E75","uni62BF","uni5C3B","uni4FDF","uni84C0","uni9C08","uni7566","uni6041","uni68FB","uni5C4C","uni7BD9","uni7C6E","uni80EF","uni87B3","uni6AEA","uni7850","uni8E76","uni6939","uni7A37","uni7D02","uni9182","uni7498","uni9A2B","uni62F4","uni5871","uni5E43","uni548F","uni5B2A","uni57FC","uni67E9","uni69ED","uni9F5F","uni6C7E","uni6F97","uni58D1","uni9B03","uni7178","uni6EF8","uni7F4C","uni6942","uni9F6C","uni560D","uni908B","uni75A3","uni782D","uni9266","uni768E","uni5A11","uni70F4","uni643E","uni7634","uni9591","uni9062","uni9DBC","uni6D38","uni98ED","uni54BF","uni6979","uni9D89","uni5768","uni625E","uni740D","uni833C","uni5AA7","uni8EFC","uni7460","uni837B","uni965C","uni8B96","uni6D87","uni4FDA","uni83A0","uni7696","uni8222","uni726F","uni5A9E","uni8471","uni636B","uni6775","uni55AB","uni6B7F","uni66B9","uni7BE0","uni9A16","uni867B","uni623E","uni7C95","uni56E7","uni9BFD","uni6DFC","uni6BAE","uni621F","uni92A8","uni70B7","uni5B0B","uni83C0","uni8CC1","uni95C8","uni55F7","uni8E8A","uni8A16","uni7551","uni71C4","uni63AC","uni9169","uni83A7","uni8E87","uni73E3","uni9873","uni530D","uni7E0A","uni5DB8","uni6F94","uni5B43","uni83D6","uni911E","uni87AF","uni7DAC","uni75E7","uni9D6A","uni576F","uni761C","uni76F9","uni5B62","uni8605","uni621B","uni89F4","uni5EA0","uni4FCE","uni6ADF","uni8A4E","uni5043","uni5FD6","uni7995","uni64FB","uni95C7","uni9C54","uni5478","uni870D","uni9EBE","uni7B06","uni8941","uni871A","uni608C","uni80DD","uni9A40","uni528A","uni80FC","uni6841","uni80DC","uni8983","uni5E96","uni8703","uni5310","uni716C","uni8E09","uni80E5","uni9237","uni7370","uni8228","uni8722","uni74A9","uni9AD5","uni8E31","uni6894","uni8E4C","uni8AA5","uni6641","uni87E0","uni8F0A","uni938F","uni5527","uni5533","uni7018","uni5CD2","uni98AF","uni84CA","uni858A","uni6DC0","uni749C","uni938C","uni5E57","uni834F","uni5639","uni7319","uni82BB","uni6F09","uni755A","uni5660","uni76C2","uni7C2B","uni720C","uni7E39","uni5807","uni5138","uni5B71","uni9433","uni7DF2","uni50EE","uni6384","uni82AB","uni5D59","uni4F97","uni9773","uni9B29","uni620D","uni5600","uni8862","uni669D","uni5023","uni7AA3","uni9744","uni6E1A","uni9338","uni8831","uni9333","uni8C98","uni8429","uni5F5D","uni5B53","uni61E8","uni684E","uni6FF0","uni85BA","uni9C52","uni8B28","uni5E44","uni60F4","uni832F","uni645C","uni7B4C","uni9862","uni97C1","uni7B75","uni861A","uni9807","uni9E1B","uni7AB3","uni8EA1","uni750C","uni613E","uni75A5","uni7131","uni743F","uni5BA6","uni8E49","uni7FB6","uni4F7B","uni6DD9","uni62FD","uni8DE9","uni8E2E","uni92EF","uni75BD","uni4F76","uni9C13","uni7688","uni837D","uni7AB8","uni6773","uni5A9C","uni8DCE","uni5443","uni73FD","uni65FC","uni6D35","uni688F","uni752C","uni65B2","uni9719","uni596D","uni92CF","uni918D","uni828D","uni9BF7","uni9C58","uni6C24","uni7E35","uni81EC","uni92B2","uni7768","uni8CD2","uni5AFA","uni8E3D","uni50C2","uni54B2","uni7F63","uni9319","uni5A40","uni88A4","uni6014","uni768B","uni8340","uni7430","uni559F","uni7441","uni8960","uni7457","uni5514","uni6C69","uni92AB","uni6C33","uni6845","uni7E1E","uni843C","uni9D60","uni9EDC","uni9C0D","uni659B","uni7374","uni690F","uni6D94","uni9BA8","uni73B7","uni86A9","uni8A52","uni4F5D","uni965B","uni9427","uni5315","uni6B5B","uni936C","uni73EA","uni6342","uni56F9","uni7ABF","uni5F87","uni5704","uni65CC","uni5FEA","uni535E","uni9291","uni67FA","uni7765","uni6F8D","uni829B","uni5CAB","uni572E","uni83AA","uni5C63","uni7E10","uni5CEA","uni7C91","uni75F2","uni9190","uni973D","uni7C2A","uni6E8F","uni6382","uni9162","uni7CF8","uni74E0","uni9DC2","uni7D3A","uni65D6","uni8407","uni634C","uni5B7F","uni99DF","uni8EFB","uni9909","uni82A9","uni5A97","uni9D06","uni6F78","uni8888","uni88DF","uni580A","uni80D7","uni75F9","uni8757","uni54BE","uni597C","uni91E9","uni923D","uni7BF3"],"基本包-漢字#13":["uni8093","uni4F5F","uni50ED","uni868B","uni9BAB","uni90A8","uni5FE4","uni7432","uni95A4","uni88E8","uni664C","uni8956","uni7352","uni59EE","uni6C26","uni9088","uni5D94","uni8D67","uni8B05","uni9D34","uni55E9","uni6555","uni57D7","uni7934","uni84D6","uni5D99","uni9A6A","uni561C","uni8D6D","uni7FA5","uni5F6B","uni5A62","uni86ED","uni57DC","uni96B4","uni9A64","uni82F7","uni752D","uni54D6","uni8ACD","uni63D6","uni8D17","uni845A","uni7D15","uni7791","uni83A8","uni5E54","uni86AA","uni9870","uni874C","uni614D","uni4FFA","uni79C8","uni6406","uni8378","uni9768","uni9948","uni5504","uni9E1D","uni81E0","uni712F","uni8C3F","uni83C8","uni6AFA","uni7230","uni9C31","uni76F1","uni97A3","uni60FB","uni5DF3","uni7C0C","uni9095","uni9F10","uni8129","uni81C3","uni64E4","uni97C3","uni85FF","uni5494","uni7616","uni5D4B","uni530F","uni518F","uni7287","uni8CE1","uni4F57","uni5022","uni944A","uni5CCB","uni5707","uni81CA","uni9837","uni5530","uni5AD7","uni83DF","uni85EA","uni9460","uni56EB","uni7843","uni826E","uni83FD","uni8707","uni5A0C","uni4EE8","uni846D","uni919A","uni59AF","uni7F61","uni889E","uni53DF","uni75FF","uni6E9F","uni7852","uni82DC","uni93B5","uni9ECD","uni8DFA","uni7A60","uni5072","uni6A90","uni68F9","uni8153","uni4EC4","uni7A17","uni5028","uni79BA","uni71E0","uni946D","uni5AD8","uni672E","uni7E1F","uni80B1","uni7AD1","uni95BE","uni6CE0","uni9B08","uni5998","uni5665","uni8B2B","uni8476","uni7FEB","uni7762","uni7FF3","uni6FEF","uni5B34","uni5B6C","uni866B","uni5577","uni5048","uni5B08","uni8E53","uni5B17","uni6134","uni7462","uni54E7","uni53F5","uni65CE","uni8839","uni7085","uni84FF","uni9BDD","uni66B8","uni5EC4","uni4F5A","uni8AC2","uni5693","uni7670","uni9477","uni8D73","uni4FE5","uni6609","uni7AFD","uni99B1","uni8FE4","uni84F4","uni98BA","uni502D","uni89B2","uni6D33","uni56C8","uni8E2A","uni8FD3","uni89D4","uni88AA","uni68F1","uni51BC","uni84D1","uni69C1","uni6849","uni75FC","uni57C6","uni92C3","uni69C3","uni9D12","uni792C","uni6EC9","uni5D3D","uni64BE","uni534D","uni8052","uni8E82","uni8B92","uni9DF4","uni8B16","uni6C8F","uni9A41","uni8B8E","uni75E4","uni520E","uni63E0","uni67D2","uni8C8D","uni847A","uni7BB8","uni7CB3","uni7911","uni86DE","uni8C85","uni937A","uni9131","uni77F8","uni8E5A","uni7BDD","uni8753","uni8902","uni8EEB","uni87C6","uni8ED4","uni8C94","uni6A84","uni7638","uni9F41","uni5EE8","uni9943","uni8350","uni501C","uni9AC2","uni7893","uni89E5","uni64A2","uni6DC5","uni7086","uni6F82","uni8E7C","uni5685","uni9403","uni8E59","uni4EB3","uni58FC","uni76B4","uni4FF3","uni9BE1","uni9EE0","uni73A8","uni53C1","uni8004","uni82F9","uni7069","uni9B7D","uni9F6A","uni9F77","uni6C68","uni9BEA","uni6D0C","uni8438","uni99D9","uni7095","uni7D5B","uni5773","uni57B5","uni7258","uni56C1","uni80F4","uni8306","uni6E1F","uni5659","uni61E3","uni800B","uni5DA0","uni741A","uni5C38","uni71FE","uni977C","uni9C67","uni713F","uni7360","uni9397","uni98E7","uni9F5C","uni6F41","uni6AD3","uni8F26","uni7CB2","uni8ADB","uni4EDD","uni6C86","uni6332","uni610E","uni9278","uni9436","uni9283","uni9A3E","uni5EF8","uni5B21","uni6396","uni8218","uni75F1","uni7DA3","uni8AE4","uni9F2F","uni8CC5","uni6BFD","uni9D87","uni78A3","uni7094","uni55B1","uni992E","uni6772","uni6816","uni91B1","uni8198","uni929A","uni7BFE","uni9C7A","uni8821","uni72D2","uni81FE","uni6792","uni6FEE","uni93A2","uni5563","uni92BC","uni8E0A","uni9238","uni86C4","uni8F42","uni6677","uni7023","uni8C7A","uni67B3","uni78EC","uni6634","uni7386","uni7669","uni7032","uni564D","uni7785","uni57E1","uni73C5","uni500C","uni6CC5","uni95AD","uni601C","uni9090","uni5981","uni7E9B","uni513B","uni756F","uni8811","uni763B","uni58BB","uni824F","uni6F6F","uni63E9","uni9B4D","uni8298","uni90C3","uni574F","uni914A","uni7845","uni81DA","uni5511","uni7B74","uni82D2","uni84B9","uni62C5","uni6DBF","uni59A3","uni86B1","uni65C2","uni931E","uni579B","uni74DA","uni69F2","uni9C72","uni7E7E","uni9AEF","uni7FE6","uni920E","uni781D","uni5658","uni82E7","uni7A09","uni82BE","uni4F53","uni855E","uni87BB","uni7812","uni5914","uni4F5E","uni6BEC","uni6962","uni8ACF","uni9B1F","uni8210","uni6506","uni8938","uni924B","uni5186","uni9EF7","uni9134","uni5FDD","uni7FB8","uni5FEE","uni9B69","uni6BAB","uni6019","uni71E7","uni52BC","uni55DF"],"基本包-漢字#14":["uni9684","uni6266","uni9122","uni7835","uni8879","uni8012","uni9785","uni6516","uni86B6","uni7E88","uni72F7","uni4E93","uni95CB","uni6EB4","uni5C58","uni8919","uni8988","uni8B6D","uni50A3","uni914E","uni9F67","uni55D2","uni5E76","uni9BC1","uni91B4","uni5464","uni64A3","uni6759","uni8599","uni690B","uni8788","uni6A48","uni746D","uni8893","uni617C","uni4E07","uni9DBA","uni5F01","uni879F","uni902D","uni71D0","uni6A8E","uni86C9","uni9C25","uni5A09","uni9021","uni982B","uni6CAC","uni6476","uni8AE2","uni6ED3","uni8AE1","uni5541","uni5274","uni5D82","uni8964","uni7CC5","uni9C24","uni6E3C","uni6ECE","uni526E","uni9BC0","uni8E85","uni6A28","uni68E8","uni50D6","uni88CE","uni981C","uni6BD8","uni7B67","uni4FEC","uni6DC4","uni69FB","uni9C15","uni574C","uni7BC1","uni70D4","uni8E91","uni729B","uni8A92","uni6F15","uni81BB","uni77EC","uni54DE","uni799B","uni7E47","uni4F98","uni5FD2","uni5157","uni56D4","uni4EF7","uni9146","uni6441","uni673A","uni8E1F","uni9376","uni4EDE","uni8118","uni68A0","uni8709","uni4837","uni552D","uni4EC3","uni5000","uni87EF","uni8872","uni5E14","uni8E95","uni9582","uni7296","uni7594","uni6029","uni86FA","uni8A22","uni55A8","uni55C4","uni56B6","uni71D4","uni8E60","uni8278","uni7957","uni5FF8","uni9C47","uni5F4A","uni5482","uni7646","uni9D6F","uni723B","uni560C","uni6E5F","uni5880","uni6147","uni5D9D","uni6525","uni832C","uni92A5","uni79ED","uni8EDB","uni7D08","uni869C","uni9150","uni7B2B","uni9B9F","uni95D0","uni6B84","uni84FC","uni5187","uni7DB0","uni83F0","uni9D07","uni9B3B","uni91C6","uni7962","uni7284","uni99E2","uni9354","uni7FEC","uni887F","uni8A91","uni634B","uni5D1A","uni550E","uni57D2","uni7C11","uni8E67","uni566B","uni8075","uni99D1","uni9D23","uni56DF","uni72CE","uni7DB9","uni9DD3","uni600F","uni84B4","uni7725","uni5613","uni6C19","uni56D7","uni71B5","uni5481","uni9C3E","uni8B33","uni6D65","uni52E3","uni733B","uni7DAB","uni5C22","uni5191","uni96E9","uni54C2","uni4FF5","uni96F0","uni6B8D","uni5D6C","uni925E","uni79E3","uni8D14","uni8E55","uni515A","uni92E6","uni67D8","uni7D06","uni8AFC","uni6173","uni7BAC","uni649A","uni525C","uni8E69","uni7CF6","uni7322","uni758B","uni5EE1","uni96CE","uni7120","uni5B5B","uni81CF","uni86D4","uni6C10","uni60B1","uni7622","uni9B74","uni5108","uni8EA5","uni8026","uni5D47","uni7CA8","uni8C89","uni5C6D","uni8DEB","uni609B","uni8622","uni7747","uni6153","uni926C","uni8F61","uni8F64","uni69E8","uni67D9","uni79B0","uni58CE","uni77D3","uni980A","uni558F","uni6E72","uni9853","uni7197","uni91D9","uni87AD","uni84EA","uni6435","uni8B6B","uni87BD","uni5ABE","uni8C55","uni76CD","uni8763","uni74E4","uni8A3E","uni8AA7","uni6E4E","uni7A1E","uni73A6","uni8813","uni513A","uni9AED","uni9B51","uni7C1E","uni723F","uni4E5C","uni92A6","uni566F","uni8249","uni51A2","uni7228","uni866F","uni6106","uni6E98","uni56C0","uni693D","uni6C2A","uni7CE2","uni58D9","uni972A","uni61CC","uni7E7B","uni9658","uni5591","uni840B","uni696B","uni995C","uni90E4","uni5793","uni572F","uni9D1F","uni778B","uni8E93","uni8202","uni84AF","uni7B0F","uni8506","uni696E","uni7826","uni64FC","uni79B3","uni6C2C","uni4F1D","uni6F1A","uni56D3","uni84BA","uni4FF6","uni730A","uni6760","uni7B1E","uni9AC1","uni8C78","uni84FD","uni9AE1","uni8D96","uni6222","uni5110","uni6D28","uni779F","uni5550","uni53F6","uni5F58","uni846F","uni59D8","uni9A43","uni7F45","uni7664","uni5576","uni584B","uni543D","uni9C06","uni90E2","uni6AAE","uni4F62","uni73E5","uni9036","uni852B","uni6D12","uni4E0E","uni6C02","uni890A","uni7BCB","uni7AC8","uni8564","uni7A39","uni7064","uni52D7","uni766D","uni8E47","uni7E34","uni7E45","uni6D01","uni9248","uni814A","uni93D1","uni9C02","uni6A97","uni9F15","uni9B4E","uni775A","uni69D9","uni965F","uni6B9B","uni82FA","uni8A07","uni52F0","uni5284","uni887D","uni9F34","uni80C4","uni7E94","uni92C7","uni8148","uni7DD9","uni9DF3","uni5B45","uni4F94","uni6308","uni83F4","uni6549","uni5025","uni5ACB","uni76A4","uni771B","uni9ECC","uni9F07","uni753E","uni7FD5","uni65AB","uni50AF","uni677C","uni793D","uni96D2","uni86F8","uni7D2C","uni4F7A","uni5D6F","uni83EB","uni7471","uni85A8","uni85A4","uni5627","uni7C0B","uni5096","uni7658","uni61CD","uni6302","uni8B9C","uni905D","uni57ED","uni6B59","uni7FEE","uni772F","uni5BE4","uni7E56","uni9EE5"],"基本包-漢字#15":["uni6748","uni91F9","uni83D4","uni8DD6","uni787F","uni8F1C","uni610D","uni5414","uni9A2E","uni742F","uni5754","uni4EF3","uni90D7","uni6A05","uni9011","uni5B1D","uni5FAD","uni8617","uni82FB","uni6844","uni82D9","uni52AC","uni9B95","uni8729","uni8A41","uni5E5B","uni8F33","uni75B3","uni698E","uni887E","uni5E18","uni6B43","uni5B56","uni9335","uni7D9E","uni8921","uni7E52","uni5B4C","uni4F0B","uni6C1A","uni6635","uni7F4D","uni6DDD","uni8C73","uni6C94","uni5769","uni80AB","uni66E9","uni8E2B","uni8A9A","uni924D","uni55D6","uni799A","uni5C59","uni6898","uni7CA9","uni8785","uni763A","uni874E","uni70DF","uni574B","uni77BD","uni895E","uni51C4","uni91F7","uni50C9","uni736A","uni74DE","uni509C","uni5CAD","uni9EFD","uni915E","uni9628","uni8FE8","uni62CF","uni705E","uni7B6E","uni65D2","uni859C","uni9962","uni6207","uni8011","uni9949","uni9AD1","uni8721","uni6ADE","uni57F5","uni64E3","uni93E8","uni6883","uni6C16","uni9C56","uni5D06","uni77E7","uni5E19","uni7A61","uni6AA3","uni581D","uni8195","uni8418","uni8C8A","uni801C","uni6978","uni78E7","uni6B5F","uni7350","uni72FB","uni67CA","uni8FC6","uni946A","uni78D4","uni56A6","uni7707","uni76B8","uni6251","uni96B9","uni59D2","uni89DA","uni5969","uni6662","uni9BD4","uni96B0","uni814C","uni84CD","uni6294","uni6E63","uni92A3","uni8071","uni7E98","uni6AE8","uni93C3","uni61C3","uni6B37","uni66F7","uni7380","uni725D","uni6042","uni600D","uni6D2E","uni52E6","uni9CE7","uni64EF","uni64B3","uni6793","uni8347","uni80C7","uni82EB","uni750D","uni5BD4","uni55E5","uni5114","uni5C44","uni93DC","uni6C05","uni7240","uni6624","uni7C40","uni7146","uni4FE3","uni9AEB","uni9179","uni72BD","uni7E11","uni5B32","uni876E","uni6B0F","uni67B5","uni808F","uni6B82","uni9239","uni5F5E","uni9B48","uni7BE6","uni9AC0","uni9016","uni9B32","uni7953","uni6C21","uni50B4","uni7CF4","uni5709","uni542C","uni9ED0","uni867A","uni6E54","uni6AEC","uni587D","uni50DE","uni7F36","uni85B9","uni95CD","uni8A48","uni8028","uni5B65","uni8806","uni7648","uni8AD7","uni7473","uni7F51","uni51ED","uni5535","uni84BD","uni906F","uni6554","uni966C","uni7540","uni7D07","uni7E70","uni7E32","uni54AD","uni5C68","uni93CD","uni75C0","uni7D63","uni674C","uni9B92","uni74EE","uni6603","uni6C18","uni7C65","uni5155","uni8F54","uni52BB","uni8915","uni9F19","uni7BCC","uni9BC8","uni7D32","uni7D5D","uni880A","uni5924","uni6C14","uni5B2C","uni86BA","uni5FBC","uni6100","uni937C","uni6ADD","uni68B1","uni69A7","uni83A9","uni90B6","uni8182","uni7301","uni4E42","uni9D03","uni5820","uni7CCC","uni57F4","uni3E74","uni666C","uni646D","uni9A35","uni601B","uni7F86","uni731E","uni754B","uni5454","uni577C","uni90FE","uni56CC","uni6AA0","uni5686","uni55C9","uni7DE1","uni7DC7","uni536E","uni7256","uni5DC9","uni97C9","uni615D","uni6FAA","uni61AE","uni7946","uni89A1","uni7AE6","uni6D0E","uni9139","uni86D0","uni87C8","uni87E5","uni6AF1","uni668D","uni8A0F","uni6FB6","uni829F","uni5B16","uni8130","uni72B0","uni7FA7","uni5ABC","uni72F3","uni5A6C","uni8FB5","uni93DD","uni5382","uni7609","uni761D","uni508C","uni9B98","uni7B2A","uni9058","uni592C","uni9EF9","uni5EFE","uni558E","uni4EF5","uni4F18","uni62CA","uni6434","uni8856","uni75F3","uni676A","uni67C1","uni67DE","uni9207","uni86B0","uni513F","uni547F","uni5463","uni6F72","uni82A3","uni7C63","uni9724","uni7BA0","uni561E","uni7FB0","uni58A6","uni7BDB","uni78F4","uni546F","uni8DFC","uni5C88","uni5D24","uni60CA","uni50E9","uni5488","uni89E6","uni63AF","uni67DD","uni6A7E","uni89BF","uni75D2","uni7D3C","uni88D2","uni6781","uni507A","uni7E48","uni637D","uni506D","uni6271","uni5557","uni8A68","uni8816","uni602B","uni8CFB","uni784E","uni786E","uni8D76","uni74D6","uni5216","uni8DAF","uni6C8D","uni8695","uni8ECF","uni7F6B","uni9312","uni6FA6","uni82B0","uni9674","uni91ED","uni5723","uni572C","uni5852","uni927C","uni5F33","uni68A1","uni5545","uni690C","uni6C15","uni6CD6","uni6D2B","uni6E9A","uni7113","uni81E2","uni5293","uni7313","uni7E59","uni753D","uni50CE","uni50C7","uni9ABE","uni754E","uni9DB8","uni7820","uni784D","u29D5A"],"基本包-符號":["exclam","quotedbl","numbersign","dollar","percent","ampersand","quotesingle","parenleft","parenright","asterisk","plus","comma","hyphen","period","slash","zero","one","two","three","four","five","six","seven","eight","nine","colon","semicolon","less","equal","greater","question","at","A","B","C","D","E","F","G","H","I","J","K","L","M","N","O","P","Q","R","S","T","U","V","W","X","Y","Z","bracketleft","backslash","bracketright","asciicircum","underscore","grave","a","b","c","d","e","f","g","h","i","j","k","l","m","n","o","p","q","r","s","t","u","v","w","x","y","z","braceleft","bar","braceright","asciitilde","cent","sterling","yen","section","copyright","registered","degree","plusminus","periodcentered","multiply","divide","uni02CA","caron","uni02CB","dotaccent","endash","emdash","uni2015","quoteleft","quoteright","quotedblleft","quotedblright","bullet","ellipsis","uniFE19","uni2027","perthousand","minute","uni2035","uni203B","Euro","uni2103","uni2109","trademark","uni2160","uni2161","uni2162","uni2163","uni2164","uni2165","uni2166","uni2167","uni2168","uni2169","arrowleft","arrowup","arrowright","arrowdown","uni2196","uni2197","uni2198","uni2199","uni2215","radical","infinity","orthogonal","angle","uni2225","intersection","union","integral","uni222E","therefore","uni2235","uni2252","notequal","equivalence","uni2266","uni2267","circleplus","uni2299","perpendicular","uni22BF","uni22EE","uni22EF","uni2460","uni2461","uni2462","uni2463","uni2464","uni2465","uni2466","uni2467","uni2468","uni2469","uni246A","uni246B","uni246C","uni246D","uni246E","uni246F","uni2470","uni2471","uni2472","uni2473","uni24EA","SF100000","SF110000","SF010000","SF030000","SF020000","SF040000","SF080000","SF090000","SF060000","SF070000","SF050000","SF430000","uni2571","uni2572","uni2573","filledbox","H22073","triagup","uni25B3","triagdn","uni25BD","uni25C6","uni25C7","circle","uni25CE","H18533","uni25E2","uni25E3","uni25E4","uni25E5","uni2605","uni2606","uni3001","uni3002","uni3007","uni3008","uniFE3F","uni3009","uniFE40","uni300A","uniFE3D","uni300B","uniFE3E","uni300C","uniFE41","uni300D","uniFE42","uni300E","uniFE43","uni300F","uniFE44","uni3010","uniFE3B","uni3011","uniFE3C","uni3016","uni3017","uniFE17","uniFE18","uni3014","uniFE39","uni3015","uniFE3A","uni301C","uni301C.vert","uni3105","uni3106","uni3107","uni3108","uni3109","uni310A","uni310B","uni310C","uni310D","uni310E","uni310F","uni3110","uni3111","uni3112","uni3113","uni3114","uni3115","uni3116","uni3117","uni3118","uni3119","uni311A","uni311B","uni311C","uni311D","uni311E","uni311F","uni3120","uni3121","uni3122","uni3123","uni3124","uni3125","uni3126","uni3127","uni3128","uni3129","uni32A3","uniFF01","uniFF03","uniFF04","uniFF05","uniFF06","uniFF08","uniFE35","uniFF09","uniFE36","uniFF0A","uniFF0B","uniFF0C","uniFF0D","uniFF0E","uniFF0F","uniFF1A","uniFF1B","uniFF1C","uniFF1D","uniFF1E","uniFF1F","uniFF3B","uniFE47","uniFF3C","uniFF3D","uniFE48","uniFF3F","uniFF5B","uniFE37","uniFF5C","uniFF5D","uniFE38","uniFF5E","uniFF5E.vert","uniFFE0","uniFFE1","uniFFE3","uniFFE5","heart","uni2661"],"本土包-漢字#1":["uni6996","uni7E2D","uni4FCD","uni58E0","uni6966","uni9E15","uni9DBF","uni7B31","uni8731","uni6AA8","uni4E2A","uni65EE","uni8E05","uni763C","uni9C3A","uni696C","uni8557","uni77FB","uni62BA","uni7CA2","uni7D6D","uni81A6","uni7B45","uni7823","uni5997","uni7931","uni95AC","uni92C9","uni6CA2","uni690A","uni732B","uni5C1E","uni5699","uni5906","uni894C","uni776D","uni69FA","uni5374","uni8DBA","uni9BB8","uni5D20","uni9B2E","uni9BD7","uni9C21","uni4F6E","uni9ED7","uni7C57","uni5505","uni7CCD","uni6CD4","uni6387","uni9BEE","uni6D61","uni7C59","uni7853","uni9B90","uni57BA","uni87F6","uni8DCF","uni5F9B","uni65EF","uni5472","uni9C59","uni871E","uni82F4","uni676E","uni5572","uni8122","uni8579","uni68F0","uni75B4","uni7F7E","uni7630","uni5223","uni56F7","uni91C5","uni78AD","uni6B39","uni75DF","uni6877","uni7D6A","uni7CDD","uni6C6B","uni825A","uni6AF3","uni6A50","uni5F73","uni9D96","uni6661","uni88FE","uni4E8D","uni6FC6","uni9F08","uni5549","uni7E50","uni683F","uni7B25","uni7BFC","uni8D92","uni7511","uni5AF2","uni7AFB","uni7667","uni8DC8","uni6831","uni651E","uni66DA","uni6352","uni8FCC","uni6498","uni866C","uni765C","uni9826","uni534C","uni760C","uni9DEF","uni76E6","uni8E7D","uni5AA0","uni56E5","uni752A","uni91A1","uni528C","uni8E84","uni51CA","uni6AAB","uni7896","uni5DB7","uni566D","uni55D9","uni6B55","uni5B2D","uni5AB8","uni569F","uni4606","uni9914","uni696F","uni867C","uni8947","uni8E40","uni98EB","uni6E60","uni7967","uni924E","uni52CD","uni562C","uni5474","uni7B10","uni5AB1","uni648B","uni9BC3","uni39E1","uni6957","uni91C3","uni8772","uni86BB","uni8E23","uni91A2","uni60BE","uni8CBA","uni8585","uni8ADE","uni57A4","uni88FC","uni7910","uni6365","uni5413","uni5487","uni71F6","uni8558","uni5945","uni62D1","uni8E41","uni6511","uni814D","uni62BE","uni6733","uni54E2","uni8590","uni45C1","uni917A","uni7869","uni551A","uni527A","uni7187","uni5953","uni6335","uni5CCE","uni9933","uni95BC","uni6B95","uni6B36","uni6F57","uni6A5B","uni649F","uni7809","uni7160","uni9413","uni584D","uni75CC","uni52FC","uni55BA","uni92E9","uni6E53","uni5A17","uni55EC","uni6225","uni5F07","uni8E14","uni8CF0","uni50B1","uni92DF","uni9EB6","uni6426","uni7F68","uni6475","uni5008","uni8995","uni63EC","uni8E5B","uni89DC","uni553F","uni62F9","uni5588","uni630C","uni6546","uni5666","uni800E","uni9BA2","uni567C","uni9B6C","uni9ABF","uni80E0","uni502F","uni78F3","uni633C","uni8125","uni8DCD","uni71A5","uni72CC","uni5771","uni6359","uni812C","uni6039","uni8DE3","uni63F2","uni79EB","uni58BC","uni81A3","uni83DD","uni88CC","uni81C1","uni8FF5","uni63C8","uni7201","uni7B0A","uni4180","uni63DC","uni5ED5","uni8E2D","uni8E1C","uni7A9E","uni9364","uni638A","uni71D6","uni9471","uni57FD","uni71C2","uni7278","uni686E","uni999D","uni99A6","uni6152","uni85B8","uni4FB9","uni644E","uni6C95","uni7513","uni8016","uni7DAF","uni8DBC","uni55A5","uni50AA","uni5131","uni521C","uni714F","uni7110","uni6FDE","uni62F5","uni897B","uni5402","uni889A","uni7640","uni5C7B","uni8940","uni6EA1","uni6504","uni8818","uni75DA","uni8810","uni52E5","uni75C3","uni87EE","uni87E7","uni87BF","uni6567","uni6568","uni89F3","uni5133","uni8794","uni877B","uni55F9","uni78A1","uni8DC1","uni85E0","uni67EB","uni78DF","uni6423","uni4EBC","uni6422","uni859F","uni7924","uni8DD5","uni6878","uni725A","uni68D1","uni79EA","uni63E4","uni7AB5","uni63D9","uni4625","uni8E98","uni8308","uni8EC1","uni69BC","uni69D4","uni7B12","uni6A20","uni9012","uni9079","uni639D","uni91B9","uni9203","uni7B85","uni8181","uni6B31","uni637E","uni9481","uni6358","uni9815","uni60DD","uni9F22","uni6354","uni3A02","uni6110","uni7CCB","uni625A","uni7181","uni6261","uni6CE7","uni6315","uni6D5E","uni9BBB","uni6310","uni7E0B","uni6E27","uni9C17","uni9D41","uni70B1","uni62F6","uni547E","uni9D53","uni6285","uni6F16","uni6F26","uni6EEE","uni6FA9","uni6ED2","uni6E93","uni7033","uni7047","uni70A3","uni70B0","uni6E62","uni70CC","uni70F0","uni70F3","uni6DF0","uni6D97","uni6D18","uni7161","uni6CCF","uni6C8A","uni719D","uni6BFF","uni71B0","uni71BB","uni6B41","uni6AFC","uni6A42","uni697B","uni7227","uni68B9","uni6871","uni7285","uni684D","uni730C","uni684A","uni3401","uni6712","uni6571","uni7595","uni75A7","uni654B","uni75B6","uni75BA","uni6515","uni650E","uni650B","uni6509"],"本土包-漢字#2":["uni75E1","uni64FD","uni64F8","uni64F3","uni64DB","uni7649","uni7657","uni64D7","uni7660","uni64D0","uni64C9","uni7721","uni7735","uni64A8","uni77A8","uni77FA","uni64A0","uni7804","uni648F","uni781B","uni648D","uni6486","uni785E","uni6471","uni6460","uni645D","uni78AB","uni6456","uni6429","uni6424","uni641F","uni641D","uni6419","uni6409","uni79E5","uni63FB","uni63F0","uni79EE","uni7A34","uni63EB","uni63E2","uni7AF3","uni7AF5","uni63DE","uni63CC","uni63CB","uni63C7","uni639E","uni639C","uni6397","uni6394","uni7BF1","uni635D","uni6357","uni6340","uni7C85","uni7C9E","uni6337","uni6336","uni6333","uni6331","uni7D29","uni7D5A","uni6329","uni6314","uni6313","uni7DDF","uni7DEA","uni6303","uni7E12","uni7E16","uni62C1","uni7E4F","uni6290","uni7E77","uni628C","uni7F76","uni6277","uni7F93","uni7FB4","uni7FCD","uni7FF8","uni6274","uni6272","uni801E","uni806C","uni80A8","uni80AD","uni80D0","uni80D8","uni6250","uni80EE","uni80F2","uni80FF","uni61A2","uni6116","uni8127","uni60BF","uni813D","uni6045","uni8161","uni6010","uni818B","uni818E","uni5F54","uni5EB0","uni81AD","uni5C67","uni81CC","uni81FD","uni5B72","uni5A8C","uni5A78","uni834D","uni59FC","uni83E3","uni8552","uni5952","uni5940","uni8573","uni5860","uni8581","uni579E","uni5749","uni571D","uni56EE","uni85C3","uni56BE","uni56B5","uni5677","uni5610","uni8705","uni55FE","uni55FA","uni873A","uni8752","uni875B","uni875D","uni55CB","uni8779","uni55A4","uni55A2","uni8795","uni87B7","uni5593","uni558C","uni5536","uni5529","uni550C","uni550A","uni54F9","uni54F1","uni54EF","uni54CA","uni548D","uni5467","uni53F9","uni533C","uni8982","uni5327","uni527E","uni89F1","uni5213","uni8A04","uni8A4F","uni8A90","uni5210","uni8B3C","uni8B40","uni8C4D","uni8C6D","uni51F4","uni5111","uni8D0C","uni8D10","uni50EB","uni50C6","uni505D","uni5032","uni8DC2","uni4F3B","uni4F28","uni4C85","uni8DD4","uni4BCB","uni8DD9","uni4ACC","uni48A2","uni488D","uni4821","uni47E9","uni47D8","uni47D3","uni479A","uni8E54","uni8E58","uni463C","uni8E73","uni45D0","uni45C6","uni45B3","uni8EBC","uni8EBD","uni4599","uni4308","uni8FD2","uni4242","uni4204","uni9029","uni9070","uni41F6","uni9147","uni40D7","uni406F","uni4034","uni402F","uni4010","uni3FF8","uni9202","uni3F8A","uni9217","uni922A","uni3F80","uni9254","uni928E","uni3F4E","uni3F13","uni3E30","uni9311","uni3E10","uni93C0","uni3DEE","uni9462","uni3D19","uni3D18","uni9595","uni3C35","uni3B39","uni96FA","uni9757","uni3A90","uni3A46","uni3A3B","uni3A2A","uni9932","uni3A28","uni3A11","uni39FE","uni9AB1","uni39FB","uni9B16","uni9B1E","uni39E3","uni39D2","uni9B8A","uni39CE","uni9BA1","uni39CC","uni39C1","uni3915","uni3909","uni3769","uni3757","uni9C07","uni3737","uni372E","uni9C2E","uni361D","uni361B","uni3614","uni35F1","uni9D64","uni9D7B","uni35D8","uni35B8","uni9DDD","uni3585","uni3578","uni9EAD","uni3502","uni34FE","uni3441","uni6B97","uni9F46","uni9F56","uni9F74","uni9F7B","u2028E","u203B7","u20546","u20547","u20584","u205FB","u20731","u207A9","u207AD","u20803","u2081D","u20895","u20BD7","u20CBF","u21883","u21CDE","u22399","u22AB1","u22AE6","u22BED","u22BFE","u22C64","u22CB4","u22CB8","u22CC6","u22CEA","u22D80","u22F0C","u22F1B","u23073","u23350","u236EE","u23B88","u23CA9","u23EF8","u23F0E","u241AC","u24259","u242B6","u2430D","u24352","u24419","u24430","u24605","u2479A","u24C8D","u24D83","u24E01","u24E31","u24E85","u24EAA","u2524C","u2531A","u25349","u25435","u2546E","u25BDF","u25BE5","u25C14","u25D0A","u25E86","u2624E","u26293","u26706","u267EA","u2725F","u27285","u27304","u27A63","u27B99","u27EF4","u27FEC","u27FF3","u280BE","u280BF","u280F0","u28154","u28468","u28487","u28891","u2947E","u296A8","u296E9","u29704","u29730","u29D71","u29E19","u29E36","u29F27","u2A04E","u2A41E","u2A590","u2A612","u2A736","u2AE5A","u2B74F","u2B758","u2B75B","u2B77A","u2B77B","u2B7BC","u2B7C2","u2B7E7","u2B81B","u2B8C6","u2C816","u2C9B0","u308FB","u30E6C","u31C7F"],"本土包-符號":["gravecomb","acutecomb","uni0302","uni0304","uni0306","uni030B","uni030C","uni030D","uni0358","aacute","agrave","acircumflex","uni01CE","amacron","a_uni030D","abreve","a_uni030B","Aacute","Agrave","Acircumflex","uni01CD","Amacron","A_uni030D","Abreve","A_uni030B","eacute","egrave","ecircumflex","ecaron","emacron","e_uni030D","ebreve","e_uni030B","Eacute","Egrave","Ecircumflex","Ecaron","Emacron","E_uni030D","Ebreve","E_uni030B","iacute","igrave","icircumflex","uni01D0","imacron","i_uni030D","ibreve","i_uni030B","Iacute","Igrave","Icircumflex","uni01CF","Imacron","I_uni030D","Ibreve","I_uni030B","uni1E3F","m_gravecomb","m_uni0302","m_uni030C","m_uni0304","m_uni030D","m_uni0306","m_uni030B","uni1E3E","M_gravecomb","M_uni0302","M_uni030C","M_uni0304","M_uni030D","M_uni0306","M_uni030B","uni207F","nacute","uni01F9","n_uni0302","n_uni030C","n_uni0304","n_uni030D","n_uni0306","n_uni030B","uni1D3A","Nacute","uni01F8","N_uni0302","N_uni030C","N_uni0304","N_uni030D","N_uni0306","N_uni030B","oacute","ograve","ocircumflex","uni01D2","omacron","o_uni030D","obreve","ohungarumlaut","Oacute","Ograve","Ocircumflex","uni01D1","Omacron","O_uni030D","Obreve","Ohungarumlaut","o_uni0358","oacute_uni0358","ograve_uni0358","ocircumflex_uni0358","uni01D2_uni0358","omacron_uni0358","o_uni030D_uni0358","o_uni030B_uni0358","O_uni0358","Oacute_uni0358","Ograve_uni0358","Ocircumflex_uni0358","uni01D1_uni0358","Omacron_uni0358","O_uni030D_uni0358","O_uni030B_uni0358","uacute","ugrave","ucircumflex","uni01D4","umacron","u_uni030D","ubreve","uhungarumlaut","Uacute","Ugrave","Ucircumflex","uni01D3","Umacron","U_uni030D","Ubreve","Uhungarumlaut","udieresis","uni01D8","uni01DC","uni01DA","uni01D6","Udieresis","uni01D7","uni01DB","uni01D9","uni01D5","uni1E73","uni1E73_acutecomb","uni1E73_gravecomb","uni1E73_uni0302","uni1E73_uni030D","uni1E72","uni1E72_acutecomb","uni1E72_gravecomb","uni1E72_uni0302","uni1E72_uni030D","yacute","ygrave","ycircumflex","y_uni030C","uni0233","Yacute","Ygrave","Ycircumflex","Y_uni030C","uni0232","circumflex","uni207A","uni02BC","uni2303","uni0268","uni1E5F","uni0289","uni0197","uni1E5E","uni0244"],"日文包-漢字#1":["uni7476","uni60A6","uni8AAC","uni596C","uni5D8B","uni8FBB","uni885E","uni583A","uni5185","uni732E","uni5B9D","uni5869","uni8846","uni9DC4","uni7523","uni4E71","uni6803","uni6A2B","uni6CA1","uni7D76","uni52F2","uni8107","uni664B","uni771E","uni654D","uni6B73","uni9C3A","uni7B39","uni4F1A","uni770C","uni5BDB","uni6934","uni6D5C","uni8557","uni67FE","uni53C2","uni6761","uni72DB","uni5B66","uni9EC4","uni8535","uni99C5","uni767A","uni53F7","uni6483","uni7B45","uni6900","uni9854","uni604B","uni698A","uni6E7E","uni53A8","uni68B6","uni6CA2","uni7ADC","uni8966","uni732B","uni5965","uni9834","uni76D7","uni95A2","uni90F7","uni56FD","uni7089","uni5F53","uni9244","uni6765","uni777E","uni4E57","uni9262","uni51C9","uni5374","uni6BCE","uni7A0E","uni8EE2","uni5FB3","uni92ED","uni936E","uni70B9","uni5BFE","uni9AEA","uni96A3","uni8276","uni753B","uni6A2A","uni69D8","uni6B69","uni793C","uni6A17","uni5E83","uni5F25","uni5897","uni8FBC","uni52B9","uni6834","uni6238","uni5F66","uni72A0","uni67FB","uni51A8","uni51E6","uni8131","uni6BBB","uni8217","uni55B0","uni6570","uni95B2","uni91B8","uni5B9F","uni97EE","uni6C17","uni6A0B","uni53A0","uni4E21","uni72B6","uni811A","uni7A4F","uni9759","uni6EDD","uni5C4A","uni976D","uni6736","uni5CE0","uni9A12","uni899A","uni96EB","uni6669","uni7D75","uni58F0","uni702C","uni6D99","uni6075","uni58F2","uni5150","uni9C60","uni533A","uni635C","uni9ED2","uni7560","uni706F","uni6A7F","uni5EFB","uni5E30","uni5FB4","uni5BFF","uni5239","uni6B74","uni6E0B","uni96A0","uni65AD","uni88FE","uni7D9A","uni983C","uni7C8B","uni9332","uni5E2F","uni697D","uni5024","uni7A42","uni5199","uni9B8E","uni798A","uni80C6","uni9F08","uni643A","uni5840","uni7AEA","uni7511","uni7A70","uni4E89","uni89A7","uni7B25","uni85AB","uni7E04","uni820E","uni691C","uni7026","uni7D4C","uni89B3","uni58CA","uni685C","uni732A","uni53D9","uni6E15","uni99C4","uni5C02","uni99C6","uni8FBA","uni9089","uni9EBA","uni9D2B","uni9B93","uni6D44","uni5F10","uni8D04","uni8B72","uni5F93","uni681E","uni56C3","uni9AD9","uni4E80","uni52B4","uni55B6","uni6C37","uni59EB","uni50CD","uni5FDC","uni51EA","uni7CC0","uni60AA","uni7A83","uni8597","uni6B8B","uni8061","uni9BF1","uni60E3","uni52C5","uni5DCC","uni6E09","uni93AD","uni92F3","uni85AC","uni88B4","uni9EBF","uni696F","uni82A6","uni8D0B","uni85C1","uni83B1","uni5968","uni9061","uni713C","uni91A4","uni81D3","uni629C","uni5C5E","uni932C","uni5265","uni9784","uni7DCF","uni4EEE","uni570F","uni6B05","uni95D8","uni967A","uni7A93","uni6BB4","uni865A","uni6804","uni5451","uni639F","uni66FD","uni8EFD","uni5BDD","uni88C5","uni9F62","uni5E81","uni5DFB","uni8987","uni5264","uni8A89","uni8CDB","uni51B4","uni631F","uni53CE","uni7577","uni968F","uni7FAE","uni927E","uni56E3","uni8074","uni6255","uni3402","uni56F3","uni52E7","uni5909","uni67A1","uni7DD6","uni61D0","uni658E","uni6226","uni5727","uni6644","uni9C0A","uni9C10","uni5B8D","uni9EA6","uni9C46","uni5270","uni9C30","uni51DB","uni7C00","uni72EC","uni623B","uni96D1","uni7363","uni6C5A","uni8A51","uni7C7E","uni622F","uni7C81","uni8B83","uni90DE","uni92AD","uni9065","uni6F5C","uni8229","uni6867","uni7A19","uni9045","uni6D45","uni5EFC","uni59C9","uni8B21","uni9A13","uni81A3","uni5F3E","uni62E0","uni9154","uni63B2","uni9A28","uni86EF","uni63BB","uni9855","uni63FA","uni7A32","uni8F9E","uni7690","uni6F81","uni537D","uni5263","uni7E26","uni85AE","uni613C","uni5841","uni7DD1","uni844E","uni7D99","uni9BF5","uni9ED9","uni6E80","uni9306","uni7B86","uni663C","uni8AAD","uni5C06","uni533B","uni72ED","uni8A82","uni56F2","uni6CEA","uni4E9C","uni5618","uni55A9","uni96B7","uni8500","uni734F","uni5CA8","uni6A29","uni7B0A","uni58F1","uni53B3","uni6EDE","uni7E01","uni758E","uni6802","uni8F0C","uni7E4B","uni8358","uni5861","uni6973","uni63C3","uni6955","uni91C8","uni9942","uni58DC","uni5302","uni5F84","uni788D","uni9EB9","uni6319","uni62F6","uni62E1","uni58EE","uni8133","uni62DD","uni82C5","uni633F","uni7E4D","uni629E","uni64B9","uni5815","uni6589","uni65E7","uni5642","uni54A5","uni66A6","uni6762","uni53A9","uni982C","uni58F7","uni685D","uni5358","uni79F0","uni8FBF","uni985A","uni59AC","uni98DC","uni60A9","uni59F6","uni6919","uni7895","uni88B7","uni9AC4","uni697C","uni69C7","uni5A2F","uni8EBE","uni5D5C","uni5CE1"],"日文包-漢字#2":["uni6B27","uni6B6F","uni6E08","uni6E0A","uni4FA1","uni8CB0","uni6E13","uni4FA0","uni7C8D","uni5C3D","uni8ACC","uni8B90","uni5C53","uni8CCE","uni5C2D","uni5C61","uni8A33","uni8DF5","uni8EAF","uni8997","uni5B22","uni5D8C","uni5DE3","uni8F62","uni5EC3","uni6F45","uni874B","uni8749","uni86EE","uni8FE9","uni9013","uni86CE","uni86CD","uni60E7","uni60E8","uni848B","uni8420","uni830E","uni9197","uni81B5","uni6357","uni63B4","uni58CC","uni7F60","uni9271","uni5859","uni7E4A","uni6442","uni92F2","uni64FD","uni7CCE","uni7C9B","uni7C82","uni933A","uni56EE","uni56A2","uni9453","uni567A","uni565B","uni7BED","uni9665","uni5631","uni7BAA","uni7B92","uni5516","uni7B5D","uni7B48","uni6681","uni970A","uni546A","uni5449","uni67A0","uni7AC3","uni981A","uni67A2","uni7A63","uni7A50","uni685F","uni689B","uni68BC","uni98AA","uni7985","uni7984","uni7977","uni5301","uni7872","uni99C8","uni52B1","uni783F","uni783A","uni7815","uni5294","uni5271","uni691B","uni75E9","uni9BB9","uni9BD1","uni51E7","uni7573","uni6B1D","uni6B53","uni9C2F","uni6D9B","uni731F","uni6D9C","uni9C5A","uni514E","uni9C76","uni9D0E","uni511A","uni9D2C","uni9D8F","uni5039","uni9E78","uni6E07","uni71D7","uni5036","uni4FAD","uni7114","uni6E7F","uni6E8C","uni4ECF","uni877F","u20B9F"],"日文包-符號":["uni3003","uni3005","uni3006","uni3012","uni301D","uni301E","uni3041","uni3041.vert","uni3042","uni3043","uni3043.vert","uni3044","uni3045","uni3045.vert","uni3046","uni3047","uni3047.vert","uni3048","uni3049","uni3049.vert","uni304A","uni304B","uni304C","uni304D","uni304E","uni304F","uni3050","uni3051","uni3052","uni3053","uni3054","uni3055","uni3056","uni3057","uni3058","uni3059","uni305A","uni305B","uni305C","uni305D","uni305E","uni305F","uni3060","uni3061","uni3062","uni3063","uni3063.vert","uni3064","uni3065","uni3066","uni3067","uni3068","uni3069","uni306A","uni306B","uni306C","uni306D","uni306E","uni306F","uni3070","uni3071","uni3072","uni3073","uni3074","uni3075","uni3076","uni3077","uni3078","uni3079","uni307A","uni307B","uni307C","uni307D","uni307E","uni307F","uni3080","uni3081","uni3082","uni3083","uni3083.vert","uni3084","uni3085","uni3085.vert","uni3086","uni3087","uni3087.vert","uni3088","uni3089","uni308A","uni308B","uni308C","uni308D","uni308E","uni308E.vert","uni308F","uni3090","uni3091","uni3092","uni3093","uni3094","uni309D","uni309E","uni30A1","uni30A1.vert","uni30A2","uni30A3","uni30A3.vert","uni30A4","uni30A5","uni30A5.vert","uni30A6","uni30A7","uni30A7.vert","uni30A8","uni30A9","uni30A9.vert","uni30AA","uni30AB","uni30AC","uni30AD","uni30AE","uni30AF","uni30B0","uni30B1","uni30B2","uni30B3","uni30B4","uni30B5","uni30B6","uni30B7","uni30B8","uni30B9","uni30BA","uni30BB","uni30BC","uni30BD","uni30BE","uni30BF","uni30C0","uni30C1","uni30C2","uni30C3","uni30C3.vert","uni30C4","uni30C5","uni30C6","uni30C7","uni30C8","uni30C9","uni30CA","uni30CB","uni30CC","uni30CD","uni30CE","uni30CF","uni30D0","uni30D1","uni30D2","uni30D3","uni30D4","uni30D5","uni30D6","uni30D7","uni30D8","uni30D9","uni30DA","uni30DB","uni30DC","uni30DD","uni30DE","uni30DF","uni30E0","uni30E1","uni30E2","uni30E3","uni30E3.vert","uni30E4","uni30E5","uni30E5.vert","uni30E6","uni30E7","uni30E7.vert","uni30E8","uni30E9","uni30EA","uni30EB","uni30EC","uni30ED","uni30EE","uni30EE.vert","uni30EF","uni30F0","uni30F1","uni30F2","uni30F3","uni30F4","uni30F5","uni30F5.vert","uni30F6","uni30F6.vert","uni30FB","uni30FC","uni30FC.vert","uni30FD","uni30FE","uni3231"],"粵語包-漢字":["uni6ED9","uni60A6","uni8AAC","uni885E","uni7FA3","uni5B05","uni945B","uni4E2A","uni654D","uni67B1","uni743C","uni97F5","uni5F3A","uni6C39","uni54CD","uni8FF9","uni8534","uni5367","uni528F","uni9262","uni7A0E","uni92ED","uni73CF","uni7B72","uni7CCD","uni6237","uni9FA2","uni5622","uni52B9","uni6164","uni8131","uni54CB","uni5497","uni95B2","uni4E21","uni5572","uni64E7","uni556B","uni5B82","uni9938","uni8037","uni6ED8","uni5605","uni9F08","uni8137","uni66F1","uni5AF2","uni5421","uni651E","uni69A6","uni5416","uni7AB0","uni88C7","uni7534","uni7864","uni562D","uni569F","uni7793","uni85F4","uni8D0B","uni8EDA","uni5476","uni56F1","uni639F","uni9385","uni71F6","uni5413","uni5151","uni55F0","uni6225","uni564F","uni6286","uni9EAA","uni551E","uni5571","uni5625","uni55BA","uni55F1","uni7666","uni9196","uni81B6","uni8715","uni8DE3","uni63F8","uni5E7A","uni55BC","uni7CED","uni8EAD","uni5513","uni58C6","uni9A63","uni35CE","uni55CC","uni6AC8","uni8F0B","uni758E","uni8E0E","uni8E2D","uni6031","uni51A7","uni63FC","uni70DA","uni5643","uni56BF","uni6423","uni8B4C","uni9E96","uni54A5","uni5B6D","uni62C3","uni6120","uni5C05","uni4E78","uni519A","uni4E6A","uni7CC9","uni7F97","uni5C10","uni5493","uni77CB","uni63B9","uni5AAA","uni4C7D","uni5940","uni7744","uni8786","uni3DEB","uni57DE","uni3B39","uni63DE","uni7567","uni56A1","uni63E6","uni34E4","uni8E80","uni5649","uni63FE","uni6C32","uni3A52","uni6432","uni922A","uni39EC","uni362D","uni5569","uni6471","uni95AA","uni555D","uni35AD","uni5525","uni6477","uni64DD","uni6530","uni5502","uni6767","u20779","u20C41","u20C53","u20E9D","u20EA2","u20EF9","u20F2E","u20F4C","u21075","u2107B","u210C1","u210F6","u220C7","u227B5","u22ACF","u22B43","u22BCA","u22C55","u22CC2","u22D4C","u23CB7","u244D3","u24DB8","u24DEA","u24EA7","u2512B","u25E49","u26258","u267CC","u269F2","u269FA","u2797A","u2815D","u282E2","u28CCA","u28CCD","u28CD2","u28D99","u294E5","u29D98"],"命名包-漢字#1":["uni5D10","uni5498","uni5A5E","uni51C8","uni6ED9","uni74C8","uni7DC1","uni6DEF","uni7BEA","uni54FF","uni6F5E","uni6996","uni70F1","uni6A18","uni944C","uni9D5F","uni71CA","uni7098","uni6D64","uni73B9","uni4FCD","uni6D3A","uni885E","uni583A","uni7FA3","uni7B2D","uni5A81","uni7DD7","uni7404","uni4EC9","uni7043","uni9324","uni5B05","uni732E","uni945B","uni70DC","uni6CC2","uni6F7E","uni6F90","uni7AEB","uni5B4B","uni6959","uni980E","uni9A52","uni754A","uni4E6D","uni68FC","uni85BE","uni9C7B","uni5AC8","uni756C","uni5869","uni9347","uni9DC4","uni6966","uni9205","uni6CBA","uni79DD","uni7401","uni5BD7","uni5729","uni9360","uni92D5","uni8AF4","uni7DA6","uni9857","uni83E1","uni6803","uni3F08","uni74F4","uni6A2B","uni90C5","uni9E15","uni5AC4","uni52F2","uni9DBF","uni6667","uni8107","uni7397","uni7393","uni664B","uni920A","uni771E","uni6A89","uni9329","uni74A0","uni5A96","uni5A67","uni9A44","uni943D","uni7439","uni6D27","uni654D","uni7DAA","uni6193","uni579A","uni7424","uni9586","uni6D39","uni5A83","uni921C","uni5763","uni745D","uni8553","uni5ABA","uni97D9","uni73DD","uni663A","uni738E","uni839B","uni7FC3","uni6D5C","uni7821","uni8D07","uni59C8","uni6A3E","uni9B2A","uni743C","uni9EC4","uni6DAA","uni935A","uni99C5","uni97F5","uni7CA2","uni715A","uni78D8","uni59F8","uni8493","uni97E1","uni6900","uni95DE","uni8AE0","uni77DE","uni9749","uni9854","uni8B1A","uni6C39","uni5F3A","uni5997","uni73A2","uni7020","uni5BAC","uni5A38","uni7449","uni4F17","uni8B26","uni6E5E","uni6E4B","uni8662","uni92EE","uni8534","uni8966","uni6E8E","uni6630","uni9834","uni95A2","uni92C6","uni8B53","uni661C","uni5872","uni7E2F","uni7521","uni662B","uni5906","uni665B","uni83CF","uni795C","uni7719","uni5FDE","uni7547","uni7448","uni7104","uni5D42","uni6A5E","uni97DE","uni93F5","uni69FA","uni584F","uni5107","uni9201","uni5D20","uni5BC0","uni59A7","uni70CB","uni6678","uni8586","uni5DA7","uni73CF","uni769E","uni73B6","uni59A1","uni9B2E","uni6C84","uni6F53","uni85B7","uni66C8","uni5B19","uni7579","uni5F22","uni849D","uni6A2A","uni7421","uni9F8E","uni95D3","uni90DC","uni65C3","uni8413","uni66BB","uni7452","uni6CD4","uni6D61","uni657B","uni7866","uni792E","uni66BE","uni60A7","uni69A4","uni67B0","uni930F","uni51B5","uni9379","uni7C59","uni79A4","uni9FA2","uni7B33","uni9B18","uni6EA6","uni933C","uni8565","uni52B9","uni6834","uni858C","uni73D6","uni3A17","uni90A1","uni6D7F","uni8604","uni5BF3","uni661D","uni7F91","uni8399","uni8A45","uni5A2A","uni68D6","uni5F66","uni6E76","uni5372","uni8232","uni747D","uni668E","uni9325","uni928D","uni6C6F","uni5CEE","uni5D4A","uni772D","uni93A3","uni5E92","uni7CAE","uni6DB4","uni4F8A","uni4FC1","uni59F3","uni56B3","uni9852","uni7488","uni73BF","uni90A0","uni59C3","uni746E","uni811A","uni943F","uni5AD9","uni52A6","uni7467","uni7468","uni827F","uni65B3","uni6659","uni710C","uni60F2","uni837A","uni6C87","uni50F3","uni5CE0","uni6736","uni56F7","uni73F5","uni68A3","uni7B90","uni6A66","uni82AA","uni6B39","uni4EB7","uni9A6B","uni6588","uni4552","uni8ABE","uni8B8C","uni7D6A","uni96BD","uni83C9","uni6229","uni512B","uni5D4E","uni82A0","uni7317","uni6199","uni730B","uni6DE5","uni5A84","uni706F","uni5BEF","uni5AAE","uni6CAD","uni6A7F","uni7DAE","uni6AF3","uni8452","uni6CD9","uni5088","uni99A1","uni7858","uni8580","uni91D4","uni7E50","uni66CC","uni7486","uni7B73","uni755B","uni68D3","uni52D6","uni7AEA","uni7A70","uni4F92","uni90C7","uni9004","uni52D0","uni975D","uni7472","uni5A4C","uni6E5C","uni9A69","uni5CA6","uni5101","uni65C6","uni714B","uni7994","uni6E49","uni89ED","uni73D2","uni8918","uni8300","uni53A6","uni53D9","uni8451","uni57CF","uni8D04","uni6114","uni774E","uni5864","uni769C","uni9440","uni6C5C","uni5D1F","uni6E6B","uni6940","uni8B7F","uni6BD6","uni501E","uni74C5","uni59EB","uni51CA","uni9AD9","uni8C51","uni7FFE","uni73E6","uni74A5","uni6645","uni92D9","uni695F","uni92A7","uni562A","uni5B2D","uni93C7","uni8447","uni5CF1","uni9697","uni52C5","uni6DC2","uni5AC6","uni7282","uni74D8","uni922E","uni560F","uni73C6","uni67BB","uni79CD","uni5DA2","uni6AA5","uni59E4","uni5D75","uni9420","uni7180","uni924E","uni6C9A","uni5AD0","uni6957","uni52CD","uni74B8","uni95B6","uni848D","uni7067","uni5A93","uni99F8","uni9424","uni7A18","uni5B23","uni93F9","uni7ADD"],"命名包-漢字#2":["uni934F","uni6F63","uni8CBA","uni74B5","uni92AA","uni4E0F","uni90B4","uni6908","uni6FA0","uni6909","uni73D9","uni5F0D","uni73D3","uni8629","uni96F1","uni6932","uni9476","uni5CA2","uni8832","uni82FE","uni9348","uni69D1","uni73B4","uni9116","uni9AE3","uni7429","uni7964","uni95D8","uni9331","uni68CA","uni4F08","uni91E4","uni70DD","uni67DC","uni8B54","uni5B28","uni826B","uni516A","uni8CFE","uni66DB","uni7D9D","uni66E3","uni74CC","uni569E","uni8351","uni5A57","uni8590","uni85B3","uni4F74","uni7385","uni5F61","uni505F","uni9AF4","uni5A4D","uni5C1B","uni5C8D","uni9302","uni5A17","uni69F6","uni59A6","uni5027","uni9FA0","uni59C9","uni939B","uni60B0","uni7E15","uni9A02","uni924C","uni6755","uni5EFC","uni5AE5","uni748A","uni584D","uni4EE1","uni5612","uni93C4","uni8233","uni93A1","uni7442","uni5721","uni8FB3","uni833F","uni5B11","uni73F3","uni6D72","uni747A","uni74BB","uni5B46","uni93F8","uni5BD8","uni9306","uni6B10","uni36AC","uni931D","uni5A33","uni9231","uni7987","uni687E","uni9235","uni90FF","uni9720","uni4EB9","uni66B5","uni69BF","uni8E2D","uni6A8D","uni940F","uni5CF5","uni5BAD","uni5B4D","uni4F9E","uni4FB9","uni5AD5","uni93CC","uni5AC3","uni6FB4","uni4FFD","uni7E22","uni71B2","uni7B4E","uni79EC","uni7395","uni932A","uni536C","uni59C1","uni55AD","uni74DB","uni608A","uni7423","uni9357","uni73E7","uni73E2","uni9371","uni7895","uni509B","uni501B","uni5A90","uni8385","uni83AF","uni8432","uni8563","uni4F67","uni92CA","uni884E","uni8AEA","uni5D21","uni4F41","uni9277","uni6974","uni68E1","uni669F","uni9746","uni9D08","uni66A0","uni9DF0","uni9702","uni934C","uni60EA","uni9F98","uni9683","uni613D","uni62D5","uni6343","uni664A","uni9224","uni66CF","uni5E1F","uni6B1D","uni5D0B","uni9408","uni6C58","uni6CD1","uni5B2B","uni5B03","uni6D92","uni6E51","uni70A1","uni5A63","uni59CE","uni7398","uni7746","uni9A0B","uni5485","uni9A4E","uni7991","uni5184","uni79DC","uni7B82","uni9307","uni92D7","uni8610","uni92D1","uni8D6E","uni4F3B","uni926F","uni4EF1","uni4EC2","uni925D","uni9024","uni4B72","uni3DCD","uni3D88","uni614F","uni36E2","uni36C4","u217DA","u21A4B","u249DF","u25562","u26C21","u270FD","u29EF8"],"補充符號包":["Alpha","Beta","Gamma","uni0394","Epsilon","Zeta","Eta","Theta","Iota","Kappa","Lambda","Mu","Nu","Xi","Omicron","Pi","Rho","Sigma","Tau","Upsilon","Phi","Chi","Psi","uni03A9","alpha","beta","gamma","delta","epsilon","zeta","eta","theta","iota","kappa","lambda","uni03BC","nu","xi","omicron","pi","rho","sigma","tau","upsilon","phi","chi","psi","omega","uni2223","uni2474","uni2475","uni2476","uni2477","uni2478","uni2479","uni247A","uni247B","uni247C","uni247D","uni247E","uni247F","uni2480","uni2481","uni2482","uni2483","uni2484","uni2485","uni2486","uni2487","uni249C","uni249D","uni249E","uni249F","uni24A0","uni24A1","uni24A2","uni24A3","uni24A4","uni24A5","uni24A6","uni24A7","uni24A8","uni24A9","uni24AA","uni24AB","uni24AC","uni24AD","uni24AE","uni24AF","uni24B0","uni24B1","uni24B2","uni24B3","uni24B4","uni24B5","uni24B6","uni24B7","uni24B8","uni24B9","uni24BA","uni24BB","uni24BC","uni24BD","uni24BE","uni24BF","uni24C0","uni24C1","uni24C2","uni24C3","uni24C4","uni24C5","uni24C6","uni24C7","uni24C8","uni24C9","uni24CA","uni24CB","uni24CC","uni24CD","uni24CE","uni24CF","uni24D0","uni24D1","uni24D2","uni24D3","uni24D4","uni24D5","uni24D6","uni24D7","uni24D8","uni24D9","uni24DA","uni24DB","uni24DC","uni24DD","uni24DE","uni24DF","uni24E0","uni24E1","uni24E2","uni24E3","uni24E4","uni24E5","uni24E6","uni24E7","uni24E8","uni24E9","SF240000","SF390000","SF250000","SF380000","SF260000","SF360000","SF420000","SF190000","SF230000","SF410000","SF400000","SF540000","SF440000","uni256D","uni256E","uni256F","uni2570","uni2581","uni2582","uni2583","dnblock","uni2585","uni2586","uni2587","block","uni2589","uni258A","uni258B","lfblock","uni258D","uni258E","uni258F","uni2594","uni2595","uni273D","uni3021","uni3022","uni3023","uni3024","uni3025","uni3026","uni3027","uni3028","uni3029","uni312A","uni312B","uni312C","uni312D","uni31A0","uni31A1","uni31A2","uni31A3","uni31A4","uni31A5","uni31A6","uni31A7","uni31A8","uni31A9","uni31AA","uni31AB","uni31AC","uni31AD","uni31AE","uni31AF","uni31B0","uni31B1","uni31B2","uni31B3","uni31B4","uni31B4_dotaccent","uni31B5","uni31B5_dotaccent","uni31B7","uni31B7_dotaccent","uni31BB","uni31BB_dotaccent","u1F110","u1F111","u1F112","u1F113","u1F114","u1F115","u1F116","u1F117","u1F118","u1F119","u1F11A","u1F11B","u1F11C","u1F11D","u1F11E","u1F11F","u1F120","u1F121","u1F122","u1F123","u1F124","u1F125","u1F126","u1F127","u1F128","u1F129","exclamdbl","uni2047","uni2048","uni2049","uniFF61","uniFF62","uniFF63","uniFF64","uniFF65","uniFF66","uniFF67","uniFF68","uniFF69","uniFF6A","uniFF6B","uniFF6C","uniFF6D","uniFF6E","uniFF6F","uniFF70","uniFF71","uniFF72","uniFF73","uniFF74","uniFF75","uniFF76","uniFF77","uniFF78","uniFF79","uniFF7A","uniFF7B","uniFF7C","uniFF7D","uniFF7E","uniFF7F","uniFF80","uniFF81","uniFF82","uniFF83","uniFF84","uniFF85","uniFF86","uniFF87","uniFF88","uniFF89","uniFF8A","uniFF8B","uniFF8C","uniFF8D","uniFF8E","uniFF8F","uniFF90","uniFF91","uniFF92","uniFF93","uniFF94","uniFF95","uniFF96","uniFF97","uniFF98","uniFF99","uniFF9A","uniFF9B","uniFF9C","uniFF9D","uniFF9E","uniFF9F","uni00B9","uni00B2","uni00B3","uni2074","uni2075","uni2076","uni2077","uni2078","uni2079","uni2070","uni2081","uni2082","uni2083","uni2084","uni2085","uni2086","uni2087","uni2088","uni2089","uni2080"],"附表：台文全羅":["a","b","c","d","e","f","g","h","i","j","k","l","m","n","o","p","q","r","s","t","u","v","w","x","y","z","A","B","C","D","E","F","G","H","I","J","K","L","M","N","O","P","Q","R","S","T","U","V","W","X","Y","Z","zero","one","two","three","four","five","six","seven","eight","nine","comma","period","hyphen","gravecomb","acutecomb","uni0302","uni0304","uni0306","uni030B","uni030C","uni030D","uni0358","aacute","agrave","acircumflex","uni01CE","amacron","a_uni030D","abreve","a_uni030B","Aacute","Agrave","Acircumflex","uni01CD","Amacron","A_uni030D","Abreve","A_uni030B","eacute","egrave","ecircumflex","ecaron","emacron","e_uni030D","ebreve","e_uni030B","Eacute","Egrave","Ecircumflex","Ecaron","Emacron","E_uni030D","Ebreve","E_uni030B","iacute","igrave","icircumflex","uni01D0","imacron","i_uni030D","ibreve","i_uni030B","Iacute","Igrave","Icircumflex","uni01CF","Imacron","I_uni030D","Ibreve","I_uni030B","uni1E3F","m_gravecomb","m_uni0302","m_uni030C","m_uni0304","m_uni030D","m_uni0306","m_uni030B","uni1E3E","M_gravecomb","M_uni0302","M_uni030C","M_uni0304","M_uni030D","M_uni0306","M_uni030B","uni207F","nacute","uni01F9","n_uni0302","n_uni030C","n_uni0304","n_uni030D","n_uni0306","n_uni030B","uni1D3A","Nacute","uni01F8","N_uni0302","N_uni030C","N_uni0304","N_uni030D","N_uni0306","N_uni030B","oacute","ograve","ocircumflex","uni01D2","omacron","o_uni030D","obreve","ohungarumlaut","Oacute","Ograve","Ocircumflex","uni01D1","Omacron","O_uni030D","Obreve","Ohungarumlaut","o_uni0358","oacute_uni0358","ograve_uni0358","ocircumflex_uni0358","uni01D2_uni0358","omacron_uni0358","o_uni030D_uni0358","o_uni030B_uni0358","O_uni0358","Oacute_uni0358","Ograve_uni0358","Ocircumflex_uni0358","uni01D1_uni0358","Omacron_uni0358","O_uni030D_uni0358","O_uni030B_uni0358","uacute","ugrave","ucircumflex","uni01D4","umacron","u_uni030D","ubreve","uhungarumlaut","Uacute","Ugrave","Ucircumflex","uni01D3","Umacron","U_uni030D","Ubreve","Uhungarumlaut","udieresis","uni01D8","uni01DC","uni01DA","uni01D6","Udieresis","uni01D7","uni01DB","uni01D9","uni01D5","uni1E73","uni1E73_acutecomb","uni1E73_gravecomb","uni1E73_uni0302","uni1E73_uni030D","uni1E72","uni1E72_acutecomb","uni1E72_gravecomb","uni1E72_uni0302","uni1E72_uni030D","yacute","ygrave","ycircumflex","y_uni030C","uni0233","Yacute","Ygrave","Ycircumflex","Y_uni030C","uni0232","circumflex","uni207A","uni02BC","uni2303","uni0268","uni1E5F","uni0289","uni0197","uni1E5E","uni0244"],"附表：心經":["uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni5FC3","uni7D93","uni89C0","uni81EA","uni5728","uni83E9","uni85A9","uni884C","uni6DF1","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni6642","uni7167","uni898B","uni4E94","uni860A","uni7686","uni7A7A","uni5EA6","uni4E00","uni5207","uni82E6","uni5384","uni820D","uni5229","uni5B50","uni8272","uni4E0D","uni7570","uni7A7A","uni7A7A","uni4E0D","uni7570","uni8272","uni8272","uni5373","uni662F","uni7A7A","uni7A7A","uni5373","uni662F","uni8272","uni53D7","uni60F3","uni884C","uni8B58","uni4EA6","uni5FA9","uni5982","uni662F","uni820D","uni5229","uni5B50","uni662F","uni8AF8","uni6CD5","uni7A7A","uni76F8","uni4E0D","uni751F","uni4E0D","uni6EC5","uni4E0D","uni57A2","uni4E0D","uni6DE8","uni4E0D","uni589E","uni4E0D","uni6E1B","uni662F","uni6545","uni7A7A","uni4E2D","uni7121","uni8272","uni7121","uni53D7","uni60F3","uni884C","uni8B58","uni7121","uni773C","uni8033","uni9F3B","uni820C","uni8EAB","uni610F","uni7121","uni8272","uni8072","uni9999","uni5473","uni89F8","uni6CD5","uni7121","uni773C","uni754C","uni4E43","uni81F3","uni7121","uni610F","uni8B58","uni754C","uni7121","uni7121","uni660E","uni4EA6","uni7121","uni7121","uni660E","uni76E1","uni4E43","uni81F3","uni7121","uni8001","uni6B7B","uni4EA6","uni7121","uni8001","uni6B7B","uni76E1","uni7121","uni82E6","uni96C6","uni6EC5","uni9053","uni7121","uni667A","uni4EA6","uni7121","uni5F97","uni4EE5","uni7121","uni6240","uni5F97","uni6545","uni83E9","uni63D0","uni85A9","uni57F5","uni4F9D","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni6545","uni5FC3","uni7121","uni7F63","uni7919","uni7121","uni7F63","uni7919","uni6545","uni7121","uni6709","uni6050","uni6016","uni9060","uni96E2","uni985B","uni5012","uni5922","uni60F3","uni7A76","uni7ADF","uni6D85","uni69C3","uni4E09","uni4E16","uni8AF8","uni4F5B","uni4F9D","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni6545","uni5F97","uni963F","uni8028","uni591A","uni7F85","uni4E09","uni85D0","uni4E09","uni83E9","uni63D0","uni6545","uni77E5","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni662F","uni5927","uni795E","uni5492","uni662F","uni5927","uni660E","uni5492","uni662F","uni7121","uni4E0A","uni5492","uni662F","uni7121","uni7B49","uni7B49","uni5492","uni80FD","uni9664","uni4E00","uni5207","uni82E6","uni771F","uni5BE6","uni4E0D","uni865B","uni6545","uni8AAA","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni5492","uni5373","uni8AAA","uni5492","uni66F0","uni63ED","uni8AE6","uni63ED","uni8AE6","uni6CE2","uni7F85","uni63ED","uni8AE6","uni6CE2","uni7F85","uni50E7","uni63ED","uni8AE6","uni83E9","uni63D0","uni85A9","uni5A46","uni8A36"]};
+const catalogGlyphList = {"基礎字":["a","b","c","d","e","f","g","h","i","j","k","l","m","n","o","p","q","r","s","t","u","v","w","x","y","z","A","B","C","D","E","F","G","H","I","J","K","L","M","N","O","P","Q","R","S","T","U","V","W","X","Y","Z","zero","one","two","three","four","five","six","seven","eight","nine","comma","period","hyphen","uni02CA","caron","uni02CB","dotaccent","uni3105","uni3106","uni3107","uni3108","uni3109","uni310A","uni310B","uni310C","uni310D","uni310E","uni310F","uni3110","uni3111","uni3112","uni3113","uni3114","uni3115","uni3116","uni3117","uni3118","uni3119","uni311A","uni311B","uni311C","uni311D","uni311E","uni311F","uni3120","uni3121","uni3122","uni3123","uni3124","uni3125","uni3126","uni3127","uni3128","uni3129","uni4E00","uni4E8C","uni4E09","uni56DB","uni4E94","uni516D","uni4E03","uni516B","uni4E5D","uni5341","uni5FAE","uni98A8","uni8FCE","uni5BA2","uni8EDF","uni8A9E","uni4F34","uni8336","uniFF0C","uni3002","uni7684","uni662F","uni4E0D","uni4EBA","uni6709","uni5728","uni5E74","uni4E2D","uni5927","uni570B","uni6703","uni70BA","uni53F0","uni51FA","uni4E0A","uni5230","uni4EE5","uni6642","uni4E5F","uni4F86","uni4ED6","uni8981","uni6C11","uni751F","uni6210","uni65E5","uni8207","uni9577","uni5F8C","uni5C0D","uni5BB6","uni4E86","uni524D","uni53EF","uni80FD","uni767C","uni8AAA","uni5E02","uni591A","uni516C","uni884C","uni9019","uni904E","uni5C31","uni5730","uni65B0","uni5B78","uni8868","uni52D5","uni4E0B","uni9AD8","uni6CD5","uni6211","uni500B","uni653F","uni81EA","uni5206","uni90FD","uni958B","uni696D","uni73FE","uni4F46","uni5929","uni65B9","uni548C","uni5834","uni5C07","uni4F5C","uni7F8E","uni6708","uni65BC","uni5143","uni53CA","uni5168","uni4E3B","uni7528","uni5FC3","uni5C0F","uni7D93","uni6700","uni5916","uni9032","uni7B49","uni5B50","uni56E0","uni4E8B","uni5DE5","uni6587","uni793A","uni6A5F","uni9078","uni5F97","uni529B","uni7576","uni90E8","uni540C","uni5B9A","uni52A0","uni8ECA"],"基本包-漢字#1":["uni9084","uni597D","uni54E1","uni5317","uni4E4B","uni8005","uni5408","uni7063","uni91D1","uni91CD","uni5340","uni672C","uni7406","uni540D","uni800C","uni8B93","uni63D0","uni624B","uni53BB","uni5EA6","uni8D77","uni95DC","uni9593","uni9AD4","uni66F4","uni9762","uni842C","uni8CC7","uni6240","uni5979","uni5167","uni96FB","uni81F3","uni6C92","uni5DF2","uni5982","uni5176","uni5165","uni671F","uni7121","uni5316","uni6B21","uni54C1","uni88AB","uni7ACB","uni610F","uni5011","uni8DEF","uni7E3D","uni9EE8","uni6B64","uni660E","uni9EDE","uni4ECA","uni9053","uni5BE6","uni7B2C","uni5169","uni5E9C","uni4E26","uni7522","uni6C34","uni61C9","uni5831","uni5EFA","uni770B","uni8B70","uni6797","uni5F88","uni8A08","uni4E09","uni6253","uni76F8","uni4FDD","uni5973","uni5B89","uni4EFB","uni53D7","uni60C5","uni56DE","uni5C40","uni5C0E","uni53EA","uni9662","uni6559","uni8ABF","uni5F9E","uni7D71","uni6B63","uni5171","uni7136","uni672A","uni6848","uni4F4D","uni7531","uni8457","uni901A","uni8FD1","uni518D","uni6027","uni8EAB","uni5C55","uni4EA4","uni7279","uni679C","uni6307","uni8A2D","uni5E73","uni611F","uni8655","uni6578","uni5F71","uni6D3B","uni5357","uni6301","uni76EE","uni4EE3","uni904B","uni63A5","uni6D77","uni5229","uni4E8C","uni52D9","uni6628","uni8A8D","uni50F9","uni6BD4","uni7403","uni6216","uni60F3","uni7269","uni539F","uni554F","uni8001","uni6BCF","uni5718","uni6295","uni5546","uni5C11","uni9673","uni5F37","uni6771","uni624D","uni91CF","uni7A0B","uni9020","uni8FA6","uni5E2B","uni7D04","uni773E","uni5E38","uni6C23","uni5341","uni793E","uni6F14","uni984C","uni57FA","uni9054","uni5247","uni7BA1","uni63A8","uni53E3","uni5F0F","uni7D50","uni5305","uni5149","uni5712","uni6230","uni5411","uni8CBB","uni91AB","uni5404","uni82B1","uni968A","uni98A8","uni8209","uni5F35","uni505A","uni982D","uni5148","uni5C71","uni5BA2","uni53CB","uni9678","uni53C3","uni7E23","uni7A7A","uni83EF","uni89C0","uni59D4","uni53F8","uni55AE","uni89E3","uni9023","uni52A9","uni6539","uni5275","uni6C42","uni7DB2","uni7E8C","uni6536","uni5DF1","uni8272","uni66F8","uni653E","uni5E36","uni50B3","uni671B","uni9664","uni5236","uni5C08","uni77E5","uni756B","uni9996","uni8B66","uni7167","uni898B","uni5B8C","uni4E16","uni7A2E","uni6A02","uni898F","uni8CFD","uni67E5","uni53CD","uni5468","uni6E05","uni4FE1","uni8B8A","uni6CBB","uni76F4","uni806F","uni7DDA","uni71DF","uni611B","uni7537","uni6821","uni8ECD","uni754C","uni4F7F","uni9580","uni6D41","uni8A31","uni9810","uni6A23","uni8996","uni53D6","uni79D1","uni592A","uni8A72","uni670D","uni7D66","uni99AC","uni82F1","uni89AA","uni8ACB","uni5225","uni7FA9","uni8FB2","uni66FE","uni6B72","uni8F49","uni738B","uni5152","uni6599","uni7247","uni4E94","uni6574","uni6C7A","uni4EF6","uni5354","uni9EBC","uni97D3","uni7CFB","uni4F4F","uni767E","uni56DB","uni80B2","uni975E","uni904A","uni6B0A","uni7BC0","uni7D44","uni74B0","uni5373","uni537B","uni9EC3","uni900F","uni8A00","uni6AA2","uni969B","uni5E03","uni96E3","uni4F9B","uni53C8","uni544A","uni7372","uni623F","uni652F","uni8853","uni4F55","uni6E2F","uni4E9B","uni5E97","uni8521","uni578B","uni5F15","uni9999","uni6D88","uni589E","uni5B98","uni98DF","uni5E0C","uni8A18","uni8CEA","uni897F","uni8AD6","uni771F","uni9700","uni674E","uni8D70","uni8D85","uni58EB","uni5F80","uni6A19","uni683C","uni628A","uni7387","uni6EFF","uni6613","uni7AD9","uni5FB7","uni64DA","uni88E1","uni4E14","uni82E5","uni4ECD","uni8003","uni9632","uni90A3","uni96C6","uni5931","uni52E2","uni8A71","uni7968","uni96C4","uni6280","uni8F03","uni8B49","uni9818","uni50CF","uni6B65","uni5883","uni5BB9","uni85DD","uni5099","uni4F60","uni4F4E","uni5104","uni8B77","uni6FDF","uni96D9","uni50C5","uni65AF","uni71B1","uni9001","uni53E6","uni843D","uni6392","uni4E9E","uni914D","uni8077","uni7814","uni722D","uni7A31","uni8DDF","uni5177","uni75C5","uni65C5","uni6E90","uni9A57","uni5E7E","uni8072","uni734E","uni767D","uni795E","uni7FD2","uni534A","uni4F8B","uni7D1A","uni6BB5","uni6B3E","uni5FC5","uni4F9D","uni798F","uni5403","uni689D","uni97FF","uni65BD","uni6236","uni6DF1","uni5ABD","uni7DAD","uni8F15","uni4FEE","uni706B","uni7D05","uni88DD","uni5B69","uni666F","uni78BA","uni5347","uni97F3","uni5FEB","uni666E","uni96E2","uni5426","uni64D4","uni661F","uni5E95"],"基本包-漢字#2":["uni5217","uni516D","uni91CC","uni96D6","uni89BA","uni9109","uni59CB","uni651D","uni5B63","uni512A","uni529F","uni88FD","uni9805","uni724C","uni62C9","uni6E96","uni81F4","uni514B","uni7B56","uni7CBE","uni65E9","uni5065","uni8CB7","uni5E2D","uni986F","uni908A","uni865F","uni5716","uni614B","uni990A","uni9650","uni5EE0","uni7B97","uni62CD","uni5F62","uni8208","uni73ED","uni4FBF","uni8CFC","uni514D","uni57CE","uni6B77","uni88DC","uni6548","uni5584","uni505C","uni5343","uni8A55","uni4E5D","uni9910","uni5CB8","uni50B7","uni64CA","uni8C61","uni62FF","uni5473","uni6BCD","uni5361","uni665A","uni667A","uni521D","uni7D00","uni5EE3","uni5433","uni5BA3","uni57F7","uni63A1","uni963F","uni9928","uni89D2","uni773C","uni7368","uni53F2","uni5C45","uni5BB3","uni96A8","uni5047","uni6CC1","uni7A4D","uni7F6E","uni516B","uni9F8D","uni503C","uni9000","uni901F","uni7DA0","uni571F","uni4F01","uni62EC","uni80A1","uni6A13","uni9752","uni8D8A","uni72C0","uni5348","uni9808","uni6E1B","uni547D","uni4F11","uni906D","uni985E","uni8DB3","uni4F73","uni8A2A","uni6CB9","uni5DDD","uni606F","uni767B","uni8A66","uni5F85","uni6975","uni862D","uni65B7","uni8B1D","uni8B58","uni6B7B","uni7559","uni5BDF","uni5287","uni6232","uni526F","uni6843","uni58D3","uni5C64","uni627E","uni5C6C","uni7F72","uni6B4C","uni5FF5","uni6839","uni92B7","uni5FD7","uni8A0A","uni642D","uni56B4","uni76CA","uni7A76","uni52DE","uni9280","uni8AC7","uni96AA","uni9435","uni5019","uni7834","uni5BF6","uni751A","uni822A","uni5FA9","uni559C","uni885B","uni9060","uni8CAC","uni9867","uni5668","uni5E6B","uni6EAB","uni9152","uni9304","uni7DF4","uni807D","uni7591","uni627F","uni52DD","uni6B61","uni5224","uni723E","uni8CA0","uni67EF","uni6A21","uni7642","uni9069","uni7D42","uni5BE9","uni5C4B","uni6D32","uni8A34","uni8CE3","uni8CA1","uni7236","uni63A7","uni9322","uni552E","uni6D3E","uni5A92","uni63DB","uni5609","uni4FC2","uni5438","uni9732","uni9858","uni5B57","uni4E03","uni7FA4","uni5EA7","uni5EB7","uni5A5A","uni7B11","uni6838","uni6B50","uni4EC0","uni98DB","uni7A05","uni5BCC","uni5BA4","uni79AE","uni5531","uni65CF","uni6545","uni6CE8","uni964D","uni77F3","uni9ED1","uni83DC","uni5747","uni6B62","uni8A9E","uni8AB2","uni7F85","uni601D","uni59D3","uni69AE","uni6551","uni76E3","uni85E5","uni4EE4","uni8B80","uni984D","uni8A0E","uni4EAB","uni5B9C","uni7AF9","uni6625","uni7AE5","uni5E63","uni81C9","uni7C89","uni5B58","uni5DF4","uni7C73","uni592E","uni5EAD","uni547C","uni5DEE","uni79C0","uni6E2C","uni8089","uni7AF6","uni79FB","uni5A01","uni5BEB","uni8840","uni967D","uni8F2A","uni7DCA","uni4EAC","uni5370","uni5F8B","uni69CB","uni60E0","uni7E7C","uni5207","uni8CA8","uni6CE2","uni7D20","uni91DD","uni6050","uni7D55","uni570D","uni7206","uni8463","uni85CD","uni8FFD","uni7A81","uni5289","uni592B","uni6750","uni591C","uni6C38","uni96F2","uni9B5A","uni53E4","uni57DF","uni5283","uni7533","uni8857","uni6C5F","uni6279","uni5178","uni9080","uni4F30","uni73A9","uni5EF6","uni9055","uni535A","uni805E","uni878D","uni8CF4","uni7D72","uni5BC6","uni76DF","uni9E97","uni677F","uni670B","uni81E8","uni5CF6","uni8607","uni5F48","uni694A","uni523B","uni5DE6","uni6297","uni7A7F","uni7248","uni8CBF","uni7F6A","uni8B1B","uni6025","uni555F","uni54F2","uni5947","uni6D0B","uni76AE","uni4E92","uni7D30","uni6BD2","uni96E8","uni9806","uni93AE","uni821E","uni5145","uni6176","uni8DD1","uni4ED8","uni51A0","uni71C8","uni5920","uni885D","uni7D0D","uni7F3A","uni77ED","uni6751","uni7238","uni5FAE","uni80CC","uni4E4E","uni653B","uni7FFB","uni8349","uni907F","uni4F3C","uni6BBA","uni4EAE","uni53F3","uni7ADF","uni75DB","uni9918","uni7C21","uni5E55","uni76E1","uni6311","uni5B88","uni64C7","uni932F","uni7A69","uni8C50","uni86CB","uni5F69","uni7BC4","uni98EF","uni8336","uni8A02","uni6167","uni5C46","uni5012","uni72AF","uni822C","uni90ED","uni91CE","uni7E3E","uni8863","uni8A13","uni6CF0","uni4E45","uni54E5","uni5DDE","uni9418","uni6728","uni6A39","uni82E6","uni912D","uni62DB","uni820A","uni66F2","uni5805","uni5C1A","uni826F","uni8449","uni7570","uni969C","uni5C3C","uni75C7","uni4EC1","uni61F7","uni76E4","uni542B","uni64AD","uni5957","uni9A5A","uni9047","uni5211","uni91CB","uni6436","uni7701","uni8FF7","uni7530","uni6E56","uni5BAE","uni6F6E","uni8173","uni7B46"],"基本包-漢字#3":["uni68D2","uni745E","uni79C1","uni745C","uni8C6A","uni9760","uni5EF3","uni707D","uni6557","uni5E78","uni5371","uni576A","uni9BAE","uni725B","uni8A62","uni7F70","uni8FCE","uni6B66","uni860B","uni60A3","uni6A4B","uni9686","uni525B","uni7C3D","uni7BC9","uni6D89","uni55CE","uni5F1F","uni671D","uni7562","uni9769","uni9644","uni56F0","uni968E","uni98F2","uni7565","uni67D3","uni7C4D","uni6388","uni9F13","uni4EFD","uni9010","uni5FB5","uni8CBC","uni79DF","uni8166","uni59BB","uni51B7","uni66B4","uni7E54","uni6377","uni5F70","uni600E","uni76DB","uni6CB3","uni5922","uni67B6","uni85AA","uni6015","uni5B85","uni84EE","uni9707","uni640D","uni64C1","uni5B97","uni6FC0","uni502B","uni5A66","uni5B83","uni9192","uni52F5","uni6162","uni5ACC","uni99D5","uni88C1","uni590F","uni8DA3","uni7DE8","uni9663","uni5E45","uni8F09","uni8DE8","uni53EC","uni64F4","uni7D1B","uni8239","uni6D2A","uni5708","uni812B","uni5C3A","uni59B9","uni9802","uni6069","uni6389","uni68EE","uni52AA","uni6F32","uni96C5","uni7981","uni68C4","uni6350","uni9F61","uni8FD4","uni5FD9","uni7389","uni8F38","uni6234","uni6108","uni52C7","uni4ECB","uni51B0","uni6D17","uni8DF3","uni7AEF","uni65D7","uni805A","uni6C99","uni5DE8","uni96DE","uni8A3A","uni8DDD","uni8CB4","uni63EE","uni5E8F","uni5EAB","uni5802","uni4E7E","uni6298","uni5C0B","uni690D","uni8FF0","uni57F9","uni504F","uni5713","uni5750","uni4F34","uni70C8","uni6D6A","uni8CDE","uni9694","uni82D7","uni5409","uni5F90","uni907A","uni8F1B","uni9748","uni6563","uni5C24","uni5967","uni98FE","uni6F01","uni96F6","uni65C1","uni4FC3","uni5049","uni85C9","uni4EA1","uni71D2","uni6F38","uni7AE0","uni660C","uni6790","uni6FB3","uni8C6C","uni8AA4","uni5CF0","uni85CF","uni7D2F","uni616E","uni638C","uni5C04","uni5C4F","uni7D9C","uni719F","uni6C59","uni5F31","uni5B8F","uni6EAA","uni675F","uni975C","uni5EFF","uni764C","uni5496","uni6BDB","uni751C","uni5175","uni5E7C","uni9B06","uni60E1","uni8056","uni5C01","uni5360","uni7D22","uni78BC","uni4F0A","uni93E1","uni66FF","uni7686","uni7B26","uni6620","uni6E6F","uni8AFE","uni7DE9","uni58DE","uni62B1","uni500D","uni61B2","uni5766","uni63F4","uni84CB","uni9EB5","uni8D95","uni966A","uni96BB","uni54EA","uni8EDF","uni9298","uni62DC","uni53EB","uni5B6B","uni5BEC","uni96DC","uni62BD","uni5EE2","uni64CD","uni63A2","uni9AA8","uni4E58","uni89F8","uni6731","uni6B78","uni6A94","uni79CB","uni7CD6","uni90A6","uni8F14","uni983B","uni4E82","uni96EA","uni6309","uni7B54","uni6E9D","uni559D","uni5FE0","uni99D0","uni99DB","uni5C0A","uni695A","uni7259","uni7D19","uni6885","uni9EBB","uni5DE7","uni59CA","uni5DE1","uni5448","uni73CD","uni5EDA","uni8CD3","uni66AB","uni9A0E","uni9031","uni4FCA","uni5100","uni63E1","uni4E88","uni978B","uni9375","uni89BD","uni69CD","uni596A","uni552F","uni7C72","uni7761","uni8FEB","uni63DA","uni558A","uni6B23","uni838A","uni96F7","uni7E2E","uni7956","uni523A","uni6696","uni6668","uni903E","uni654F","uni62B5","uni61B6","uni5091","uni6ED1","uni90B1","uni73E0","uni80AF","uni75AB","uni5561","uni9AEE","uni649E","uni6C7D","uni7D14","uni54C8","uni5A46","uni517C","uni8AB0","uni6355","uni6F2B","uni51AC","uni5976","uni92FC","uni8F9B","uni4ED4","uni6E38","uni677E","uni8C46","uni8A5E","uni786C","uni6F22","uni56FA","uni5E8A","uni6562","uni5200","uni8907","uni8AA0","uni584A","uni737B","uni76FC","uni63AA","uni4EA6","uni585E","uni5C3E","uni80E1","uni4E01","uni67CF","uni632F","uni72D7","uni6C60","uni9003","uni52E4","uni5FD8","uni9D3B","uni8DCC","uni9813","uni64EC","uni888B","uni6DE1","uni5BBF","uni532F","uni7BB1","uni8D0F","uni65A4","uni50B5","uni5B87","uni7532","uni9130","uni51F1","uni8033","uni5E33","uni5E79","uni67D0","uni65E2","uni95B1","uni4F75","uni6FC3","uni65E6","uni9EA5","uni6982","uni8D74","uni4F5B","uni4F2F","uni8D08","uni9CE5","uni8A69","uni6263","uni5851","uni6469","uni5BE7","uni7919","uni6182","uni5427","uni6DE8","uni684C","uni5238","uni8B9A","uni6CE1","uni5075","uni51CC","uni58C7","uni9592","uni4FB5","uni62D2","uni633A","uni64FA","uni9CF3","uni8C37","uni8F29","uni58FD","uni984F","uni7C43","uni963B","uni5269","uni790E","uni639B","uni7D10","uni5EDF","uni6FA4","uni7126","uni6163","uni7246","uni8DA8","uni8C93","uni8F2F","uni6F54","uni5F92","uni864E","uni8266","uni74DC","uni6F5B","uni539A","uni602A","uni7DE3"],"基本包-漢字#4":["uni9ED8","uni8212","uni82B3","uni9F4A","uni8C9D","uni5076","uni7E73","uni520A","uni8986","uni5761","uni9014","uni6293","uni96B1","uni62C6","uni9178","uni4FC4","uni5854","uni8CB8","uni934B","uni501F","uni656C","uni5FCD","uni9396","uni6524","uni796D","uni6DF7","uni6566","uni9B25","uni75BE","uni795D","uni9846","uni83AB","uni8CE2","uni511F","uni6AC3","uni79D8","uni53E5","uni6C1B","uni5118","uni856D","uni541B","uni8ECC","uni808C","uni672B","uni622A","uni70CF","uni5074","uni9677","uni5F79","uni6200","uni6676","uni6D1B","uni64FE","uni83F8","uni6881","uni90F5","uni6CBF","uni4EF2","uni52D2","uni7E6A","uni7763","uni5617","uni5BD2","uni8CA9","uni7C4C","uni599D","uni60DC","uni8A17","uni573E","uni708E","uni5783","uni83F2","uni74E6","uni58D8","uni9077","uni70B8","uni7955","uni7687","uni6C89","uni9081","uni5462","uni6148","uni9B6F","uni5144","uni8CE0","uni865B","uni8A79","uni6717","uni5ED6","uni6817","uni7D61","uni6258","uni6DFB","uni641C","uni7E41","uni5B8B","uni6BEB","uni9589","uni59B3","uni72C2","uni7210","uni9A19","uni7A97","uni840A","uni8861","uni8F5F","uni8CFA","uni59D0","uni8F1D","uni817F","uni9905","uni6CC9","uni871C","uni8B02","uni6697","uni7DD2","uni88C2","uni5687","uni8FAD","uni6383","uni4F38","uni73B2","uni676F","uni8D99","uni6B8A","uni5948","uni5951","uni6416","uni4FAF","uni827E","uni68DF","uni65FA","uni57D4","uni6DD1","uni8000","uni716E","uni5510","uni6F58","uni8FEA","uni4E73","uni71C3","uni6212","uni5077","uni81A0","uni9738","uni98B1","uni5F6D","uni4E39","uni5E1D","uni76E7","uni8389","uni904D","uni641E","uni5237","uni7965","uni718A","uni95A3","uni6DB5","uni9B27","uni819A","uni6276","uni4E32","uni626E","uni79D2","uni62DA","uni8A8C","uni675C","uni80DE","uni554A","uni4E4F","uni91AC","uni8178","uni7A3F","uni5146","uni6DB2","uni5FAA","uni6D1E","uni8377","uni6DDA","uni540E","uni7D39","uni5F7C","uni54ED","uni6575","uni820D","uni68AF","uni9326","uni6062","uni9583","uni95C6","uni5192","uni6089","uni7FC1","uni64A4","uni8A50","uni5E72","uni5442","uni9451","uni78B0","uni7345","uni5C3F","uni5BB4","uni5345","uni8FF4","uni5C16","uni66C9","uni82AC","uni62D6","uni80CE","uni92D2","uni74F6","uni7159","uni63ED","uni5B5F","uni6D25","uni70E4","uni51E1","uni8DE1","uni746A","uni8972","uni71D5","uni4F54","uni9812","uni7434","uni6F64","uni6CE5","uni5634","uni6DAF","uni9006","uni651C","uni55AC","uni6028","uni61C2","uni66FC","uni9B54","uni76D2","uni52DF","uni5B55","uni852C","uni809D","uni8A95","uni6A6B","uni9E7F","uni51C6","uni80A5","uni8FA3","uni5EF7","uni8932","uni8E0F","uni81DF","uni804A","uni6241","uni8B7D","uni6B49","uni71E6","uni9072","uni723A","uni9ECE","uni6BC0","uni5291","uni7FD4","uni50BE","uni594F","uni5678","uni7F77","uni88D5","uni8105","uni6021","uni4E1F","uni7E6B","uni775B","uni9A30","uni59FF","uni8010","uni6D3D","uni98FD","uni6D6E","uni6012","uni7F79","uni62BC","uni947D","uni614E","uni5F91","uni62D4","uni6572","uni6F6D","uni5B5D","uni7D0B","uni596E","uni6D69","uni903C","uni4F69","uni7F75","uni81FA","uni6158","uni5B54","uni727D","uni60B2","uni8E64","uni4F0D","uni6490","uni8FAF","uni9B3C","uni7CD5","uni8523","uni7518","uni7092","uni8C9E","uni9022","uni58EF","uni80F8","uni8B00","uni67F1","uni9E7D","uni5740","uni6B98","uni642C","uni5BC4","uni7D81","uni58A8","uni699C","uni5925","uni7A4E","uni51CD","uni5439","uni67D4","uni7260","uni78A9","uni4FD7","uni6691","uni85A9","uni8150","uni6EC5","uni85A6","uni96D5","uni937E","uni62FC","uni8E8D","uni6C88","uni6905","uni8332","uni8C8C","uni5915","uni62D3","uni582A","uni8058","uni5FFD","uni6AFB","uni756A","uni6EFE","uni4EF0","uni8017","uni593E","uni5DF7","uni87F2","uni5B30","uni5566","uni9670","uni5E7B","uni7D2B","uni8499","uni6B32","uni8CA2","uni758F","uni8179","uni905E","uni6C41","uni59C6","uni80A9","uni87A2","uni6B96","uni83CC","uni798D","uni8A73","uni9803","uni9B4F","uni64E0","uni5806","uni5999","uni6FD5","uni7A0D","uni58C1","uni6DBC","uni8CC0","uni8D81","uni7344","uni6F0F","uni63D2","uni9676","uni6F8E","uni66DD","uni6F02","uni52C1","uni7070","uni6C96","uni994B","uni9817","uni83CA","uni99C1","uni7BC7","uni8108","uni8766","uni9727","uni5F65","uni8036","uni64A5","uni6ECB","uni66A8","uni8170","uni7E5E","uni7A3B","uni902E","uni91C7","uni9F3B","uni6649","uni8AF8","uni76DC","uni5085","uni8870","uni5A1C"],"基本包-漢字#5":["uni526A","uni8896","uni4F59","uni64E6","uni59AE","uni8584","uni80C3","uni63CF","uni7832","uni679D","uni68A8","uni93C8","uni8482","uni6170","uni7FBD","uni81BD","uni59FB","uni6C0F","uni78B3","uni5A18","uni8015","uni5674","uni5132","uni97FB","uni8D0A","uni9285","uni540A","uni6316","uni4E43","uni4E08","uni60A0","uni7BAD","uni72AC","uni7720","uni76C3","uni5E25","uni6191","uni5F04","uni9801","uni4ED9","uni9F9C","uni687F","uni5353","uni8667","uni6E21","uni95D6","uni65A5","uni66A2","uni6CF3","uni6558","uni8A3B","uni6D74","uni6B20","uni8102","uni8CED","uni99A8","uni5141","uni5A03","uni80BA","uni78E8","uni6CDB","uni7F8A","uni819C","uni66C6","uni6876","uni8352","uni8702","uni8E5F","uni7DB1","uni98C6","uni62B9","uni5272","uni7483","uni73BB","uni6FF1","uni76C8","uni92EA","uni4E95","uni6046","uni816B","uni8070","uni518A","uni683D","uni4F48","uni5BEE","uni5606","uni59A5","uni75BC","uni6372","uni55AA","uni8EF8","uni7E31","uni51FD","uni8303","uni934A","uni8ED2","uni5B24","uni788E","uni5F4E","uni6368","uni65CB","uni8155","uni8106","uni5E3D","uni916C","uni7433","uni744B","uni6BC5","uni64CB","uni5BF5","uni5949","uni62CB","uni52F8","uni57CB","uni5821","uni8CAA","uni5CFD","uni9A45","uni5410","uni731B","uni68B0","uni723D","uni9336","uni5B64","uni5C4D","uni7169","uni60A8","uni77BB","uni722C","uni7ACA","uni5009","uni8302","uni7CFE","uni845B","uni5FB9","uni5875","uni7DFB","uni52D8","uni809A","uni541E","uni7626","uni5751","uni760B","uni6478","uni6E67","uni8CAB","uni6016","uni6C57","uni6070","uni8AEE","uni8587","uni4F50","uni8FC5","uni626D","uni7336","uni9F90","uni6F84","uni5D07","uni5EC9","uni8A98","uni6606","uni61BE","uni8CA7","uni7897","uni5D29","uni6B3A","uni8B39","uni6597","uni721B","uni61F8","uni588A","uni5EC1","uni9234","uni5A1B","uni574A","uni586B","uni838E","uni7164","uni514C","uni9127","uni62AB","uni5BFA","uni9F0E","uni9D28","uni7948","uni6DCB","uni51DD","uni6591","uni6C61","uni9838","uni6C27","uni7469","uni80D6","uni59DA","uni91C0","uni9CF4","uni932B","uni5C6F","uni5006","uni91D0","uni7AAE","uni5954","uni65EC","uni63A9","uni9038","uni5EC8","uni662D","uni6458","uni7F69","uni6B3D","uni8525","uni59A8","uni7926","uni8E48","uni6607","uni70AE","uni6735","uni7E2B","uni6085","uni6D29","uni9075","uni9177","uni8A1F","uni61A4","uni814E","uni704C","uni8FC4","uni7C97","uni78DA","uni7058","uni5378","uni8B6F","uni66EC","uni64AB","uni73AB","uni90CE","uni87F9","uni61F2","uni8FA8","uni6674","uni62AC","uni78A7","uni6770","uni5733","uni98FC","uni55C6","uni75B2","uni6912","uni9DF9","uni5CA1","uni5C62","uni8087","uni660F","uni7A3D","uni84B8","uni8ABC","uni4FF1","uni53B2","uni8A87","uni6846","uni54AC","uni5F77","uni6BBC","uni4EAD","uni829D","uni6B04","uni77AD","uni5435","uni8F44","uni5857","uni77AC","uni559A","uni758A","uni62F3","uni733F","uni7D17","uni8490","uni528D","uni632B","uni780D","uni8292","uni65ED","uni857E","uni8CC4","uni5ECA","uni4F0F","uni8B19","uni6DF9","uni8DB4","uni6B67","uni6EF4","uni6ABB","uni7DE0","uni7DDD","uni5FCC","uni4EFF","uni6DFA","uni7378","uni6842","uni5764","uni821F","uni8E29","uni5AC1","uni6500","uni90C1","uni5E7D","uni7267","uni67F4","uni8EB2","uni4F51","uni8776","uni7C60","uni50AC","uni6C70","uni5F7F","uni7375","uni8247","uni79C9","uni50D1","uni9063","uni81E5","uni5A77","uni9716","uni5F18","uni51F8","uni8C54","uni7C64","uni83C1","uni7334","uni80A2","uni9B31","uni901B","uni9059","uni70D8","uni61FC","uni7F55","uni7FE0","uni8271","uni81ED","uni76FE","uni9165","uni64B2","uni86C7","uni52F3","uni7B4B","uni81E3","uni5C65","uni5377","uni7901","uni52FF","uni522A","uni7FF0","uni901D","uni7624","uni73CA","uni7470","uni9B42","uni8CC8","uni7149","uni8549","uni7A46","uni6380","uni8154","uni6F51","uni74CA","uni7C92","uni8650","uni7A00","uni8304","uni921E","uni66F9","uni9B45","uni742A","uni540B","uni7E69","uni9F20","uni62D8","uni884D","uni5AE9","uni7891","uni6BB7","uni96C7","uni908F","uni5CA9","uni6FEB","uni58F9","uni507D","uni714C","uni5112","uni68DA","uni7E96","uni4FB6","uni8B5C","uni98C4","uni5B9B","uni7CE7","uni7CCA","uni906E","uni64C5","uni96A7","uni76EA","uni92B3","uni5955","uni7DBF","uni68C9","uni9189","uni84C4","uni7051","uni9E9F","uni6851","uni50B2","uni5BD3","uni8E22","uni846C","uni9D6C","uni81A9","uni8461","uni6514","uni88F8","uni53D4"],"基本包-漢字#6":["uni5782","uni75D5","uni7BE9","uni5DBC","uni8E10","uni6EEF","uni7737","uni7652","uni863F","uni7CBD","uni4EC7","uni8258","uni88D9","uni6492","uni5C48","uni50DA","uni849C","uni5F6C","uni658C","uni7802","uni67F3","uni58E4","uni7504","uni54C0","uni7CB9","uni52FE","uni8CE6","uni6DD8","uni896F","uni5507","uni6454","uni6155","uni76C6","uni543B","uni886B","uni8F4E","uni7709","uni711A","uni83C7","uni9074","uni525D","uni868A","uni6291","uni7838","uni971E","uni6F06","uni5E9A","uni88D4","uni589C","uni64CE","uni8D6B","uni5835","uni63C6","uni99AE","uni5A49","uni5EC2","uni6EA2","uni8606","uni8404","uni5BF8","uni8D9F","uni8CB6","uni6DF5","uni6A58","uni6734","uni537F","uni79A6","uni624E","uni68CB","uni6C9B","uni96EF","uni58E2","uni539D","uni56CA","uni820C","uni584C","uni6EF2","uni6749","uni7F50","uni62FE","uni72FC","uni7D13","uni6068","uni8FB1","uni5893","uni87BA","uni81C2","uni8AF7","uni6DEA","uni5564","uni5CB3","uni85E4","uni752B","uni9ECF","uni9594","uni7F9E","uni896A","uni60B6","uni714E","uni6094","uni8A6E","uni8EBA","uni5E15","uni8679","uni5098","uni6DC7","uni7464","uni7272","uni929C","uni970D","uni77DA","uni71AC","uni659C","uni6602","uni9A37","uni766E","uni8F9C","uni819D","uni6CBE","uni6C6A","uni50F1","uni8D64","uni55BB","uni79E6","uni592F","uni52C9","uni9E79","uni62CC","uni6AAF","uni82D1","uni6EBC","uni5E06","uni4E56","uni97CB","uni59D1","uni5DFE","uni626F","uni5594","uni5824","uni7FFC","uni715E","uni8FB0","uni71D9","uni68F2","uni6A3A","uni5632","uni9DAF","uni51F6","uni91E3","uni5F4C","uni50F5","uni971C","uni4E59","uni52A3","uni8393","uni865E","uni95CA","uni74F7","uni54AA","uni8A93","uni9175","uni508D","uni8096","uni64BF","uni72A7","uni634D","uni5B0C","uni7199","uni919C","uni95E2","uni7B4D","uni53AD","uni50BB","uni7235","uni64BC","uni5962","uni5CFB","uni818F","uni6614","uni9D5D","uni9F52","uni5F0A","uni8085","uni840C","uni8B20","uni609F","uni9935","uni76F2","uni7E7D","uni6BEF","uni8AD2","uni614C","uni4E8E","uni731C","uni6349","uni70F9","uni8B0A","uni4E18","uni79BD","uni84EC","uni77DB","uni5319","uni840D","uni9042","uni6F70","uni9370","uni9AD2","uni6BBF","uni78C1","uni9A5F","uni5598","uni6F3F","uni5F81","uni58BE","uni5375","uni5DFF","uni522E","uni8A1D","uni79E9","uni60DF","uni5589","uni61A9","uni7E8F","uni6CCA","uni8591","uni7384","uni524A","uni78EF","uni9675","uni985B","uni8AE7","uni6DF3","uni6E9C","uni4FE0","uni7DEF","uni682A","uni905C","uni5DE2","uni60D1","uni6367","uni5DBA","uni4E38","uni652C","uni851A","uni5D17","uni5147","uni775E","uni60F9","uni52C3","uni5351","uni8877","uni6084","uni57C3","uni77FD","uni883B","uni859B","uni625B","uni8F3F","uni8514","uni9952","uni5021","uni6495","uni82B8","uni817A","uni6643","uni96C0","uni5D0E","uni606D","uni82AD","uni8A60","uni90DD","uni828B","uni84C9","uni5CB1","uni964C","uni4F7C","uni4F10","uni5D14","uni9187","uni6247","uni6C83","uni8ADC","uni7E61","uni679A","uni60F1","uni5339","uni7AA9","uni6D82","uni8431","uni9017","uni6EAF","uni7119","uni6284","uni7DEC","uni5C2C","uni54E9","uni6FA1","uni70B3","uni7D2E","uni5A1F","uni9913","uni6488","uni7262","uni5349","uni6BC6","uni7779","uni5D1B","uni8259","uni72E0","uni7409","uni80AA","uni7DBA","uni7CDF","uni6A38","uni854A","uni53C9","uni9214","uni64B0","uni5EB8","uni4ED5","uni6FFE","uni68F5","uni6A11","uni6C50","uni8B74","uni608D","uni777F","uni6AB8","uni8C48","uni8180","uni7586","uni53DB","uni4E1E","uni574E","uni962A","uni690E","uni9DB4","uni638F","uni6328","uni82BD","uni6D59","uni4FD0","uni6398","uni5D19","uni6E34","uni5885","uni5862","uni748B","uni5BB5","uni561B","uni6F20","uni754F","uni82AF","uni918B","uni69FD","uni7A40","uni6850","uni72F9","uni6AAC","uni6577","uni6109","uni8569","uni72C4","uni99ED","uni51A4","uni5E84","uni6B47","uni7B52","uni6688","uni755C","uni8774","uni6168","uni70AD","uni9B91","uni566A","uni7A74","uni962E","uni65E8","uni52AB","uni71E5","uni90AA","uni7538","uni9706","uni81D8","uni9472","uni5BC5","uni582F","uni5AB3","uni5E87","uni7F88","uni9921","uni7AC4","uni9756","uni6BD3","uni5858","uni6D78","uni907C","uni8CDC","uni7A84","uni810A","uni8CC3","uni803F","uni6A01","uni99FF","uni798E","uni617E","uni81A8","uni5FA1","uni73EE","uni6EF7","uni6BAF","uni8559","uni70AB","uni6E23","uni6795","uni5C37","uni85AF","uni6CCC","uni543E","uni4F36"],"基本包-漢字#7":["uni88F9","uni598D","uni634F","uni676D","uni5A25","uni8AFA","uni5BC2","uni52FB","uni7165","uni59EC","uni7671","uni5B99","uni4ED7","uni54BD","uni647A","uni67DA","uni8881","uni6339","uni6D66","uni650F","uni6F62","uni753A","uni8944","uni9A55","uni53E2","uni6AB3","uni9BE8","uni59E8","uni5BB0","uni67D1","uni5212","uni62A8","uni5F26","uni888D","uni632A","uni7AED","uni8139","uni5C41","uni5256","uni5DEB","uni5055","uni6953","uni59DC","uni788C","uni92C1","uni6FE4","uni8299","uni68CD","uni800D","uni7950","uni5C60","uni5440","uni8046","uni5937","uni6977","uni633D","uni84BC","uni53EE","uni62F1","uni745F","uni8C79","uni6A61","uni5ED3","uni99B3","uni71C9","uni7280","uni923A","uni91D8","uni68AD","uni9245","uni533F","uni65AC","uni57E4","uni5446","uni76EF","uni7D21","uni674F","uni64F2","uni7A98","uni9640","uni75B9","uni6E4A","uni58FA","uni6399","uni7E55","uni97AD","uni8513","uni6B79","uni5FBD","uni6664","uni7455","uni8216","uni6B16","uni8993","uni90B5","uni83F1","uni7554","uni7D68","uni5983","uni8755","uni7FC5","uni7E79","uni79AA","uni97CC","uni916A","uni9B41","uni7662","uni7E9C","uni8086","uni67AF","uni61F6","uni90E1","uni4FDE","uni6064","uni813E","uni621A","uni5BE8","uni5C39","uni85FB","uni8DEA","uni5154","uni5F59","uni840E","uni4FCF","uni640F","uni7526","uni7DB4","uni7A57","uni69D3","uni6CB8","uni535C","uni946B","uni7FCA","uni7529","uni6897","uni7A1A","uni6995","uni52BE","uni8E72","uni8AF1","uni8C5A","uni63EA","uni90CA","uni9EDB","uni8A23","uni973E","uni5BA5","uni6208","uni761F","uni7DBB","uni8B9E","uni7AFF","uni9957","uni978F","uni7FA8","uni7E43","uni5960","uni6A44","uni8CCA","uni914C","uni652A","uni7693","uni87FB","uni6893","uni9183","uni6296","uni664F","uni8D13","uni4EA8","uni5366","uni947C","uni7F38","uni5A9B","uni64F1","uni9076","uni6CD3","uni86B5","uni8403","uni8E34","uni93FD","uni86D9","uni68B5","uni6583","uni9830","uni6960","uni655E","uni6E3E","uni8F3B","uni8E81","uni633E","uni8339","uni91C1","uni745A","uni6EB6","uni9F94","uni541F","uni980C","uni6101","uni6C40","uni789F","uni54B3","uni562F","uni7A6B","uni6EBA","uni57AE","uni7011","uni6631","uni5F17","uni87EC","uni5D50","uni7AAF","uni6C90","uni832B","uni6052","uni752F","uni68E0","uni7444","uni532A","uni95A9","uni56BC","uni9D09","uni6EB1","uni6CAB","uni5018","uni6B6A","uni8C6B","uni6930","uni904F","uni6FB1","uni54E8","uni5D11","uni5306","uni6670","uni6538","uni7261","uni5996","uni6FC1","uni6627","uni9903","uni5A9A","uni68D7","uni57D5","uni9015","uni9293","uni9AD3","uni51F0","uni860A","uni5D4C","uni881F","uni8AED","uni6590","uni502A","uni8B2C","uni6E26","uni7CB5","uni6467","uni703E","uni5320","uni7184","uni5A36","uni8F12","uni74E3","uni6D36","uni9112","uni6A1E","uni6177","uni8A6D","uni75B5","uni4E91","uni9470","uni75E0","uni85B0","uni6F80","uni8305","uni77EE","uni79A7","uni54FD","uni81B3","uni69FF","uni6137","uni7DB8","uni6A1F","uni5BE1","uni6E5B","uni6CE3","uni701A","uni925B","uni7CA5","uni68E7","uni8277","uni6994","uni5EB6","uni821C","uni84B2","uni7784","uni797F","uni8B5A","uni7DCB","uni56C2","uni7682","uni79B1","uni749E","uni8D66","uni5475","uni853D","uni8F3E","uni5A7F","uni73C0","uni7B1B","uni5B95","uni5D84","uni90B8","uni5587","uni9598","uni7426","uni8116","uni775C","uni700F","uni572D","uni77EF","uni6065","uni6EEC","uni9D3F","uni81FB","uni8354","uni6127","uni71ED","uni8B0E","uni672D","uni56D1","uni839E","uni6487","uni7CDE","uni965E","uni61C7","uni6190","uni9699","uni66D9","uni68B3","uni4F8D","uni60BC","uni7940","uni594E","uni6E58","uni6F2C","uni9215","uni9704","uni96B8","uni81C0","uni56DA","uni5016","uni4F3A","uni6E20","uni8205","uni5195","uni67EC","uni5BE2","uni7613","uni8401","uni4E19","uni7152","uni88CF","uni4F19","uni6DE4","uni9774","uni852D","uni79BE","uni51F9","uni5E16","uni7C3F","uni5F64","uni5F13","uni8165","uni78CB","uni54C7","uni4F83","uni5974","uni9B0D","uni5492","uni5D01","uni76BA","uni8098","uni95A8","uni51A5","uni9B44","uni7BF7","uni68D5","uni4F3D","uni7015","uni96CD","uni63E3","uni935B","uni63C9","uni6A59","uni9776","uni56AE","uni779E","uni5D16","uni7009","uni58C5","uni7B71","uni98E2","uni773A","uni6689","uni5BDE","uni5614","uni59A4","uni5CD9","uni65F1","uni7736","uni7ABA","uni80FA","uni8760","uni7B28","uni59E6","uni6DEE","uni62ED","uni797A","uni56C9","uni61FF"],"基本包-漢字#8":["uni67F5","uni6C2B","uni74BD","uni6F3E","uni5384","uni7C6C","uni78C5","uni9223","uni7DBD","uni786B","uni5C90","uni7949","uni86DB","uni6C76","uni574D","uni6F88","uni58DF","uni9811","uni91D7","uni513C","uni5AFB","uni66E0","uni543C","uni8F4D","uni53E1","uni9BAA","uni55E8","uni8018","uni8475","uni62D0","uni71EE","uni501A","uni563B","uni6DEB","uni66D6","uni9444","uni777D","uni9C3B","uni58A9","uni86E4","uni5984","uni7B8F","uni5029","uni6582","uni5F08","uni808B","uni8335","uni7C3E","uni80F0","uni7960","uni7099","uni6F86","uni65FB","uni5538","uni60F6","uni50E7","uni5690","uni646F","uni5AC2","uni7130","uni991A","uni5BC7","uni9264","uni5026","uni92F8","uni8236","uni9BAD","uni4FF8","uni5E5F","uni6EC4","uni8822","uni77E9","uni5653","uni79B9","uni8E44","uni7BE4","uni9F63","uni82DB","uni84C1","uni739F","uni8C41","uni8EAC","uni72D0","uni6020","uni51F3","uni938A","uni4FAE","uni8B6C","uni561F","uni560E","uni7D33","uni5A55","uni745B","uni82AE","uni68A7","uni5669","uni6273","uni5288","uni88F4","uni9631","uni6E73","uni6CBC","uni55C5","uni64F7","uni53ED","uni55D3","uni611A","uni6233","uni9E7C","uni531D","uni9955","uni75D8","uni82B9","uni61C8","uni968D","uni95E1","uni9BCA","uni55FD","uni8517","uni8C4E","uni5C51","uni6E89","uni7661","uni8446","uni776B","uni5254","uni7FE1","uni79E4","uni66B1","uni6C5D","uni986B","uni7CEF","uni7881","uni6687","uni76DE","uni74A8","uni6AE5","uni4FEF","uni722A","uni8759","uni7487","uni60D5","uni69BB","uni7AE3","uni8D16","uni5580","uni96C1","uni99F1","uni67FF","uni6292","uni7621","uni7076","uni7600","uni678B","uni746F","uni6756","uni7B77","uni8E1D","uni8AA6","uni66DC","uni8718","uni5BB8","uni8B4F","uni5680","uni4E4D","uni6789","uni55A7","uni56A8","uni61A8","uni7C7D","uni91DC","uni893B","uni699B","uni7DA2","uni7480","uni668C","uni8328","uni77A7","uni7A20","uni71FB","uni88B1","uni555E","uni901E","uni79BF","uni6055","uni947F","uni7030","uni9DFA","uni5C4E","uni715C","uni6A9C","uni9871","uni9452","uni4E9F","uni9051","uni548E","uni6615","uni707C","uni58E9","uni77B3","uni5109","uni93E4","uni5679","uni54C4","uni7CD9","uni9761","uni7FF9","uni6813","uni54FA","uni74D4","uni9E92","uni75A4","uni6E25","uni82D4","uni98EA","uni717D","uni83E9","uni6C81","uni6B89","uni97A0","uni9382","uni7CBF","uni8DC6","uni8FED","uni8AA1","uni831C","uni8006","uni7396","uni5C91","uni934D","uni50AD","uni62EF","uni99A5","uni69B4","uni7435","uni64A9","uni7DF9","uni82D3","uni52DB","uni4E11","uni5641","uni8588","uni63A0","uni7B4A","uni5436","uni5B73","uni9F4B","uni7325","uni604D","uni964B","uni8671","uni6636","uni7463","uni5F27","uni69A8","uni55DC","uni50A2","uni8073","uni54C9","uni7DB5","uni665F","uni82A5","uni7A9F","uni7D5E","uni85DC","uni68FA","uni64D8","uni6B46","uni9C77","uni778E","uni586D","uni9BC9","uni6417","uni77E2","uni76CE","uni5B75","uni8396","uni5CEF","uni731D","uni919E","uni7329","uni515C","uni68D8","uni6493","uni8FE6","uni9739","uni9708","uni606C","uni99AD","uni88D8","uni59EA","uni9742","uni6829","uni958E","uni5DD6","uni8B41","uni5137","uni57A3","uni5162","uni8B17","uni947E","uni6E44","uni99DD","uni9945","uni8CAF","uni618A","uni5586","uni7766","uni725F","uni75FA","uni5201","uni82B7","uni59CD","uni78CA","uni5C09","uni9AE6","uni6BCB","uni8EC0","uni64C4","uni5742","uni8CE4","uni7A92","uni9438","uni853B","uni56E4","uni8DBE","uni846B","uni6B4E","uni6DC6","uni70EF","uni6600","uni86FB","uni6413","uni5B09","uni65A7","uni599E","uni55B5","uni91E6","uni6C72","uni9EEF","uni5102","uni660A","uni5321","uni4E48","uni8309","uni6115","uni7078","uni6CAE","uni7CF0","uni6E43","uni82EF","uni80DA","uni8910","uni9091","uni6289","uni701D","uni8783","uni89B7","uni58AE","uni7FB9","uni5203","uni8123","uni8473","uni58B3","uni8782","uni61CB","uni536F","uni7587","uni8654","uni5180","uni4FB7","uni9713","uni9209","uni609A","uni6556","uni9AB8","uni9661","uni9824","uni50FB","uni7AC5","uni8AB9","uni5CC7","uni5FF1","uni80F1","uni8331","uni4F88","uni5616","uni60B8","uni7F44","uni7DDE","uni8E66","uni7AC7","uni7239","uni7B4F","uni7109","uni7672","uni598F","uni56A5","uni9D51","uni708A","uni7425","uni7F54","uni9A5B","uni76D4","uni5480","uni5E1B","uni67C4","uni77B0","uni4E98","uni879E","uni66E6","uni968B","uni5308","uni5DD4","uni7D62","uni8AA3","uni6C5B","uni75CA","uni6C2F","uni8076"],"基本包-漢字#9":["uni747E","uni7CB1","uni965D","uni6E1D","uni87D1","uni9D5C","uni524E","uni92AC","uni8936","uni5398","uni8ECB","uni5B3F","uni62C7","uni5228","uni9839","uni5F14","uni5115","uni6746","uni7028","uni837C","uni755D","uni9D98","uni978D","uni93DF","uni592D","uni6853","uni524C","uni785D","uni9B1A","uni6C3E","uni51CB","uni7729","uni73C9","uni8A6C","uni589F","uni6BB2","uni73C8","uni5EDD","uni780C","uni6D6C","uni9C57","uni5352","uni63F9","uni9DD7","uni5FFB","uni602F","uni69CC","uni896C","uni8912","uni54E6","uni7006","uni75F0","uni892A","uni5703","uni7DBE","uni9226","uni62CE","uni96DB","uni8171","uni8805","uni895F","uni5803","uni7C07","uni5FE1","uni611C","uni5D34","uni7E46","uni5477","uni9709","uni693F","uni803D","uni553E","uni79E7","uni64BB","uni7D46","uni975A","uni5565","uni8283","uni7E1B","uni9BDB","uni95BB","uni5DD2","uni627C","uni5556","uni5B5C","uni564C","uni4EA2","uni66F3","uni95A5","uni95D4","uni5243","uni6254","uni77E3","uni8814","uni760D","uni544E","uni9EF4","uni6C2E","uni647B","uni5543","uni7428","uni8317","uni4F6F","uni675E","uni77AA","uni50D5","uni56B7","uni7B60","uni566C","uni880D","uni78D0","uni7194","uni5CE8","uni99B4","uni5C8C","uni54B8","uni4E5E","uni8E39","uni70CA","uni916E","uni5495","uni5695","uni737C","uni91A3","uni5509","uni97ED","uni7FCC","uni557C","uni8CBD","uni91C9","uni9310","uni5B70","uni5F99","uni7405","uni563F","uni749F","uni9320","uni57A2","uni66F0","uni792B","uni9A0F","uni4EA5","uni61CA","uni5BE5","uni7D6E","uni69F3","uni6854","uni6986","uni61FE","uni66AE","uni6C13","uni4E30","uni9ABC","uni71A0","uni81CD","uni7C37","uni7647","uni6E3A","uni96CC","uni9D72","uni9EB4","uni7FCE","uni720D","uni6CC4","uni7156","uni6ED4","uni9C32","uni6B83","uni9249","uni4FCB","uni8301","uni8836","uni516E","uni6FDB","uni5E62","uni5583","uni8594","uni5B38","uni9E1A","uni6063","uni5F2D","uni5DBD","uni6652","uni6AC2","uni533E","uni7422","uni743A","uni849E","uni7172","uni834A","uni8F1F","uni7887","uni83E0","uni8CC2","uni6390","uni5F98","uni8466","uni970F","uni7A1C","uni7CEC","uni52AD","uni72E9","uni9698","uni8E89","uni5379","uni701F","uni8E7A","uni8235","uni7665","uni5E4C","uni5F8A","uni70D9","uni907D","uni854E","uni82DF","uni62D9","uni6DAE","uni7CD7","uni7B94","uni7E6D","uni60F0","uni7578","uni9463","uni54B1","uni816E","uni5BF0","uni622E","uni527F","uni7D91","uni7F9A","uni759A","uni5AB2","uni9328","uni541D","uni62C2","uni9D61","uni80E4","uni62D7","uni97A6","uni673D","uni97C6","uni9394","uni93DE","uni7FE9","uni6FFA","uni53E9","uni81BA","uni5506","uni97F6","uni5944","uni6963","uni9B77","uni6E32","uni75F4","uni7B20","uni63B0","uni78FA","uni8882","uni700B","uni701B","uni5A13","uni81BF","uni7A4C","uni6414","uni7FBF","uni4E3C","uni9A4A","uni8392","uni78F7","uni5331","uni549A","uni74A7","uni74CF","uni931A","uni6248","uni9C78","uni5EB5","uni61AC","uni9685","uni7515","uni7232","uni6482","uni6FE1","uni4F63","uni92F0","uni6DD2","uni8778","uni67B8","uni70FD","uni884A","uni6C1F","uni7407","uni5E11","uni711C","uni5C79","uni6B86","uni5CED","uni9210","uni50E5","uni54FC","uni51B6","uni742E","uni85E9","uni6FEC","uni6123","uni6F33","uni64C2","uni6F13","uni5208","uni984E","uni5992","uni83C5","uni55EF","uni8712","uni8FE5","uni7525","uni5993","uni9240","uni7728","uni809B","uni873F","uni7AAA","uni7C27","uni8700","uni5629","uni6D95","uni84A8","uni8859","uni8725","uni54EE","uni8B4E","uni64D2","uni8FFA","uni8823","uni8A15","uni6519","uni892B","uni93A7","uni701E","uni71B9","uni7656","uni7FAF","uni6D6F","uni8338","uni54BB","uni96C9","uni6252","uni919B","uni54A7","uni56DD","uni5C5C","uni665D","uni56EA","uni5ADA","uni96CB","uni70AF","uni93E2","uni5140","uni9766","uni5197","uni53A5","uni858F","uni8E8B","uni85D5","uni6346","uni8146","uni84D3","uni7B8D","uni5EEC","uni71DC","uni76BF","uni6ADA","uni5830","uni86C0","uni5978","uni60CB","uni8A61","uni7C84","uni5E37","uni925A","uni550F","uni807E","uni93B0","uni5F6A","uni828E","uni59DD","uni5277","uni98B6","uni8518","uni618B","uni5F1B","uni9119","uni606B","uni59F5","uni6D04","uni9321","uni82DE","uni8B3E","uni72F8","uni742C","uni8543","uni4F0E","uni7C50","uni645F","uni90A2","uni6684","uni824B","uni7B19","uni6059","uni961C","uni786F","uni823A","uni7274","uni7B51","uni920D","uni61A7","uni667E","uni9432","uni9157","uni81C6"],"基本包-漢字#10":["uni6CEE","uni8B10","uni4F70","uni6ECC","uni81FC","uni7941","uni7787","uni95A1","uni55D1","uni6C82","uni74BF","uni52FA","uni93AC","uni9CF6","uni5676","uni8611","uni9315","uni870A","uni8DDB","uni6BAD","uni53E8","uni856A","uni7E08","uni4F6C","uni8398","uni8CD1","uni8AF3","uni990C","uni72E1","uni5B40","uni8356","uni905B","uni6D85","uni6E2D","uni95D5","uni88F3","uni63C4","uni63F6","uni4E15","uni92C5","uni55E1","uni5420","uni900D","uni7BC6","uni7CA7","uni8DCB","uni9BD6","uni5189","uni60FA","uni915A","uni7E37","uni814B","uni812F","uni9A65","uni692A","uni99D2","uni7316","uni73C2","uni9AD6","uni87CE","uni6690","uni659F","uni7FDF","uni6666","uni5D69","uni77D7","uni68A2","uni72D9","uni7F8C","uni5F0B","uni7292","uni710A","uni6777","uni9E82","uni9296","uni5C94","uni5323","uni6043","uni6ED5","uni7C98","uni7A14","uni55F6","uni6C55","uni5636","uni82F3","uni9A62","uni7B9D","uni6C46","uni5241","uni619A","uni9083","uni92E4","uni8214","uni615A","uni5AC9","uni61FA","uni620E","uni6F5F","uni8FE2","uni585A","uni61AB","uni7436","uni6DEC","uni9041","uni4F47","uni6A62","uni98B3","uni8A1B","uni524B","uni540F","uni6787","uni9C2D","uni81BE","uni5664","uni70AC","uni6F29","uni57E0","uni916F","uni5FD0","uni78BE","uni5FD1","uni5777","uni8FAE","uni7281","uni71C1","uni62EE","uni795F","uni8835","uni5657","uni7E8D","uni8815","uni5486","uni6F31","uni83BD","uni55E3","uni766C","uni7440","uni776A","uni85FA","uni6DE9","uni8AE6","uni83D3","uni9951","uni4FD1","uni6096","uni6F23","uni8713","uni6175","uni873B","uni9D1B","uni5401","uni4FD8","uni4F8F","uni7942","uni689F","uni7117","uni615F","uni5638","uni5A6D","uni7337","uni6714","uni8892","uni8E4A","uni77BF","uni9251","uni568E","uni98BC","uni71F4","uni6A80","uni556A","uni6C85","uni9F66","uni741B","uni54CF","uni8DE4","uni636E","uni8A7C","uni51AA","uni7830","uni7740","uni9BE4","uni822B","uni8E35","uni7DD8","uni51DC","uni7C5F","uni9050","uni7D0A","uni8A54","uni4E2B","uni9D26","uni6FA7","uni7A62","uni7699","uni9318","uni555C","uni73FA","uni5490","uni4F96","uni8D05","uni67E2","uni606A","uni7921","uni72FD","uni91BA","uni6D5A","uni86A4","uni9B58","uni9C48","uni6C4E","uni5FA8","uni5AE3","uni5A6A","uni9AAF","uni9005","uni6C8C","uni8CB3","uni8511","uni77C7","uni9912","uni7599","uni6C5E","uni7D18","uni5249","uni7629","uni6D19","uni6D31","uni737A","uni7D43","uni557E","uni7F3D","uni5D27","uni65A1","uni807F","uni85D0","uni5AD6","uni9D70","uni68E3","uni7D5C","uni571C","uni7B87","uni8C4A","uni6968","uni7166","uni55DA","uni64AE","uni914B","uni8F9F","uni5471","uni7357","uni5A41","uni9E93","uni8F45","uni6479","uni6369","uni8423","uni5FAC","uni9176","uni5431","uni5671","uni6443","uni6E24","uni60D8","uni7F94","uni6CEF","uni8A5B","uni9102","uni5599","uni994C","uni89AC","uni7708","uni6194","uni6B38","uni60B4","uni993E","uni832D","uni9082","uni6F2A","uni83BF","uni7E1D","uni8FF8","uni89A6","uni82E1","uni6DCC","uni7BB4","uni8B04","uni6EA5","uni7827","uni819B","uni5FFF","uni9DF2","uni93D8","uni5889","uni92B9","uni4F03","uni4F91","uni6C28","uni6CB1","uni6215","uni8151","uni8E6D","uni7459","uni552C","uni9419","uni5A23","uni6BD7","uni504E","uni64E2","uni8A46","uni91E7","uni4E52","uni7005","uni86DF","uni504C","uni5E40","uni54CE","uni665E","uni75DE","uni6523","uni6452","uni778C","uni6A0A","uni8E4B","uni8568","uni69AD","uni71BE","uni70A4","uni7738","uni62C4","uni5537","uni8D1B","uni59E5","uni8A3C","uni6F7A","uni87D2","uni7B8B","uni69E4","uni6CF5","uni5B7D","uni8526","uni98F4","uni718F","uni4E10","uni7D79","uni60C7","uni7C38","uni77A5","uni6D8E","uni7FB2","uni7FF1","uni53CC","uni5800","uni557B","uni5950","uni6410","uni927B","uni5F9C","uni5DFD","uni6FD8","uni56CD","uni9730","uni7489","uni5A20","uni73A0","uni9DA9","uni86FE","uni61F5","uni97DC","uni6FB9","uni6522","uni5D87","uni54A8","uni87F3","uni9CE9","uni5F29","uni6035","uni75D4","uni54C6","uni77A0","uni73A5","uni7898","uni74E2","uni70F7","uni4E53","uni5F89","uni62F7","uni9257","uni6345","uni8737","uni76E5","uni5412","uni5D22","uni5AE1","uni7C9F","uni5501","uni8343","uni598A","uni7377","uni8A70","uni4F84","uni8B59","uni71FC","uni8FC2","uni7A96","uni9EDD","uni5C2A","uni7D09","uni9BE7","uni60DA","uni66C7","uni9621","uni502C","uni7E5A","uni98E9","uni8386","uni5544","uni9AB0","uni6144","uni620A","uni6518"],"基本包-漢字#11":["uni5B5A","uni90B0","uni5879","uni991B","uni66C4","uni6DDE","uni6499","uni76C5","uni63CD","uni69B7","uni7A79","uni91AE","uni9B28","uni78B4","uni61E6","uni62C8","uni8C82","uni6DE6","uni568F","uni8AA8","uni828A","uni5898","uni67B7","uni8A6B","uni8A86","uni9A01","uni5EB9","uni8477","uni60E6","uni542D","uni7947","uni939A","uni73E9","uni58EC","uni51BD","uni7CBC","uni60B5","uni63C0","uni93D7","uni7490","uni8174","uni91AF","uni8AF6","uni548B","uni913A","uni6D8C","uni9D15","uni80B4","uni5484","uni595A","uni5A3C","uni8869","uni8A10","uni63A3","uni84A1","uni6E29","uni8D0D","uni6221","uni4FFE","uni9E9D","uni6E6E","uni9D1E","uni5406","uni7B08","uni9F3E","uni55DD","uni6EC7","uni96BC","uni8B01","uni6440","uni923E","uni795B","uni9410","uni8913","uni75B1","uni8548","uni6727","uni6E4D","uni6DD6","uni56E1","uni616B","uni5DCD","uni9DE5","uni8AC9","uni4F09","uni4E69","uni5958","uni81E7","uni9358","uni7C0D","uni7D40","uni7BE1","uni7AFA","uni5BD0","uni643D","uni995E","uni9148","uni83A2","uni7122","uni8706","uni5121","uni8A25","uni6C08","uni95B9","uni8169","uni6A35","uni8A63","uni7678","uni6249","uni95CC","uni6D63","uni637B","uni5FA0","uni7D1C","uni7601","uni6CEB","uni5080","uni92CC","uni612B","uni5CAC","uni6B9E","uni9149","uni7A1F","uni59B2","uni8E1E","uni607F","uni53F1","uni7627","uni8EFE","uni6886","uni8494","uni74A3","uni6726","uni991E","uni8AEB","uni55C7","uni75D9","uni6473","uni75E3","uni82A1","uni8373","uni811B","uni71FF","uni8AC4","uni73DE","uni7E09","uni818A","uni8693","uni8B14","uni975B","uni769A","uni91F5","uni9AB7","uni6D93","uni564E","uni7F48","uni695E","uni5775","uni7A3C","uni891A","uni77BC","uni7A88","uni655D","uni5F57","uni618E","uni9EA9","uni9163","uni9BD3","uni9695","uni573B","uni59E3","uni7E82","uni542E","uni7889","uni8F46","uni7027","uni9997","uni942E","uni7825","uni9821","uni51E0","uni6BA4","uni5F12","uni6B12","uni5553","uni8E74","uni6A3D","uni6753","uni8F13","uni83D8","uni54AB","uni6ADB","uni7252","uni61DF","uni942B","uni64AC","uni85F7","uni6F7C","uni8734","uni6840","uni71CE","uni5CF4","uni78D5","uni86AF","uni8C49","uni527D","uni5809","uni757F","uni9E1E","uni9ACF","uni4EC6","uni8200","uni5F46","uni56FF","uni53FB","uni7168","uni8C4C","uni53FC","uni6376","uni875F","uni8708","uni6451","uni88CA","uni9C49","uni8914","uni9688","uni8334","uni76B0","uni71A8","uni5ECD","uni86A3","uni821B","uni5630","uni7837","uni637A","uni5E1A","uni7CDC","uni9672","uni9865","uni6715","uni55B3","uni4F43","uni705D","uni55B2","uni69AB","uni6D79","uni5B7A","uni5EBE","uni7D8F","uni88F1","uni93B3","uni9ED4","uni5C50","uni865C","uni7F5F","uni9E8B","uni80F3","uni6FE0","uni80ED","uni82E3","uni740A","uni86F9","uni55F2","uni7F8B","uni5F3C","uni795A","uni6822","uni792A","uni6DB8","uni5938","uni7D89","uni8435","uni93A9","uni90AF","uni6EC2","uni84BF","uni7A95","uni9035","uni532D","uni60BD","uni7CE0","uni8541","uni943A","uni85F9","uni6CD7","uni993F","uni5AE6","uni5AF5","uni5662","uni4E99","uni8CB2","uni6A47","uni6427","uni51C3","uni6B09","uni96F9","uni759D","uni75CD","uni73B3","uni5466","uni63AE","uni5F63","uni8A85","uni6FC2","uni6CBD","uni8188","uni9C39","uni75FE","uni5555","uni9132","uni5582","uni6E19","uni642A","uni634E","uni620C","uni87AB","uni868C","uni9AFB","uni5608","uni9365","uni9F95","uni9A4D","uni4F58","uni72A2","uni64C0","uni6CF1","uni55E4","uni652B","uni8E30","uni509A","uni9068","uni613F","uni92D0","uni5919","uni9211","uni7147","uni8E6C","uni5A29","uni87C4","uni5014","uni4F15","uni7B95","uni8925","uni8237","uni8CF8","uni7D73","uni8019","uni8A0C","uni587E","uni9F72","uni9798","uni8084","uni9D9A","uni8768","uni75B8","uni4EDF","uni7192","uni59BE","uni6F66","uni5575","uni86C6","uni8B5F","uni8E42","uni8E63","uni6425","uni774F","uni6698","uni932E","uni970E","uni8A03","uni7481","uni5B1B","uni55E6","uni80DB","uni695D","uni9398","uni5106","uni7E93","uni80BD","uni60BB","uni7AA0","uni9B5F","uni93D6","uni67B4","uni54A6","uni6595","uni8EAA","uni6AF8","uni958F","uni7B50","uni733E","uni75E2","uni55D4","uni6026","uni7A08","uni6C74","uni57C2","uni5E61","uni54AF","uni787C","uni8DDA","uni8CEC","uni776C","uni9BF0","uni6F87","uni92BB","uni87FE","uni71EC","uni9711","uni54A9","uni6C30","uni9B60","uni5F67","uni9F2C","uni9C5F","uni9642","uni4F7E","uni562E","uni7620","uni74A6"],"基本包-漢字#12":["uni547B","uni5429","uni57A0","uni75C2","uni84C6","uni5B51","uni5CB7","uni58D5","uni87CB","uni7C23","uni500F","uni8A36","uni9087","uni6954","uni8469","uni69D0","uni992C","uni6C93","uni9B23","uni9874","uni9B22","uni9114","uni78E1","uni765F","uni77DC","uni9DF8","uni64F0","uni849F","uni5A4A","uni623D","uni6F2F","uni87C0","uni84BB","uni923F","uni6371","uni737E","uni714A","uni8638","uni60C6","uni6AEB","uni8C62","uni558B","uni5B93","uni993D","uni9E75","uni62BF","uni5C3B","uni4FDF","uni84C0","uni9C08","uni7566","uni6041","uni68FB","uni5C4C","uni7BD9","uni7C6E","uni80EF","uni87B3","uni6AEA","uni7850","uni8E76","uni6939","uni7A37","uni7D02","uni9182","uni7498","uni9A2B","uni62F4","uni5871","uni5E43","uni548F","uni5B2A","uni57FC","uni67E9","uni69ED","uni9F5F","uni6C7E","uni6F97","uni58D1","uni9B03","uni7178","uni6EF8","uni7F4C","uni6942","uni9F6C","uni560D","uni908B","uni75A3","uni782D","uni9266","uni768E","uni5A11","uni70F4","uni643E","uni7634","uni9591","uni9062","uni9DBC","uni6D38","uni98ED","uni54BF","uni6979","uni9D89","uni5768","uni625E","uni740D","uni833C","uni5AA7","uni8EFC","uni7460","uni837B","uni965C","uni8B96","uni6D87","uni4FDA","uni83A0","uni7696","uni8222","uni726F","uni5A9E","uni8471","uni636B","uni6775","uni55AB","uni6B7F","uni66B9","uni7BE0","uni9A16","uni867B","uni623E","uni7C95","uni56E7","uni9BFD","uni6DFC","uni6BAE","uni621F","uni92A8","uni70B7","uni5B0B","uni83C0","uni8CC1","uni95C8","uni55F7","uni8E8A","uni8A16","uni7551","uni71C4","uni63AC","uni9169","uni83A7","uni8E87","uni73E3","uni9873","uni530D","uni7E0A","uni5DB8","uni6F94","uni5B43","uni83D6","uni911E","uni87AF","uni7DAC","uni75E7","uni9D6A","uni576F","uni761C","uni76F9","uni5B62","uni8605","uni621B","uni89F4","uni5EA0","uni4FCE","uni6ADF","uni8A4E","uni5043","uni5FD6","uni7995","uni64FB","uni95C7","uni9C54","uni5478","uni870D","uni9EBE","uni7B06","uni8941","uni871A","uni608C","uni80DD","uni9A40","uni528A","uni80FC","uni6841","uni80DC","uni8983","uni5E96","uni8703","uni5310","uni716C","uni8E09","uni80E5","uni9237","uni7370","uni8228","uni8722","uni74A9","uni9AD5","uni8E31","uni6894","uni8E4C","uni8AA5","uni6641","uni87E0","uni8F0A","uni938F","uni5527","uni5533","uni7018","uni5CD2","uni98AF","uni84CA","uni858A","uni6DC0","uni749C","uni938C","uni5E57","uni834F","uni5639","uni7319","uni82BB","uni6F09","uni755A","uni5660","uni76C2","uni7C2B","uni720C","uni7E39","uni5807","uni5138","uni5B71","uni9433","uni7DF2","uni50EE","uni6384","uni82AB","uni5D59","uni4F97","uni9773","uni9B29","uni620D","uni5600","uni8862","uni669D","uni5023","uni7AA3","uni9744","uni6E1A","uni9338","uni8831","uni9333","uni8C98","uni8429","uni5F5D","uni5B53","uni61E8","uni684E","uni6FF0","uni85BA","uni9C52","uni8B28","uni5E44","uni60F4","uni832F","uni645C","uni7B4C","uni9862","uni97C1","uni7B75","uni861A","uni9807","uni9E1B","uni7AB3","uni8EA1","uni750C","uni613E","uni75A5","uni7131","uni743F","uni5BA6","uni8E49","uni7FB6","uni4F7B","uni6DD9","uni62FD","uni8DE9","uni8E2E","uni92EF","uni75BD","uni4F76","uni9C13","uni7688","uni837D","uni7AB8","uni6773","uni5A9C","uni8DCE","uni5443","uni73FD","uni65FC","uni6D35","uni688F","uni752C","uni65B2","uni9719","uni596D","uni92CF","uni918D","uni828D","uni9BF7","uni9C58","uni6C24","uni7E35","uni81EC","uni92B2","uni7768","uni8CD2","uni5AFA","uni8E3D","uni50C2","uni54B2","uni7F63","uni9319","uni5A40","uni88A4","uni6014","uni768B","uni8340","uni7430","uni559F","uni7441","uni8960","uni7457","uni5514","uni6C69","uni92AB","uni6C33","uni6845","uni7E1E","uni843C","uni9D60","uni9EDC","uni9C0D","uni659B","uni7374","uni690F","uni6D94","uni9BA8","uni73B7","uni86A9","uni8A52","uni4F5D","uni965B","uni9427","uni5315","uni6B5B","uni936C","uni73EA","uni6342","uni56F9","uni7ABF","uni5F87","uni5704","uni65CC","uni5FEA","uni535E","uni9291","uni67FA","uni7765","uni6F8D","uni829B","uni5CAB","uni572E","uni83AA","uni5C63","uni7E10","uni5CEA","uni7C91","uni75F2","uni9190","uni973D","uni7C2A","uni6E8F","uni6382","uni9162","uni7CF8","uni74E0","uni9DC2","uni7D3A","uni65D6","uni8407","uni634C","uni5B7F","uni99DF","uni8EFB","uni9909","uni82A9","uni5A97","uni9D06","uni6F78","uni8888","uni88DF","uni580A","uni80D7","uni75F9","uni8757","uni54BE","uni597C","uni91E9","uni923D","uni7BF3"],"基本包-漢字#13":["uni8093","uni4F5F","uni50ED","uni868B","uni9BAB","uni90A8","uni5FE4","uni7432","uni95A4","uni88E8","uni664C","uni8956","uni7352","uni59EE","uni6C26","uni9088","uni5D94","uni8D67","uni8B05","uni9D34","uni55E9","uni6555","uni57D7","uni7934","uni84D6","uni5D99","uni9A6A","uni561C","uni8D6D","uni7FA5","uni5F6B","uni5A62","uni86ED","uni57DC","uni96B4","uni9A64","uni82F7","uni752D","uni54D6","uni8ACD","uni63D6","uni8D17","uni845A","uni7D15","uni7791","uni83A8","uni5E54","uni86AA","uni9870","uni874C","uni614D","uni4FFA","uni79C8","uni6406","uni8378","uni9768","uni9948","uni5504","uni9E1D","uni81E0","uni712F","uni8C3F","uni83C8","uni6AFA","uni7230","uni9C31","uni76F1","uni97A3","uni60FB","uni5DF3","uni7C0C","uni9095","uni9F10","uni8129","uni81C3","uni64E4","uni97C3","uni85FF","uni5494","uni7616","uni5D4B","uni530F","uni518F","uni7287","uni8CE1","uni4F57","uni5022","uni944A","uni5CCB","uni5707","uni81CA","uni9837","uni5530","uni5AD7","uni83DF","uni85EA","uni9460","uni56EB","uni7843","uni826E","uni83FD","uni8707","uni5A0C","uni4EE8","uni846D","uni919A","uni59AF","uni7F61","uni889E","uni53DF","uni75FF","uni6E9F","uni7852","uni82DC","uni93B5","uni9ECD","uni8DFA","uni7A60","uni5072","uni6A90","uni68F9","uni8153","uni4EC4","uni7A17","uni5028","uni79BA","uni71E0","uni946D","uni5AD8","uni672E","uni7E1F","uni80B1","uni7AD1","uni95BE","uni6CE0","uni9B08","uni5998","uni5665","uni8B2B","uni8476","uni7FEB","uni7762","uni7FF3","uni6FEF","uni5B34","uni5B6C","uni866B","uni5577","uni5048","uni5B08","uni8E53","uni5B17","uni6134","uni7462","uni54E7","uni53F5","uni65CE","uni8839","uni7085","uni84FF","uni9BDD","uni66B8","uni5EC4","uni4F5A","uni8AC2","uni5693","uni7670","uni9477","uni8D73","uni4FE5","uni6609","uni7AFD","uni99B1","uni8FE4","uni84F4","uni98BA","uni502D","uni89B2","uni6D33","uni56C8","uni8E2A","uni8FD3","uni89D4","uni88AA","uni68F1","uni51BC","uni84D1","uni69C1","uni6849","uni75FC","uni57C6","uni92C3","uni69C3","uni9D12","uni792C","uni6EC9","uni5D3D","uni64BE","uni534D","uni8052","uni8E82","uni8B92","uni9DF4","uni8B16","uni6C8F","uni9A41","uni8B8E","uni75E4","uni520E","uni63E0","uni67D2","uni8C8D","uni847A","uni7BB8","uni7CB3","uni7911","uni86DE","uni8C85","uni937A","uni9131","uni77F8","uni8E5A","uni7BDD","uni8753","uni8902","uni8EEB","uni87C6","uni8ED4","uni8C94","uni6A84","uni7638","uni9F41","uni5EE8","uni9943","uni8350","uni501C","uni9AC2","uni7893","uni89E5","uni64A2","uni6DC5","uni7086","uni6F82","uni8E7C","uni5685","uni9403","uni8E59","uni4EB3","uni58FC","uni76B4","uni4FF3","uni9BE1","uni9EE0","uni73A8","uni53C1","uni8004","uni82F9","uni7069","uni9B7D","uni9F6A","uni9F77","uni6C68","uni9BEA","uni6D0C","uni8438","uni99D9","uni7095","uni7D5B","uni5773","uni57B5","uni7258","uni56C1","uni80F4","uni8306","uni6E1F","uni5659","uni61E3","uni800B","uni5DA0","uni741A","uni5C38","uni71FE","uni977C","uni9C67","uni713F","uni7360","uni9397","uni98E7","uni9F5C","uni6F41","uni6AD3","uni8F26","uni7CB2","uni8ADB","uni4EDD","uni6C86","uni6332","uni610E","uni9278","uni9436","uni9283","uni9A3E","uni5EF8","uni5B21","uni6396","uni8218","uni75F1","uni7DA3","uni8AE4","uni9F2F","uni8CC5","uni6BFD","uni9D87","uni78A3","uni7094","uni55B1","uni992E","uni6772","uni6816","uni91B1","uni8198","uni929A","uni7BFE","uni9C7A","uni8821","uni72D2","uni81FE","uni6792","uni6FEE","uni93A2","uni5563","uni92BC","uni8E0A","uni9238","uni86C4","uni8F42","uni6677","uni7023","uni8C7A","uni67B3","uni78EC","uni6634","uni7386","uni7669","uni7032","uni564D","uni7785","uni57E1","uni73C5","uni500C","uni6CC5","uni95AD","uni601C","uni9090","uni5981","uni7E9B","uni513B","uni756F","uni8811","uni763B","uni58BB","uni824F","uni6F6F","uni63E9","uni9B4D","uni8298","uni90C3","uni574F","uni914A","uni7845","uni81DA","uni5511","uni7B74","uni82D2","uni84B9","uni62C5","uni6DBF","uni59A3","uni86B1","uni65C2","uni931E","uni579B","uni74DA","uni69F2","uni9C72","uni7E7E","uni9AEF","uni7FE6","uni920E","uni781D","uni5658","uni82E7","uni7A09","uni82BE","uni4F53","uni855E","uni87BB","uni7812","uni5914","uni4F5E","uni6BEC","uni6962","uni8ACF","uni9B1F","uni8210","uni6506","uni8938","uni924B","uni5186","uni9EF7","uni9134","uni5FDD","uni7FB8","uni5FEE","uni9B69","uni6BAB","uni6019","uni71E7","uni52BC","uni55DF"],"基本包-漢字#14":["uni9684","uni6266","uni9122","uni7835","uni8879","uni8012","uni9785","uni6516","uni86B6","uni7E88","uni72F7","uni4E93","uni95CB","uni6EB4","uni5C58","uni8919","uni8988","uni8B6D","uni50A3","uni914E","uni9F67","uni55D2","uni5E76","uni9BC1","uni91B4","uni5464","uni64A3","uni6759","uni8599","uni690B","uni8788","uni6A48","uni746D","uni8893","uni617C","uni4E07","uni9DBA","uni5F01","uni879F","uni902D","uni71D0","uni6A8E","uni86C9","uni9C25","uni5A09","uni9021","uni982B","uni6CAC","uni6476","uni8AE2","uni6ED3","uni8AE1","uni5541","uni5274","uni5D82","uni8964","uni7CC5","uni9C24","uni6E3C","uni6ECE","uni526E","uni9BC0","uni8E85","uni6A28","uni68E8","uni50D6","uni88CE","uni981C","uni6BD8","uni7B67","uni4FEC","uni6DC4","uni69FB","uni9C15","uni574C","uni7BC1","uni70D4","uni8E91","uni729B","uni8A92","uni6F15","uni81BB","uni77EC","uni54DE","uni799B","uni7E47","uni4F98","uni5FD2","uni5157","uni56D4","uni4EF7","uni9146","uni6441","uni673A","uni8E1F","uni9376","uni4EDE","uni8118","uni68A0","uni8709","uni4837","uni552D","uni4EC3","uni5000","uni87EF","uni8872","uni5E14","uni8E95","uni9582","uni7296","uni7594","uni6029","uni86FA","uni8A22","uni55A8","uni55C4","uni56B6","uni71D4","uni8E60","uni8278","uni7957","uni5FF8","uni9C47","uni5F4A","uni5482","uni7646","uni9D6F","uni723B","uni560C","uni6E5F","uni5880","uni6147","uni5D9D","uni6525","uni832C","uni92A5","uni79ED","uni8EDB","uni7D08","uni869C","uni9150","uni7B2B","uni9B9F","uni95D0","uni6B84","uni84FC","uni5187","uni7DB0","uni83F0","uni9D07","uni9B3B","uni91C6","uni7962","uni7284","uni99E2","uni9354","uni7FEC","uni887F","uni8A91","uni634B","uni5D1A","uni550E","uni57D2","uni7C11","uni8E67","uni566B","uni8075","uni99D1","uni9D23","uni56DF","uni72CE","uni7DB9","uni9DD3","uni600F","uni84B4","uni7725","uni5613","uni6C19","uni56D7","uni71B5","uni5481","uni9C3E","uni8B33","uni6D65","uni52E3","uni733B","uni7DAB","uni5C22","uni5191","uni96E9","uni54C2","uni4FF5","uni96F0","uni6B8D","uni5D6C","uni925E","uni79E3","uni8D14","uni8E55","uni515A","uni92E6","uni67D8","uni7D06","uni8AFC","uni6173","uni7BAC","uni649A","uni525C","uni8E69","uni7CF6","uni7322","uni758B","uni5EE1","uni96CE","uni7120","uni5B5B","uni81CF","uni86D4","uni6C10","uni60B1","uni7622","uni9B74","uni5108","uni8EA5","uni8026","uni5D47","uni7CA8","uni8C89","uni5C6D","uni8DEB","uni609B","uni8622","uni7747","uni6153","uni926C","uni8F61","uni8F64","uni69E8","uni67D9","uni79B0","uni58CE","uni77D3","uni980A","uni558F","uni6E72","uni9853","uni7197","uni91D9","uni87AD","uni84EA","uni6435","uni8B6B","uni87BD","uni5ABE","uni8C55","uni76CD","uni8763","uni74E4","uni8A3E","uni8AA7","uni6E4E","uni7A1E","uni73A6","uni8813","uni513A","uni9AED","uni9B51","uni7C1E","uni723F","uni4E5C","uni92A6","uni566F","uni8249","uni51A2","uni7228","uni866F","uni6106","uni6E98","uni56C0","uni693D","uni6C2A","uni7CE2","uni58D9","uni972A","uni61CC","uni7E7B","uni9658","uni5591","uni840B","uni696B","uni995C","uni90E4","uni5793","uni572F","uni9D1F","uni778B","uni8E93","uni8202","uni84AF","uni7B0F","uni8506","uni696E","uni7826","uni64FC","uni79B3","uni6C2C","uni4F1D","uni6F1A","uni56D3","uni84BA","uni4FF6","uni730A","uni6760","uni7B1E","uni9AC1","uni8C78","uni84FD","uni9AE1","uni8D96","uni6222","uni5110","uni6D28","uni779F","uni5550","uni53F6","uni5F58","uni846F","uni59D8","uni9A43","uni7F45","uni7664","uni5576","uni584B","uni543D","uni9C06","uni90E2","uni6AAE","uni4F62","uni73E5","uni9036","uni852B","uni6D12","uni4E0E","uni6C02","uni890A","uni7BCB","uni7AC8","uni8564","uni7A39","uni7064","uni52D7","uni766D","uni8E47","uni7E34","uni7E45","uni6D01","uni9248","uni814A","uni93D1","uni9C02","uni6A97","uni9F15","uni9B4E","uni775A","uni69D9","uni965F","uni6B9B","uni82FA","uni8A07","uni52F0","uni5284","uni887D","uni9F34","uni80C4","uni7E94","uni92C7","uni8148","uni7DD9","uni9DF3","uni5B45","uni4F94","uni6308","uni83F4","uni6549","uni5025","uni5ACB","uni76A4","uni771B","uni9ECC","uni9F07","uni753E","uni7FD5","uni65AB","uni50AF","uni677C","uni793D","uni96D2","uni86F8","uni7D2C","uni4F7A","uni5D6F","uni83EB","uni7471","uni85A8","uni85A4","uni5627","uni7C0B","uni5096","uni7658","uni61CD","uni6302","uni8B9C","uni905D","uni57ED","uni6B59","uni7FEE","uni772F","uni5BE4","uni7E56","uni9EE5"],"基本包-漢字#15":["uni6748","uni91F9","uni83D4","uni8DD6","uni787F","uni8F1C","uni610D","uni5414","uni9A2E","uni742F","uni5754","uni4EF3","uni90D7","uni6A05","uni9011","uni5B1D","uni5FAD","uni8617","uni82FB","uni6844","uni82D9","uni52AC","uni9B95","uni8729","uni8A41","uni5E5B","uni8F33","uni75B3","uni698E","uni887E","uni5E18","uni6B43","uni5B56","uni9335","uni7D9E","uni8921","uni7E52","uni5B4C","uni4F0B","uni6C1A","uni6635","uni7F4D","uni6DDD","uni8C73","uni6C94","uni5769","uni80AB","uni66E9","uni8E2B","uni8A9A","uni924D","uni55D6","uni799A","uni5C59","uni6898","uni7CA9","uni8785","uni763A","uni874E","uni70DF","uni574B","uni77BD","uni895E","uni51C4","uni91F7","uni50C9","uni736A","uni74DE","uni509C","uni5CAD","uni9EFD","uni915E","uni9628","uni8FE8","uni62CF","uni705E","uni7B6E","uni65D2","uni859C","uni9962","uni6207","uni8011","uni9949","uni9AD1","uni8721","uni6ADE","uni57F5","uni64E3","uni93E8","uni6883","uni6C16","uni9C56","uni5D06","uni77E7","uni5E19","uni7A61","uni6AA3","uni581D","uni8195","uni8418","uni8C8A","uni801C","uni6978","uni78E7","uni6B5F","uni7350","uni72FB","uni67CA","uni8FC6","uni946A","uni78D4","uni56A6","uni7707","uni76B8","uni6251","uni96B9","uni59D2","uni89DA","uni5969","uni6662","uni9BD4","uni96B0","uni814C","uni84CD","uni6294","uni6E63","uni92A3","uni8071","uni7E98","uni6AE8","uni93C3","uni61C3","uni6B37","uni66F7","uni7380","uni725D","uni6042","uni600D","uni6D2E","uni52E6","uni9CE7","uni64EF","uni64B3","uni6793","uni8347","uni80C7","uni82EB","uni750D","uni5BD4","uni55E5","uni5114","uni5C44","uni93DC","uni6C05","uni7240","uni6624","uni7C40","uni7146","uni4FE3","uni9AEB","uni9179","uni72BD","uni7E11","uni5B32","uni876E","uni6B0F","uni67B5","uni808F","uni6B82","uni9239","uni5F5E","uni9B48","uni7BE6","uni9AC0","uni9016","uni9B32","uni7953","uni6C21","uni50B4","uni7CF4","uni5709","uni542C","uni9ED0","uni867A","uni6E54","uni6AEC","uni587D","uni50DE","uni7F36","uni85B9","uni95CD","uni8A48","uni8028","uni5B65","uni8806","uni7648","uni8AD7","uni7473","uni7F51","uni51ED","uni5535","uni84BD","uni906F","uni6554","uni966C","uni7540","uni7D07","uni7E70","uni7E32","uni54AD","uni5C68","uni93CD","uni75C0","uni7D63","uni674C","uni9B92","uni74EE","uni6603","uni6C18","uni7C65","uni5155","uni8F54","uni52BB","uni8915","uni9F19","uni7BCC","uni9BC8","uni7D32","uni7D5D","uni880A","uni5924","uni6C14","uni5B2C","uni86BA","uni5FBC","uni6100","uni937C","uni6ADD","uni68B1","uni69A7","uni83A9","uni90B6","uni8182","uni7301","uni4E42","uni9D03","uni5820","uni7CCC","uni57F4","uni3E74","uni666C","uni646D","uni9A35","uni601B","uni7F86","uni731E","uni754B","uni5454","uni577C","uni90FE","uni56CC","uni6AA0","uni5686","uni55C9","uni7DE1","uni7DC7","uni536E","uni7256","uni5DC9","uni97C9","uni615D","uni6FAA","uni61AE","uni7946","uni89A1","uni7AE6","uni6D0E","uni9139","uni86D0","uni87C8","uni87E5","uni6AF1","uni668D","uni8A0F","uni6FB6","uni829F","uni5B16","uni8130","uni72B0","uni7FA7","uni5ABC","uni72F3","uni5A6C","uni8FB5","uni93DD","uni5382","uni7609","uni761D","uni508C","uni9B98","uni7B2A","uni9058","uni592C","uni9EF9","uni5EFE","uni558E","uni4EF5","uni4F18","uni62CA","uni6434","uni8856","uni75F3","uni676A","uni67C1","uni67DE","uni9207","uni86B0","uni513F","uni547F","uni5463","uni6F72","uni82A3","uni7C63","uni9724","uni7BA0","uni561E","uni7FB0","uni58A6","uni7BDB","uni78F4","uni546F","uni8DFC","uni5C88","uni5D24","uni60CA","uni50E9","uni5488","uni89E6","uni63AF","uni67DD","uni6A7E","uni89BF","uni75D2","uni7D3C","uni88D2","uni6781","uni507A","uni7E48","uni637D","uni506D","uni6271","uni5557","uni8A68","uni8816","uni602B","uni8CFB","uni784E","uni786E","uni8D76","uni74D6","uni5216","uni8DAF","uni6C8D","uni8695","uni8ECF","uni7F6B","uni9312","uni6FA6","uni82B0","uni9674","uni91ED","uni5723","uni572C","uni5852","uni927C","uni5F33","uni68A1","uni5545","uni690C","uni6C15","uni6CD6","uni6D2B","uni6E9A","uni7113","uni81E2","uni5293","uni7313","uni7E59","uni753D","uni50CE","uni50C7","uni9ABE","uni754E","uni9DB8","uni7820","uni784D","u29D5A"],"基本包-符號":["exclam","quotedbl","numbersign","dollar","percent","ampersand","quotesingle","parenleft","parenright","asterisk","plus","comma","hyphen","period","slash","zero","one","two","three","four","five","six","seven","eight","nine","colon","semicolon","less","equal","greater","question","at","A","B","C","D","E","F","G","H","I","J","K","L","M","N","O","P","Q","R","S","T","U","V","W","X","Y","Z","bracketleft","backslash","bracketright","asciicircum","underscore","grave","a","b","c","d","e","f","g","h","i","j","k","l","m","n","o","p","q","r","s","t","u","v","w","x","y","z","braceleft","bar","braceright","asciitilde","cent","sterling","yen","section","copyright","registered","degree","plusminus","periodcentered","multiply","divide","uni02CA","caron","uni02CB","dotaccent","endash","emdash","uni2015","quoteleft","quoteright","quotedblleft","quotedblright","bullet","ellipsis","uniFE19","uni2027","perthousand","minute","uni2035","uni203B","Euro","uni2103","uni2109","trademark","uni2160","uni2161","uni2162","uni2163","uni2164","uni2165","uni2166","uni2167","uni2168","uni2169","arrowleft","arrowup","arrowright","arrowdown","uni2196","uni2197","uni2198","uni2199","uni2215","radical","infinity","orthogonal","angle","uni2225","intersection","union","integral","uni222E","therefore","uni2235","uni2252","notequal","equivalence","uni2266","uni2267","circleplus","uni2299","perpendicular","uni22BF","uni22EE","uni22EF","uni2460","uni2461","uni2462","uni2463","uni2464","uni2465","uni2466","uni2467","uni2468","uni2469","uni246A","uni246B","uni246C","uni246D","uni246E","uni246F","uni2470","uni2471","uni2472","uni2473","uni24EA","SF100000","SF110000","SF010000","SF030000","SF020000","SF040000","SF080000","SF090000","SF060000","SF070000","SF050000","SF430000","uni2571","uni2572","uni2573","filledbox","H22073","triagup","uni25B3","triagdn","uni25BD","uni25C6","uni25C7","circle","uni25CE","H18533","uni25E2","uni25E3","uni25E4","uni25E5","uni2605","uni2606","uni3001","uni3002","uni3007","uni3008","uniFE3F","uni3009","uniFE40","uni300A","uniFE3D","uni300B","uniFE3E","uni300C","uniFE41","uni300D","uniFE42","uni300E","uniFE43","uni300F","uniFE44","uni3010","uniFE3B","uni3011","uniFE3C","uni3016","uni3017","uniFE17","uniFE18","uni3014","uniFE39","uni3015","uniFE3A","uni301C","uni301C.vert","uni3105","uni3106","uni3107","uni3108","uni3109","uni310A","uni310B","uni310C","uni310D","uni310E","uni310F","uni3110","uni3111","uni3112","uni3113","uni3114","uni3115","uni3116","uni3117","uni3118","uni3119","uni311A","uni311B","uni311C","uni311D","uni311E","uni311F","uni3120","uni3121","uni3122","uni3123","uni3124","uni3125","uni3126","uni3127","uni3128","uni3129","uni32A3","uniFF01","uniFF03","uniFF04","uniFF05","uniFF06","uniFF08","uniFE35","uniFF09","uniFE36","uniFF0A","uniFF0B","uniFF0C","uniFF0D","uniFF0E","uniFF0F","uniFF1A","uniFF1B","uniFF1C","uniFF1D","uniFF1E","uniFF1F","uniFF3B","uniFE47","uniFF3C","uniFF3D","uniFE48","uniFF3F","uniFF5B","uniFE37","uniFF5C","uniFF5D","uniFE38","uniFF5E","uniFF5E.vert","uniFFE0","uniFFE1","uniFFE3","uniFFE5","heart","uni2661"],"本土包-漢字#1":["uni6996","uni7E2D","uni4FCD","uni58E0","uni6966","uni9E15","uni9DBF","uni7B31","uni8731","uni6AA8","uni4E2A","uni65EE","uni8E05","uni763C","uni9C3A","uni696C","uni8557","uni77FB","uni62BA","uni7CA2","uni7D6D","uni81A6","uni7B45","uni7823","uni5997","uni7931","uni95AC","uni92C9","uni6CA2","uni690A","uni732B","uni5C1E","uni5699","uni5906","uni894C","uni776D","uni69FA","uni5374","uni8DBA","uni9BB8","uni5D20","uni9B2E","uni9BD7","uni9C21","uni4F6E","uni9ED7","uni7C57","uni5505","uni7CCD","uni6CD4","uni6387","uni9BEE","uni6D61","uni7C59","uni7853","uni9B90","uni57BA","uni87F6","uni8DCF","uni5F9B","uni65EF","uni5472","uni9C59","uni871E","uni82F4","uni676E","uni5572","uni8122","uni8579","uni68F0","uni75B4","uni7F7E","uni7630","uni5223","uni56F7","uni91C5","uni78AD","uni6B39","uni75DF","uni6877","uni7D6A","uni7CDD","uni6C6B","uni825A","uni6AF3","uni6A50","uni5F73","uni9D96","uni6661","uni88FE","uni4E8D","uni6FC6","uni9F08","uni5549","uni7E50","uni683F","uni7B25","uni7BFC","uni8D92","uni7511","uni5AF2","uni7AFB","uni7667","uni8DC8","uni6831","uni651E","uni66DA","uni6352","uni8FCC","uni6498","uni866C","uni765C","uni9826","uni534C","uni760C","uni9DEF","uni76E6","uni8E7D","uni5AA0","uni56E5","uni752A","uni91A1","uni528C","uni8E84","uni51CA","uni6AAB","uni7896","uni5DB7","uni566D","uni55D9","uni6B55","uni5B2D","uni5AB8","uni569F","uni4606","uni9914","uni696F","uni867C","uni8947","uni8E40","uni98EB","uni6E60","uni7967","uni924E","uni52CD","uni562C","uni5474","uni7B10","uni5AB1","uni648B","uni9BC3","uni39E1","uni6957","uni91C3","uni8772","uni86BB","uni8E23","uni91A2","uni60BE","uni8CBA","uni8585","uni8ADE","uni57A4","uni88FC","uni7910","uni6365","uni5413","uni5487","uni71F6","uni8558","uni5945","uni62D1","uni8E41","uni6511","uni814D","uni62BE","uni6733","uni54E2","uni8590","uni45C1","uni917A","uni7869","uni551A","uni527A","uni7187","uni5953","uni6335","uni5CCE","uni9933","uni95BC","uni6B95","uni6B36","uni6F57","uni6A5B","uni649F","uni7809","uni7160","uni9413","uni584D","uni75CC","uni52FC","uni55BA","uni92E9","uni6E53","uni5A17","uni55EC","uni6225","uni5F07","uni8E14","uni8CF0","uni50B1","uni92DF","uni9EB6","uni6426","uni7F68","uni6475","uni5008","uni8995","uni63EC","uni8E5B","uni89DC","uni553F","uni62F9","uni5588","uni630C","uni6546","uni5666","uni800E","uni9BA2","uni567C","uni9B6C","uni9ABF","uni80E0","uni502F","uni78F3","uni633C","uni8125","uni8DCD","uni71A5","uni72CC","uni5771","uni6359","uni812C","uni6039","uni8DE3","uni63F2","uni79EB","uni58BC","uni81A3","uni83DD","uni88CC","uni81C1","uni8FF5","uni63C8","uni7201","uni7B0A","uni4180","uni63DC","uni5ED5","uni8E2D","uni8E1C","uni7A9E","uni9364","uni638A","uni71D6","uni9471","uni57FD","uni71C2","uni7278","uni686E","uni999D","uni99A6","uni6152","uni85B8","uni4FB9","uni644E","uni6C95","uni7513","uni8016","uni7DAF","uni8DBC","uni55A5","uni50AA","uni5131","uni521C","uni714F","uni7110","uni6FDE","uni62F5","uni897B","uni5402","uni889A","uni7640","uni5C7B","uni8940","uni6EA1","uni6504","uni8818","uni75DA","uni8810","uni52E5","uni75C3","uni87EE","uni87E7","uni87BF","uni6567","uni6568","uni89F3","uni5133","uni8794","uni877B","uni55F9","uni78A1","uni8DC1","uni85E0","uni67EB","uni78DF","uni6423","uni4EBC","uni6422","uni859F","uni7924","uni8DD5","uni6878","uni725A","uni68D1","uni79EA","uni63E4","uni7AB5","uni63D9","uni4625","uni8E98","uni8308","uni8EC1","uni69BC","uni69D4","uni7B12","uni6A20","uni9012","uni9079","uni639D","uni91B9","uni9203","uni7B85","uni8181","uni6B31","uni637E","uni9481","uni6358","uni9815","uni60DD","uni9F22","uni6354","uni3A02","uni6110","uni7CCB","uni625A","uni7181","uni6261","uni6CE7","uni6315","uni6D5E","uni9BBB","uni6310","uni7E0B","uni6E27","uni9C17","uni9D41","uni70B1","uni62F6","uni547E","uni9D53","uni6285","uni6F16","uni6F26","uni6EEE","uni6FA9","uni6ED2","uni6E93","uni7033","uni7047","uni70A3","uni70B0","uni6E62","uni70CC","uni70F0","uni70F3","uni6DF0","uni6D97","uni6D18","uni7161","uni6CCF","uni6C8A","uni719D","uni6BFF","uni71B0","uni71BB","uni6B41","uni6AFC","uni6A42","uni697B","uni7227","uni68B9","uni6871","uni7285","uni684D","uni730C","uni684A","uni3401","uni6712","uni6571","uni7595","uni75A7","uni654B","uni75B6","uni75BA","uni6515","uni650E","uni650B","uni6509"],"本土包-漢字#2":["uni75E1","uni64FD","uni64F8","uni64F3","uni64DB","uni7649","uni7657","uni64D7","uni7660","uni64D0","uni64C9","uni7721","uni7735","uni64A8","uni77A8","uni77FA","uni64A0","uni7804","uni648F","uni781B","uni648D","uni6486","uni785E","uni6471","uni6460","uni645D","uni78AB","uni6456","uni6429","uni6424","uni641F","uni641D","uni6419","uni6409","uni79E5","uni63FB","uni63F0","uni79EE","uni7A34","uni63EB","uni63E2","uni7AF3","uni7AF5","uni63DE","uni63CC","uni63CB","uni63C7","uni639E","uni639C","uni6397","uni6394","uni7BF1","uni635D","uni6357","uni6340","uni7C85","uni7C9E","uni6337","uni6336","uni6333","uni6331","uni7D29","uni7D5A","uni6329","uni6314","uni6313","uni7DDF","uni7DEA","uni6303","uni7E12","uni7E16","uni62C1","uni7E4F","uni6290","uni7E77","uni628C","uni7F76","uni6277","uni7F93","uni7FB4","uni7FCD","uni7FF8","uni6274","uni6272","uni801E","uni806C","uni80A8","uni80AD","uni80D0","uni80D8","uni6250","uni80EE","uni80F2","uni80FF","uni61A2","uni6116","uni8127","uni60BF","uni813D","uni6045","uni8161","uni6010","uni818B","uni818E","uni5F54","uni5EB0","uni81AD","uni5C67","uni81CC","uni81FD","uni5B72","uni5A8C","uni5A78","uni834D","uni59FC","uni83E3","uni8552","uni5952","uni5940","uni8573","uni5860","uni8581","uni579E","uni5749","uni571D","uni56EE","uni85C3","uni56BE","uni56B5","uni5677","uni5610","uni8705","uni55FE","uni55FA","uni873A","uni8752","uni875B","uni875D","uni55CB","uni8779","uni55A4","uni55A2","uni8795","uni87B7","uni5593","uni558C","uni5536","uni5529","uni550C","uni550A","uni54F9","uni54F1","uni54EF","uni54CA","uni548D","uni5467","uni53F9","uni533C","uni8982","uni5327","uni527E","uni89F1","uni5213","uni8A04","uni8A4F","uni8A90","uni5210","uni8B3C","uni8B40","uni8C4D","uni8C6D","uni51F4","uni5111","uni8D0C","uni8D10","uni50EB","uni50C6","uni505D","uni5032","uni8DC2","uni4F3B","uni4F28","uni4C85","uni8DD4","uni4BCB","uni8DD9","uni4ACC","uni48A2","uni488D","uni4821","uni47E9","uni47D8","uni47D3","uni479A","uni8E54","uni8E58","uni463C","uni8E73","uni45D0","uni45C6","uni45B3","uni8EBC","uni8EBD","uni4599","uni4308","uni8FD2","uni4242","uni4204","uni9029","uni9070","uni41F6","uni9147","uni40D7","uni406F","uni4034","uni402F","uni4010","uni3FF8","uni9202","uni3F8A","uni9217","uni922A","uni3F80","uni9254","uni928E","uni3F4E","uni3F13","uni3E30","uni9311","uni3E10","uni93C0","uni3DEE","uni9462","uni3D19","uni3D18","uni9595","uni3C35","uni3B39","uni96FA","uni9757","uni3A90","uni3A46","uni3A3B","uni3A2A","uni9932","uni3A28","uni3A11","uni39FE","uni9AB1","uni39FB","uni9B16","uni9B1E","uni39E3","uni39D2","uni9B8A","uni39CE","uni9BA1","uni39CC","uni39C1","uni3915","uni3909","uni3769","uni3757","uni9C07","uni3737","uni372E","uni9C2E","uni361D","uni361B","uni3614","uni35F1","uni9D64","uni9D7B","uni35D8","uni35B8","uni9DDD","uni3585","uni3578","uni9EAD","uni3502","uni34FE","uni3441","uni6B97","uni9F46","uni9F56","uni9F74","uni9F7B","u2028E","u203B7","u20546","u20547","u20584","u205FB","u20731","u207A9","u207AD","u20803","u2081D","u20895","u20BD7","u20CBF","u21883","u21CDE","u22399","u22AB1","u22AE6","u22BED","u22BFE","u22C64","u22CB4","u22CB8","u22CC6","u22CEA","u22D80","u22F0C","u22F1B","u23073","u23350","u236EE","u23B88","u23CA9","u23EF8","u23F0E","u241AC","u24259","u242B6","u2430D","u24352","u24419","u24430","u24605","u2479A","u24C8D","u24D83","u24E01","u24E31","u24E85","u24EAA","u2524C","u2531A","u25349","u25435","u2546E","u25BDF","u25BE5","u25C14","u25D0A","u25E86","u2624E","u26293","u26706","u267EA","u2725F","u27285","u27304","u27A63","u27B99","u27EF4","u27FEC","u27FF3","u280BE","u280BF","u280F0","u28154","u28468","u28487","u28891","u2947E","u296A8","u296E9","u29704","u29730","u29D71","u29E19","u29E36","u29F27","u2A04E","u2A41E","u2A590","u2A612","u2A736","u2AE5A","u2B74F","u2B758","u2B75B","u2B77A","u2B77B","u2B7BC","u2B7C2","u2B7E7","u2B81B","u2B8C6","u2C816","u2C9B0","u308FB","u30E6C","u31C7F"],"本土包-符號":["gravecomb","acutecomb","uni0302","uni0304","uni0306","uni030B","uni030C","uni030D","uni0358","aacute","agrave","acircumflex","uni01CE","amacron","a_uni030D","abreve","a_uni030B","Aacute","Agrave","Acircumflex","uni01CD","Amacron","A_uni030D","Abreve","A_uni030B","eacute","egrave","ecircumflex","ecaron","emacron","e_uni030D","ebreve","e_uni030B","Eacute","Egrave","Ecircumflex","Ecaron","Emacron","E_uni030D","Ebreve","E_uni030B","iacute","igrave","icircumflex","uni01D0","imacron","i_uni030D","ibreve","i_uni030B","Iacute","Igrave","Icircumflex","uni01CF","Imacron","I_uni030D","Ibreve","I_uni030B","uni1E3F","m_gravecomb","m_uni0302","m_uni030C","m_uni0304","m_uni030D","m_uni0306","m_uni030B","uni1E3E","M_gravecomb","M_uni0302","M_uni030C","M_uni0304","M_uni030D","M_uni0306","M_uni030B","uni207F","nacute","uni01F9","n_uni0302","n_uni030C","n_uni0304","n_uni030D","n_uni0306","n_uni030B","uni1D3A","Nacute","uni01F8","N_uni0302","N_uni030C","N_uni0304","N_uni030D","N_uni0306","N_uni030B","oacute","ograve","ocircumflex","uni01D2","omacron","o_uni030D","obreve","ohungarumlaut","Oacute","Ograve","Ocircumflex","uni01D1","Omacron","O_uni030D","Obreve","Ohungarumlaut","o_uni0358","oacute_uni0358","ograve_uni0358","ocircumflex_uni0358","uni01D2_uni0358","omacron_uni0358","o_uni030D_uni0358","o_uni030B_uni0358","O_uni0358","Oacute_uni0358","Ograve_uni0358","Ocircumflex_uni0358","uni01D1_uni0358","Omacron_uni0358","O_uni030D_uni0358","O_uni030B_uni0358","uacute","ugrave","ucircumflex","uni01D4","umacron","u_uni030D","ubreve","uhungarumlaut","Uacute","Ugrave","Ucircumflex","uni01D3","Umacron","U_uni030D","Ubreve","Uhungarumlaut","udieresis","uni01D8","uni01DC","uni01DA","uni01D6","Udieresis","uni01D7","uni01DB","uni01D9","uni01D5","uni1E73","uni1E73_acutecomb","uni1E73_gravecomb","uni1E73_uni0302","uni1E73_uni030D","uni1E72","uni1E72_acutecomb","uni1E72_gravecomb","uni1E72_uni0302","uni1E72_uni030D","yacute","ygrave","ycircumflex","y_uni030C","uni0233","Yacute","Ygrave","Ycircumflex","Y_uni030C","uni0232","circumflex","uni207A","uni02BC","uni2303","uni0268","uni1E5F","uni0289","uni0197","uni1E5E","uni0244"],"日文包-漢字#1":["uni7476","uni60A6","uni8AAC","uni596C","uni5D8B","uni8FBB","uni885E","uni583A","uni5185","uni732E","uni5B9D","uni5869","uni8846","uni9DC4","uni7523","uni4E71","uni6803","uni6A2B","uni6CA1","uni7D76","uni52F2","uni8107","uni664B","uni771E","uni654D","uni6B73","uni9C3A","uni7B39","uni4F1A","uni770C","uni5BDB","uni6934","uni6D5C","uni8557","uni67FE","uni53C2","uni6761","uni72DB","uni5B66","uni9EC4","uni8535","uni99C5","uni767A","uni53F7","uni6483","uni7B45","uni6900","uni9854","uni604B","uni698A","uni6E7E","uni53A8","uni68B6","uni6CA2","uni7ADC","uni8966","uni732B","uni5965","uni9834","uni76D7","uni95A2","uni90F7","uni56FD","uni7089","uni5F53","uni9244","uni6765","uni777E","uni4E57","uni9262","uni51C9","uni5374","uni6BCE","uni7A0E","uni8EE2","uni5FB3","uni92ED","uni936E","uni70B9","uni5BFE","uni9AEA","uni96A3","uni8276","uni753B","uni6A2A","uni69D8","uni6B69","uni793C","uni6A17","uni5E83","uni5F25","uni5897","uni8FBC","uni52B9","uni6834","uni6238","uni5F66","uni72A0","uni67FB","uni51A8","uni51E6","uni8131","uni6BBB","uni8217","uni55B0","uni6570","uni95B2","uni91B8","uni5B9F","uni97EE","uni6C17","uni6A0B","uni53A0","uni4E21","uni72B6","uni811A","uni7A4F","uni9759","uni6EDD","uni5C4A","uni976D","uni6736","uni5CE0","uni9A12","uni899A","uni96EB","uni6669","uni7D75","uni58F0","uni702C","uni6D99","uni6075","uni58F2","uni5150","uni9C60","uni533A","uni635C","uni9ED2","uni7560","uni706F","uni6A7F","uni5EFB","uni5E30","uni5FB4","uni5BFF","uni5239","uni6B74","uni6E0B","uni96A0","uni65AD","uni88FE","uni7D9A","uni983C","uni7C8B","uni9332","uni5E2F","uni697D","uni5024","uni7A42","uni5199","uni9B8E","uni798A","uni80C6","uni9F08","uni643A","uni5840","uni7AEA","uni7511","uni7A70","uni4E89","uni89A7","uni7B25","uni85AB","uni7E04","uni820E","uni691C","uni7026","uni7D4C","uni89B3","uni58CA","uni685C","uni732A","uni53D9","uni6E15","uni99C4","uni5C02","uni99C6","uni8FBA","uni9089","uni9EBA","uni9D2B","uni9B93","uni6D44","uni5F10","uni8D04","uni8B72","uni5F93","uni681E","uni56C3","uni9AD9","uni4E80","uni52B4","uni55B6","uni6C37","uni59EB","uni50CD","uni5FDC","uni51EA","uni7CC0","uni60AA","uni7A83","uni8597","uni6B8B","uni8061","uni9BF1","uni60E3","uni52C5","uni5DCC","uni6E09","uni93AD","uni92F3","uni85AC","uni88B4","uni9EBF","uni696F","uni82A6","uni8D0B","uni85C1","uni83B1","uni5968","uni9061","uni713C","uni91A4","uni81D3","uni629C","uni5C5E","uni932C","uni5265","uni9784","uni7DCF","uni4EEE","uni570F","uni6B05","uni95D8","uni967A","uni7A93","uni6BB4","uni865A","uni6804","uni5451","uni639F","uni66FD","uni8EFD","uni5BDD","uni88C5","uni9F62","uni5E81","uni5DFB","uni8987","uni5264","uni8A89","uni8CDB","uni51B4","uni631F","uni53CE","uni7577","uni968F","uni7FAE","uni927E","uni56E3","uni8074","uni6255","uni3402","uni56F3","uni52E7","uni5909","uni67A1","uni7DD6","uni61D0","uni658E","uni6226","uni5727","uni6644","uni9C0A","uni9C10","uni5B8D","uni9EA6","uni9C46","uni5270","uni9C30","uni51DB","uni7C00","uni72EC","uni623B","uni96D1","uni7363","uni6C5A","uni8A51","uni7C7E","uni622F","uni7C81","uni8B83","uni90DE","uni92AD","uni9065","uni6F5C","uni8229","uni6867","uni7A19","uni9045","uni6D45","uni5EFC","uni59C9","uni8B21","uni9A13","uni81A3","uni5F3E","uni62E0","uni9154","uni63B2","uni9A28","uni86EF","uni63BB","uni9855","uni63FA","uni7A32","uni8F9E","uni7690","uni6F81","uni537D","uni5263","uni7E26","uni85AE","uni613C","uni5841","uni7DD1","uni844E","uni7D99","uni9BF5","uni9ED9","uni6E80","uni9306","uni7B86","uni663C","uni8AAD","uni5C06","uni533B","uni72ED","uni8A82","uni56F2","uni6CEA","uni4E9C","uni5618","uni55A9","uni96B7","uni8500","uni734F","uni5CA8","uni6A29","uni7B0A","uni58F1","uni53B3","uni6EDE","uni7E01","uni758E","uni6802","uni8F0C","uni7E4B","uni8358","uni5861","uni6973","uni63C3","uni6955","uni91C8","uni9942","uni58DC","uni5302","uni5F84","uni788D","uni9EB9","uni6319","uni62F6","uni62E1","uni58EE","uni8133","uni62DD","uni82C5","uni633F","uni7E4D","uni629E","uni64B9","uni5815","uni6589","uni65E7","uni5642","uni54A5","uni66A6","uni6762","uni53A9","uni982C","uni58F7","uni685D","uni5358","uni79F0","uni8FBF","uni985A","uni59AC","uni98DC","uni60A9","uni59F6","uni6919","uni7895","uni88B7","uni9AC4","uni697C","uni69C7","uni5A2F","uni8EBE","uni5D5C","uni5CE1"],"日文包-漢字#2":["uni6B27","uni6B6F","uni6E08","uni6E0A","uni4FA1","uni8CB0","uni6E13","uni4FA0","uni7C8D","uni5C3D","uni8ACC","uni8B90","uni5C53","uni8CCE","uni5C2D","uni5C61","uni8A33","uni8DF5","uni8EAF","uni8997","uni5B22","uni5D8C","uni5DE3","uni8F62","uni5EC3","uni6F45","uni874B","uni8749","uni86EE","uni8FE9","uni9013","uni86CE","uni86CD","uni60E7","uni60E8","uni848B","uni8420","uni830E","uni9197","uni81B5","uni6357","uni63B4","uni58CC","uni7F60","uni9271","uni5859","uni7E4A","uni6442","uni92F2","uni64FD","uni7CCE","uni7C9B","uni7C82","uni933A","uni56EE","uni56A2","uni9453","uni567A","uni565B","uni7BED","uni9665","uni5631","uni7BAA","uni7B92","uni5516","uni7B5D","uni7B48","uni6681","uni970A","uni546A","uni5449","uni67A0","uni7AC3","uni981A","uni67A2","uni7A63","uni7A50","uni685F","uni689B","uni68BC","uni98AA","uni7985","uni7984","uni7977","uni5301","uni7872","uni99C8","uni52B1","uni783F","uni783A","uni7815","uni5294","uni5271","uni691B","uni75E9","uni9BB9","uni9BD1","uni51E7","uni7573","uni6B1D","uni6B53","uni9C2F","uni6D9B","uni731F","uni6D9C","uni9C5A","uni514E","uni9C76","uni9D0E","uni511A","uni9D2C","uni9D8F","uni5039","uni9E78","uni6E07","uni71D7","uni5036","uni4FAD","uni7114","uni6E7F","uni6E8C","uni4ECF","uni877F","u20B9F"],"日文包-符號":["uni3003","uni3005","uni3006","uni3012","uni301D","uni301E","uni3041","uni3041.vert","uni3042","uni3043","uni3043.vert","uni3044","uni3045","uni3045.vert","uni3046","uni3047","uni3047.vert","uni3048","uni3049","uni3049.vert","uni304A","uni304B","uni304C","uni304D","uni304E","uni304F","uni3050","uni3051","uni3052","uni3053","uni3054","uni3055","uni3056","uni3057","uni3058","uni3059","uni305A","uni305B","uni305C","uni305D","uni305E","uni305F","uni3060","uni3061","uni3062","uni3063","uni3063.vert","uni3064","uni3065","uni3066","uni3067","uni3068","uni3069","uni306A","uni306B","uni306C","uni306D","uni306E","uni306F","uni3070","uni3071","uni3072","uni3073","uni3074","uni3075","uni3076","uni3077","uni3078","uni3079","uni307A","uni307B","uni307C","uni307D","uni307E","uni307F","uni3080","uni3081","uni3082","uni3083","uni3083.vert","uni3084","uni3085","uni3085.vert","uni3086","uni3087","uni3087.vert","uni3088","uni3089","uni308A","uni308B","uni308C","uni308D","uni308E","uni308E.vert","uni308F","uni3090","uni3091","uni3092","uni3093","uni3094","uni309D","uni309E","uni30A1","uni30A1.vert","uni30A2","uni30A3","uni30A3.vert","uni30A4","uni30A5","uni30A5.vert","uni30A6","uni30A7","uni30A7.vert","uni30A8","uni30A9","uni30A9.vert","uni30AA","uni30AB","uni30AC","uni30AD","uni30AE","uni30AF","uni30B0","uni30B1","uni30B2","uni30B3","uni30B4","uni30B5","uni30B6","uni30B7","uni30B8","uni30B9","uni30BA","uni30BB","uni30BC","uni30BD","uni30BE","uni30BF","uni30C0","uni30C1","uni30C2","uni30C3","uni30C3.vert","uni30C4","uni30C5","uni30C6","uni30C7","uni30C8","uni30C9","uni30CA","uni30CB","uni30CC","uni30CD","uni30CE","uni30CF","uni30D0","uni30D1","uni30D2","uni30D3","uni30D4","uni30D5","uni30D6","uni30D7","uni30D8","uni30D9","uni30DA","uni30DB","uni30DC","uni30DD","uni30DE","uni30DF","uni30E0","uni30E1","uni30E2","uni30E3","uni30E3.vert","uni30E4","uni30E5","uni30E5.vert","uni30E6","uni30E7","uni30E7.vert","uni30E8","uni30E9","uni30EA","uni30EB","uni30EC","uni30ED","uni30EE","uni30EE.vert","uni30EF","uni30F0","uni30F1","uni30F2","uni30F3","uni30F4","uni30F5","uni30F5.vert","uni30F6","uni30F6.vert","uni30FB","uni30FC","uni30FC.vert","uni30FD","uni30FE","uni3231"],"粵語包-漢字":["uni6ED9","uni60A6","uni8AAC","uni885E","uni7FA3","uni5B05","uni945B","uni4E2A","uni654D","uni67B1","uni743C","uni97F5","uni5F3A","uni6C39","uni54CD","uni8FF9","uni8534","uni5367","uni528F","uni9262","uni7A0E","uni92ED","uni73CF","uni7B72","uni7CCD","uni6237","uni9FA2","uni5622","uni52B9","uni6164","uni8131","uni54CB","uni5497","uni95B2","uni4E21","uni5572","uni64E7","uni556B","uni5B82","uni9938","uni8037","uni6ED8","uni5605","uni9F08","uni8137","uni66F1","uni5AF2","uni5421","uni651E","uni69A6","uni5416","uni7AB0","uni88C7","uni7534","uni7864","uni562D","uni569F","uni7793","uni85F4","uni8D0B","uni8EDA","uni5476","uni56F1","uni639F","uni9385","uni71F6","uni5413","uni5151","uni55F0","uni6225","uni564F","uni6286","uni9EAA","uni551E","uni5571","uni5625","uni55BA","uni55F1","uni7666","uni9196","uni81B6","uni8715","uni8DE3","uni63F8","uni5E7A","uni55BC","uni7CED","uni8EAD","uni5513","uni58C6","uni9A63","uni35CE","uni55CC","uni6AC8","uni8F0B","uni758E","uni8E0E","uni8E2D","uni6031","uni51A7","uni63FC","uni70DA","uni5643","uni56BF","uni6423","uni8B4C","uni9E96","uni54A5","uni5B6D","uni62C3","uni6120","uni5C05","uni4E78","uni519A","uni4E6A","uni7CC9","uni7F97","uni5C10","uni5493","uni77CB","uni63B9","uni5AAA","uni4C7D","uni5940","uni7744","uni8786","uni3DEB","uni57DE","uni3B39","uni63DE","uni7567","uni56A1","uni63E6","uni34E4","uni8E80","uni5649","uni63FE","uni6C32","uni3A52","uni6432","uni922A","uni39EC","uni362D","uni5569","uni6471","uni95AA","uni555D","uni35AD","uni5525","uni6477","uni64DD","uni6530","uni5502","uni6767","u20779","u20C41","u20C53","u20E9D","u20EA2","u20EF9","u20F2E","u20F4C","u21075","u2107B","u210C1","u210F6","u220C7","u227B5","u22ACF","u22B43","u22BCA","u22C55","u22CC2","u22D4C","u23CB7","u244D3","u24DB8","u24DEA","u24EA7","u2512B","u25E49","u26258","u267CC","u269F2","u269FA","u2797A","u2815D","u282E2","u28CCA","u28CCD","u28CD2","u28D99","u294E5","u29D98"],"命名包-漢字#1":["uni5D10","uni5498","uni5A5E","uni51C8","uni6ED9","uni74C8","uni7DC1","uni6DEF","uni7BEA","uni54FF","uni6F5E","uni6996","uni70F1","uni6A18","uni944C","uni9D5F","uni71CA","uni7098","uni6D64","uni73B9","uni4FCD","uni6D3A","uni885E","uni583A","uni7FA3","uni7B2D","uni5A81","uni7DD7","uni7404","uni4EC9","uni7043","uni9324","uni5B05","uni732E","uni945B","uni70DC","uni6CC2","uni6F7E","uni6F90","uni7AEB","uni5B4B","uni6959","uni980E","uni9A52","uni754A","uni4E6D","uni68FC","uni85BE","uni9C7B","uni5AC8","uni756C","uni5869","uni9347","uni9DC4","uni6966","uni9205","uni6CBA","uni79DD","uni7401","uni5BD7","uni5729","uni9360","uni92D5","uni8AF4","uni7DA6","uni9857","uni83E1","uni6803","uni3F08","uni74F4","uni6A2B","uni90C5","uni9E15","uni5AC4","uni52F2","uni9DBF","uni6667","uni8107","uni7397","uni7393","uni664B","uni920A","uni771E","uni6A89","uni9329","uni74A0","uni5A96","uni5A67","uni9A44","uni943D","uni7439","uni6D27","uni654D","uni7DAA","uni6193","uni579A","uni7424","uni9586","uni6D39","uni5A83","uni921C","uni5763","uni745D","uni8553","uni5ABA","uni97D9","uni73DD","uni663A","uni738E","uni839B","uni7FC3","uni6D5C","uni7821","uni8D07","uni59C8","uni6A3E","uni9B2A","uni743C","uni9EC4","uni6DAA","uni935A","uni99C5","uni97F5","uni7CA2","uni715A","uni78D8","uni59F8","uni8493","uni97E1","uni6900","uni95DE","uni8AE0","uni77DE","uni9749","uni9854","uni8B1A","uni6C39","uni5F3A","uni5997","uni73A2","uni7020","uni5BAC","uni5A38","uni7449","uni4F17","uni8B26","uni6E5E","uni6E4B","uni8662","uni92EE","uni8534","uni8966","uni6E8E","uni6630","uni9834","uni95A2","uni92C6","uni8B53","uni661C","uni5872","uni7E2F","uni7521","uni662B","uni5906","uni665B","uni83CF","uni795C","uni7719","uni5FDE","uni7547","uni7448","uni7104","uni5D42","uni6A5E","uni97DE","uni93F5","uni69FA","uni584F","uni5107","uni9201","uni5D20","uni5BC0","uni59A7","uni70CB","uni6678","uni8586","uni5DA7","uni73CF","uni769E","uni73B6","uni59A1","uni9B2E","uni6C84","uni6F53","uni85B7","uni66C8","uni5B19","uni7579","uni5F22","uni849D","uni6A2A","uni7421","uni9F8E","uni95D3","uni90DC","uni65C3","uni8413","uni66BB","uni7452","uni6CD4","uni6D61","uni657B","uni7866","uni792E","uni66BE","uni60A7","uni69A4","uni67B0","uni930F","uni51B5","uni9379","uni7C59","uni79A4","uni9FA2","uni7B33","uni9B18","uni6EA6","uni933C","uni8565","uni52B9","uni6834","uni858C","uni73D6","uni3A17","uni90A1","uni6D7F","uni8604","uni5BF3","uni661D","uni7F91","uni8399","uni8A45","uni5A2A","uni68D6","uni5F66","uni6E76","uni5372","uni8232","uni747D","uni668E","uni9325","uni928D","uni6C6F","uni5CEE","uni5D4A","uni772D","uni93A3","uni5E92","uni7CAE","uni6DB4","uni4F8A","uni4FC1","uni59F3","uni56B3","uni9852","uni7488","uni73BF","uni90A0","uni59C3","uni746E","uni811A","uni943F","uni5AD9","uni52A6","uni7467","uni7468","uni827F","uni65B3","uni6659","uni710C","uni60F2","uni837A","uni6C87","uni50F3","uni5CE0","uni6736","uni56F7","uni73F5","uni68A3","uni7B90","uni6A66","uni82AA","uni6B39","uni4EB7","uni9A6B","uni6588","uni4552","uni8ABE","uni8B8C","uni7D6A","uni96BD","uni83C9","uni6229","uni512B","uni5D4E","uni82A0","uni7317","uni6199","uni730B","uni6DE5","uni5A84","uni706F","uni5BEF","uni5AAE","uni6CAD","uni6A7F","uni7DAE","uni6AF3","uni8452","uni6CD9","uni5088","uni99A1","uni7858","uni8580","uni91D4","uni7E50","uni66CC","uni7486","uni7B73","uni755B","uni68D3","uni52D6","uni7AEA","uni7A70","uni4F92","uni90C7","uni9004","uni52D0","uni975D","uni7472","uni5A4C","uni6E5C","uni9A69","uni5CA6","uni5101","uni65C6","uni714B","uni7994","uni6E49","uni89ED","uni73D2","uni8918","uni8300","uni53A6","uni53D9","uni8451","uni57CF","uni8D04","uni6114","uni774E","uni5864","uni769C","uni9440","uni6C5C","uni5D1F","uni6E6B","uni6940","uni8B7F","uni6BD6","uni501E","uni74C5","uni59EB","uni51CA","uni9AD9","uni8C51","uni7FFE","uni73E6","uni74A5","uni6645","uni92D9","uni695F","uni92A7","uni562A","uni5B2D","uni93C7","uni8447","uni5CF1","uni9697","uni52C5","uni6DC2","uni5AC6","uni7282","uni74D8","uni922E","uni560F","uni73C6","uni67BB","uni79CD","uni5DA2","uni6AA5","uni59E4","uni5D75","uni9420","uni7180","uni924E","uni6C9A","uni5AD0","uni6957","uni52CD","uni74B8","uni95B6","uni848D","uni7067","uni5A93","uni99F8","uni9424","uni7A18","uni5B23","uni93F9","uni7ADD"],"命名包-漢字#2":["uni934F","uni6F63","uni8CBA","uni74B5","uni92AA","uni4E0F","uni90B4","uni6908","uni6FA0","uni6909","uni73D9","uni5F0D","uni73D3","uni8629","uni96F1","uni6932","uni9476","uni5CA2","uni8832","uni82FE","uni9348","uni69D1","uni73B4","uni9116","uni9AE3","uni7429","uni7964","uni95D8","uni9331","uni68CA","uni4F08","uni91E4","uni70DD","uni67DC","uni8B54","uni5B28","uni826B","uni516A","uni8CFE","uni66DB","uni7D9D","uni66E3","uni74CC","uni569E","uni8351","uni5A57","uni8590","uni85B3","uni4F74","uni7385","uni5F61","uni505F","uni9AF4","uni5A4D","uni5C1B","uni5C8D","uni9302","uni5A17","uni69F6","uni59A6","uni5027","uni9FA0","uni59C9","uni939B","uni60B0","uni7E15","uni9A02","uni924C","uni6755","uni5EFC","uni5AE5","uni748A","uni584D","uni4EE1","uni5612","uni93C4","uni8233","uni93A1","uni7442","uni5721","uni8FB3","uni833F","uni5B11","uni73F3","uni6D72","uni747A","uni74BB","uni5B46","uni93F8","uni5BD8","uni9306","uni6B10","uni36AC","uni931D","uni5A33","uni9231","uni7987","uni687E","uni9235","uni90FF","uni9720","uni4EB9","uni66B5","uni69BF","uni8E2D","uni6A8D","uni940F","uni5CF5","uni5BAD","uni5B4D","uni4F9E","uni4FB9","uni5AD5","uni93CC","uni5AC3","uni6FB4","uni4FFD","uni7E22","uni71B2","uni7B4E","uni79EC","uni7395","uni932A","uni536C","uni59C1","uni55AD","uni74DB","uni608A","uni7423","uni9357","uni73E7","uni73E2","uni9371","uni7895","uni509B","uni501B","uni5A90","uni8385","uni83AF","uni8432","uni8563","uni4F67","uni92CA","uni884E","uni8AEA","uni5D21","uni4F41","uni9277","uni6974","uni68E1","uni669F","uni9746","uni9D08","uni66A0","uni9DF0","uni9702","uni934C","uni60EA","uni9F98","uni9683","uni613D","uni62D5","uni6343","uni664A","uni9224","uni66CF","uni5E1F","uni6B1D","uni5D0B","uni9408","uni6C58","uni6CD1","uni5B2B","uni5B03","uni6D92","uni6E51","uni70A1","uni5A63","uni59CE","uni7398","uni7746","uni9A0B","uni5485","uni9A4E","uni7991","uni5184","uni79DC","uni7B82","uni9307","uni92D7","uni8610","uni92D1","uni8D6E","uni4F3B","uni926F","uni4EF1","uni4EC2","uni925D","uni9024","uni4B72","uni3DCD","uni3D88","uni614F","uni36E2","uni36C4","u217DA","u21A4B","u249DF","u25562","u26C21","u270FD","u29EF8"],"補充符號包":["Alpha","Beta","Gamma","uni0394","Epsilon","Zeta","Eta","Theta","Iota","Kappa","Lambda","Mu","Nu","Xi","Omicron","Pi","Rho","Sigma","Tau","Upsilon","Phi","Chi","Psi","uni03A9","alpha","beta","gamma","delta","epsilon","zeta","eta","theta","iota","kappa","lambda","uni03BC","nu","xi","omicron","pi","rho","sigma","tau","upsilon","phi","chi","psi","omega","uni2223","uni2474","uni2475","uni2476","uni2477","uni2478","uni2479","uni247A","uni247B","uni247C","uni247D","uni247E","uni247F","uni2480","uni2481","uni2482","uni2483","uni2484","uni2485","uni2486","uni2487","uni249C","uni249D","uni249E","uni249F","uni24A0","uni24A1","uni24A2","uni24A3","uni24A4","uni24A5","uni24A6","uni24A7","uni24A8","uni24A9","uni24AA","uni24AB","uni24AC","uni24AD","uni24AE","uni24AF","uni24B0","uni24B1","uni24B2","uni24B3","uni24B4","uni24B5","uni24B6","uni24B7","uni24B8","uni24B9","uni24BA","uni24BB","uni24BC","uni24BD","uni24BE","uni24BF","uni24C0","uni24C1","uni24C2","uni24C3","uni24C4","uni24C5","uni24C6","uni24C7","uni24C8","uni24C9","uni24CA","uni24CB","uni24CC","uni24CD","uni24CE","uni24CF","uni24D0","uni24D1","uni24D2","uni24D3","uni24D4","uni24D5","uni24D6","uni24D7","uni24D8","uni24D9","uni24DA","uni24DB","uni24DC","uni24DD","uni24DE","uni24DF","uni24E0","uni24E1","uni24E2","uni24E3","uni24E4","uni24E5","uni24E6","uni24E7","uni24E8","uni24E9","SF240000","SF390000","SF250000","SF380000","SF260000","SF360000","SF420000","SF190000","SF230000","SF410000","SF400000","SF540000","SF440000","uni256D","uni256E","uni256F","uni2570","uni2581","uni2582","uni2583","dnblock","uni2585","uni2586","uni2587","block","uni2589","uni258A","uni258B","lfblock","uni258D","uni258E","uni258F","uni2594","uni2595","uni273D","uni3021","uni3022","uni3023","uni3024","uni3025","uni3026","uni3027","uni3028","uni3029","uni312A","uni312B","uni312C","uni312D","uni31A0","uni31A1","uni31A2","uni31A3","uni31A4","uni31A5","uni31A6","uni31A7","uni31A8","uni31A9","uni31AA","uni31AB","uni31AC","uni31AD","uni31AE","uni31AF","uni31B0","uni31B1","uni31B2","uni31B3","uni31B4","uni31B4_dotaccent","uni31B5","uni31B5_dotaccent","uni31B7","uni31B7_dotaccent","uni31BB","uni31BB_dotaccent","u1F110","u1F111","u1F112","u1F113","u1F114","u1F115","u1F116","u1F117","u1F118","u1F119","u1F11A","u1F11B","u1F11C","u1F11D","u1F11E","u1F11F","u1F120","u1F121","u1F122","u1F123","u1F124","u1F125","u1F126","u1F127","u1F128","u1F129","exclamdbl","uni2047","uni2048","uni2049","uniFF61","uniFF62","uniFF63","uniFF64","uniFF65","uniFF66","uniFF67","uniFF68","uniFF69","uniFF6A","uniFF6B","uniFF6C","uniFF6D","uniFF6E","uniFF6F","uniFF70","uniFF71","uniFF72","uniFF73","uniFF74","uniFF75","uniFF76","uniFF77","uniFF78","uniFF79","uniFF7A","uniFF7B","uniFF7C","uniFF7D","uniFF7E","uniFF7F","uniFF80","uniFF81","uniFF82","uniFF83","uniFF84","uniFF85","uniFF86","uniFF87","uniFF88","uniFF89","uniFF8A","uniFF8B","uniFF8C","uniFF8D","uniFF8E","uniFF8F","uniFF90","uniFF91","uniFF92","uniFF93","uniFF94","uniFF95","uniFF96","uniFF97","uniFF98","uniFF99","uniFF9A","uniFF9B","uniFF9C","uniFF9D","uniFF9E","uniFF9F","uni00B9","uni00B2","uni00B3","uni2074","uni2075","uni2076","uni2077","uni2078","uni2079","uni2070","uni2081","uni2082","uni2083","uni2084","uni2085","uni2086","uni2087","uni2088","uni2089","uni2080"],"附表：台文全羅":["a","b","c","d","e","f","g","h","i","j","k","l","m","n","o","p","q","r","s","t","u","v","w","x","y","z","A","B","C","D","E","F","G","H","I","J","K","L","M","N","O","P","Q","R","S","T","U","V","W","X","Y","Z","zero","one","two","three","four","five","six","seven","eight","nine","comma","period","hyphen","gravecomb","acutecomb","uni0302","uni0304","uni0306","uni030B","uni030C","uni030D","uni0358","aacute","agrave","acircumflex","uni01CE","amacron","a_uni030D","abreve","a_uni030B","Aacute","Agrave","Acircumflex","uni01CD","Amacron","A_uni030D","Abreve","A_uni030B","eacute","egrave","ecircumflex","ecaron","emacron","e_uni030D","ebreve","e_uni030B","Eacute","Egrave","Ecircumflex","Ecaron","Emacron","E_uni030D","Ebreve","E_uni030B","iacute","igrave","icircumflex","uni01D0","imacron","i_uni030D","ibreve","i_uni030B","Iacute","Igrave","Icircumflex","uni01CF","Imacron","I_uni030D","Ibreve","I_uni030B","uni1E3F","m_gravecomb","m_uni0302","m_uni030C","m_uni0304","m_uni030D","m_uni0306","m_uni030B","uni1E3E","M_gravecomb","M_uni0302","M_uni030C","M_uni0304","M_uni030D","M_uni0306","M_uni030B","uni207F","nacute","uni01F9","n_uni0302","n_uni030C","n_uni0304","n_uni030D","n_uni0306","n_uni030B","uni1D3A","Nacute","uni01F8","N_uni0302","N_uni030C","N_uni0304","N_uni030D","N_uni0306","N_uni030B","oacute","ograve","ocircumflex","uni01D2","omacron","o_uni030D","obreve","ohungarumlaut","Oacute","Ograve","Ocircumflex","uni01D1","Omacron","O_uni030D","Obreve","Ohungarumlaut","o_uni0358","oacute_uni0358","ograve_uni0358","ocircumflex_uni0358","uni01D2_uni0358","omacron_uni0358","o_uni030D_uni0358","o_uni030B_uni0358","O_uni0358","Oacute_uni0358","Ograve_uni0358","Ocircumflex_uni0358","uni01D1_uni0358","Omacron_uni0358","O_uni030D_uni0358","O_uni030B_uni0358","uacute","ugrave","ucircumflex","uni01D4","umacron","u_uni030D","ubreve","uhungarumlaut","Uacute","Ugrave","Ucircumflex","uni01D3","Umacron","U_uni030D","Ubreve","Uhungarumlaut","udieresis","uni01D8","uni01DC","uni01DA","uni01D6","Udieresis","uni01D7","uni01DB","uni01D9","uni01D5","uni1E73","uni1E73_acutecomb","uni1E73_gravecomb","uni1E73_uni0302","uni1E73_uni030D","uni1E72","uni1E72_acutecomb","uni1E72_gravecomb","uni1E72_uni0302","uni1E72_uni030D","yacute","ygrave","ycircumflex","y_uni030C","uni0233","Yacute","Ygrave","Ycircumflex","Y_uni030C","uni0232","circumflex","uni207A","uni02BC","uni2303","uni0268","uni1E5F","uni0289","uni0197","uni1E5E","uni0244"],"附表：心經":["uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni5FC3","uni7D93","uni89C0","uni81EA","uni5728","uni83E9","uni85A9","uni884C","uni6DF1","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni6642","uni7167","uni898B","uni4E94","uni860A","uni7686","uni7A7A","uni5EA6","uni4E00","uni5207","uni82E6","uni5384","uni820D","uni5229","uni5B50","uni8272","uni4E0D","uni7570","uni7A7A","uni7A7A","uni4E0D","uni7570","uni8272","uni8272","uni5373","uni662F","uni7A7A","uni7A7A","uni5373","uni662F","uni8272","uni53D7","uni60F3","uni884C","uni8B58","uni4EA6","uni5FA9","uni5982","uni662F","uni820D","uni5229","uni5B50","uni662F","uni8AF8","uni6CD5","uni7A7A","uni76F8","uni4E0D","uni751F","uni4E0D","uni6EC5","uni4E0D","uni57A2","uni4E0D","uni6DE8","uni4E0D","uni589E","uni4E0D","uni6E1B","uni662F","uni6545","uni7A7A","uni4E2D","uni7121","uni8272","uni7121","uni53D7","uni60F3","uni884C","uni8B58","uni7121","uni773C","uni8033","uni9F3B","uni820C","uni8EAB","uni610F","uni7121","uni8272","uni8072","uni9999","uni5473","uni89F8","uni6CD5","uni7121","uni773C","uni754C","uni4E43","uni81F3","uni7121","uni610F","uni8B58","uni754C","uni7121","uni7121","uni660E","uni4EA6","uni7121","uni7121","uni660E","uni76E1","uni4E43","uni81F3","uni7121","uni8001","uni6B7B","uni4EA6","uni7121","uni8001","uni6B7B","uni76E1","uni7121","uni82E6","uni96C6","uni6EC5","uni9053","uni7121","uni667A","uni4EA6","uni7121","uni5F97","uni4EE5","uni7121","uni6240","uni5F97","uni6545","uni83E9","uni63D0","uni85A9","uni57F5","uni4F9D","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni6545","uni5FC3","uni7121","uni7F63","uni7919","uni7121","uni7F63","uni7919","uni6545","uni7121","uni6709","uni6050","uni6016","uni9060","uni96E2","uni985B","uni5012","uni5922","uni60F3","uni7A76","uni7ADF","uni6D85","uni69C3","uni4E09","uni4E16","uni8AF8","uni4F5B","uni4F9D","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni6545","uni5F97","uni963F","uni8028","uni591A","uni7F85","uni4E09","uni85D0","uni4E09","uni83E9","uni63D0","uni6545","uni77E5","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni662F","uni5927","uni795E","uni5492","uni662F","uni5927","uni660E","uni5492","uni662F","uni7121","uni4E0A","uni5492","uni662F","uni7121","uni7B49","uni7B49","uni5492","uni80FD","uni9664","uni4E00","uni5207","uni82E6","uni771F","uni5BE6","uni4E0D","uni865B","uni6545","uni8AAA","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni5492","uni5373","uni8AAA","uni5492","uni66F0","uni63ED","uni8AE6","uni63ED","uni8AE6","uni6CE2","uni7F85","uni63ED","uni8AE6","uni6CE2","uni7F85","uni50E7","uni63ED","uni8AE6","uni83E9","uni63D0","uni85A9","uni5A46","uni8A36"]};
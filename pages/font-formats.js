@@ -0,0 +1,854 @@
+/**
+ * Font Formats Module
+ * 在瀏覽器內處理 sfnt 字型檔（OTF/TTF）的拆解與重組，並轉換成 WOFF / WOFF2
+ */
+
+class FontFormats {
+    constructor() {
+        this.brotliModule = null;
+    }
+
+    // 各輸出格式的副檔名與 MIME type
+    static formats = {
+        otf:   { ext: 'otf',   mime: 'font/otf' },
+        ttf:   { ext: 'ttf',   mime: 'font/ttf' },
+        woff:  { ext: 'woff',  mime: 'font/woff' },
+        woff2: { ext: 'woff2', mime: 'font/woff2' }
+    };
+
+    // WOFF2 表格目錄中以索引代表的常用表格
+    static woff2KnownTags = [
+        'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca', 'prep', 'CFF ', 'VORG', 'EBDT',
+        'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea', 'vmtx', 'BASE', 'GDEF', 'GPOS', 'GSUB', 'EBSC', 'JSTF', 'MATH',
+        'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt', 'avar', 'bdat', 'bloc', 'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar',
+        'gvar', 'hsty', 'just', 'lcar', 'mort', 'morx', 'opbd', 'prop', 'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill'
+    ];
+
+    // Load the brotli encoder (WebAssembly) for WOFF2
+    async initializeBrotli() {
+        if (this.brotliModule) return true;
+        try {
+            const module = await import('https://unpkg.com/brotli-wasm@3.0.0/index.web.js');
+            this.brotliModule = await module.default;
+            return true;
+        } catch (error) {
+            console.error('brotli 模組載入失敗', error);
+            return false;
+        }
+    }
+
+    // 拆解 sfnt 字型檔，回傳 { flavor, tables: [{ tag, checksum, data }] }
+    static parseSfnt(buffer) {
+        const view = new DataView(buffer);
+        const flavor = view.getUint32(0);
+        const numTables = view.getUint16(4);
+        const tables = [];
+        for (let i = 0; i < numTables; i++) {
+            const p = 12 + i * 16;
+            const tag = String.fromCharCode(view.getUint8(p), view.getUint8(p + 1), view.getUint8(p + 2), view.getUint8(p + 3));
+            const offset = view.getUint32(p + 8);
+            const length = view.getUint32(p + 12);
+            tables.push({ tag: tag, checksum: view.getUint32(p + 4), data: new Uint8Array(buffer, offset, length) });
+        }
+        return { flavor: flavor, tables: tables };
+    }
+
+    // 重組 sfnt 字型檔（表格依標籤排序、4 位元組對齊，重新計算檢查碼與 head.checkSumAdjustment）
+    static buildSfnt(flavor, tables) {
+        tables = tables.slice().sort((a, b) => (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0));
+        const numTables = tables.length;
+        const entrySelector = Math.floor(Math.log2(numTables));
+        const searchRange = (2 ** entrySelector) * 16;
+
+        let offset = 12 + numTables * 16;
+        const layout = tables.map(table => {
+            const item = { table: table, offset: offset };
+            offset += (table.data.length + 3) & ~3;
+            return item;
+        });
+
+        const buffer = new ArrayBuffer(offset);
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        view.setUint32(0, flavor);
+        view.setUint16(4, numTables);
+        view.setUint16(6, searchRange);
+        view.setUint16(8, entrySelector);
+        view.setUint16(10, numTables * 16 - searchRange);
+
+        let headOffset = -1;
+        layout.forEach((item, i) => {
+            const { table } = item;
+            const data = table.data;
+            if (table.tag === 'head') {     // checkSumAdjustment 先歸零再計算
+                headOffset = item.offset;
+                bytes.set(data, item.offset);
+                view.setUint32(item.offset + 8, 0);
+            } else {
+                bytes.set(data, item.offset);
+            }
+            const p = 12 + i * 16;
+            for (let k = 0; k < 4; k++) view.setUint8(p + k, table.tag.charCodeAt(k));
+            view.setUint32(p + 4, FontFormats.checksum(bytes.subarray(item.offset, item.offset + ((data.length + 3) & ~3))));
+            view.setUint32(p + 8, item.offset);
+            view.setUint32(p + 12, data.length);
+        });
+
+        if (headOffset >= 0) {
+            view.setUint32(headOffset + 8, (0xB1B0AFBA - FontFormats.checksum(bytes)) >>> 0);
+        }
+        return buffer;
+    }
+
+    // 加入或取代 sfnt 字型檔中的表格
+    static setTable(buffer, tag, data) {
+        const sfnt = FontFormats.parseSfnt(buffer);
+        const tables = sfnt.tables.filter(t => t.tag !== tag).map(t => ({ tag: t.tag, data: t.data }));
+        tables.push({ tag: tag, data: data });
+        return FontFormats.buildSfnt(sfnt.flavor, tables);
+    }
+
+    // 設定 head.fontRevision（16.16 固定小數點），與 name 表格的版本字串一致
+    static setFontRevision(buffer, revision) {
+        const head = FontFormats.parseSfnt(buffer).tables.find(t => t.tag === 'head');
+        const data = new Uint8Array(head.data);
+        new DataView(data.buffer).setInt32(4, Math.round(revision * 65536));
+        return FontFormats.setTable(buffer, 'head', data);
+    }
+
+    // head.macStyle：bit 0 粗體、bit 1 斜體（opentype.js 一律寫 0），依 OS/2 fsSelection 的 BOLD/ITALIC 設定
+    static setMacStyle(buffer, fsSelection) {
+        const head = FontFormats.parseSfnt(buffer).tables.find(t => t.tag === 'head');
+        const data = new Uint8Array(head.data);
+        new DataView(data.buffer).setUint16(44, (fsSelection & 0x20 ? 0x1 : 0) | (fsSelection & 0x01 ? 0x2 : 0));
+        return FontFormats.setTable(buffer, 'head', data);
+    }
+
+    // 表格檢查碼（以 32 位元無號整數加總）
+    static checksum(bytes) {
+        let sum = 0;
+        const len = bytes.length;
+        for (let i = 0; i < len; i += 4) {
+            sum = (sum + ((bytes[i] << 24) | ((bytes[i + 1] || 0) << 16) | ((bytes[i + 2] || 0) << 8) | (bytes[i + 3] || 0))) >>> 0;
+        }
+        return sum;
+    }
+
+    // zlib 壓縮（WOFF 用），使用瀏覽器內建的 CompressionStream
+    static async deflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // 轉換成 WOFF 1.0
+    static async toWOFF(buffer) {
+        const sfnt = FontFormats.parseSfnt(buffer);
+        const numTables = sfnt.tables.length;
+        const entries = [];
+        for (const table of sfnt.tables) {
+            const compressed = await FontFormats.deflate(table.data);
+            entries.push({ table: table, data: compressed.length < table.data.length ? compressed : table.data });     // 壓縮後沒有比較小就存原始資料
+        }
+
+        let offset = 44 + numTables * 20;
+        let totalSfntSize = 12 + numTables * 16;
+        entries.forEach(entry => {
+            entry.offset = offset;
+            offset += (entry.data.length + 3) & ~3;
+            totalSfntSize += (entry.table.data.length + 3) & ~3;
+        });
+
+        const out = new ArrayBuffer(offset);
+        const bytes = new Uint8Array(out);
+        const view = new DataView(out);
+        view.setUint32(0, 0x774F4646);      // 'wOFF'
+        view.setUint32(4, sfnt.flavor);
+        view.setUint32(8, offset);
+        view.setUint16(12, numTables);
+        view.setUint32(16, totalSfntSize);
+        view.setUint16(20, 1);              // majorVersion
+
+        entries.forEach((entry, i) => {
+            const p = 44 + i * 20;
+            for (let k = 0; k < 4; k++) view.setUint8(p + k, entry.table.tag.charCodeAt(k));
+            view.setUint32(p + 4, entry.offset);
+            view.setUint32(p + 8, entry.data.length);
+            view.setUint32(p + 12, entry.table.data.length);
+            view.setUint32(p + 16, entry.table.checksum);
+            bytes.set(entry.data, entry.offset);
+        });
+        return out;
+    }
+
+    // 轉換成 WOFF2（所有表格不做轉換，只做 brotli 壓縮）
+    // brotli 模組無法載入時（例如離線），改用不壓縮的 brotli 資料區塊，檔案仍是合法的 WOFF2
+    async toWOFF2(buffer) {
+        const sfnt = FontFormats.parseSfnt(buffer);
+        const numTables = sfnt.tables.length;
+
+        const directory = [];
+        let totalSfntSize = 12 + numTables * 16;
+        let streamLength = 0;
+        sfnt.tables.forEach(table => {
+            const known = FontFormats.woff2KnownTags.indexOf(table.tag);
+            const nullTransform = (table.tag === 'glyf' || table.tag === 'loca') ? 3 : 0;    // glyf/loca 的 3 才是不轉換
+            directory.push((known >= 0 ? known : 63) | (nullTransform << 6));
+            if (known < 0) directory.push(...[0, 1, 2, 3].map(k => table.tag.charCodeAt(k)));
+            directory.push(...FontFormats.uintBase128(table.data.length));
+            totalSfntSize += (table.data.length + 3) & ~3;
+            streamLength += table.data.length;
+        });
+
+        const stream = new Uint8Array(streamLength);
+        let pos = 0;
+        sfnt.tables.forEach(table => {
+            stream.set(table.data, pos);
+            pos += table.data.length;
+        });
+
+        const compressed = (await this.initializeBrotli())
+            ? this.brotliModule.compress(stream, { quality: 11 })
+            : FontFormats.brotliStored(stream);
+
+        const headerSize = 48;
+        const length = (headerSize + directory.length + compressed.length + 3) & ~3;
+        const out = new ArrayBuffer(length);
+        const bytes = new Uint8Array(out);
+        const view = new DataView(out);
+        view.setUint32(0, 0x774F4632);      // 'wOF2'
+        view.setUint32(4, sfnt.flavor);
+        view.setUint32(8, length);
+        view.setUint16(12, numTables);
+        view.setUint32(16, totalSfntSize);
+        view.setUint32(20, compressed.length);
+        view.setUint16(24, 1);              // majorVersion
+        bytes.set(directory, headerSize);
+        bytes.set(compressed, headerSize + directory.length);
+        return out;
+    }
+
+    // WOFF2 的 UIntBase128 編碼
+    static uintBase128(value) {
+        const out = [];
+        do {
+            out.unshift(value & 0x7F);
+            value = Math.floor(value / 128);
+        } while (value > 0);
+        for (let i = 0; i < out.length - 1; i++) out[i] |= 0x80;
+        return out;
+    }
+
+    // 以不壓縮的資料區塊 (uncompressed meta-block) 組成 brotli 資料流
+    static brotliStored(data) {
+        const blockSize = 65536;
+        const blocks = Math.ceil(data.length / blockSize);
+        const out = new Uint8Array(data.length + blocks * 3 + 2);
+        let pos = 0;
+        for (let i = 0; i < blocks; i++) {
+            const len = Math.min(blockSize, data.length - i * blockSize);
+            // 位元由低到高：[WBITS=16 (0)] ISLAST=0, MNIBBLES=4 (00), MLEN-1 (16 bits), ISUNCOMPRESSED=1，再補齊到位元組邊界
+            let bits = (len - 1) << 3 | 1 << 19;
+            if (i === 0) bits = bits << 1;
+            out[pos++] = bits & 0xFF;
+            out[pos++] = (bits >> 8) & 0xFF;
+            out[pos++] = (bits >> 16) & 0xFF;
+            out.set(data.subarray(i * blockSize, i * blockSize + len), pos);
+            pos += len;
+        }
+        // 結尾：ISLAST=1, ISLASTEMPTY=1（資料為空時前面還要加上 WBITS）
+        out[pos++] = blocks === 0 ? 0x06 : 0x03;
+        return out.subarray(0, pos);
+    }
+
+    // 把 opentype.js 產生的 CFF 字型改成 TrueType 外框 (glyf/loca)
+    // 三次曲線在 tolerance（字型單位）內轉成二次曲線，其餘表格（name、OS/2、GSUB…）原樣保留
+    static toTrueType(font, tolerance = 1) {
+        const sfnt = FontFormats.parseSfnt(font.toArrayBuffer());
+        const numGlyphs = font.glyphs.length;
+
+        const glyphs = [];
+        for (let i = 0; i < numGlyphs; i++) {
+            const glyph = font.glyphs.get(i);
+            const path = glyph.path && glyph.path.commands ? glyph.path : glyph.getPath(0, 0, font.unitsPerEm);
+            glyphs.push(FontFormats.encodeGlyf(FontFormats.quadraticContours(path.commands, tolerance)));
+        }
+
+        // glyf / loca（長格式）
+        const glyfLength = glyphs.reduce((sum, g) => sum + ((g.data.length + 3) & ~3), 0);
+        const glyf = new Uint8Array(glyfLength);
+        const loca = new Uint8Array((numGlyphs + 1) * 4);
+        const locaView = new DataView(loca.buffer);
+        let offset = 0;
+        glyphs.forEach((g, i) => {
+            locaView.setUint32(i * 4, offset);
+            glyf.set(g.data, offset);
+            offset += (g.data.length + 3) & ~3;
+        });
+        locaView.setUint32(numGlyphs * 4, offset);
+
+        // maxp 1.0
+        const maxp = new Uint8Array(32);
+        const maxpView = new DataView(maxp.buffer);
+        maxpView.setUint32(0, 0x00010000);
+        maxpView.setUint16(4, numGlyphs);
+        maxpView.setUint16(6, Math.max(0, ...glyphs.map(g => g.points)));
+        maxpView.setUint16(8, Math.max(0, ...glyphs.map(g => g.contours)));
+        maxpView.setUint16(14, 2);      // maxZones
+
+        const tables = sfnt.tables.filter(t => t.tag !== 'CFF ' && t.tag !== 'VORG' && t.tag !== 'maxp').map(t => ({ tag: t.tag, data: new Uint8Array(t.data) }));
+        const table = (tag) => tables.find(t => t.tag === tag);
+        const bbox = FontFormats.unionBounds(glyphs);
+
+        // head：全體外框範圍與 loca 格式
+        const head = new DataView(table('head').data.buffer);
+        head.setInt16(36, bbox.xMin);
+        head.setInt16(38, bbox.yMin);
+        head.setInt16(40, bbox.xMax);
+        head.setInt16(42, bbox.yMax);
+        head.setInt16(50, 1);           // indexToLocFormat: 長格式
+
+        // hmtx / hhea：TrueType 的左側間距必須等於外框的 xMin
+        const hhea = new DataView(table('hhea').data.buffer);
+        const numberOfHMetrics = hhea.getUint16(34);
+        const hmtx = new DataView(table('hmtx').data.buffer);
+        let minLsb = Infinity, minRsb = Infinity, maxExtent = -Infinity;
+        glyphs.forEach((g, i) => {
+            const advance = hmtx.getUint16(Math.min(i, numberOfHMetrics - 1) * 4);
+            const lsbOffset = i < numberOfHMetrics ? i * 4 + 2 : numberOfHMetrics * 4 + (i - numberOfHMetrics) * 2;
+            const lsb = g.contours > 0 ? g.xMin : 0;
+            hmtx.setInt16(lsbOffset, lsb);
+            if (g.contours === 0) return;
+            minLsb = Math.min(minLsb, lsb);
+            minRsb = Math.min(minRsb, advance - g.xMax);
+            maxExtent = Math.max(maxExtent, g.xMax);
+        });
+        if (maxExtent > -Infinity) {
+            hhea.setInt16(10, minLsb);
+            hhea.setInt16(12, minRsb);
+            hhea.setInt16(14, maxExtent);
+        }
+
+        tables.push({ tag: 'glyf', data: glyf }, { tag: 'loca', data: loca }, { tag: 'maxp', data: maxp });
+        return FontFormats.buildSfnt(0x00010000, tables);
+    }
+
+    // 加上直排用的 vhea / vmtx（CFF 外框另加 VORG），字高一律為全形
+    // 直排原點在字身框上緣 (font.ascender)，上側間距由外框計算
+    static addVerticalMetrics(buffer, font) {
+        const sfnt = FontFormats.parseSfnt(buffer);
+        const upm = font.unitsPerEm;
+        const ascender = font.ascender;
+        const numGlyphs = font.glyphs.length;
+
+        const vmtx = new Uint8Array(numGlyphs * 4);
+        const vmtxView = new DataView(vmtx.buffer);
+        let minTop = Infinity, minBottom = Infinity, maxExtent = -Infinity;
+        for (let i = 0; i < numGlyphs; i++) {
+            const glyph = font.glyphs.get(i);
+            const path = glyph.path && glyph.path.commands ? glyph.path : glyph.getPath(0, 0, upm);
+            vmtxView.setUint16(i * 4, upm);
+            if (path.commands.length === 0) {       // 空白字符：上側間距等於原點高度
+                vmtxView.setInt16(i * 4 + 2, ascender);
+                continue;
+            }
+            const box = path.getBoundingBox();
+            const top = Math.round(ascender - box.y2);
+            vmtxView.setInt16(i * 4 + 2, top);
+            minTop = Math.min(minTop, top);
+            minBottom = Math.min(minBottom, upm - Math.round(ascender - box.y1));
+            maxExtent = Math.max(maxExtent, top + Math.round(box.y2 - box.y1));
+        }
+
+        // vhea 1.1
+        const vhea = new Uint8Array(36);
+        const vheaView = new DataView(vhea.buffer);
+        vheaView.setUint32(0, 0x00011000);
+        vheaView.setInt16(4, upm / 2);          // vertTypoAscender：中心線到右側
+        vheaView.setInt16(6, -upm / 2);         // vertTypoDescender
+        vheaView.setUint16(10, upm);            // advanceHeightMax
+        if (maxExtent > -Infinity) {
+            vheaView.setInt16(12, minTop);
+            vheaView.setInt16(14, minBottom);
+            vheaView.setInt16(16, maxExtent);
+        }
+        vheaView.setInt16(20, 1);               // caretSlopeRun（垂直的游標）
+        vheaView.setUint16(34, numGlyphs);      // numOfLongVerMetrics
+
+        const tables = sfnt.tables.filter(t => !['vhea', 'vmtx', 'VORG'].includes(t.tag)).map(t => ({ tag: t.tag, data: t.data }));
+        tables.push({ tag: 'vhea', data: vhea }, { tag: 'vmtx', data: vmtx });
+        if (tables.some(t => t.tag === 'CFF ')) {       // VORG 只用於 CFF 外框，所有字符的原點都相同
+            const vorg = new Uint8Array(8);
+            const vorgView = new DataView(vorg.buffer);
+            vorgView.setUint16(0, 1);
+            vorgView.setInt16(4, ascender);
+            tables.push({ tag: 'VORG', data: vorg });
+        }
+        return FontFormats.buildSfnt(sfnt.flavor, tables);
+    }
+
+    // 把路徑轉成二次曲線的輪廓：[{ x, y, on }] 的陣列，外框順時針、內框逆時針 (TrueType 的方向)
+    static quadraticContours(commands, tolerance) {
+        const contours = [];
+        let contour = null;
+        let cx = 0, cy = 0, sx = 0, sy = 0;
+        const close = () => {
+            if (contour && contour.length > 0) {
+                const last = contour[contour.length - 1];
+                if (contour.length > 1 && last.on && last.x === contour[0].x && last.y === contour[0].y) contour.pop();   // 終點與起點重疊
+                if (contour.length >= 3) contours.push(contour);
+            }
+            contour = null;
+        };
+        const point = (x, y, on) => contour.push({ x: Math.round(x), y: Math.round(y), on: on });
+
+        commands.forEach(c => {
+            switch (c.type) {
+                case 'M':
+                    close();
+                    contour = [];
+                    point(c.x, c.y, true);
+                    cx = sx = c.x;
+                    cy = sy = c.y;
+                    break;
+                case 'L':
+                    point(c.x, c.y, true);
+                    cx = c.x;
+                    cy = c.y;
+                    break;
+                case 'Q':
+                    point(c.x1, c.y1, false);
+                    point(c.x, c.y, true);
+                    cx = c.x;
+                    cy = c.y;
+                    break;
+                case 'C':
+                    FontFormats.cubicToQuadratic([cx, cy], [c.x1, c.y1], [c.x2, c.y2], [c.x, c.y], tolerance).forEach(([q, p]) => {
+                        point(q[0], q[1], false);
+                        point(p[0], p[1], true);
+                    });
+                    cx = c.x;
+                    cy = c.y;
+                    break;
+                case 'Z':
+                    close();
+                    cx = sx;
+                    cy = sy;
+                    break;
+            }
+        });
+        close();
+
+        // 依包含關係決定方向：被偶數個輪廓包住的是外框
+        const polygons = contours.map(contour => contour.map(p => [p.x, p.y]));
+        return contours.map((contour, i) => {
+            const depth = polygons.filter((polygon, j) => j !== i && FontFormats.pointInPolygon(polygons[i][0], polygon)).length;
+            const clockwise = FontFormats.signedArea(polygons[i]) < 0;
+            const wantClockwise = depth % 2 === 0;
+            if (clockwise === wantClockwise) return contour;
+            const reversed = contour.slice().reverse();
+            reversed.unshift(reversed.pop());       // 保持第一點為線上點
+            return reversed;
+        });
+    }
+
+    // 三次曲線切成 n 段，每段以一條二次曲線近似，誤差在容差內即採用；回傳 [[控制點, 終點], ...]
+    static cubicToQuadratic(p0, p1, p2, p3, tolerance) {
+        const at = (t) => {
+            const mt = 1 - t;
+            const a = mt * mt * mt, b = 3 * mt * mt * t, c = 3 * mt * t * t, d = t * t * t;
+            return [a * p0[0] + b * p1[0] + c * p2[0] + d * p3[0], a * p0[1] + b * p1[1] + c * p2[1] + d * p3[1]];
+        };
+        const derivative = (t) => {
+            const mt = 1 - t;
+            return [
+                3 * (mt * mt * (p1[0] - p0[0]) + 2 * mt * t * (p2[0] - p1[0]) + t * t * (p3[0] - p2[0])),
+                3 * (mt * mt * (p1[1] - p0[1]) + 2 * mt * t * (p2[1] - p1[1]) + t * t * (p3[1] - p2[1]))
+            ];
+        };
+
+        const maxSegments = 16;
+        for (let n = 1; n <= maxSegments; n++) {
+            const result = [];
+            const last = n === maxSegments;     // 最後一次不論誤差都要切完整條曲線
+            let ok = true;
+            for (let i = 0; i < n && (ok || last); i++) {
+                const t0 = i / n, t1 = (i + 1) / n;
+                const a = at(t0), d = at(t1);
+                const da = derivative(t0), dd = derivative(t1);
+                const h = (t1 - t0) / 3;
+                // 把這一段當成三次曲線 a, b, c, d，二次曲線的控制點取 (3(b + c) - a - d) / 4
+                const b = [a[0] + da[0] * h, a[1] + da[1] * h];
+                const c = [d[0] - dd[0] * h, d[1] - dd[1] * h];
+                const q = [(3 * (b[0] + c[0]) - a[0] - d[0]) / 4, (3 * (b[1] + c[1]) - a[1] - d[1]) / 4];
+                for (let k = 1; k < 8; k++) {
+                    const s = k / 8;
+                    const cubic = at(t0 + (t1 - t0) * s);
+                    const ms = 1 - s;
+                    const quad = [ms * ms * a[0] + 2 * ms * s * q[0] + s * s * d[0], ms * ms * a[1] + 2 * ms * s * q[1] + s * s * d[1]];
+                    if (Math.hypot(cubic[0] - quad[0], cubic[1] - quad[1]) > tolerance) {
+                        ok = false;
+                        break;
+                    }
+                }
+                result.push([q, i === n - 1 ? [p3[0], p3[1]] : d]);     // 終點一定接回原曲線的終點
+            }
+            if (ok || last) return result;
+        }
+    }
+
+    // 編碼成 glyf 表格中的一個簡單字符
+    static encodeGlyf(contours) {
+        const empty = { data: new Uint8Array(0), points: 0, contours: 0, xMin: 0, yMin: 0, xMax: 0, yMax: 0 };
+        const points = contours.flat();
+        if (points.length === 0) return empty;
+
+        const xs = points.map(p => p.x), ys = points.map(p => p.y);
+        const box = { xMin: Math.min(...xs), yMin: Math.min(...ys), xMax: Math.max(...xs), yMax: Math.max(...ys) };
+
+        const flags = [], xBytes = [], yBytes = [];
+        let px = 0, py = 0;
+        points.forEach(p => {
+            let flag = p.on ? 0x01 : 0;
+            const dx = p.x - px, dy = p.y - py;
+            if (dx === 0) flag |= 0x10;
+            else if (Math.abs(dx) < 256) {
+                flag |= 0x02 | (dx > 0 ? 0x10 : 0);
+                xBytes.push(Math.abs(dx));
+            } else xBytes.push((dx >> 8) & 0xFF, dx & 0xFF);
+            if (dy === 0) flag |= 0x20;
+            else if (Math.abs(dy) < 256) {
+                flag |= 0x04 | (dy > 0 ? 0x20 : 0);
+                yBytes.push(Math.abs(dy));
+            } else yBytes.push((dy >> 8) & 0xFF, dy & 0xFF);
+            flags.push(flag);
+            px = p.x;
+            py = p.y;
+        });
+
+        const size = 10 + contours.length * 2 + 2 + flags.length + xBytes.length + yBytes.length;
+        const data = new Uint8Array(size);
+        const view = new DataView(data.buffer);
+        view.setInt16(0, contours.length);
+        view.setInt16(2, box.xMin);
+        view.setInt16(4, box.yMin);
+        view.setInt16(6, box.xMax);
+        view.setInt16(8, box.yMax);
+        let pos = 10, end = -1;
+        contours.forEach(contour => {
+            end += contour.length;
+            view.setUint16(pos, end);
+            pos += 2;
+        });
+        view.setUint16(pos, 0);         // instructionLength
+        pos += 2;
+        data.set(flags, pos);
+        data.set(xBytes, pos + flags.length);
+        data.set(yBytes, pos + flags.length + xBytes.length);
+        return { data: data, points: points.length, contours: contours.length, ...box };
+    }
+
+    static unionBounds(glyphs) {
+        const drawn = glyphs.filter(g => g.contours > 0);
+        if (drawn.length === 0) return { xMin: 0, yMin: 0, xMax: 0, yMax: 0 };
+        return {
+            xMin: Math.min(...drawn.map(g => g.xMin)),
+            yMin: Math.min(...drawn.map(g => g.yMin)),
+            xMax: Math.max(...drawn.map(g => g.xMax)),
+            yMax: Math.max(...drawn.map(g => g.yMax))
+        };
+    }
+
+    // 有號面積（y 軸向上，逆時針為正）
+    static signedArea(polygon) {
+        let sum = 0;
+        for (let i = 0, n = polygon.length; i < n; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % n];
+            sum += a[0] * b[1] - b[0] * a[1];
+        }
+        return sum / 2;
+    }
+
+    static pointInPolygon([x, y], polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [xi, yi] = polygon[i], [xj, yj] = polygon[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+        }
+        return inside;
+    }
+
+    // CID 字型的 Registry-Ordering-Supplement 與 Adobe 公開的 Unicode 對照表 (CMap)
+    static cidOrderings = {
+        Japan1: { registry: 'Adobe', ordering: 'Japan1', supplement: 7, cmap: 'Adobe-Japan1-7/CMap/UniJIS-UTF32' },
+        CNS1:   { registry: 'Adobe', ordering: 'CNS1',   supplement: 7, cmap: 'Adobe-CNS1-7/CMap/UniCNS-UTF32' },
+        Identity: { registry: 'Adobe', ordering: 'Identity', supplement: 0, cmap: null }
+    };
+    static cmapBaseURL = 'https://raw.githubusercontent.com/adobe-type-tools/cmap-resources/master/';
+
+    // 讀取 Unicode → CID 對照表（橫排 H 與直排 V），結果會快取
+    async loadCIDMap(ordering) {
+        this.cidMaps = this.cidMaps || {};
+        if (this.cidMaps[ordering]) return this.cidMaps[ordering];
+        const ros = FontFormats.cidOrderings[ordering];
+        const load = async (suffix) => {
+            const response = await fetch(FontFormats.cmapBaseURL + ros.cmap + '-' + suffix);
+            if (!response.ok) throw new Error(`CMap 讀取失敗 (${response.status})`);
+            return FontFormats.parseCMap(await response.text());
+        };
+        const [horizontal, vertical] = await Promise.all([load('H'), load('V')]);
+        this.cidMaps[ordering] = { horizontal: horizontal, vertical: vertical };
+        return this.cidMaps[ordering];
+    }
+
+    // 解析 CMap 檔案中的 cidrange / cidchar 區段
+    static parseCMap(text) {
+        const map = new Map();
+        const hex = (s) => parseInt(s, 16);
+        text.replace(/begincidrange([\s\S]*?)endcidrange/g, (m, body) => {
+            body.replace(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(\d+)/g, (m, from, to, cid) => {
+                for (let code = hex(from), c = cid * 1; code <= hex(to); code++, c++) map.set(code, c);
+            });
+        });
+        text.replace(/begincidchar([\s\S]*?)endcidchar/g, (m, body) => {
+            body.replace(/<([0-9a-fA-F]+)>\s*(\d+)/g, (m, code, cid) => map.set(hex(code), cid * 1));
+        });
+        return map;
+    }
+
+    // 決定每個字符的 CID：有標準對照的依 Unicode 對應（直排字符用 V 對照表），其餘排在標準 CID 之後
+    // glyphs: [{ unicode, vertOf }]，vertOf 為直排字符對應的橫排 Unicode
+    static assignCIDs(glyphs, cidMap) {
+        const cids = [0];
+        const used = new Set([0]);
+        let next = 1;
+        if (cidMap) {
+            cidMap.horizontal.forEach(cid => { next = Math.max(next, cid + 1); });
+            cidMap.vertical.forEach(cid => { next = Math.max(next, cid + 1); });
+        }
+        for (let gid = 1; gid < glyphs.length; gid++) {
+            const glyph = glyphs[gid];
+            let cid = null;
+            if (cidMap && glyph.vertOf) cid = cidMap.vertical.get(glyph.vertOf);
+            else if (cidMap && glyph.unicode) cid = cidMap.horizontal.get(glyph.unicode);
+            if (!cidMap) cid = gid;
+            if (cid == null || used.has(cid)) cid = next++;     // 沒有標準對照（或已被使用）
+            used.add(cid);
+            cids.push(cid);
+        }
+        return cids;
+    }
+
+    // 把 opentype.js 產生的 name-keyed CFF 改寫成 CID-keyed CFF
+    static toCIDKeyed(buffer, cids, ros) {
+        const sfnt = FontFormats.parseSfnt(buffer);
+        const tables = sfnt.tables.map(t => ({ tag: t.tag, data: t.data }));
+        const cff = tables.find(t => t.tag === 'CFF ');
+        cff.data = FontFormats.buildCIDCFF(FontFormats.parseCFF(cff.data), cids, ros);
+        return FontFormats.buildSfnt(sfnt.flavor, tables);
+    }
+
+    // 解析 CFF（只處理單一字型、opentype.js 產生的結構）
+    static parseCFF(bytes) {
+        const headerSize = bytes[2];
+        const names = FontFormats.readIndex(bytes, headerSize);
+        const topDicts = FontFormats.readIndex(bytes, names.end);
+        const strings = FontFormats.readIndex(bytes, topDicts.end);
+        const globalSubrs = FontFormats.readIndex(bytes, strings.end);
+        const topDict = FontFormats.readDict(topDicts.items[0]);
+        const charStrings = FontFormats.readIndex(bytes, topDict.get(17)[0].value);
+        const [privateSize, privateOffset] = topDict.get(18).map(o => o.value);
+        const privateDict = FontFormats.readDict(bytes.subarray(privateOffset, privateOffset + privateSize));
+        return {
+            name: new TextDecoder().decode(names.items[0]),
+            topDict: topDict,
+            strings: strings.items.map(s => new TextDecoder().decode(s)),
+            globalSubrs: globalSubrs.items,
+            charStrings: charStrings.items,
+            privateDict: privateDict
+        };
+    }
+
+    static readIndex(bytes, pos) {
+        const count = (bytes[pos] << 8) | bytes[pos + 1];
+        if (count === 0) return { items: [], end: pos + 2 };
+        const offSize = bytes[pos + 2];
+        const offset = (i) => {
+            let v = 0;
+            for (let k = 0; k < offSize; k++) v = v * 256 + bytes[pos + 3 + i * offSize + k];
+            return v;
+        };
+        const base = pos + 2 + (count + 1) * offSize;
+        const items = [];
+        for (let i = 0; i < count; i++) items.push(bytes.subarray(base + offset(i), base + offset(i + 1)));
+        return { items: items, end: base + offset(count) };
+    }
+
+    // 解析 DICT，回傳 Map(運算子 → 運算元陣列)；兩位元組運算子記為 1200 + 第二位元組
+    // 每個運算元保留原始位元組，實數等不需改寫的值可以直接複製
+    static readDict(bytes) {
+        const dict = new Map();
+        let operands = [];
+        let i = 0;
+        while (i < bytes.length) {
+            const b0 = bytes[i];
+            const start = i;
+            let value;
+            if (b0 <= 21) {
+                const op = b0 === 12 ? 1200 + bytes[i + 1] : b0;
+                i += b0 === 12 ? 2 : 1;
+                dict.set(op, operands);
+                operands = [];
+                continue;
+            } else if (b0 === 28) {
+                value = (bytes[i + 1] << 24 >> 16) | bytes[i + 2];
+                i += 3;
+            } else if (b0 === 29) {
+                value = (bytes[i + 1] << 24) | (bytes[i + 2] << 16) | (bytes[i + 3] << 8) | bytes[i + 4];
+                i += 5;
+            } else if (b0 === 30) {
+                i++;
+                while (i < bytes.length) {
+                    const b = bytes[i++];
+                    if ((b & 0x0F) === 0x0F || (b >> 4) === 0x0F) break;
+                }
+                value = NaN;        // 實數只保留原始位元組
+            } else if (b0 <= 246) {
+                value = b0 - 139;
+                i++;
+            } else if (b0 <= 250) {
+                value = (b0 - 247) * 256 + bytes[i + 1] + 108;
+                i += 2;
+            } else {
+                value = -(b0 - 251) * 256 - bytes[i + 1] - 108;
+                i += 2;
+            }
+            operands.push({ value: value, raw: bytes.subarray(start, i) });
+        }
+        return dict;
+    }
+
+    // 組成 CID-keyed CFF：所有字符共用一個 FD，Private DICT 沿用原本的設定
+    static buildCIDCFF(cff, cids, ros) {
+        const strings = [];
+        const sid = (s) => {
+            const i = strings.indexOf(s);
+            return 391 + (i >= 0 ? i : strings.push(s) - 1);
+        };
+        const oldString = (value) => (value < 391 ? null : cff.strings[value - 391]);
+
+        const number = (v) => {
+            if (v >= -107 && v <= 107) return [v + 139];
+            if (v >= 108 && v <= 1131) return [((v - 108) >> 8) + 247, (v - 108) & 0xFF];
+            if (v >= -1131 && v <= -108) return [((-v - 108) >> 8) + 251, (-v - 108) & 0xFF];
+            return [29, (v >> 24) & 0xFF, (v >> 16) & 0xFF, (v >> 8) & 0xFF, v & 0xFF];
+        };
+        const fixed = (v) => [29, (v >> 24) & 0xFF, (v >> 16) & 0xFF, (v >> 8) & 0xFF, v & 0xFF];    // 位移量固定用 5 位元組，方便先計算配置
+        const operator = (op) => (op >= 1200 ? [12, op - 1200] : [op]);
+        const entry = (op, ...operands) => operands.flat().concat(operator(op));
+        const copy = (dict, op) => (dict.has(op) ? entry(op, ...dict.get(op).map(o => [...o.raw])) : []);
+        const copyString = (dict, op) => {
+            if (!dict.has(op)) return [];
+            const value = dict.get(op)[0].value;
+            const s = oldString(value);
+            return entry(op, number(s === null ? value : sid(s)));
+        };
+
+        const numGlyphs = cff.charStrings.length;
+        const cidCount = Math.max(...cids) + 1;
+
+        // 除了位移量以外的 Top DICT 內容
+        const top = cff.topDict;
+        const topHead = [].concat(
+            entry(1230, number(sid(ros.registry)), number(sid(ros.ordering)), number(ros.supplement)),     // ROS 必須在最前面
+            copyString(top, 0), copyString(top, 1), copyString(top, 1200), copyString(top, 2), copyString(top, 3), copyString(top, 4),
+            copy(top, 5),
+            entry(1234, number(cidCount))
+        );
+        const fontName = sid(cff.name + '-Generic');
+
+        // 各區塊
+        const nameIndex = FontFormats.writeIndex([new TextEncoder().encode(cff.name)]);
+        const topDictSize = topHead.length + 5 * 4 + 2 * 3;     // charset, CharStrings (1 byte op), FDArray, FDSelect (2 byte op)
+        const topIndexSize = FontFormats.writeIndex([new Uint8Array(topDictSize)]).length;
+        const stringIndex = FontFormats.writeIndex(strings.map(s => new TextEncoder().encode(s)));
+        const gsubrIndex = FontFormats.writeIndex(cff.globalSubrs);
+
+        const charset = [0];        // format 0：依序列出 GID 1 之後的 CID
+        for (let gid = 1; gid < numGlyphs; gid++) charset.push(cids[gid] >> 8, cids[gid] & 0xFF);
+        const fdSelect = [3, 0, 1, 0, 0, 0, numGlyphs >> 8, numGlyphs & 0xFF];      // format 3：全部屬於 FD 0
+        const charStringIndex = FontFormats.writeIndex(cff.charStrings);
+
+        const privateBytes = [];
+        cff.privateDict.forEach((operands, op) => {
+            if (op !== 19) privateBytes.push(...entry(op, ...operands.map(o => [...o.raw])));    // 不使用 local subrs
+        });
+
+        let pos = 4 + nameIndex.length + topIndexSize + stringIndex.length + gsubrIndex.length;
+        const charsetOffset = pos;
+        pos += charset.length;
+        const fdSelectOffset = pos;
+        pos += fdSelect.length;
+        const charStringsOffset = pos;
+        pos += charStringIndex.length;
+        const fdArrayOffset = pos;
+        const fontDict = new Uint8Array(entry(1238, number(fontName)).concat(entry(18, fixed(privateBytes.length), fixed(0))));
+        const fdArraySize = FontFormats.writeIndex([fontDict]).length;
+        const privateOffset = pos + fdArraySize;
+        const fontDictFinal = new Uint8Array(entry(1238, number(fontName)).concat(entry(18, fixed(privateBytes.length), fixed(privateOffset))));
+        const fdArrayIndex = FontFormats.writeIndex([fontDictFinal]);
+
+        const topDict = new Uint8Array(topHead.concat(
+            entry(15, fixed(charsetOffset)),
+            entry(17, fixed(charStringsOffset)),
+            entry(1236, fixed(fdArrayOffset)),
+            entry(1237, fixed(fdSelectOffset))
+        ));
+        const topIndex = FontFormats.writeIndex([topDict]);
+
+        const parts = [[1, 0, 4, 4], nameIndex, topIndex, stringIndex, gsubrIndex, charset, fdSelect, charStringIndex, fdArrayIndex, privateBytes];
+        const total = parts.reduce((sum, p) => sum + p.length, 0);
+        const out = new Uint8Array(total);
+        let offset = 0;
+        parts.forEach(p => {
+            out.set(p, offset);
+            offset += p.length;
+        });
+        return out;
+    }
+
+    static writeIndex(items) {
+        if (items.length === 0) return new Uint8Array([0, 0]);
+        const dataSize = items.reduce((sum, item) => sum + item.length, 0);
+        const offSize = dataSize + 1 < 0x100 ? 1 : dataSize + 1 < 0x10000 ? 2 : dataSize + 1 < 0x1000000 ? 3 : 4;
+        const out = new Uint8Array(3 + (items.length + 1) * offSize + dataSize);
+        out[0] = items.length >> 8;
+        out[1] = items.length & 0xFF;
+        out[2] = offSize;
+        let offset = 1;
+        let pos = 3;
+        const writeOffset = (v) => {
+            for (let k = offSize - 1; k >= 0; k--) out[pos++] = (v >> (8 * k)) & 0xFF;
+        };
+        writeOffset(offset);
+        items.forEach(item => {
+            offset += item.length;
+            writeOffset(offset);
+        });
+        items.forEach(item => {
+            out.set(item, pos);
+            pos += item.length;
+        });
+        return out;
+    }
+
+    // 依輸出格式轉換字型檔
+    async convert(buffer, format) {
+        if (format === 'woff') return FontFormats.toWOFF(buffer);
+        if (format === 'woff2') return this.toWOFF2(buffer);
+        return buffer;
+    }
+}
+
+// Export for use in other modules
+window.FontFormats = FontFormats;
@@ -1,21 +1,37 @@
-const version = '0.595'; // 版本號
+const version = '0.60'; // 版本號
 const upm = 1000;
 const userAgent = navigator.userAgent.toLowerCase();
 const pressureDelta = 1.3;		// 筆壓模式跟一般模式的筆寬差異倍數 (舊筆壓模式用)
 const dbName = fdrawer.dbName || 'FontDrawerDB'; // 使用 fdrawer.dbName，如果未定義則使用預設值
-const storeName = 'FontData';
+const schemaVersion = 2;		// 資料庫結構版本，變更時在 migrations 加上對應的升級程序
+const legacyStoreName = 'FontData';		// 第 1 版：所有資料以鍵值前綴區分，存在同一個 store
+const projectStoreName = 'Projects';
+const projectKey = dbName + '.project';		// localStorage 中記錄目前專案的鍵值
 const events = [];
+const historyLimit = { steps: 200, bytes: 256 * 1024 };	// 每個字符保存的復原紀錄上限（步數、資料量）
+// potrace 描圖參數的預設值（雜點大小、轉角門檻、曲線最佳化、最佳化容差、二值化門檻）
+// 舊版傳入的 turdSize 鍵名 potrace 不認得，實際一直是預設的 2，沿用以免已轉換的字改變
+const defaultTraceParams = { turdsize: 2, alphamax: 1, optcurve: true, opttolerance: 0.5, threshold: 128 };
+const frequencyListUrl = '../glist/zht_order.txt';		// 常用字頻率表（匯入字表時依常用程度排序）
 
 // Initialize character data structures
 let glyphList = {};
 let glyphMap = {};
 
+// 內建字表 (cglyphlist.js / jglyphlist.js)：字型製作用的字表，與 HSK 字表一起列在選單中
+if (typeof catalogGlyphMap !== 'undefined') {
+	Object.assign(glyphMap, catalogGlyphMap);
+	Object.assign(glyphList, catalogGlyphList);
+}
+
 // Character navigation variables
 let nowList = null;
 let nowGlyphIndex = null;
 let nowGlyph = null;
 
 let db;
+let projectDB;
+let project = null;		// 目前的字型專案 {id, name, dbName, created}
 let settings = null;
 let showHint = false;
 
@@ -39,21 +55,81 @@ addBrush('iVBORw0KGgoAAAANSUhEUgAAAGAAAABgCAYAAADimHc4AAAACXBIWXMAAAsTAAALEwEAmp
 addBrush('iVBORw0KGgoAAAANSUhEUgAAAGAAAABgCAYAAADimHc4AAAACXBIWXMAAAsTAAALEwEAmpwYAAAGlmlUWHRYTUw6Y29tLmFkb2JlLnhtcAAAAAAAPD94cGFja2V0IGJlZ2luPSLvu78iIGlkPSJXNU0wTXBDZWhpSHpyZVN6TlRjemtjOWQiPz4gPHg6eG1wbWV0YSB4bWxuczp4PSJhZG9iZTpuczptZXRhLyIgeDp4bXB0az0iQWRvYmUgWE1QIENvcmUgOS4xLWMwMDEgNzkuMTQ2Mjg5OSwgMjAyMy8wNi8yNS0yMDowMTo1NSAgICAgICAgIj4gPHJkZjpSREYgeG1sbnM6cmRmPSJodHRwOi8vd3d3LnczLm9yZy8xOTk5LzAyLzIyLXJkZi1zeW50YXgtbnMjIj4gPHJkZjpEZXNjcmlwdGlvbiByZGY6YWJvdXQ9IiIgeG1sbnM6eG1wPSJodHRwOi8vbnMuYWRvYmUuY29tL3hhcC8xLjAvIiB4bWxuczpkYz0iaHR0cDovL3B1cmwub3JnL2RjL2VsZW1lbnRzLzEuMS8iIHhtbG5zOnBob3Rvc2hvcD0iaHR0cDovL25zLmFkb2JlLmNvbS9waG90b3Nob3AvMS4wLyIgeG1sbnM6eG1wTU09Imh0dHA6Ly9ucy5hZG9iZS5jb20veGFwLzEuMC9tbS8iIHhtbG5zOnN0RXZ0PSJodHRwOi8vbnMuYWRvYmUuY29tL3hhcC8xLjAvc1R5cGUvUmVzb3VyY2VFdmVudCMiIHhtcDpDcmVhdG9yVG9vbD0iQWRvYmUgUGhvdG9zaG9wIDI1LjAgKFdpbmRvd3MpIiB4bXA6Q3JlYXRlRGF0ZT0iMjAyNS0wNy0xOVQxMToyNToxMSswODowMCIgeG1wOk1vZGlmeURhdGU9IjIwMjUtMDctMTlUMTI6Mjk6MzIrMDg6MDAiIHhtcDpNZXRhZGF0YURhdGU9IjIwMjUtMDctMTlUMTI6Mjk6MzIrMDg6MDAiIGRjOmZvcm1hdD0iaW1hZ2UvcG5nIiBwaG90b3Nob3A6Q29sb3JNb2RlPSIzIiB4bXBNTTpJbnN0YW5jZUlEPSJ4bXAuaWlkOjI3ZDI3MjBiLTUzYjgtMTM0NC04MGZjLTFkY2EwMzQxMzFlNiIgeG1wTU06RG9jdW1lbnRJRD0iYWRvYmU6ZG9jaWQ6cGhvdG9zaG9wOmU5ZWFjMDdmLTNmMDQtYzc0NS1iYTcxLTJlNjJkY2U5NmM5YSIgeG1wTU06T3JpZ2luYWxEb2N1bWVudElEPSJ4bXAuZGlkOmE0ZTBhZjA2LTcyMTUtMWY0Ni1hODZkLWU3NzU4MzNmNmMwZCI+IDx4bXBNTTpIaXN0b3J5PiA8cmRmOlNlcT4gPHJkZjpsaSBzdEV2dDphY3Rpb249ImNyZWF0ZWQiIHN0RXZ0Omluc3RhbmNlSUQ9InhtcC5paWQ6YTRlMGFmMDYtNzIxNS0xZjQ2LWE4NmQtZTc3NTgzM2Y2YzBkIiBzdEV2dDp3aGVuPSIyMDI1LTA3LTE5VDExOjI1OjExKzA4OjAwIiBzdEV2dDpzb2Z0d2FyZUFnZW50PSJBZG9iZSBQaG90b3Nob3AgMjUuMCAoV2luZG93cykiLz4gPHJkZjpsaSBzdEV2dDphY3Rpb249InNhdmVkIiBzdEV2dDppbnN0YW5jZUlEPSJ4bXAuaWlkOmFiZmViNmY4LTUwNzEtNWM0Ni04YjJkLTQxODYxYzE3NGIxYSIgc3RFdnQ6d2hlbj0iMjAyNS0wNy0xOVQxMjoyOTozMiswODowMCIgc3RFdnQ6c29mdHdhcmVBZ2VudD0iQWRvYmUgUGhvdG9zaG9wIDI1LjAgKFdpbmRvd3MpIiBzdEV2dDpjaGFuZ2VkPSIvIi8+IDxyZGY6bGkgc3RFdnQ6YWN0aW9uPSJzYXZlZCIgc3RFdnQ6aW5zdGFuY2VJRD0ieG1wLmlpZDoyN2QyNzIwYi01M2I4LTEzNDQtODBmYy0xZGNhMDM0MTMxZTYiIHN0RXZ0OndoZW49IjIwMjUtMDctMTlUMTI6Mjk6MzIrMDg6MDAiIHN0RXZ0OnNvZnR3YXJlQWdlbnQ9IkFkb2JlIFBob3Rvc2hvcCAyNS4wIChXaW5kb3dzKSIgc3RFdnQ6Y2hhbmdlZD0iLyIvPiA8L3JkZjpTZXE+IDwveG1wTU06SGlzdG9yeT4gPC9yZGY6RGVzY3JpcHRpb24+IDwvcmRmOlJERj4gPC94OnhtcG1ldGE+IDw/eHBhY2tldCBlbmQ9InIiPz4oCt+pAAAQ7UlEQVR42u2dCXgURRbHKyQhAeQGRRBEoyI3inhwrCwKwnqh4okiAp6AriiHqOvqet8Iq6gIiiwegBcgCHgrhxLl0jWIqOwigsZwBAiBZLbex692KmXPZGaSmQnY7/vel54+qrvr3f+q6qQEAgHlU/Kokt8FvgB8AfjkC8AXgE++AHwB+OQLwBeATz4ZaqD56HJu8xDNHT32n6Z5seZDo3y+OvuzBWzT/EuIY90014yhzS2a13nsP0Bzfc2NNT+hebjmyhwTgXXRPElzd+uaAzXXjpcAmlUAATTUnOvsO4K/N2ve6nFNywiE+l+P/Z9pHsyx5Zq/1Vyo+QSUQJ4jW/Mm65oN1vO1x4oMdY71patrHqh5nOa/8qK14tzRp4fY/6jmds6+g/n7lxDXNCnnZ4vEBdbTvEJzG2tf81hveJDmHM3b0YDdaEZGHAXQgb+tNKeyLZo3jA4Xd9Paer4rLUsI1V77KO4vrqxqGZ5frr8h1otTPcx+KI2m4qKyNGeijd9r3lHOAviJv1Xx0QGC20LNGzX3wTXIef01X6P5KM2rcQ8nae6ruQbnikW9FcJFedGxmtM0/1bKea0cF2Rol+Yl5dUZHekAm3fBeZof1PwnzedpTomgvRPK8CzGjN/R3Ijt3pq/0vyd5e9vwWKf5lgPp53jsQiJa9eiWCdrvlNzuuZ7OKc6Ftbdww2JK56AsI8pT+1Lc357mW5l69zhWMmB+FvR0J2aX0dDdiCYtZzTJULtkHschvsTGqX5Y7ZfsYLdUmLSAKziz5pPQUEewRfPs5IIEdJZmouwiAG4U1G08zXn497G4W6PI7h20rwMwYrQ76MNyZTuL+Vd7uSZv45FAOI/i0NkR2bfGZzTFU38QXNdXmqS1aHf84KRUDGCtDOM1WxPdJKEfyCIOzQfSTx4k/NFk4fQgZt4xsOt66vRgSa+PYhVyDmLNF+g+XLNT1oKdpblrtdw71DUHk+xM1YL+EDzZREEHUNZmO2ptLWAAmUNwilmf+0QOf3p+Po8Jz9/IcS9pVMn4xYyEdQG0kaTmz/Cdj4uxk0gMpx90lYvnl3Sx+twne2wANvlBBCcwmL7ofEKyx+K9f4cjQBu03w3v3OidGHpTjFyMeYvJt0Wd3UL7mIS8eMTgqhsX6F5tubNpdxHhDfdckXysv8h907DMjpaGZUpriKhKxHIabiZx1EcEwMzrXMvx71WQnDXojjVeKZ2JArG8sXSZnjUMyUE0BLf9gs3LAt1I5tpy4NLsDsRaxA3VcD9uhLIizk3rZR2c9DuIn5LUD7bCsQbyJxOjuGZM+nQ1Ahz/jGWcMTVPGP1m8Siu6zzTTr/fLhGr+aidHzhzx6ZULT8Lpq+hQcIoBVTecjdUba3k3YMSxt7rOPb4UAF5HmlSfVGzKgevLocbrqDTrM7pZjfxWhyYD/lbSiIcWPzSyvE5OQRpE2rsIi6ZXRF6biVdGtfCvcLRGjuiaAiLKnIsqhon20z77qVNirhHlvh2jfglsXtnql5JYr4/04x0T0b/OVWzS32U4hbXOJYLFSQz2+ogFMIpD0A5kQpL0QRH9Y8nutHa76X7X/jMV4ghT2LwPwwCcPrCGIjCYHA3XNwvyKwj6R9E/xWUpBIoVVF7b8kaezfUDjJmr4gMVBkc2lkcIpMLYsKO59gPZH+2UjVXZUEIwc3fiiQyEnE0yG44kqcL0J4H2uQ+qW6EcD3COAwNKEiUAGuoTyfZx5u4XqsoAfV81Jy+MNxm3voD6l5RpJ6ztV8EzXLh7ieTGoeU6Wvx8IGI6gnnftfy/VDEdx3aWGKrGTTKnL9cwhsB0SIP9k0C6iiCnXIPzVfSsx7HL9dSAX9C+6hJ4IwNUwNXNAdFJxNKCA3oBxLrFhXDTfeEaEZakF1XgUrmhWqEk425eJ3d+Cb17G9ErOOhgrRxGV01ihc0GhS7ScpEEXbBwFL1MXtHEyFPxlLbMQ1tzFesp79xXSqgW96AZUsDFFvjOO5fkdvVpAUbhZ/twC0ncwLv2KhsoVOelsIVL3DacvA0dsQhALpfICK1qZBYQR5FUWgoRNDjB9UwkJiomQLoJisoicd/pKT0vank4QvQkAFCGQOWj7bEcwuOi+AVmdx3o1RwuZDY+zTrGjAuGXkqCkJdDfbQE0L6cxHCJLFZCc2UiqW8au172zSxQI0XXCcl3n+XhYi+zRC6Uxe3tYaALIxo6VYm/j3F53jY2N8v5RoBLA6wZ2vyIPnke5VJncu5tiXwN7r6DS3UxaCwewBfV1NnDgIAeTzbpUAw0ZZoJ77ng1wHf2wlvoIeyrtC1j3bAzvtyYaAawjPaqdQAFMoXMORQAuItqJNLEPAuhIZrQTnGkX562HhZYTyMUtHUInfoGLbcjgiguL78b6X0ZgtayBpXCoalvuVy5UhUIhXj5+mQdeUp/g2Iyg2MB5ppZkKgP53RU30tAJiIbqoMnDENwAa5BJMP57Qrz7waSqBmWNlDqUt0Z+EUcBPO38/gENyiPAvkNZ75I7++EgRyO7Osc6gO3XsaDqruTy1UO8d42KUv1PjKMAFju/N+LDpeNl3Ngdiz6DAqwpWc8fgs6Pc6pZYLm56fjiYbgiNy59RrbyELGhJ+CY17zOOvjuOuTnVVTJOZutS3nvO7CepJBdCb8b53ttJ6V7Cs3vRu7/i+PTO1iV6DUgjW+Trs4hKKdwfW2q1wlck0IcyESABaSoywmyZl7PsVjXa/j9I7muGpaZNIqnBWwEYylC2DM8ipVxDjYfAHcx2wKcyThyXzKiAjCXvgTa21VwIEhi2rcI4l6yIkMCuU+zFNC+R9IsIN5UxYIARHvHgAi6KaGZ/iKp4HzgW0NNANTMs6eTxj6H0AxXAUsq4h6jrWs6ofW5nNsJ2EOB4SeVliQIeliIX3fpMeuc+aCzdcK08yia7jXE+SwWY+Mz1XB/uVjQdZwzAYiiZbIF8FyCBNAvxP1tAXTBr48K044CKi7wOJZF7p/hWPz1VNwyMCOjV3er4KzrpNMQVXJOTDw4H81uXYoAGqHF4doaDI5TEEI4WR5u9hgspraqgHQkOEi8EM8AwVdIJmY1ZjsVvH+6df7LqmxTTbwolcJviwMxJ41c7djKwEPdON1vBgMfp5AJTaFD2qHtZoFFDs8xmVQ0FjqH9yui2i3CUi6hbXe2WmXi0ky1d4B9CxX7D/EUgDsFo5hBi6PikN4uBkTbSr6fiTBWkh2dgr+W7OcufLN0oJk1PYeKeSIdWtoCuaPAhPrSpqxguZSaYjsAXXvS1G5Y4Fh+96Fm2IKw5LhM3P00EVYxWMVnspIEy1dJK3tYbimbatec+4mFzciY7L/oEMWxqqCcpd1T4IwFdHQGlf4gBH0SfK4FbxurWMC5WQ5yOz1RbqlrnASwg8r3VXJ5e1qhfe6tVKkDCbC7yFgGMhDTHKFFEgMkrR7B9kALRjZAXzoVt0AisqrmJeAOQWaPt/rkqUTGhYZOJVqeHG5KogyQ/6j2jkz1VSWHFpezPYzcPRCDAEKtXKyFq+uiSq50VNZ4QLaKbTZfq1gq4Z9U/KYOhluX/C0amAuc8Cm+vxiNFB8uw5ZzOX82EMJyUlq37e5YVytc2gHEhSa4sUys8ifcj1ml08sajNmCq2pMOwUqOIW/aQQBuhEFX9T0tUr8wPwiZ0DELIyQzniCc1bRaWaa+xQKq90hsKcPNL+H5QiY9wLYUS6Vdh5BebQKLgw3s68LEe4KBDmCBMAgp2ZhRk1VhmWpoTRyZoLcXbEKrjjJw/WY/PxL/qZbz/mMlR4GyGqqK+/x7Gq4szwsZw+a/hYQxlCEKRp+M0F2JferzF9pexaxaAQVcz3wJ1PIVbXqmTKnoXba2C8BAijk5RpTALawXugE3E5rtO5EcJ/OaGomGi6d+xGa3dRyqzJO/LkF0L1P/PgcPOhXOvlLtHw8Lkiypg9pWxYKPkA/pQNdLOVZPiRVzfcAFctMddCW/Di5m82Yea5HSvk9QW9jmPtvwHdfSkekkTZuss6RafZmpfsYVXKxXigKp3THqARSBi8wOU4C+IhAm0P24x5/jXs/bO3LprN3OhnSTSq4Vu2HEFBEtuW7ww2810o0FBHKBRXx0HVVcJlmeVEOmYxg8M/jctzPxDTH199MByuC6QTwe+N/JRhPor7owhjAJgL0CiCOI4CaRXiriTM12d8Cv96Me6ZjXRWGBsVB+2XRc2+2L6TIMTMl3DqhM7WBPbtijKPpJi2chusc6HHP3UAZPRl02QwvRTh3k2k1SDYYlwg62rK8sSo4Tvsx2UxfOn0tmI902JWki20Qmvj/+8mi5vMeIwncE2jPLOTLIJZIUL6YtsdTD0xL9ihYMgTQ29qubwnjIAs8E2HI+O4AOlHSxctUcDXLKstVbiNNXetg/J+RLX2DG31FlVwwd7QqOYc/EspCcLm4uH1SAF4Zl+mQNIqdFqSiQ4CtM/Dr2Zz7d6tGuAqByDzTdQTuGsSMrbiefFJMm74B5XzP2X+qVfS1JVWuhPDFvR1CAbgiEZ0TjxgQjsVF3MP259b+obx0XbTc69rhKrjUtmEYhWvMYFBtUu02YEDpBG3zyZyRxA6zWCQfpPSMfd0FhaOp1vZxjrvog+n/iKa7X8e6niBamazqPuf9MsiEziO76g/8sYhjZ4IAmIUdI4kj1RjLWMnxBft6FlRWFshgRpjjmywI3OYAFjQXzW8CDPEcv7fT4aadPQT5QlzVfhOEy0rnlXK8vgUj25SP5jez6pvFCLQ39YiZFJZGDJiJVb3nC6B86AoCdCouaifbxcSeTKtfclQCBmL2ZwEUWihqCrGhCttFWMgSqmgJvrdVxDogvYJ2rhld261Cz+2XOuATOlwypE+pC9YhmMognjOV9yy9CkGnqZJzemKZC2TAsx0ONFDWOUYyejY7zDnnW+8hWn6Nin6tcdLAOEPfAVI1UrGtIllBVlKTKrSp2jvAka2Csw6Mm9hjPY9ZBL1HBSfsmjVh5rOZ1wGu5VGkGYtIQ+svsJ5jM+ctVMEBoApBkcSAwVSZsUzlW4jp30BAa0blaj6inYdgBZmUYVAztivuYw3HJDuR8WKZtSdjBDK3/x2wnUUAajto0wB8btYiU1sew+9P2RcD2pgYXcVTaONDtPM2AJxUqjLSJOMCb5CnS7X7uNo7FnAZVieDIOYzxT2pcu9znq0JliOjVF2Bp0N9Obf7vppRnBNFp+9Rwcmyd5JvX007l6PNpspdYoFtZsTp+D9SXhzp5+vXWz64NJLOl4Hv8bgVgYgvItX7gIpzOh0u8ML7WMlxuLlc5ZMn5ajIFuKtUyW/vSCznKcRDwSjMV8oGcPxs3FVb4HH3OZ3tTcNU7+fRljk4CcvknNXUsHpG6fizwVCkBGtZ7GOKxyXk+qkjl5Uo4zvcNK+XHwKJrLWEcB2MhHz+win7L8dNLExL96fjq6tgnN5/mQhnlNLeYY2FrIZ6hP2DcNc/0Y5CDFpVFX9fg3ZejTeayaCWWitLDigC9uS8dRi255VtjgKZRge4ti5+6sLqowG2QL4mCKo2EMAzVXJaR7ppIyN0OT6Hve41vf04ekWRwD3W9iMK4DjQnTyJX43xk6dHQEYnzxTef/DnRp+l5UvyWD5bx4CkI42n3/3KQ6FmKGvlfeXoGQc9Svye5/iKAChOfwtViXRVKlud/pdGh3FUpTI3EkZxJ7vwBMf+92ZGKoHrJDqd0VyXJDMLpirkvBpF5+C1Eol/jOX+yWlBAK+Iu9rLsgnXwC+AHzyBeALwCdfAPs+/Q+VUrJu87aRjQAAAABJRU5ErkJggg==');
 addBrush('iVBORw0KGgoAAAANSUhEUgAAAGAAAABgCAYAAADimHc4AAAACXBIWXMAAAsTAAALEwEAmpwYAAAGlmlUWHRYTUw6Y29tLmFkb2JlLnhtcAAAAAAAPD94cGFja2V0IGJlZ2luPSLvu78iIGlkPSJXNU0wTXBDZWhpSHpyZVN6TlRjemtjOWQiPz4gPHg6eG1wbWV0YSB4bWxuczp4PSJhZG9iZTpuczptZXRhLyIgeDp4bXB0az0iQWRvYmUgWE1QIENvcmUgOS4xLWMwMDEgNzkuMTQ2Mjg5OSwgMjAyMy8wNi8yNS0yMDowMTo1NSAgICAgICAgIj4gPHJkZjpSREYgeG1sbnM6cmRmPSJodHRwOi8vd3d3LnczLm9yZy8xOTk5LzAyLzIyLXJkZi1zeW50YXgtbnMjIj4gPHJkZjpEZXNjcmlwdGlvbiByZGY6YWJvdXQ9IiIgeG1sbnM6eG1wPSJodHRwOi8vbnMuYWRvYmUuY29tL3hhcC8xLjAvIiB4bWxuczpkYz0iaHR0cDovL3B1cmwub3JnL2RjL2VsZW1lbnRzLzEuMS8iIHhtbG5zOnBob3Rvc2hvcD0iaHR0cDovL25zLmFkb2JlLmNvbS9waG90b3Nob3AvMS4wLyIgeG1sbnM6eG1wTU09Imh0dHA6Ly9ucy5hZG9iZS5jb20veGFwLzEuMC9tbS8iIHhtbG5zOnN0RXZ0PSJodHRwOi8vbnMuYWRvYmUuY29tL3hhcC8xLjAvc1R5cGUvUmVzb3VyY2VFdmVudCMiIHhtcDpDcmVhdG9yVG9vbD0iQWRvYmUgUGhvdG9zaG9wIDI1LjAgKFdpbmRvd3MpIiB4bXA6Q3JlYXRlRGF0ZT0iMjAyNS0wNy0xOVQxMToyNToxMSswODowMCIgeG1wOk1vZGlmeURhdGU9IjIwMjUtMDctMjFUMjI6MDc6MTErMDg6MDAiIHhtcDpNZXRhZGF0YURhdGU9IjIwMjUtMDctMjFUMjI6MDc6MTErMDg6MDAiIGRjOmZvcm1hdD0iaW1hZ2UvcG5nIiBwaG90b3Nob3A6Q29sb3JNb2RlPSIzIiB4bXBNTTpJbnN0YW5jZUlEPSJ4bXAuaWlkOjg3MzBkNGY3LTY4ZmEtYjE0YS1iOGU3LTI2NjhhOTA2ZjU4MSIgeG1wTU06RG9jdW1lbnRJRD0iYWRvYmU6ZG9jaWQ6cGhvdG9zaG9wOmE2NzljNjU1LTU3NmItYmE0NS04NzhlLWQ5MGE4NTNhZjIwZSIgeG1wTU06T3JpZ2luYWxEb2N1bWVudElEPSJ4bXAuZGlkOmE0ZTBhZjA2LTcyMTUtMWY0Ni1hODZkLWU3NzU4MzNmNmMwZCI+IDx4bXBNTTpIaXN0b3J5PiA8cmRmOlNlcT4gPHJkZjpsaSBzdEV2dDphY3Rpb249ImNyZWF0ZWQiIHN0RXZ0Omluc3RhbmNlSUQ9InhtcC5paWQ6YTRlMGFmMDYtNzIxNS0xZjQ2LWE4NmQtZTc3NTgzM2Y2YzBkIiBzdEV2dDp3aGVuPSIyMDI1LTA3LTE5VDExOjI1OjExKzA4OjAwIiBzdEV2dDpzb2Z0d2FyZUFnZW50PSJBZG9iZSBQaG90b3Nob3AgMjUuMCAoV2luZG93cykiLz4gPHJkZjpsaSBzdEV2dDphY3Rpb249InNhdmVkIiBzdEV2dDppbnN0YW5jZUlEPSJ4bXAuaWlkOjgyMTU3OTVjLTUwZDQtNzA0NC05NDczLTliY2FiOGEyNzdlNSIgc3RFdnQ6d2hlbj0iMjAyNS0wNy0xOVQxMTo0NzoxMiswODowMCIgc3RFdnQ6c29mdHdhcmVBZ2VudD0iQWRvYmUgUGhvdG9zaG9wIDI1LjAgKFdpbmRvd3MpIiBzdEV2dDpjaGFuZ2VkPSIvIi8+IDxyZGY6bGkgc3RFdnQ6YWN0aW9uPSJzYXZlZCIgc3RFdnQ6aW5zdGFuY2VJRD0ieG1wLmlpZDo4NzMwZDRmNy02OGZhLWIxNGEtYjhlNy0yNjY4YTkwNmY1ODEiIHN0RXZ0OndoZW49IjIwMjUtMDctMjFUMjI6MDc6MTErMDg6MDAiIHN0RXZ0OnNvZnR3YXJlQWdlbnQ9IkFkb2JlIFBob3Rvc2hvcCAyNS4wIChXaW5kb3dzKSIgc3RFdnQ6Y2hhbmdlZD0iLyIvPiA8L3JkZjpTZXE+IDwveG1wTU06SGlzdG9yeT4gPC9yZGY6RGVzY3JpcHRpb24+IDwvcmRmOlJERj4gPC94OnhtcG1ldGE+IDw/eHBhY2tldCBlbmQ9InIiPz6uWwLnAAAD8UlEQVR42u3cX8ieYxwH8M/DNtMWYzP1yghZkpPNn5lJW5KccCT/QkQSIUorESf+RJGwE8RqlDAndkBJsjkgm/yZhq0l2cZsjL0z2+3gvt71WM+7533+Tdu+37p66u05uj7PfV339bt/99uoqkry/+WwTEEAApAEIABJAAKQBCAASQACkAQgAEkAApAEIABJAAKQBCAASQACkAQgAEkAApD0L+P2/kOj0ZiDadiFYXyDbeW7WzJlvae5H7exd3Nuo9FYgVMwBT9gAn7GJ1iDb/EhdheUfzKl3QOoquo/A/djB6oWYyvW4Su8iqtwFoYyrZ0B7JnvFgCTsXAUgFbjO7xW4C7FpExxbwAjuRaryhIzFojtWFuWqscxK1PdG8DhOB/LOrgaRsau8rkGD2I2jsPETP/YAZpzb9l8qy7HTryLezD3UN8zugEYV5aUF7Gh3AF1i7EGr+MOnFfusgLQBmAkR+MafN4DwMjYhpVYjBsxIwCdvbB3H9b3AaLCxoLxNBYEYOw5AQ+V03I/ILbjN3yEO8uJPABtMrlsrC+U29CdfYAYuYvajJcwJwDtc2Q5iL2xj5N0L2MlbkUjAO2zoMvzw1jGDjyH0wPQPnPx1oAgKnyMywPQPvPKGeKXAUH8igdwVABap6Eub1+ERfh+gFfFklL6CMAomYaL8TxWd1Ds63Qsx9UBGD2Tymb9TIH4c0AQa9Xl9eMDMHrOxROlTrR9QBCb8CzODsDoObX8WleXgt/uPiPsLBCLcRnGB2D0Q91NWDGgq+Fv/IQ3ceX+Xp4OBIDmzMfbA7xr+hFL1U8ATwrA6JmBJ/HXgCA24p0CceIgl6cDFaA5t/SxAtuq1LGsQEwZRO3pYABoLnUsHeDytBw3BKB9jsXDpSQxCIh16qd2jQC0zxX4YEAQX+I2dYdHANpkJp5St1U2P+TpdWzF+7hOl90dhwrASMbherxXJm+4TxAbSuFvPo7oZHk61ACaMxuPqZ+ubepTIfB3dal9ZgDGnqnqxuKXC8bmPl0Vj+LkAHSWWbi9LCdf672Z4LNSRpkegM4yHRfiLvVj1C09QGxWt++fGYDuNu0hdYl8IT7tseh3t7qjMABdZEKpCZ1TNu9VpWa0rcPSxhKcEYD+5BI8Ukogqzs8xM0PQP8yhAtwM15Rd3wM4499IKzHgub5bvWSXqa2s4xXv8wyXt1uP0/9ZO80dUvlcLk7mlTOHV9UVbWnayMAgztnTMUx6jdOZ5SC4S6sr6pqUcsdOUtQ39P8ax5pGpu4zyUo2b/JvyoIQACSAAQgCUAAkgAEIAlAAJIABCAJQACSAAQgCUAAkgAEIAlAAJIABCAJwMGVfwFk+B+8bph6jgAAAABJRU5ErkJggg==');
 
-// 初始化 IndexedDB
-function initDB() {
+// 資料庫結構：設定、點陣圖（含筆畫資料與修改時間）、外框、復原紀錄分別存放
+// 對外仍以舊的鍵值前綴存取，依前綴決定 store 與欄位
+const stores = {
+	settings: 'Settings',
+	bitmaps: 'Bitmaps',
+	outlines: 'Outlines',
+	histories: 'Histories'
+};
+const keyRoutes = {
+	g: { store: stores.bitmaps, field: 'png' },
+	k: { store: stores.bitmaps, field: 'strokes' },
+	t: { store: stores.bitmaps, field: 'updated' },
+	s: { store: stores.outlines, field: 'svg' },
+	h: { store: stores.histories, field: 'history' }
+};
+const dataFields = ['png', 'strokes', 'svg', 'history'];	// 全部刪除後整筆紀錄就移除
+
+// 依鍵值找出 store、紀錄的主鍵與欄位
+function routeKey(key) {
+	const m = key.match(/^([gksth])_(.+)$/);
+	if (!m) return { store: stores.settings, id: key, field: 'value' };
+	return { store: keyRoutes[m[1]].store, id: m[2], field: keyRoutes[m[1]].field };
+}
+
+// 各版本的升級程序，在 versionchange 交易中依序執行
+const migrations = {
+	1: function (fontDB) {
+		fontDB.createObjectStore(legacyStoreName, { keyPath: 'key' });
+	},
+	2: function (fontDB, transaction) {
+		fontDB.createObjectStore(stores.settings, { keyPath: 'key' });
+		const bitmaps = fontDB.createObjectStore(stores.bitmaps, { keyPath: 'glyph' });
+		bitmaps.createIndex('updated', 'updated');		// 只有寫過的字有修改時間，用來計算完成字數
+		fontDB.createObjectStore(stores.outlines, { keyPath: 'glyph' });
+		fontDB.createObjectStore(stores.histories, { keyPath: 'glyph' });
+
+		// 把第 1 版的資料逐筆搬到新的 store
+		const legacy = transaction.objectStore(legacyStoreName);
+		legacy.openCursor().onsuccess = function (event) {
+			const cursor = event.target.result;
+			if (!cursor) {
+				fontDB.deleteObjectStore(legacyStoreName);
+				return;
+			}
+			const route = routeKey(cursor.value.key);
+			const value = cursor.value.value;
+			const store = transaction.objectStore(route.store);
+			if (route.store == stores.settings) {
+				store.put({ key: route.id, value: value });
+			} else {
+				store.get(route.id).onsuccess = function (e) {
+					const record = e.target.result || { glyph: route.id };
+					record[route.field] = route.field == 'updated' ? value * 1 : value;
+					if (route.field == 'png' && record.updated == null) record.updated = 0;		// 舊資料沒有修改時間
+					store.put(record);
+				};
+			}
+			cursor.continue();
+		};
+	}
+};
+
+// 開啟字型資料庫（每個專案一個資料庫，不存在時建立，舊版結構自動升級）
+function openFontDB(name) {
 	return new Promise((resolve, reject) => {
-		const request = indexedDB.open(dbName, 1);
+		const request = indexedDB.open(name, schemaVersion);
 
 		request.onupgradeneeded = function (event) {
-			db = event.target.result;
-			if (!db.objectStoreNames.contains(storeName)) {
-				db.createObjectStore(storeName, { keyPath: 'key' });
+			for (let v = event.oldVersion + 1; v <= schemaVersion; v++) {
+				migrations[v](event.target.result, event.target.transaction);
 			}
 		};
 
 		request.onsuccess = function (event) {
-			db = event.target.result;
-			resolve(db);
+			resolve(event.target.result);
 		};
 
 		request.onerror = function (event) {
@@ -62,12 +138,68 @@ function initDB() {
 	});
 }
 
-// 儲存資料到 IndexedDB
-function saveToDB(key, value) {
+// 初始化 IndexedDB
+async function initDB() {
+	await initProjects();
+	db = await openFontDB(project.dbName);
+	return db;
+}
+
+// 開啟專案清單資料庫
+function openProjectDB() {
+	return new Promise((resolve, reject) => {
+		const request = indexedDB.open(dbName + '-Projects', 1);
+
+		request.onupgradeneeded = function (event) {
+			event.target.result.createObjectStore(projectStoreName, { keyPath: 'id' });
+		};
+
+		request.onsuccess = function (event) {
+			projectDB = event.target.result;
+			resolve(projectDB);
+		};
+
+		request.onerror = function (event) {
+			reject(event.target.error);
+		};
+	});
+}
+
+// 讀取所有專案，依建立時間排序
+function loadProjects() {
+	return new Promise((resolve, reject) => {
+		const transaction = projectDB.transaction([projectStoreName], 'readonly');
+		const request = transaction.objectStore(projectStoreName).getAll();
+
+		request.onsuccess = function (event) {
+			resolve(event.target.result.sort((a, b) => a.created - b.created));
+		};
+
+		request.onerror = function (event) {
+			reject(event.target.error);
+		};
+	});
+}
+
+function saveProject(p) {
+	return new Promise((resolve, reject) => {
+		const transaction = projectDB.transaction([projectStoreName], 'readwrite');
+		const request = transaction.objectStore(projectStoreName).put(p);
+
+		request.onsuccess = function () {
+			resolve();
+		};
+
+		request.onerror = function (event) {
+			reject(event.target.error);
+		};
+	});
+}
+
+function deleteProject(id) {
 	return new Promise((resolve, reject) => {
-		const transaction = db.transaction([storeName], 'readwrite');
-		const store = transaction.objectStore(storeName);
-		const request = store.put({ key, value });
+		const transaction = projectDB.transaction([projectStoreName], 'readwrite');
+		const request = transaction.objectStore(projectStoreName).delete(id);
 
 		request.onsuccess = function () {
 			resolve();
@@ -79,15 +211,94 @@ function saveToDB(key, value) {
 	});
 }
 
+// 初始化專案：第一次使用時，把原本的資料庫登記為預設專案（資料不需搬移）
+async function initProjects() {
+	await openProjectDB();
+	const projects = await loadProjects();
+	if (projects.length == 0) {
+		projects.push({ id: 'default', name: '', dbName: dbName, created: Date.now() });
+		await saveProject(projects[0]);
+	}
+	project = projects.find(p => p.id == localStorage.getItem(projectKey)) || projects[0];
+	return projects;
+}
+
+// 切換專案（重新載入頁面）
+function switchProject(id) {
+	localStorage.setItem(projectKey, id);
+	location.reload();
+}
+
+// 複製整個字型資料庫
+async function copyFontDB(fromName, toName) {
+	const from = fromName == project.dbName ? db : await openFontDB(fromName);
+	const to = await openFontDB(toName);
+	for (const name of Object.values(stores)) {
+		const records = await new Promise((resolve, reject) => {
+			const request = from.transaction([name], 'readonly').objectStore(name).getAll();
+			request.onsuccess = (event) => resolve(event.target.result);
+			request.onerror = (event) => reject(event.target.error);
+		});
+		await new Promise((resolve, reject) => {
+			const transaction = to.transaction([name], 'readwrite');
+			const store = transaction.objectStore(name);
+			records.forEach(record => store.put(record));
+			transaction.oncomplete = () => resolve();
+			transaction.onerror = (event) => reject(event.target.error);
+		});
+	}
+	if (from != db) from.close();
+	to.close();
+}
+
+// 刪除整個字型資料庫
+function deleteFontDB(name) {
+	return new Promise((resolve, reject) => {
+		const request = indexedDB.deleteDatabase(name);
+		request.onsuccess = () => resolve();
+		request.onerror = (event) => reject(event.target.error);
+	});
+}
+
+// 儲存資料到 IndexedDB
+function saveToDB(key, value) {
+	return new Promise((resolve, reject) => {
+		const route = routeKey(key);
+		const transaction = db.transaction([route.store], 'readwrite');
+		const store = transaction.objectStore(route.store);
+
+		if (route.store == stores.settings) {
+			store.put({ key, value });
+		} else {
+			store.get(route.id).onsuccess = function (event) {
+				const record = event.target.result || { glyph: route.id };
+				record[route.field] = value;
+				if (route.field == 'png' && record.updated == null) record.updated = 0;		// 沒有修改時間的字（舊版備份等）也要算進完成字數
+				store.put(record);
+			};
+		}
+
+		transaction.oncomplete = function () {
+			resolve();
+		};
+
+		transaction.onerror = function (event) {
+			reject(event.target.error);
+		};
+	});
+}
+
 // 從 IndexedDB 讀取資料
 function loadFromDB(key, defaultValue = null) {
 	return new Promise((resolve, reject) => {
-		const transaction = db.transaction([storeName], 'readonly');
-		const store = transaction.objectStore(storeName);
-		const request = store.get(key);
+		const route = routeKey(key);
+		const transaction = db.transaction([route.store], 'readonly');
+		const store = transaction.objectStore(route.store);
+		const request = store.get(route.id);
 
 		request.onsuccess = function (event) {
-			resolve(event.target.result ? event.target.result.value : defaultValue);
+			const record = event.target.result;
+			resolve(record && record[route.field] != null ? record[route.field] : defaultValue);
 		};
 
 		request.onerror = function (event) {
@@ -96,24 +307,17 @@ function loadFromDB(key, defaultValue = null) {
 	});
 }
 
-function countGlyphFromDB() {
+// 取得寫過的字符名稱（只讀取索引的主鍵，不讀取點陣圖）
+function loadDoneGlyphs() {
 	return new Promise((resolve, reject) => {
-		const transaction = db.transaction([storeName], 'readonly');
-		const store = transaction.objectStore(storeName);
-		const cursorRequest = store.openCursor();
+		const transaction = db.transaction([stores.bitmaps], 'readonly');
+		const request = transaction.objectStore(stores.bitmaps).index('updated').getAllKeys();
 
-		let count = 0;
-		cursorRequest.onsuccess = function (event) {
-			const cursor = event.target.result;
-			if (cursor) {
-				if (cursor.key.startsWith('g_')) count++;
-				cursor.continue();
-			} else {
-				resolve(count); // 當游標完成時，返回計數
-			}
+		request.onsuccess = function (event) {
+			resolve(event.target.result);
 		};
 
-		cursorRequest.onerror = function (event) {
+		request.onerror = function (event) {
 			reject(event.target.error);
 		};
 	});
@@ -122,15 +326,57 @@ function countGlyphFromDB() {
 // 刪除 IndexedDB 中的資料
 function deleteFromDB(key) {
 	return new Promise((resolve, reject) => {
-		const transaction = db.transaction([storeName], 'readwrite');
-		const store = transaction.objectStore(storeName);
-		const request = store.delete(key);
+		const route = routeKey(key);
+		const transaction = db.transaction([route.store], 'readwrite');
+		const store = transaction.objectStore(route.store);
 
-		request.onsuccess = function () {
+		if (route.store == stores.settings) {
+			store.delete(route.id);
+		} else {
+			store.get(route.id).onsuccess = function (event) {
+				const record = event.target.result;
+				if (!record) return;
+				delete record[route.field];
+				if (dataFields.some(field => record[field] != null)) store.put(record);
+				else store.delete(route.id);
+			};
+		}
+
+		transaction.oncomplete = function () {
 			resolve();
 		};
 
-		request.onerror = function (event) {
+		transaction.onerror = function (event) {
+			reject(event.target.error);
+		};
+	});
+}
+
+// 以舊的鍵值形式讀出所有資料（備份用）
+function loadAllFromDB() {
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(Object.values(stores), 'readonly');
+		const rows = [];
+		Object.values(stores).forEach(name => {
+			transaction.objectStore(name).getAll().onsuccess = function (event) {
+				event.target.result.forEach(record => {
+					if (name == stores.settings) {
+						rows.push({ key: record.key, value: record.value });
+						return;
+					}
+					for (const prefix in keyRoutes) {
+						const route = keyRoutes[prefix];
+						if (route.store == name && record[route.field] != null) rows.push({ key: prefix + '_' + record.glyph, value: record[route.field] });
+					}
+				});
+			};
+		});
+
+		transaction.oncomplete = function () {
+			resolve(rows);
+		};
+
+		transaction.onerror = function (event) {
 			reject(event.target.error);
 		};
 	});
@@ -139,15 +385,14 @@ function deleteFromDB(key) {
 // 清除 IndexedDB
 function clearDB() {
 	return new Promise((resolve, reject) => {
-		const transaction = db.transaction([storeName], 'readwrite');
-		const store = transaction.objectStore(storeName);
-		const request = store.clear();
+		const transaction = db.transaction(Object.values(stores), 'readwrite');
+		Object.values(stores).forEach(name => transaction.objectStore(name).clear());
 
-		request.onsuccess = function () {
+		transaction.oncomplete = function () {
 			resolve();
 		};
 
-		request.onerror = function (event) {
+		transaction.onerror = function (event) {
 			reject(event.target.error);
 		};
 	});
@@ -167,10 +412,29 @@ async function loadSettings() {
 		oldPressureMode: await loadFromDB('oldPressureMode', 'N') == 'Y',	// 啟用舊版筆壓模式，預設為 N
 		fontNameEng: await loadFromDB('fontNameEng') || 'MyFreehandFont',
 		fontNameCJK: await loadFromDB('fontNameCJK') || fdrawer.fontNameCJK,
+		styleName: await loadFromDB('styleName', 'Regular'),				// 樣式名稱
+		weightClass: await loadFromDB('weightClass', 400) * 1,				// 字重 (OS/2 usWeightClass)
+		fontVersion: await loadFromDB('fontVersion', '1.000'),				// 版本
+		vendorID: await loadFromDB('vendorID', 'ZIHI'),						// 廠商代碼 (OS/2 achVendID)
+		designer: await loadFromDB('designer', 'zi-hi.com'),				// 設計者（同時作為製造商）
+		designerURL: await loadFromDB('designerURL', 'https://zi-hi.com'),
+		copyright: await loadFromDB('copyright', ''),
+		license: await loadFromDB('license', ''),							// 授權條款
+		licenseURL: await loadFromDB('licenseURL', ''),
+		description: await loadFromDB('description', ''),
 		noFixedWidthFlag: await loadFromDB('noFixedWidthFlag', 'N') == 'Y',	// 比例寬輸出，預設為 N
 		saveAsTester: await loadFromDB('saveAsTester', 'Y') == 'Y', 		// 是否為測試輸出，預設為 Y
 		testSerialNo: await loadFromDB('testSerialNo', 1) * 1,				// 測試輸出序號，預設為 1
-		customGlyphs: await loadFromDB('customGlyphs')						// 自定義文字
+		fontFormat: await loadFromDB('fontFormat', 'otf'),					// 字型檔格式 (otf/woff2/woff)，預設為 otf
+		fontOutline: await loadFromDB('fontOutline', 'cff'),				// 外框格式 (cff/cid/ttf)，預設為 cff
+		previewText: await loadFromDB('previewText', fdrawer.previewText || ''),	// 預覽文字
+		previewVertical: await loadFromDB('previewVertical', 'N') == 'Y',	// 直排預覽，預設為 N
+		traceParams: { ...defaultTraceParams, ...await loadFromDB('traceParams', {}) },	// 描圖參數
+		traceOverrides: await loadFromDB('traceOverrides', {}),				// 個別字符的描圖參數
+		glyphMetrics: await loadFromDB('glyphMetrics', {}),					// 個別字符的左右邊界 { lsb, rsb }
+		kerning: await loadFromDB('kerning', { classes: {}, pairs: [] }),	// 字距：類別 { '@名稱': [字符] } 與字對 [{ left, right, value }]
+		customGlyphs: await loadFromDB('customGlyphs'),						// 自定義文字
+		customLists: await loadFromDB('customLists', {})					// 匯入的字表 { 名稱: [字符] }
 	};
 
 	if (settings.customGlyphs && settings.customGlyphs != '') {	// 如果有自定義文字，則添加到列表中
@@ -178,15 +442,24 @@ async function loadSettings() {
 		glyphList[fdrawer.customList] = [];
 		for (var i = 0; i < cglist.length; i++) {
 			glyphList[fdrawer.customList].push(cglist[i]);
-			var uni = parseInt(cglist[i].replace(/^u(ni)?/g, ''), 16);
-			glyphMap[cglist[i]] = {c: String.fromCodePoint(uni), w :'F'};	// 將自定義文字添加到映射中
+			addGlyphMapEntry(cglist[i]);	// 將自定義文字添加到映射中
 		} 	
 	}
+	for (const name in settings.customLists) {
+		glyphList[name] = settings.customLists[name];
+		glyphList[name].forEach(addGlyphMapEntry);
+	}
 
 
 	return settings;
 }
 
+// 字表中沒有的字，由字符名稱的編碼補上對應（只處理 uniXXXX／uXXXXX 形式的名稱）
+function addGlyphMapEntry(gname) {
+	if (glyphMap[gname] || !/^u(ni)?[0-9A-F]{4,6}$/.test(gname)) return;
+	glyphMap[gname] = { c: String.fromCodePoint(parseInt(gname.replace(/^u(ni)?/, ''), 16)), w: 'F' };
+}
+
 async function updateSetting(key, value) {
 	if (settings == null) settings = await loadSettings();
 	if (typeof(value) != 'undefined') settings[key] = value;
@@ -199,6 +472,78 @@ async function updateSetting(key, value) {
 	}
 }
 
+// 背景格線樣式（數值為字身框內的相對位置）
+const gridTypes = {
+	'3x3grid':		{ lines: [1/3, 2/3] },					// 九宮格
+	'3x3grid-new':	{ lines: [0.28, 0.72] },				// 新九宮格（中宮較大）
+	'2x2grid':		{ lines: [0.5] },						// 田字格
+	'stargrid':		{ lines: [0.5], diagonal: true },		// 米字格
+	'boxgrid':		{ lines: [], inner: 0.1 },				// 回字格（內框為字面）
+	'nogrid':		{ lines: [] }							// 無格線（僅字身框）
+};
+const latinBaseline = 880;		// 歐文基線（自字身框頂端起算的 font unit）
+const latinXHeight = 450;		// 歐文 x 字高（自基線起算的 font unit）
+
+// 繪製格線、字身框與歐文參考線
+function drawGrid(gridCtx, gridType, gridXOff, gridYOff, emWidth, emHeight) {
+	const styles = getComputedStyle(document.body);
+	const gridColor = styles.getPropertyValue('--grid-strong').trim() || '#263141';
+	const refColor = styles.getPropertyValue('--bad').trim() || '#f87171';
+	const grid = gridTypes[gridType] || gridTypes['3x3grid'];
+
+	gridCtx.save();
+	gridCtx.strokeStyle = gridColor;
+
+	// 格線
+	gridCtx.lineWidth = 1;
+	gridCtx.beginPath();
+	grid.lines.forEach(r => {
+		gridCtx.moveTo(gridXOff + emWidth * r, gridYOff);
+		gridCtx.lineTo(gridXOff + emWidth * r, gridYOff + emHeight);
+		gridCtx.moveTo(gridXOff, gridYOff + emHeight * r);
+		gridCtx.lineTo(gridXOff + emWidth, gridYOff + emHeight * r);
+	});
+	gridCtx.stroke();
+
+	if (grid.diagonal) {
+		gridCtx.setLineDash([6, 6]);
+		gridCtx.beginPath();
+		gridCtx.moveTo(gridXOff, gridYOff);
+		gridCtx.lineTo(gridXOff + emWidth, gridYOff + emHeight);
+		gridCtx.moveTo(gridXOff + emWidth, gridYOff);
+		gridCtx.lineTo(gridXOff, gridYOff + emHeight);
+		gridCtx.stroke();
+		gridCtx.setLineDash([]);
+	}
+
+	if (grid.inner) {
+		gridCtx.strokeRect(gridXOff + emWidth * grid.inner, gridYOff + emHeight * grid.inner,
+			emWidth * (1 - grid.inner * 2), emHeight * (1 - grid.inner * 2));
+	}
+
+	// 字身框（依縮放率調整大小）
+	gridCtx.lineWidth = 2;
+	gridCtx.strokeRect(gridXOff, gridYOff, emWidth, emHeight);
+
+	// 歐文基線（實線）與 x 字高（虛線）
+	const baseY = gridYOff + emHeight * latinBaseline / upm;
+	const xHeightY = gridYOff + emHeight * (latinBaseline - latinXHeight) / upm;
+	gridCtx.strokeStyle = refColor;
+	gridCtx.globalAlpha = 0.6;
+	gridCtx.lineWidth = 1;
+	gridCtx.beginPath();
+	gridCtx.moveTo(0, baseY);
+	gridCtx.lineTo(gridCtx.canvas.width, baseY);
+	gridCtx.stroke();
+	gridCtx.setLineDash([4, 4]);
+	gridCtx.beginPath();
+	gridCtx.moveTo(0, xHeightY);
+	gridCtx.lineTo(gridCtx.canvas.width, xHeightY);
+	gridCtx.stroke();
+
+	gridCtx.restore();
+}
+
 // 初始化
 async function initCanvas(canvas) {
 	canvas.addEventListener('touchstart', (e) => e.preventDefault(), { passive: false });
@@ -216,7 +561,8 @@ async function initCanvas(canvas) {
 	const gridXOff = (gridCanvas.width - emWidth) / 2;	// X 軸偏移量
 	const gridYOff = (gridCanvas.height - emHeight) / 2;	// X 軸偏移量
 
-	
+	drawGrid(gridCtx, settings.gridType, gridXOff, gridYOff, emWidth, emHeight);
+
 	    if (showHint && nowGlyph && glyphMap[nowGlyph]) {
 	        gridCtx.save();
 	        const char = glyphMap[nowGlyph].c;
@@ -240,33 +586,60 @@ async function initCanvas(canvas) {
 
 function initListSelect($listSelect) {
 	$listSelect.empty(); // 清空選單
-    if (window.CHARACTER_DECKS) {
-        for (const level in CHARACTER_DECKS) {
-            $listSelect.append(
-                $('<option></option>').val(level).text(level)
-            );
-        }
-    }
+	const addGroup = (label, names) => {
+		if (names.length == 0) return;
+		$('<optgroup></optgroup>').attr('label', label)
+			.append(names.map(name => $('<option></option>').val(name).text(name)))
+			.appendTo($listSelect);
+	};
+	addGroup(fdrawer.catalogGroup, typeof catalogGlyphList !== 'undefined' ? Object.keys(catalogGlyphList) : []);	// 內建字表
+	addGroup(fdrawer.hskGroup, window.CHARACTER_DECKS ? Object.keys(CHARACTER_DECKS) : []);
+	addGroup(fdrawer.customGroup, [	// 使用者字表與匯入的字表
+		...(glyphList[fdrawer.customList] ? [fdrawer.customList] : []),
+		...Object.keys(settings.customLists)
+	]);
+}
+
+const styleLinkNames = ['Regular', 'Bold', 'Italic', 'Bold Italic'];	// 可以用 ID 1/2 表示的樣式
+
+// 樣式連結 (ID 2) 是否為粗體／斜體：其他樣式的 ID 2 寫成 Regular
+function styleLink(style) {
+	const link = styleLinkNames.includes(style) ? style : 'Regular';
+	return { bold: link.startsWith('Bold'), italic: link.endsWith('Italic') };
+}
+
+// PostScript 名稱：只保留 ASCII 英數字，樣式以連字號連接（Regular 省略，與舊版相同）
+function postScriptName(family, style) {
+	const clean = text => text.replace(/[^a-zA-Z0-9]/g, '');
+	return clean(family) + (style == 'Regular' ? '' : '-' + clean(style));
 }
 
-async function createFont(glyphs, gidMap, verts, ccmps) {
+async function createFont(glyphs, gidMap, verts, ccmps, preview = false) {
 	let testNo = '';
-	if (settings.saveAsTester) {
+	if (settings.saveAsTester && !preview) {	// 預覽用的字型不消耗測試序號
 		testNo = settings.testSerialNo;
 		//settings.fontNameEng += settings.testSerialNo;
 		//settings.fontNameCJK += settings.testSerialNo;
 		updateSetting('testSerialNo', settings.testSerialNo + 1); // 更新測試序號
 	}
 	
+	const style = settings.styleName;
+	const suffix = style == 'Regular' ? '' : ' ' + style;		// 完整名稱在 Regular 以外加上樣式
 	const font = new opentype.Font({
 		familyName: settings.fontNameEng + testNo,
-		fullName: settings.fontNameEng + testNo,
-		postScriptName: (settings.fontNameEng + testNo).replace(/[^a-zA-Z0-9]/g, ''), // 去除特殊字符
-		styleName: 'Regular',
-		designer: 'zi-hi.com',
-		designerURL: 'https://zi-hi.com',
-		manufacturer: 'zi-hi.com',
-		manufacturerURL: 'https://zi-hi.com',
+		fullName: settings.fontNameEng + testNo + suffix,
+		postScriptName: postScriptName(settings.fontNameEng + testNo, style),
+		styleName: style,
+		designer: settings.designer,
+		designerURL: settings.designerURL,
+		manufacturer: settings.designer,
+		manufacturerURL: settings.designerURL,
+		copyright: settings.copyright,
+		license: settings.license,
+		licenseURL: settings.licenseURL,
+		version: 'Version ' + settings.fontVersion,
+		description: settings.description,
+		weightClass: settings.weightClass,
 
 		unitsPerEm: upm,
 		ascender: 880,
@@ -275,11 +648,20 @@ async function createFont(glyphs, gidMap, verts, ccmps) {
 	});
 
 	for (var group in font.names) {
-		font.names[group].fontFamily[fdrawer.fontLang] = settings.fontNameCJK + testNo;
-		font.names[group].fullName[fdrawer.fontLang] = settings.fontNameCJK + testNo;
+		const names = font.names[group];
+		names.fontFamily[fdrawer.fontLang] = settings.fontNameCJK + testNo;
+		names.fullName[fdrawer.fontLang] = settings.fontNameCJK + testNo + suffix;
+		if (!styleLinkNames.includes(style)) {	// 非 Regular/Bold/Italic 的樣式：舊名稱 (ID 1/2) 含樣式，另寫入 ID 16/17
+			names.preferredFamily = { ...names.fontFamily };
+			names.preferredSubfamily = { ...names.fontSubfamily };
+			for (const lang in names.fontFamily) names.fontFamily[lang] += ' ' + style;
+			names.fontSubfamily = { en: 'Regular' };
+		}
 	}
 
-	font.tables.os2.achVendID = 'ZIHI';
+	const link = styleLink(style);	// fsSelection：ITALIC (bit 0)、BOLD (bit 5)，都沒有時為 REGULAR (bit 6)
+	font.tables.os2.fsSelection = ((link.italic ? 0x01 : 0) | (link.bold ? 0x20 : 0)) || 0x40;
+	font.tables.os2.achVendID = settings.vendorID.padEnd(4, ' ').slice(0, 4);
 	font.tables.os2.ulCodePageRange1 = fdrawer.codePage; // CodePage
 	font.tables.os2.usWinAscent = 920; // Windows ascent
 	font.tables.os2.usWinDescent = 200; // Windows ascent
@@ -311,6 +693,65 @@ async function createFont(glyphs, gidMap, verts, ccmps) {
 	return font;
 }
 
+// 套用 palt/vpal 的範圍：CJK 標點、假名、注音、全形英數與符號（漢字維持全形）
+const paltRanges = [[0x3000, 0x303F], [0x3040, 0x30FF], [0x3100, 0x312F], [0x31F0, 0x31FF], [0xFF01, 0xFF60]];
+const paltPadding = 20;		// 比例寬時外框兩側保留的空白
+
+// 產生 GPOS 定位資料（字距、比例寬），沒有資料時回傳 null
+function buildGPOS(font, gidMap) {
+	const gpos = new GposBuilder();
+	const kerning = settings.kerning;
+	const sideGids = side => (side.startsWith('@') ? kerning.classes[side] || [] : [side]).map(gname => gidMap[gname]).filter(gid => gid);
+
+	const pairs = [];
+	const classPairs = [];
+	kerning.pairs.forEach(pair => {
+		const left = sideGids(pair.left);
+		const right = sideGids(pair.right);
+		if (left.length == 0 || right.length == 0 || !pair.value) return;	// 字符還沒寫
+		if (pair.left.startsWith('@') || pair.right.startsWith('@')) classPairs.push([left, right, pair.value]);
+		else pairs.push([left[0], right[0], pair.value]);
+	});
+	if (pairs.length > 0 || classPairs.length > 0) gpos.addFeature('kern', gpos.addKerning(pairs, classPairs));
+
+	// 比例寬：依外框範圍去掉全形字多餘的左右（直排為上下）空白，字身框為 x 0～upm、y -120～880
+	const palts = [];
+	const vpals = [];
+	for (const gname in gidMap) {
+		const gid = gidMap[gname];
+		const glyph = font.glyphs.get(gid);
+		const base = glyphMap[gname] && glyphMap[gname].v ? glyphMap[gname].v : gname;	// 直排字符依原本的字判斷
+		const code = glyphMap[base] && glyphMap[base].c ? glyphMap[base].c.codePointAt(0) : glyph.unicode;
+		if (!code || !paltRanges.some(([from, to]) => code >= from && code <= to)) continue;
+		if (glyph.path.commands.length == 0) continue;
+
+		const box = glyph.getBoundingBox();
+		if (glyph.advanceWidth == upm) {	// 已經是比例寬輸出的字不需要 palt
+			const left = Math.max(0, Math.round(box.x1) - paltPadding);
+			const right = Math.max(0, upm - Math.round(box.x2) - paltPadding);
+			if (left + right > 0) palts.push([gid, { xPlacement: -left, xAdvance: -(left + right) }]);
+		}
+		const top = Math.max(0, 880 - Math.round(box.y2) - paltPadding);
+		const bottom = Math.max(0, Math.round(box.y1) + 120 - paltPadding);
+		if (top + bottom > 0) vpals.push([gid, { yPlacement: top, yAdvance: -(top + bottom) }]);
+	}
+	if (palts.length > 0) gpos.addFeature('palt', gpos.addSingle(palts));
+	if (vpals.length > 0) gpos.addFeature('vpal', gpos.addSingle(vpals));
+
+	return gpos.isEmpty ? null : gpos.build();
+}
+
+// 輸出 sfnt 資料，並補上 opentype.js 不會產生的 GPOS 與直排表格
+function fontToSfnt(font, gidMap, trueType = false) {
+	let sfntData = trueType ? FontFormats.toTrueType(font) : font.toArrayBuffer();
+	sfntData = FontFormats.addVerticalMetrics(sfntData, font);
+	sfntData = FontFormats.setFontRevision(sfntData, parseFloat(settings.fontVersion) || 1);
+	sfntData = FontFormats.setMacStyle(sfntData, font.tables.os2.fsSelection);
+	const gpos = buildGPOS(font, gidMap);
+	if (gpos) sfntData = FontFormats.setTable(sfntData, 'GPOS', gpos);
+	return sfntData;
+}
+
 $(document).ready(async function () {
 	const $listSelect = $('#listSelect');
 
@@ -319,7 +760,10 @@ $(document).ready(async function () {
     const ctx = canvas.getContext('2d');
 	let ratio = canvas.height / $canvas.height();
     let isDrawing = false;
-    const undoStack = []; // 儲存畫布狀態的堆疊
+	let history = newHistory();		// 編輯中字符的復原／重做紀錄
+	let strokeData = newStrokeData();	// 編輯中字符的筆畫資料
+	let currentStroke = null;			// 繪製中的筆畫
+	let strokeStartTime = 0;			// 筆畫開始時間
 	const $naviContainer = $('#navi-container');
 	const $progressContainer = $('#progress-container');
     const $progressBar = $('#progress-bar');
@@ -329,6 +773,10 @@ $(document).ready(async function () {
     initDB().then(async () => {
         console.log('IndexedDB 起動完成');
 		settings = await loadSettings();
+		if (!project.name) {		// 由舊版移轉的專案，以字型名稱作為專案名稱
+			project.name = settings.fontNameCJK;
+			await saveProject(project);
+		}
 		initListSelect($listSelect);
 				$('#canvas-container').toggleClass('smallmode', settings.smallMode);
 		
@@ -373,6 +821,8 @@ $(document).ready(async function () {
                     }
                 });
                 glyphList[deckName] = hskGlyphList;
+                glyphProgress.setList(deckName, 'list', hskGlyphList);
+                updateDoneCount();
                 
                 // Update dropdown with new data
                 initListSelect($listSelect);
@@ -404,7 +854,19 @@ $(document).ready(async function () {
 		} else {
 			if ($('#ads-container')) $('#ads-container').show();
 		}
-		$('#spanDoneCount').text(await countGlyphFromDB());
+		// 完成字數：開啟時讀取一次，之後存檔時逐字更新
+		glyphProgress.reset(await loadDoneGlyphs());
+		for (const name in glyphList) glyphProgress.setList(name, 'list', glyphList[name]);
+		(fdrawer.charsets || []).forEach(charset => {
+			glyphProgress.setList(charset.name, 'charset', GlyphProgress.rangeGlyphs(charset.ranges));
+		});
+		updateDoneCount();
+
+		// 初始化預覽
+		$('#previewText').val(settings.previewText);
+		$('#previewVertical').prop('checked', settings.previewVertical);
+		$('#previewBody').toggleClass('vertical', settings.previewVertical);
+		schedulePreview();
 
     }).catch((error) => {
         console.error('IndexedDB 起動失敗', error);
@@ -412,6 +874,10 @@ $(document).ready(async function () {
 
 	// (舊筆壓模式) 初始化 PressureDrawing 實例
 	const pressureDrawing = new PressureDrawing();
+	const strokeOutline = new StrokeOutline();		// 由筆畫資料產生向量外框
+	const fontFormats = new FontFormats();			// 字型檔格式轉換 (WOFF/WOFF2)
+	const glyphProgress = new GlyphProgress();		// 完成字數與各字表進度
+	const outlinePool = OutlinePool.isSupported() ? new OutlinePool() : null;	// 背景轉外框
 	//let pressureDrawingEnabled = false;
 	let pressureDrawingSettings = {
 		thinning: 0.5,
@@ -432,7 +898,9 @@ $(document).ready(async function () {
 	// 切換列表
 	$listSelect.on('change', async function () {
 		const selectedValue = $(this).val();
-		if (selectedValue.startsWith('HSK')) {
+		if (glyphList[selectedValue]) {		// 已載入的字表直接切換
+			selectList(selectedValue);
+		} else if (selectedValue.startsWith('HSK')) {
             const level = selectedValue.split(' ')[1];
             await window.loadHSKLevel(parseInt(level));
             // Update reference implementation DECK after loading new level
@@ -467,7 +935,7 @@ $(document).ready(async function () {
 		$('#charSeq').text(glyphMap[nowGlyph].c).removeClass('vert');
 		if (glyphMap[nowGlyph].v && nowGlyph.indexOf('.vert') > 0) $('#charSeq').addClass('vert');
 
-		$('#glyphNote').text(''); // Clear the note underneath
+		$('#glyphNote').text(pinyin ? '' : glyphMap[nowGlyph].n || ''); // 內建字表的字顯示字表中的說明（半形、直排等）
 
         let meaning = '';
         if (window.CHARACTER_DECKS) {
@@ -483,9 +951,12 @@ $(document).ready(async function () {
         $('#meaning').text(meaning);
 
 		// 載入之前的畫布內容
-		undoStack.length = 0; // 清空復原堆疊
 		ctx.clearRect(0, 0, canvas.width, canvas.height);
-		loadCanvasData(nowGlyph);
+		strokeData = newStrokeData();
+		history = newHistory();
+		transformSelection.clear();
+		loadCanvasData(nowGlyph).then(updateTransformBox);
+		loadHistory(nowGlyph);
 		
 		// 重置筆壓檢測狀態
 		if (settings.oldPressureMode) {
@@ -495,32 +966,39 @@ $(document).ready(async function () {
 
 	var svgTimers = {}; // 用於控制 SVG 儲存的定時器
 
-	async function saveSVG(glyph, pngData) {
-		const svgData = await toSVG(glyph, pngData);
+	async function saveSVG(glyph, pngData, strokeJson) {
+		const svgData = await glyphToSVG(glyph, pngData, strokeJson);
 
 		if (svgData && svgData != '') {
 			await saveToDB('s_' + glyph, svgData);
-		} else {			// 轉外框後才發現是空白的話，連同png一起清掉
+		} else {			// 轉外框後才發現是空白的話，連同png、筆畫資料一起清掉
 			await deleteFromDB('g_' + glyph);
 			await deleteFromDB('s_' + glyph);
+			await deleteFromDB('k_' + glyph);
+			await deleteFromDB('t_' + glyph);
+			if (glyphProgress.mark(glyph, false)) updateDoneCount();
 		}
 
-		$('#spanDoneCount').text(await countGlyphFromDB());
+		if (previewGlyphs.has(glyph)) schedulePreview();	// 預覽文字有用到的字符才重建預覽字型
 	}
 
 	// 儲存畫布的功能
 	async function saveToLocalDB(runNow = false) {
 		let saveGlyph = nowGlyph;	// 嘗試解決非同步操作導致的 Race Condition
 		const pngData = canvas.toDataURL();
+		const strokeJson = JSON.stringify(strokeData);
 		await saveToDB('g_' + saveGlyph, pngData);
+		await saveToDB('k_' + saveGlyph, strokeJson);
+		await saveToDB('t_' + saveGlyph, Date.now());		// 最後修改時間（還原備份時比較新舊用）
+		if (glyphProgress.mark(saveGlyph, true)) updateDoneCount();
 
 		if (svgTimers[saveGlyph]) clearTimeout(svgTimers[saveGlyph]);	// 清除之前的定時器
 
 		if (runNow) {	// 如果立即儲存
-			await saveSVG(saveGlyph, pngData);	// 儲存 SVG
+			await saveSVG(saveGlyph, pngData, strokeJson);	// 儲存 SVG
 		} else {	// 延遲儲存
 			svgTimers[saveGlyph] = setTimeout(async function () {	// 延遲轉外框
-				saveSVG(saveGlyph, pngData);	// 儲存 SVG
+				saveSVG(saveGlyph, pngData, strokeJson);	// 儲存 SVG
 			}, 1200);
 		}
 	}
@@ -528,6 +1006,8 @@ $(document).ready(async function () {
 	// 修改讀取畫布的功能
 	async function loadCanvasData(glyph) {
 		const savedCanvas = await loadFromDB('g_' + glyph);
+		const savedStrokes = await loadFromDB('k_' + glyph);
+		if (glyph == nowGlyph) strokeData = parseStrokeData(savedStrokes, savedCanvas);
 		if (savedCanvas) {
 			const img = new Image();
 			img.src = savedCanvas;
@@ -541,9 +1021,228 @@ $(document).ready(async function () {
 	$('#prevButton').on('click', function () { setGlyph(nowGlyphIndex - 1); }); // 切換到上一個字符
 	$('#nextButton').on('click', function () { setGlyph(nowGlyphIndex + 1); }); // 切換到下一個字符
 
+	// 筆畫資料：保存每一筆的取樣點（畫布座標、筆壓、時間）與筆刷設定，可完整重繪字符
+	// 舊資料只有 PNG 時，將 PNG 當作底圖 (base)，之後的筆畫疊在上面
+	function newStrokeData(base = null) {
+		return {
+			v: 1,
+			w: canvas.width,
+			h: canvas.height,
+			base: base,					// 沒有筆畫資料時的點陣底圖 (dataURL)
+			bm: [1, 0, 0, 1, 0, 0],		// 底圖的變形矩陣
+			strokes: []
+		};
+	}
+
+	function parseStrokeData(json, png) {
+		if (json) {
+			try {
+				return JSON.parse(json);
+			} catch (err) {
+				console.error('筆畫資料讀取失敗', err);
+			}
+		}
+		return newStrokeData(png || null);
+	}
+
+	function loadImage(src) {
+		return new Promise((resolve, reject) => {
+			const img = new Image();
+			img.onload = () => resolve(img);
+			img.onerror = reject;
+			img.src = src;
+		});
+	}
+
+	// 以筆刷蓋印的方式畫出兩個取樣點之間的筆畫（即時繪製與重繪共用，確保結果一致）
+	function drawBrushSegment(ctx, stroke, p0, p1, scale = 1) {
+		const brush = brushes[stroke.brush] || brushes[0];
+		const lw0 = stroke.width * p0[2] * 2;
+		const lw1 = stroke.width * p1[2] * 2;
+		const d = Math.max(Math.abs(p1[0] - p0[0]), Math.abs(p1[1] - p0[1])) / stroke.r * 1.5;
+		for (let t = d; t > 0; t--) {
+			const tx = p0[0] + (p1[0] - p0[0]) * t / d;
+			const ty = p0[1] + (p1[1] - p0[1]) * t / d;
+			const tlw = lw0 + (lw1 - lw0) * t / d; // 線寬漸變
+			drawBrush(ctx, brush, tx * scale, ty * scale, tlw * scale, stroke.erase);
+		}
+		return d;
+	}
+
+	// 重繪一個筆畫，overrides 可改用其他筆刷 (brush)、筆寬 (width)
+	function drawStroke(ctx, stroke, scale = 1, overrides = {}) {
+		const s = { ...stroke, ...overrides };
+		const pts = s.pts;
+		if (!pts || pts.length == 0) return;
+
+		if (s.mode == 'pressure') {		// 舊筆壓模式
+			const opts = { ...s.opts };
+			if (overrides.width) opts.size = overrides.width * pressureDelta;
+			const outline = pressureDrawing.strokeFromPoints(pts, opts);
+			if (!outline) return;
+			pressureDrawing.drawStrokeOnCanvas(ctx, outline.map(([x, y]) => [x * scale, y * scale]), s.erase);
+			return;
+		}
+
+		if (pts.length == 1) {		// 沒有移動，只蓋一個印
+			drawBrush(ctx, brushes[s.brush] || brushes[0], pts[0][0] * scale, pts[0][1] * scale, s.width * pts[0][2] * 2 * scale, s.erase);
+			return;
+		}
+		for (let i = 1; i < pts.length; i++) {
+			drawBrushSegment(ctx, s, pts[i - 1], pts[i], scale);
+		}
+	}
+
+	// 依筆畫資料重繪整個字符，scale 可用任意解析度重新點陣化
+	async function renderStrokes(ctx, data, options = {}) {
+		const scale = options.scale || 1;
+		ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+		if (data.base) {
+			const img = await loadImage(data.base);
+			const m = data.bm;
+			ctx.save();
+			ctx.setTransform(m[0] * scale, m[1] * scale, m[2] * scale, m[3] * scale, m[4] * scale, m[5] * scale);
+			ctx.drawImage(img, 0, 0);
+			ctx.restore();
+		}
+		data.strokes.forEach(stroke => drawStroke(ctx, stroke, scale, options));
+	}
+
+	// 平移整個字符的筆畫資料
+	function translateStrokeData(data, xoff, yoff) {
+		data.bm[4] += xoff;
+		data.bm[5] += yoff;
+		data.strokes.forEach(stroke => stroke.pts.forEach(pt => {
+			pt[0] += xoff;
+			pt[1] += yoff;
+		}));
+	}
+
+	// 變形矩陣與畫布相同，為 [a, b, c, d, e, f]（x' = a·x + c·y + e，y' = b·x + d·y + f）
+	function multiplyMatrix(m1, m2) {		// 先套用 m2 再套用 m1
+		return [
+			m1[0] * m2[0] + m1[2] * m2[1],
+			m1[1] * m2[0] + m1[3] * m2[1],
+			m1[0] * m2[2] + m1[2] * m2[3],
+			m1[1] * m2[2] + m1[3] * m2[3],
+			m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+			m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+		];
+	}
+
+	// 以 (x, y) 為中心套用變形
+	function matrixAround(m, x, y) {
+		return multiplyMatrix([1, 0, 0, 1, x, y], multiplyMatrix(m, [1, 0, 0, 1, -x, -y]));
+	}
+
+	// 變形筆畫資料，indices 為 null 時連同底圖變形整個字符；筆寬依面積的縮放比例調整
+	function transformStrokeData(data, m, indices = null) {
+		const scale = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+		if (!indices) data.bm = multiplyMatrix(m, data.bm);
+		data.strokes.forEach((stroke, i) => {
+			if (indices && !indices.includes(i)) return;
+			stroke.pts.forEach(pt => {
+				const [x, y] = pt;
+				pt[0] = m[0] * x + m[2] * y + m[4];
+				pt[1] = m[1] * x + m[3] * y + m[5];
+			});
+			stroke.width *= scale;
+			if (stroke.opts && stroke.opts.size) stroke.opts.size *= scale;
+		});
+	}
+
+	// 復原／重做紀錄：每一步只記錄筆畫的差異，依字符存在 IndexedDB (h_<字符>)，切換字符或重新載入後仍可復原
+	// add: 新增一筆 / clear: 清除（保留清除前的筆畫資料）/ move: 平移 / transform: 變形（保留變形前的筆畫與底圖矩陣）
+	function newHistory() {
+		return { v: 1, undo: [], redo: [] };
+	}
+
+	async function loadHistory(glyph) {
+		const json = await loadFromDB('h_' + glyph);
+		if (glyph != nowGlyph) return;
+		try {
+			history = json ? JSON.parse(json) : newHistory();
+		} catch (err) {
+			console.error('復原紀錄讀取失敗', err);
+		}
+		updateHistoryButtons();
+	}
+
+	async function saveHistory(glyph = nowGlyph) {
+		let json = JSON.stringify(history);
+		while (history.undo.length > 1 && (history.undo.length > historyLimit.steps || json.length > historyLimit.bytes)) {
+			history.undo.shift();		// 超過上限時丟掉最舊的紀錄，最新的一步一定保留（含大張底圖的清除也能復原）
+			json = JSON.stringify(history);
+		}
+		updateHistoryButtons();
+		if (history.undo.length == 0 && history.redo.length == 0) {
+			await deleteFromDB('h_' + glyph);
+		} else {
+			await saveToDB('h_' + glyph, json);
+		}
+	}
+
+	function updateHistoryButtons() {
+		$('#undoButton').prop('disabled', history.undo.length == 0);
+		$('#redoButton').prop('disabled', history.redo.length == 0);
+	}
+
+	// 記錄新的一步（會清掉重做紀錄）
+	function pushHistory(step) {
+		history.undo.push(JSON.parse(JSON.stringify(step)));	// 複製一份，之後修改筆畫資料不會影響紀錄
+		history.redo.length = 0;
+		saveHistory();
+	}
 
+	// 套用或反向套用一步到筆畫資料上
+	function applyHistoryStep(step, reverse) {
+		switch (step.op) {
+			case 'add':
+				if (reverse) strokeData.strokes.pop();
+				else strokeData.strokes.push(JSON.parse(JSON.stringify(step.stroke)));
+				break;
+			case 'clear':
+				strokeData = reverse ? JSON.parse(JSON.stringify(step.data)) : newStrokeData();
+				break;
+			case 'move':
+				translateStrokeData(strokeData, reverse ? -step.dx : step.dx, reverse ? -step.dy : step.dy);
+				break;
+			case 'transform':
+				if (!reverse) {
+					transformStrokeData(strokeData, step.m, step.sel);
+				} else if (step.sel) {
+					step.sel.forEach((index, i) => { strokeData.strokes[index] = JSON.parse(JSON.stringify(step.before[i])); });
+				} else {
+					strokeData.strokes = JSON.parse(JSON.stringify(step.before));
+					strokeData.bm = step.bm.slice();
+				}
+				break;
+		}
+	}
 
+	async function stepHistory(from, to, reverse) {
+		if (isDrawing || from.length == 0) return;
+		const step = from.pop();
+		to.push(step);
+		applyHistoryStep(step, reverse);
+		await renderStrokes(ctx, strokeData);
+		await saveHistory();
+		if (strokeData.strokes.length == 0 && !strokeData.base) await deleteGlyphData(nowGlyph);	// 回到空白時與清除相同
+		else saveToLocalDB();
+		updateTransformBox();
+	}
 
+	// 切換畫筆／橡皮擦
+	let eraseMode = false;		// 橡皮擦模式
+	function setEraseMode(mode) {
+		eraseMode = mode;
+		setTransformMode(false);
+		$('#penButton').toggleClass('use', !eraseMode);
+		$('#eraserButton').toggleClass('use', eraseMode);
+		$('#canvas-container').toggleClass('erasing', eraseMode);		// 畫布游標也跟著切換，讓使用者知道目前的工具
+	}
+	$('#penButton').on('click', function () { setEraseMode(false); });
+	$('#eraserButton').on('click', function () { setEraseMode(true); });
 
 	// 切換筆壓
 	$('#pressureButton').on('click', function () {
@@ -616,10 +1315,14 @@ $(document).ready(async function () {
     let backgroundImageData = null;
 	let lastX, lastY, lastLW, isMoved = false;
 
-	function drawBrush(ctx, brush, x, y, lw) {
+	function drawBrush(ctx, brush, x, y, lw, erase = false) {
 		// Check if we're in light mode (default is dark mode)
 		const isLightMode = document.body.dataset.theme === 'light';
-		
+
+		ctx.save();
+		// 橡皮擦用筆刷的透明度挖掉畫布內容，所以任何筆刷、筆壓都能直接當橡皮擦用
+		ctx.globalCompositeOperation = erase ? 'destination-out' : 'source-over';
+
 		if (userAgent.includes('macintosh') && userAgent.includes('safari') && !userAgent.includes('chrome')) {
 			// 在 Mac Safari 上使用臨時 canvas 繪製，避免直接繪圖造成污垢
 			// 不知道為什麼我的Mac-Safari直接繪圖會很髒，只好建立一個臨時的畫筆 canvas
@@ -638,20 +1341,23 @@ $(document).ready(async function () {
 			ctx.drawImage(brushCanvas, x - lw/2, y - lw/2);
 		} else {
 			// 其他瀏覽器直接繪製
-			ctx.save();
 			if (!isLightMode) {
 				ctx.filter = 'invert(1)';
 			}
 			ctx.drawImage(brush, x - lw/2, y - lw/2, lw+1, lw+1);
-			ctx.restore();
 		}
+		ctx.restore();
 	}
 
     // 開始繪製
 	$canvas.on('mousedown touchstart pointerdown', function (event) {
 		if (event.touches && event.touches.length === 2) {
-			if (isDrawing) $('#undoButton').trigger('click');		// 先撤銷掉目前的筆劃
-			isDrawing = false;
+			if (isDrawing) {		// 先撤銷掉目前的筆劃（還沒記錄到筆畫資料中，重繪即可）
+				isDrawing = false;
+				currentStroke = null;
+				backgroundImageData = null;
+				renderStrokes(ctx, strokeData);
+			}
 			return;
 		}
 
@@ -659,16 +1365,16 @@ $(document).ready(async function () {
 
 		const { x, y } = getCanvasCoordinates(event);
 		var pressureVal = getPressureValue('start', event, x, y);
-		ratio = canvas.height / $canvas.height();		// 筆畫開始時重新確認一次螢幕縮放比（因為有可能調過視窗大小等）
+		ratio = canvas.height / canvas.getBoundingClientRect().height;		// 筆畫開始時重新確認一次螢幕縮放比（因為有可能調過視窗大小、縮放畫布等）
 
-		var png = canvas.toDataURL();
-		if (!isDrawing && png != undoStack[undoStack.length-1]) undoStack.push(png); // 儲存當前畫布狀態到 undoStack
-		isDrawing = true;	// 儲存畫布後正式宣告筆畫開始
+		isDrawing = true;	// 正式宣告筆畫開始
+		strokeStartTime = performance.now();
 		if (svgTimers[nowGlyph]) clearTimeout(svgTimers[nowGlyph]);	// 停止SVG轉外框 (提高效能)
 
         if (settings.oldPressureMode) {		// 舊筆壓模式
             const pressure = pressureDrawing.simulatePressure(event.originalEvent, 'start');
             pressureDrawing.startStroke(x * ratio, y * ratio, pressure);
+			currentStroke = { mode: 'pressure', erase: eraseMode, width: settings.lineWidth, pts: [] };
             backgroundImageData = ctx.getImageData(0, 0, canvas.width, canvas.height);			// 儲存背景圖像用於即時預覽
             
             // 防止預設的觸控行為（如滾動）
@@ -683,6 +1389,15 @@ $(document).ready(async function () {
 			lastY = y; // 儲存最後的 Y 座標
 		 	lastLW = lw;
 			isMoved = false;
+
+			currentStroke = {	// 記錄筆畫（座標為畫布座標）
+				mode: 'brush',
+				erase: eraseMode,
+				brush: settings.brushType,
+				width: settings.lineWidth,
+				r: ratio,
+				pts: [[x * ratio, y * ratio, pressureVal, 0]]
+			};
         }
 	});
 
@@ -713,17 +1428,13 @@ $(document).ready(async function () {
             
 
 			var lw = settings.lineWidth * pressureVal * 2;
+			if (!currentStroke) return;
 
-			var d = Math.max(Math.abs(lastX - x), Math.abs(lastY - y)) * 1.5;
+			const pt = [x * ratio, y * ratio, pressureVal, Math.round(performance.now() - strokeStartTime)];
+			const d = drawBrushSegment(ctx, currentStroke, currentStroke.pts[currentStroke.pts.length - 1], pt);
+			currentStroke.pts.push(pt);
 			if (d > 40) events.push(`Long-DrawImage / ${pressureVal} / ${event.originalEvent.pointerType} / ${x}, ${y}, ${lw} (${lastX}, ${lastY}, ${lastLW}) ${d}`); // 儲存事件資訊
 			if (d > 0) {
-				for (var t = d; t>0; t--) {
-					var tx = (lastX + (x - lastX) * t / d) * ratio;
-					var ty = (lastY + (y - lastY) * t / d) * ratio;
-					var tlw = lastLW + (lw - lastLW) * t / d; // 線寬漸變
-
-					drawBrush(ctx, brushes[settings.brushType], tx, ty, tlw);	
-				}		
 				events.push(`Move-DrawImage / ${pressureVal} / ${event.originalEvent.pointerType} / ${x}, ${y}, ${lw} (${lastX}, ${lastY}, ${lastLW}) ${d}`); // 儲存事件資訊
 			}
 
@@ -744,6 +1455,10 @@ $(document).ready(async function () {
         if (settings.oldPressureMode) {		// 舊筆壓模式
             // 使用筆壓繪圖系統：生成最終筆跡並繪製
 			pressureDrawingSettings.size = settings.lineWidth * pressureDelta;
+            if (currentStroke) {	// 記錄取樣點與實際使用的筆跡參數，重繪時才能得到相同的結果
+				currentStroke.pts = pressureDrawing.getCurrentStrokePoints().map(pt => [...pt]);
+				currentStroke.opts = { ...pressureDrawingSettings, simulatePressure: pressureDrawing.shouldSimulatePressure() };
+			}
             const finalStroke = pressureDrawing.finishStroke(pressureDrawingSettings);
             if (finalStroke && finalStroke.length > 0) {
                 if (backgroundImageData) ctx.putImageData(backgroundImageData, 0, 0);	// 恢復背景圖像（如果有的話）
@@ -753,8 +1468,8 @@ $(document).ready(async function () {
             // 清除背景圖像數據
             backgroundImageData = null;
         } else {
-			if (!isMoved) {
-				drawBrush(ctx, brushes[settings.brushType], lastX*ratio, lastY*ratio, lastLW);
+			if (!isMoved && currentStroke) {
+				drawStroke(ctx, currentStroke);		// 只有一個取樣點，蓋一個印
 			}
 
 			lastX = null;
@@ -762,52 +1477,64 @@ $(document).ready(async function () {
 			lastLW = null;
 			isMoved = false; // 重置移動狀態
         }
+		if (currentStroke) {
+			strokeData.strokes.push(currentStroke);
+			pushHistory({ op: 'add', stroke: currentStroke });
+			currentStroke = null;
+		}
         saveToLocalDB(); // 停止繪製時儲存畫布內容到 Local Storage
     });
 
-    // 復原功能
-    $('#undoButton').on('click', function () {
-        if (undoStack.length > 0) {
-            const lastState = undoStack.pop();
-            const img = new Image();
-            img.src = lastState;
-            img.onload = function () {
-                ctx.clearRect(0, 0, canvas.width, canvas.height);
-                ctx.drawImage(img, 0, 0);
-                saveToLocalDB(); // 復原後更新 Local Storage
-            };
-        }
-    });
+    // 復原／重做功能
+    $('#undoButton').on('click', function () { stepHistory(history.undo, history.redo, true); });
+    $('#redoButton').on('click', function () { stepHistory(history.redo, history.undo, false); });
 
-	// 雙指復原
+	// 雙指手勢：在畫布上捏合縮放、拖曳平移；沒有移動的短按才當作復原
 	let undoTouchTime = null;
 	$(document).on('touchstart', function (event) {
 		if (event.touches.length === 2) {
 			undoTouchTime = new Date().getTime(); // 記錄雙指觸控的時間
+			touchGesture = $(event.target).closest('#canvas-container').length ? startTouchGesture(event.touches) : null;
 		}
-	}).on('touchend', function (event) {
-		if (undoTouchTime && new Date().getTime() - undoTouchTime < 250) { // 如果雙指觸控時間夠短
+	}).on('touchmove', function (event) {
+		if (touchGesture && event.touches.length === 2) moveTouchGesture(touchGesture, event.touches);
+	}).on('touchend touchcancel', function (event) {
+		const moved = touchGesture && touchGesture.moved;
+		if (event.type == 'touchend' && undoTouchTime && !moved && new Date().getTime() - undoTouchTime < 250) { // 如果雙指觸控時間夠短
 			$('#undoButton').trigger('click');
-			undoTouchTime = null;
 		}
+		undoTouchTime = null;
+		if (event.touches.length < 2) touchGesture = null;
 	});
 
 	// 清除畫布的功能
 	$('#clearButton').on('click', async function () {
 		const savedCanvas = await loadFromDB('g_' + nowGlyph);
 		if (!savedCanvas) return; // 如果沒有儲存的畫布，則不進行任何操作
-		undoStack.push(canvas.toDataURL()); // 儲存當前畫布狀態到 undoStack
+		const glyph = nowGlyph;
+		pushHistory({ op: 'clear', data: strokeData }); // 記錄清除前的筆畫資料
 		ctx.clearRect(0, 0, canvas.width, canvas.height);
-		
-		//undoStack.length = 0; // 清空復原堆疊
-		await deleteFromDB('g_' + nowGlyph); // 清除 IndexedDB 中的資料
-		await deleteFromDB('s_' + nowGlyph); // 清除 IndexedDB 中的資料
+		strokeData = newStrokeData();
+		await deleteGlyphData(glyph);
+		updateTransformBox();
 	});
 
+	// 刪除字符的點陣圖、外框、筆畫與修改時間，並從完成字數中移除（清除畫布、復原到空白時）
+	async function deleteGlyphData(glyph) {
+		if (svgTimers[glyph]) clearTimeout(svgTimers[glyph]);	// 停止排定的轉外框，以免又寫回 SVG
+		await deleteFromDB('g_' + glyph); // 清除 IndexedDB 中的資料
+		await deleteFromDB('s_' + glyph); // 清除 IndexedDB 中的資料
+		await deleteFromDB('k_' + glyph); // 清除 IndexedDB 中的資料
+		await deleteFromDB('t_' + glyph); // 清除修改時間（完成字數依此計算）
+		if (glyphProgress.mark(glyph, false)) updateDoneCount();
+		if (previewGlyphs.has(glyph)) schedulePreview();
+	}
+
 	async function moveGlyph(xoff, yoff) {
 		const savedCanvas = await loadFromDB('g_' + nowGlyph);
 		if (!savedCanvas) return; // 如果沒有儲存的畫布，則不進行任何操作
-		undoStack.push(canvas.toDataURL()); // 儲存當前畫布狀態到 undoStack
+		pushHistory({ op: 'move', dx: xoff, dy: yoff }); // 記錄平移
+		translateStrokeData(strokeData, xoff, yoff);
 
 		const img = new Image();
 		img.src = savedCanvas;
@@ -818,42 +1545,358 @@ $(document).ready(async function () {
 		};
 	}
 
+	// 變形工具：畫布上顯示外框與控制點，移動、縮放、旋轉整個字符或選取的筆畫，也可輸入數值套用傾斜、翻轉
+	// 外框與控制點畫在與畫布同尺寸的 SVG 上，座標即畫布座標
+	let transformMode = false;
+	let transformSelection = new Set();		// 選取的筆畫索引，空的表示整個字符
+	let transformBox = null;				// 選取範圍的外框 { x1, y1, x2, y2 }
+	let transformDrag = null;				// 拖曳中 { handle, start, m, moved, layers }
+	const transformOverlay = document.getElementById('transformOverlay');
+	const transformHandles = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
+
+	function setTransformMode(mode) {
+		if (transformMode == mode) return;
+		transformMode = mode;
+		transformSelection.clear();
+		$('#transformButton').toggleClass('use', mode);
+		$('#penButton').toggleClass('use', !mode && !eraseMode);
+		$('#eraserButton').toggleClass('use', !mode && eraseMode);
+		$('#transformOverlay, #transform-panel').toggle(mode);
+		updateTransformBox();
+	}
+	$('#transformButton').on('click', function () { setTransformMode(!transformMode); });
 
-	// 支援鍵盤方向鍵操作
-	$(document).on('keydown', function (event) {
-		switch (event.key) {
-			case 'ArrowLeft': // 左方向鍵
-				moveGlyph(-10, 0);
-				break;
-			case 'ArrowRight': // 右方向鍵
-				moveGlyph(10, 0);
-				break;
-			case 'ArrowUp': // 上方向鍵
-				moveGlyph(0, -10);
-				break;
-			case 'ArrowDown': // 下方向鍵
-				moveGlyph(0, 10);
-				break;
-			case 'z': // Z 鍵 - 復原
-				$('#undoButton').trigger('click');
-				break;
-			case 'v': // V 鍵 - 畫筆
-				$('#penButton').trigger('click');
-				break;
-			case 'c': // V 鍵 - 橡皮擦
-				$('#eraserButton').trigger('click');
-				break;
-			case 'x': // X 鍵 - 清除
-				$('#clearButton').trigger('click');
-				break;
-			case 'b': // B 鍵 - 切換筆刷
-				$('#brushSelector').trigger('click');
-				break;
-			case 'n': // N 鍵 - 切換筆壓
-				$('#pressureButton').trigger('click');
-				break;
-			case 'PageDown': 	// PageDown 鍵 - 下一步
-			case ']': 			// "]" 鍵 - 下一步
+	// 畫布像素與螢幕像素的比例（控制點在螢幕上維持固定大小，包含畫布縮放）
+	function overlayUnit() {
+		return canvas.width / (transformOverlay.getBoundingClientRect().width || canvas.width);
+	}
+
+	function overlayPoint(event) {
+		const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(transformOverlay.getScreenCTM().inverse());
+		return { x: point.x, y: point.y };
+	}
+
+	// 選取筆畫的外框（取樣點加上筆寬）
+	function strokesBox(indices) {
+		let x1 = Infinity, y1 = Infinity, x2 = -Infinity, y2 = -Infinity;
+		indices.forEach(i => {
+			const stroke = strokeData.strokes[i];
+			stroke.pts.forEach(pt => {
+				const r = stroke.mode == 'pressure' ? (stroke.opts && stroke.opts.size || stroke.width) / 2 : stroke.width * pt[2];
+				x1 = Math.min(x1, pt[0] - r);
+				y1 = Math.min(y1, pt[1] - r);
+				x2 = Math.max(x2, pt[0] + r);
+				y2 = Math.max(y2, pt[1] + r);
+			});
+		});
+		return x1 < x2 ? { x1: x1, y1: y1, x2: x2, y2: y2 } : null;
+	}
+
+	// 整個字符的外框：重繪到暫存畫布後找出有墨跡的範圍（包含底圖與橡皮擦的效果）
+	async function glyphBox() {
+		const work = document.createElement('canvas');
+		work.width = canvas.width;
+		work.height = canvas.height;
+		const workCtx = work.getContext('2d');
+		await renderStrokes(workCtx, strokeData);
+		const pixels = workCtx.getImageData(0, 0, work.width, work.height).data;
+		let x1 = work.width, y1 = work.height, x2 = -1, y2 = -1;
+		for (let y = 0; y < work.height; y++) {
+			for (let x = 0; x < work.width; x++) {
+				if (pixels[(y * work.width + x) * 4 + 3] == 0) continue;
+				if (x < x1) x1 = x;
+				if (x > x2) x2 = x;
+				if (y < y1) y1 = y;
+				y2 = y;
+			}
+		}
+		return x2 < 0 ? null : { x1: x1, y1: y1, x2: x2 + 1, y2: y2 + 1 };
+	}
+
+	async function updateTransformBox() {
+		if (!transformMode) return;
+		transformSelection = new Set([...transformSelection].filter(i => i < strokeData.strokes.length));
+		const glyph = nowGlyph;
+		const box = transformSelection.size > 0 ? strokesBox(transformSelection) : await glyphBox();
+		if (glyph != nowGlyph) return;
+		transformBox = box;
+		$('#transformTarget').text(transformSelection.size > 0 ? formatMessage(fdrawer.transformStrokes, { count: transformSelection.size }) : fdrawer.transformGlyph);
+		drawTransformOverlay();
+	}
+
+	// 畫出外框、控制點與選取的筆畫；拖曳中以 m 顯示變形後的位置
+	function drawTransformOverlay(m = [1, 0, 0, 1, 0, 0]) {
+		const unit = overlayUnit();
+		const $box = $('#transformBox, #transformRotateLine');
+		const points = [...transformSelection].map(i => strokeData.strokes[i].pts.map(pt => pt[0] + ',' + pt[1]).join(' '));
+		$('#transformStrokes').attr('transform', `matrix(${m.join(' ')})`)
+			.html(points.map(pts => `<polyline points="${pts}" />`).join(''));
+		if (!transformBox) {
+			$box.hide();
+			$('#transformHandles').empty();
+			return;
+		}
+		const { x1, y1, x2, y2 } = transformBox;
+		const cx = (x1 + x2) / 2, cy = (y1 + y2) / 2;
+		const map = (x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+		const handlePoints = {
+			nw: map(x1, y1), n: map(cx, y1), ne: map(x2, y1), e: map(x2, cy),
+			se: map(x2, y2), s: map(cx, y2), sw: map(x1, y2), w: map(x1, cy)
+		};
+		const top = handlePoints.n;
+		const rotate = map(cx, y1 - 30 * unit);
+		$box.show();
+		$('#transformBox').attr('points', ['nw', 'ne', 'se', 'sw'].map(h => handlePoints[h].join(',')).join(' '));
+		$('#transformRotateLine').attr({ x1: top[0], y1: top[1], x2: rotate[0], y2: rotate[1] });
+		$('#transformHandles').html([...transformHandles.map(h => [h, handlePoints[h]]), ['rotate', rotate]]
+			.map(([h, [x, y]]) => `<circle data-handle="${h}" cx="${x}" cy="${y}" r="${7 * unit}" />`).join(''));
+	}
+
+	// 點到線段的距離
+	function segmentDistance(x, y, p0, p1) {
+		const dx = p1[0] - p0[0], dy = p1[1] - p0[1];
+		const length = dx * dx + dy * dy;
+		const t = length ? Math.max(0, Math.min(1, ((x - p0[0]) * dx + (y - p0[1]) * dy) / length)) : 0;
+		return Math.hypot(x - p0[0] - t * dx, y - p0[1] - t * dy);
+	}
+
+	// 找出點到的筆畫（後畫的優先，橡皮擦的筆畫不選取）
+	function hitStroke(x, y) {
+		const tolerance = 6 * overlayUnit();
+		for (let i = strokeData.strokes.length - 1; i >= 0; i--) {
+			const stroke = strokeData.strokes[i];
+			if (stroke.erase) continue;
+			const hit = stroke.pts.some((pt, k) => {
+				const r = (stroke.mode == 'pressure' ? (stroke.opts && stroke.opts.size || stroke.width) / 2 : stroke.width * pt[2]) + tolerance;
+				return segmentDistance(x, y, stroke.pts[k - 1] || pt, pt) <= r;
+			});
+			if (hit) return i;
+		}
+		return -1;
+	}
+
+	// 由拖曳的控制點與指標位置算出變形矩陣
+	// 角：以對角為基準等比例縮放（按住 Shift 可分別縮放）/ 邊：以對邊為基準單向縮放 / 旋轉：以外框中心旋轉（按住 Shift 以 15° 為單位）
+	function dragMatrix(drag, point, event) {
+		const { x1, y1, x2, y2 } = transformBox;
+		const cx = (x1 + x2) / 2, cy = (y1 + y2) / 2;
+		const handle = drag.handle;
+		const start = drag.start;
+		if (handle == 'move') return [1, 0, 0, 1, point.x - start.x, point.y - start.y];
+		if (handle == 'rotate') {
+			let angle = Math.atan2(point.y - cy, point.x - cx) - Math.atan2(start.y - cy, start.x - cx);
+			if (event.shiftKey) angle = Math.round(angle / (Math.PI / 12)) * (Math.PI / 12);
+			return matrixAround([Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0], cx, cy);
+		}
+		const ax = handle.includes('w') ? x2 : handle.includes('e') ? x1 : cx;
+		const ay = handle.includes('n') ? y2 : handle.includes('s') ? y1 : cy;
+		let sx = ax != cx ? (point.x - ax) / (start.x - ax) : 1;
+		let sy = ay != cy ? (point.y - ay) / (start.y - ay) : 1;
+		if (handle.length == 2 && !event.shiftKey) {
+			const dx = start.x - ax, dy = start.y - ay;
+			sx = sy = ((point.x - ax) * dx + (point.y - ay) * dy) / (dx * dx + dy * dy);
+		}
+		if (!isFinite(sx) || !isFinite(sy)) return null;
+		return matrixAround([sx, 0, 0, sy, 0, 0], ax, ay);
+	}
+
+	// 拖曳時的預覽：固定不動的部分與要變形的部分各畫在一張暫存畫布上，拖曳中只要貼圖
+	async function transformLayers(indices) {
+		const layer = () => {
+			const layerCanvas = document.createElement('canvas');
+			layerCanvas.width = canvas.width;
+			layerCanvas.height = canvas.height;
+			return layerCanvas;
+		};
+		const fixed = layer(), moving = layer();
+		if (indices) {
+			await renderStrokes(fixed.getContext('2d'), { ...strokeData, strokes: strokeData.strokes.filter((s, i) => !indices.includes(i)) });
+			await renderStrokes(moving.getContext('2d'), { ...strokeData, base: null, strokes: strokeData.strokes.filter((s, i) => indices.includes(i)) });
+		} else {
+			moving.getContext('2d').drawImage(canvas, 0, 0);
+		}
+		return { fixed: fixed, moving: moving };
+	}
+
+	function previewTransform(m) {
+		const layers = transformDrag.layers;
+		if (layers) {
+			ctx.clearRect(0, 0, canvas.width, canvas.height);
+			ctx.drawImage(layers.fixed, 0, 0);
+			ctx.save();
+			ctx.setTransform(...m);
+			ctx.drawImage(layers.moving, 0, 0);
+			ctx.restore();
+		}
+		drawTransformOverlay(m);
+	}
+
+	// 套用變形並記錄到復原紀錄
+	async function applyTransform(m) {
+		if (isDrawing || !m) return;
+		if (Math.abs(m[0] * m[3] - m[1] * m[2]) < 1e-4) return;		// 縮成一條線就無法還原了
+		if (strokeData.strokes.length == 0 && !strokeData.base) return;
+		const indices = transformSelection.size > 0 ? [...transformSelection].sort((a, b) => a - b) : null;
+		pushHistory({
+			op: 'transform',
+			m: m,
+			sel: indices,
+			before: indices ? indices.map(i => strokeData.strokes[i]) : strokeData.strokes,
+			bm: strokeData.bm
+		});
+		transformStrokeData(strokeData, m, indices);
+		await renderStrokes(ctx, strokeData);
+		saveToLocalDB();
+		await updateTransformBox();
+	}
+
+	// 以外框中心套用數值變形：縮放 → 傾斜 → 旋轉 → 平移
+	function transformAroundBox(m) {
+		if (!transformBox) return;
+		const { x1, y1, x2, y2 } = transformBox;
+		applyTransform(matrixAround(m, (x1 + x2) / 2, (y1 + y2) / 2));
+	}
+
+	$(transformOverlay).on('pointerdown', function (event) {
+		if (isDrawing) return;
+		const point = overlayPoint(event);
+		let handle = $(event.target).data('handle');
+		if (!handle && transformBox && point.x >= transformBox.x1 && point.x <= transformBox.x2 && point.y >= transformBox.y1 && point.y <= transformBox.y2) handle = 'move';
+		const indices = transformSelection.size > 0 ? [...transformSelection] : null;
+		transformDrag = { handle: handle || null, start: point, m: null, moved: false, layers: null };
+		if (handle) {
+			const drag = transformDrag;
+			transformLayers(indices).then(layers => { drag.layers = layers; });
+		}
+		this.setPointerCapture(event.pointerId);
+		event.preventDefault();
+	});
+
+	$(transformOverlay).on('pointermove', function (event) {
+		if (!transformDrag) return;
+		const point = overlayPoint(event);
+		if (!transformDrag.moved && Math.hypot(point.x - transformDrag.start.x, point.y - transformDrag.start.y) < 3 * overlayUnit()) return;
+		transformDrag.moved = true;
+		if (!transformDrag.handle) return;
+		const m = dragMatrix(transformDrag, point, event);
+		if (!m) return;
+		transformDrag.m = m;
+		previewTransform(m);
+	});
+
+	// 放開：有拖曳就套用變形，沒有移動則當作點選筆畫（切換選取，點到空白處則回到整個字符）
+	$(transformOverlay).on('pointerup pointercancel', async function (event) {
+		const drag = transformDrag;
+		transformDrag = null;
+		if (!drag) return;
+		if (drag.moved) {
+			if (drag.m && event.type == 'pointerup') await applyTransform(drag.m);
+			else await renderStrokes(ctx, strokeData);
+			drawTransformOverlay();
+			return;
+		}
+		const index = hitStroke(drag.start.x, drag.start.y);
+		if (index < 0) transformSelection.clear();
+		else if (transformSelection.has(index)) transformSelection.delete(index);
+		else transformSelection.add(index);
+		updateTransformBox();
+	});
+
+	// 數值變形
+	$('#transformScaleX').on('input', function () {
+		if ($('#transformLock').prop('checked')) $('#transformScaleY').val($(this).val());
+	});
+	$('#transformScaleY').on('input', function () {
+		if ($('#transformLock').prop('checked')) $('#transformScaleX').val($(this).val());
+	});
+
+	$('#applyTransformButton').on('click', function () {
+		const number = (id, value) => { const n = parseFloat($(id).val()); return isFinite(n) ? n : value; };
+		const rad = Math.PI / 180;
+		const rotate = number('#transformRotate', 0) * rad;
+		const scale = [number('#transformScaleX', 100) / 100, 0, 0, number('#transformScaleY', 100) / 100, 0, 0];
+		const skew = [1, Math.tan(number('#transformSkewY', 0) * rad), Math.tan(number('#transformSkewX', 0) * rad), 1, 0, 0];
+		const rotation = [Math.cos(rotate), Math.sin(rotate), -Math.sin(rotate), Math.cos(rotate), 0, 0];
+		const move = [1, 0, 0, 1, number('#transformX', 0), number('#transformY', 0)];
+		transformAroundBox(multiplyMatrix(move, multiplyMatrix(rotation, multiplyMatrix(skew, scale))));
+		$('#transformX, #transformY, #transformRotate, #transformSkewX, #transformSkewY').val(0);
+		$('#transformScaleX, #transformScaleY').val(100);
+	});
+
+	$('#flipHButton').on('click', function () { transformAroundBox([-1, 0, 0, 1, 0, 0]); });
+	$('#flipVButton').on('click', function () { transformAroundBox([1, 0, 0, -1, 0, 0]); });
+
+	$('#selectGlyphButton').on('click', function () {
+		transformSelection.clear();
+		updateTransformBox();
+	});
+
+
+	// 支援鍵盤方向鍵操作
+	$(document).on('keydown', function (event) {
+		if ($(event.target).is('input, textarea, select')) return;		// 輸入數值或文字時不當作快捷鍵
+		if (event.key == ' ') {
+			event.preventDefault();
+			if (!event.repeat && !spaceHeld) {
+				spaceHeld = true;
+				spacePanned = false;
+				$canvasContainer.addClass('panning');
+			}
+			return;
+		}
+		const arrows = { ArrowLeft: [-10, 0], ArrowRight: [10, 0], ArrowUp: [0, -10], ArrowDown: [0, 10] };
+		if (arrows[event.key] && transformMode) {		// 變形模式下移動選取的筆畫
+			const [xoff, yoff] = arrows[event.key];
+			applyTransform([1, 0, 0, 1, xoff, yoff]);
+			event.preventDefault();
+			return;
+		}
+		switch (event.key) {
+			case 'ArrowLeft': // 左方向鍵
+				moveGlyph(-10, 0);
+				break;
+			case 'ArrowRight': // 右方向鍵
+				moveGlyph(10, 0);
+				break;
+			case 'ArrowUp': // 上方向鍵
+				moveGlyph(0, -10);
+				break;
+			case 'ArrowDown': // 下方向鍵
+				moveGlyph(0, 10);
+				break;
+			case 'f': // F 鍵 - 搜尋
+				$('#searchInput').focus();
+				event.preventDefault();
+				break;
+			case 't': // T 鍵 - 變形
+				$('#transformButton').trigger('click');
+				break;
+			case 'z': // Z 鍵 - 復原
+				$('#undoButton').trigger('click');
+				break;
+			case 'Z': // Shift+Z 鍵 - 重做
+				$('#redoButton').trigger('click');
+				break;
+			case 'y': // Ctrl+Y 鍵 - 重做
+				if (event.ctrlKey || event.metaKey) $('#redoButton').trigger('click');
+				break;
+			case 'v': // V 鍵 - 畫筆
+				$('#penButton').trigger('click');
+				break;
+			case 'c': // V 鍵 - 橡皮擦
+				$('#eraserButton').trigger('click');
+				break;
+			case 'x': // X 鍵 - 清除
+				$('#clearButton').trigger('click');
+				break;
+			case 'b': // B 鍵 - 切換筆刷
+				$('#brushSelector').trigger('click');
+				break;
+			case 'n': // N 鍵 - 切換筆壓
+				$('#pressureButton').trigger('click');
+				break;
+			case 'PageDown': 	// PageDown 鍵 - 下一步
+			case ']': 			// "]" 鍵 - 下一步
 				$('#nextButton').trigger('click');
 				break;
 			case 'PageUp': 		// PageUp 鍵 - 上一步
@@ -861,12 +1904,35 @@ $(document).ready(async function () {
 				$('#prevButton').trigger('click');
 				break;
 			case 'Enter': 		// Enter 鍵 - 下一步 / 同時按shift - 上一步
-			case ' ': 			// Space 鍵 - 下一步 / 同時按shift - 上一步
 				$(event.shiftKey ? '#prevButton' : '#nextButton').trigger('click');
 				break;
+			case '0': 			// 0 鍵 - 符合畫面大小
+				$('#zoomFitButton').trigger('click');
+				break;
+			case '+': 			// + 鍵 - 放大
+			case '=':
+				zoomCanvasAt(canvasView.zoom * 1.25);
+				break;
+			case '-': 			// - 鍵 - 縮小
+				zoomCanvasAt(canvasView.zoom / 1.25);
+				break;
 		}
 	});
 
+	// Space 鍵：按住時拖曳畫布，沒有拖曳就放開則是下一步 / 同時按shift - 上一步
+	$(document).on('keyup', function (event) {
+		if (event.key != ' ' || !spaceHeld) return;
+		spaceHeld = false;
+		mousePan = null;
+		$canvasContainer.removeClass('panning');
+		if (!spacePanned) $(event.shiftKey ? '#prevButton' : '#nextButton').trigger('click');
+	});
+	$(window).on('blur', function () {		// 切換視窗時放開的按鍵收不到 keyup
+		spaceHeld = false;
+		mousePan = null;
+		$canvasContainer.removeClass('panning');
+	});
+
     // 更新進度條
     function updateProgress(current, total) {
         const percentage = Math.round((current / total) * 100);
@@ -874,29 +1940,30 @@ $(document).ready(async function () {
         $progressText.text(`${percentage}%`);
     }
 
-	async function toSVG(gname, savedCanvas) {
-		// 建立一個臨時的 canvas
-		const tempCanvas = document.createElement('canvas');
-		const tempCtx = tempCanvas.getContext('2d');
-		tempCanvas.width = 500;
-		tempCanvas.height = 500;
+	// 字符的描圖參數：專案設定加上該字的個別設定
+	function glyphTraceParams(gname) {
+		return { ...settings.traceParams, ...settings.traceOverrides[gname] };
+	}
 
-		tempCtx.fillStyle = 'white';
-		tempCtx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
+	async function toSVG(savedCanvas, params) {
 		const img = new Image();
 		img.src = savedCanvas;
 		return new Promise((resolve) => {
 			img.onload = function () {
+				// 建立一個臨時的 canvas
+				const tempCanvas = document.createElement('canvas');
+				const tempCtx = tempCanvas.getContext('2d');
+				tempCanvas.width = img.width;
+				tempCanvas.height = img.height;
+				tempCtx.fillStyle = 'white';
+				tempCtx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
 				tempCtx.drawImage(img, 0, 0);
 
-				// 使用 potrace.js 將臨時 canvas 轉換為 SVG
+				// 使用 potrace.js 將臨時 canvas 轉換為 SVG（threshold 在載入時套用，參數要先設定）
+				Potrace.setParameter(params);
 				Potrace.loadImageFromUrl(tempCanvas.toDataURL('image/png'));
-				Potrace.setParameter({
-					turdSize: 100, // 減少雜訊
-					opttolerance: 0.5, // 調整優化容差
-				});
 				Potrace.process(function () {
-					var svgData = Potrace.getSVG(2); // 取得 SVG 資料
+					var svgData = Potrace.getSVG(upm / img.width); // 取得 SVG 資料，縮放到字身大小
 					svgData = svgData.replace(/^.+path d="/, '').replace(/".+$/, '');
 					resolve(svgData);
 				});
@@ -904,13 +1971,88 @@ $(document).ready(async function () {
 		});
 	}
 
-	async function loadSVG(gname) {
+	function brushShapes() {
+		if (strokeOutline.brushShapes.length == 0) {
+			strokeOutline.setBrushShapes(brushes.map(brush => StrokeOutline.shapeFromImage(brush)));
+		}
+		return strokeOutline.brushShapes;
+	}
+
+	// 由筆畫資料直接產生向量外框，座標比例與 potrace 的輸出相同
+	function strokesToSVG(data) {
+		brushShapes();
+		const loops = strokeOutline.build(data, stroke => pressureDrawing.strokeFromPoints(stroke.pts, stroke.opts));
+		return StrokeOutline.toSVGPath(loops, upm / data.w);
+	}
+
+	// 用 potrace 描圖，優先交給背景 worker
+	async function traceImage(pngData, params, group = 'save') {
+		if (outlinePool) {
+			try {
+				const bitmap = await createImageBitmap(await (await fetch(pngData)).blob());
+				return await outlinePool.trace(bitmap, params, upm / bitmap.width, group);
+			} catch (err) {
+				if (err.name == 'AbortError') throw err;
+				console.error('Outline worker failed:', err);
+			}
+		}
+		return await toSVG(pngData, params);
+	}
+
+	function parseStrokeJson(strokeJson) {
+		try {
+			return strokeJson ? JSON.parse(strokeJson) : null;
+		} catch (err) {
+			console.error('筆畫資料讀取失敗', err);
+			return null;
+		}
+	}
+
+	// 沒有筆畫資料或有底圖的字要用描圖產生外框
+	function usesTrace(strokeJson) {
+		const data = parseStrokeJson(strokeJson);
+		return !data || !!data.base;
+	}
+
+	// 有筆畫資料時直接由筆畫產生外框，只有點陣圖（舊資料）時才用 potrace 描圖
+	// 優先交給背景 worker 處理，worker 無法使用時才在主執行緒轉換；group 為 worker 的工作群組（save/export）
+	async function glyphToSVG(gname, pngData, strokeJson, group = 'save') {
+		const data = parseStrokeJson(strokeJson);
+		const useStrokes = data && !data.base;
+
+		if (outlinePool && useStrokes) {
+			try {
+				if (!outlinePool.brushShapes) outlinePool.setBrushShapes(brushShapes());
+				return await outlinePool.strokes(data, upm / data.w, group);
+			} catch (err) {
+				if (err.name == 'AbortError') throw err;
+				console.error('Outline worker failed:', err);
+			}
+		}
+
+		const hasPressureStroke = useStrokes && data.strokes.some(stroke => stroke.mode == 'pressure');
+		if (useStrokes && (!hasPressureStroke || pressureDrawing.perfectFreehandModule)) {
+			return strokesToSVG(data);
+		}
+		return await traceImage(pngData, glyphTraceParams(gname), group);
+	}
+
+	// 描圖參數改變後，清除用描圖產生的外框，下次使用時以新參數重新轉換
+	async function resetTracedOutlines() {
+		for (const gname of await loadDoneGlyphs()) {
+			if (settings.traceOverrides[gname]) continue;	// 有個別設定的字不受專案設定影響
+			if (usesTrace(await loadFromDB('k_' + gname))) await deleteFromDB('s_' + gname);
+		}
+		schedulePreview();
+	}
+
+	async function loadSVG(gname, group = 'save') {
 		var savedSvg = await loadFromDB('s_' + gname);
 		if (savedSvg) return savedSvg; 	// 如果已經存在 SVG，則直接返回
 
 		var savedCanvas = await loadFromDB('g_' + gname);
 		if (!savedCanvas) return null;
-		var svgData = toSVG(gname, savedCanvas); // 如果不存在 SVG，則儲存並返回新的 SVG
+		var svgData = await glyphToSVG(gname, savedCanvas, await loadFromDB('k_' + gname), group); // 如果不存在 SVG，則儲存並返回新的 SVG
 		await saveToDB('s_' + gname, svgData);
 		return svgData;
 	}
@@ -925,7 +2067,7 @@ $(document).ready(async function () {
 		return new opentype.Glyph(glyphObj);
 	}
 
-	function padPath(path, pad) {
+	function padPath(path, pad, rpad = pad) {
 		var boundingBox = path.getBoundingBox();
 		var width = Math.round(boundingBox.x2 - boundingBox.x1);
 		var xoff = pad - Math.round(boundingBox.x1);		// 單純指定邊界寬度
@@ -935,21 +2077,33 @@ $(document).ready(async function () {
 			if (c.x1) c.x1 = c.x1 + xoff;
 			if (c.x2) c.x2 = c.x2 + xoff;
 		});
-		return width + pad*2; // 返回調整後的寬度
+		return width + pad + rpad; // 返回調整後的寬度
 	}
 
-	$('#saveAsTester').on('click', async function () {
-		updateSetting('saveAsTester', this.checked); // 儲存是否為測試儲存
-	});
+	// 將外框轉為字型座標（套用縮放率）
+	function svgToPath(svgData) {
+		var scale = parseInt(settings.scaleRate, 10) / 100;
+		var scaleoff = (upm - scale * upm) / 2; // 縮放偏移量
+		return opentype.Path.fromSVG(svgData, {flipYBase: 0, scale: scale, y: 880 - scaleoff, x: scaleoff});
+	}
 
-	// 儲存字型檔
-    $('#downloadFontButton').on('click', async function () {
-		// 顯示進度條
-		$naviContainer.hide();
-		$progressContainer.show();
-		$progressBar.val(0);
-		$progressText.text('0%');
+	// 未個別設定時的左右邊界：比例寬字符自動加邊界，其餘依書寫位置放在全形寬內
+	function autoMetrics(gname, boundingBox) {
+		if (glyphMap[gname] && (glyphMap[gname].w == 'P' || glyphMap[gname].w == 'H')) return { lsb: 50, rsb: 50 };
+		if (settings.noFixedWidthFlag) return { lsb: 100, rsb: 100 };
+		return { lsb: Math.round(boundingBox.x1), rsb: upm - Math.round(boundingBox.x2), fixed: true };
+	}
 
+	// 依左右邊界移動外框並回傳字寬，有個別設定時優先使用
+	function fitPath(path, gname) {
+		const metrics = settings.glyphMetrics[gname] || autoMetrics(gname, path.getBoundingBox());
+		if (metrics.fixed) return upm;
+		return padPath(path, metrics.lsb, metrics.rsb);
+	}
+
+	// 讀取外框並建立字符陣列，下載與預覽共用
+	// signal 為匯出時的 AbortSignal，取消後會拋出 AbortError
+	async function buildGlyphs(gnames, onProgress = null, signal = null) {
 		const glyphs = [							// 建立字符陣列，並加入一些空格字符（因程式機制上無法畫出空白字符，只能自動產生）
 			createGlyph(null, '.notdef', 600),		// notdef
 			createGlyph(0x20, 'space', 300),		// 空格
@@ -965,27 +2119,33 @@ $(document).ready(async function () {
 		const verts = [];
 		const ccmps = [];
 
-		const totalGlyphs = Object.keys(glyphMap).length; // 總字符數量
-		let processedGlyphs = 0;
-		var scale = parseInt(settings.scaleRate, 10) / 100;
-		var scaleoff = (upm - scale * upm) / 2; // 縮放偏移量
-
-		for (let gname in glyphMap) {
-			// 更新進度條
-			updateProgress(processedGlyphs, totalGlyphs);				
-			processedGlyphs++;
+		// 先取得所有字符的外框，需要轉換的由多個 worker 平行處理
+		const svgs = new Array(gnames.length);
+		const concurrency = outlinePool ? outlinePool.size * 2 : 1;	// 限制同時處理的數量，避免點陣圖佔用太多記憶體
+		let nextIndex = 0;
+		let loadedGlyphs = 0;
+		const loadNext = async () => {
+			while (nextIndex < gnames.length) {
+				if (signal) signal.throwIfAborted();
+				const i = nextIndex++;
+				try {
+					svgs[i] = await loadSVG(gnames[i], signal ? 'export' : 'save');
+				} catch (err) {
+					if (err.name == 'AbortError') throw err;
+					console.error(`Error loading outline ${gnames[i]}:`, err);
+				}
+				if (onProgress) onProgress(++loadedGlyphs, gnames.length);	// 更新進度條
+			}
+		};
+		await Promise.all(Array.from({ length: concurrency }, loadNext));
+		if (signal) signal.throwIfAborted();
 
+		for (const [index, gname] of gnames.entries()) {
 			try {
-				let svgData = await loadSVG(gname);				
+				let svgData = svgs[index];
 				if (!svgData) continue;
-				let path = await opentype.Path.fromSVG(svgData, {flipYBase: 0, scale: scale, y: 880 - scaleoff, x: scaleoff});
-
-				let adw = upm;
-				if (glyphMap[gname].w == 'P' || glyphMap[gname].w == 'H') { // 比例寬自動調整
-					adw = padPath(path, 50);
-				} else if (settings.noFixedWidthFlag) {
-					adw = padPath(path, 100);
-				}
+				let path = await svgToPath(svgData);
+				let adw = fitPath(path, gname);		// 字寬：個別設定、比例寬自動調整或全形寬
 
 				let unicode = null;
 				if (gname.match(/^uni([0-9A-F]{4})$/i)) {
@@ -1002,7 +2162,7 @@ $(document).ready(async function () {
 				// 自動製作全形字符
 				if (glyphMap[gname].f) {
 					let gnameF = glyphMap[gname].f;
-					let pathF = await opentype.Path.fromSVG(svgData, {flipYBase: 0, scale: scale, y: 880 - scaleoff, x: scaleoff});
+					let pathF = await svgToPath(svgData);
 					let adwF = upm;
 					if (settings.noFixedWidthFlag) adwF = padPath(pathF, 100); // 如果沒有固定寬度
 					let unicodeF = null;
@@ -1024,27 +2184,187 @@ $(document).ready(async function () {
 			if (gidMap[glyphF.name]) continue; 	// 如果使用者已經自行繪製全形字符，則跳過
 			glyphs.push(glyphF);
 			gidMap[glyphF.name] = glyphs.length-1;
-		}	
+		}
+		return { glyphs, gidMap, verts, ccmps };
+	}
+
+	// 預覽：只用預覽文字需要的字符在記憶體中建立字型，透過 FontFace 載入
+	let previewSerial = 0;			// 每次重建使用新的字型名稱，避免瀏覽器沿用舊字型
+	const mainPreview = { $body: $('#previewBody'), face: null, family: null };	// 側欄的預覽（字距編輯另有一個）
+	let previewTimer = null;
+	let previewGlyphs = new Set();	// 預覽文字用到的字符名稱
+
+	// 取出預覽文字用到的字符（含直排、組合與自動產生的全形字符）
+	function previewGlyphNames(text) {
+		const chars = new Set(Array.from(text));
+		return Object.keys(glyphMap).filter(gname => {
+			const g = glyphMap[gname];
+			if (g.f && g.f.match(/^uni([0-9A-F]{4})$/i) && chars.has(String.fromCodePoint(parseInt(RegExp.$1, 16)))) return true;
+			return g.c && Array.from(g.c).every(c => chars.has(c));
+		});
+	}
+
+	function schedulePreview() {
+		if (previewTimer) clearTimeout(previewTimer);
+		previewTimer = setTimeout(updatePreview, 300);
+	}
+
+	async function updatePreview() {
+		const text = $('#previewText').val();
+		previewGlyphs = new Set(previewGlyphNames(text));
+		await renderPreview(mainPreview, text);
+	}
+
+	// 建立只含文字所需字符的字型並顯示在 view.$body
+	async function renderPreview(view, text) {
+		const { glyphs, gidMap, verts, ccmps } = await buildGlyphs(previewGlyphNames(text));
+		const font = await createFont(glyphs, gidMap, verts, ccmps, true);
+		const family = 'WriteMyFontPreview' + (++previewSerial);
+		view.family = family;
+		const face = new FontFace(family, fontToSfnt(font, gidMap));
+		try {
+			await face.load();
+		} catch (err) {
+			console.error('Preview font load failed:', err);
+			return;
+		}
+		if (view.family != family) return;	// 已有更新的預覽
+		document.fonts.add(face);
+		if (view.face) document.fonts.delete(view.face);
+		view.face = face;
+
+		// 已書寫的字連續放在同一個文字節點（字距才會生效），尚未書寫的字以系統字型顯示並標示出來
+		const $body = view.$body.empty().css('font-family', `"${family}", sans-serif`);
+		let run = '';
+		const flush = () => {
+			if (run) $body.append(document.createTextNode(run));
+			run = '';
+		};
+		Array.from(text).forEach(c => {
+			if (c == '\n') {
+				flush();
+				$body.append('<br>');
+			} else if (c.trim() == '' || font.charToGlyphIndex(c) > 0) {
+				run += c;
+			} else {
+				flush();
+				$('<span class="missing"></span>').text(c).appendTo($body);
+			}
+		});
+		flush();
+	}
+
+	$('#previewText').on('input', function () {
+		updateSetting('previewText', $(this).val());
+		schedulePreview();
+	});
+	$('#previewVertical').on('change', function () {
+		updateSetting('previewVertical', this.checked);
+		$('#previewBody').toggleClass('vertical', this.checked);
+	});
+
+	$('#saveAsTester').on('click', async function () {
+		updateSetting('saveAsTester', this.checked); // 儲存是否為測試儲存
+	});
+	$('#fontFormatSelect').change(function () { updateSetting('fontFormat', $(this).val()); });
+	$('#fontOutlineSelect').change(function () { updateSetting('fontOutline', $(this).val()); });
+
+	// 顯示下載畫面
+	$('#downloadButton').on('click', function () {
+		$('#saveAsTester').prop('checked', settings.saveAsTester);
+		$('#fontFormatSelect').val(settings.fontFormat);
+		$('#fontOutlineSelect').val(settings.fontOutline);
+		$('#download-container').removeClass('hidden');
+	});
+
+	// 關閉下載畫面
+	$('#closeDownloadButton').on('click', function () {
+		$('#download-container').addClass('hidden');
+	});
+
+	// 儲存字型檔
+	let exportController = null;	// 匯出中的 AbortController
+
+    $('#downloadFontButton').on('click', async function () {
+		if (exportController) return;	// 匯出中
+		const errors = validateMetadata();
+		if (errors.length > 0 && !confirm(errors.join('\n') + '\n' + fdrawer.metaConfirm)) return;
+
+		// 顯示進度條
+		$naviContainer.hide();
+		$progressContainer.show();
+		$progressBar.val(0);
+		$progressText.text('0%');
+		exportController = new AbortController();
+
+		try {
+			await exportFont(exportController.signal);
+		} catch (err) {
+			if (err.name != 'AbortError') console.error('Font export failed:', err);
+		} finally {
+			exportController = null;
+
+			// 隱藏進度條
+			$naviContainer.show();
+			$progressContainer.hide();
+		}
+	});
+
+	// 取消匯出：停止排隊中的轉換並終止執行中的 worker
+	$('#cancelExportButton').on('click', function () {
+		if (!exportController) return;
+		exportController.abort();
+		if (outlinePool) outlinePool.cancel('export');
+	});
+
+	async function exportFont(signal) {
+		const { glyphs, gidMap, verts, ccmps } = await buildGlyphs(Object.keys(glyphMap), updateProgress, signal);
 		const font = await createFont(glyphs, gidMap, verts, ccmps);
 
+		// 依選擇的格式轉換（TrueType 外框轉為二次曲線，WOFF/WOFF2 在瀏覽器內壓縮）
+		const trueType = settings.fontOutline == 'ttf';
+		let format = FontFormats.formats[settings.fontFormat] ? settings.fontFormat : 'otf';
+		if (format == 'otf' && trueType) format = 'ttf';
+		let sfntData = fontToSfnt(font, gidMap, trueType);
+		if (settings.fontOutline == 'cid') sfntData = await toCIDKeyed(sfntData, glyphs);
+		const fontData = await fontFormats.convert(sfntData, format);
+
 		// 建立下載連結
 		const link = document.createElement('a');
-		link.download = font.names.windows.postScriptName.en + '.otf'; //'drawing.otf';
-		link.href = window.URL.createObjectURL(new Blob([font.toArrayBuffer()]), {type: "font/opentype"});
+		link.download = font.names.windows.postScriptName.en + '.' + FontFormats.formats[format].ext;
+		link.href = window.URL.createObjectURL(new Blob([fontData], {type: FontFormats.formats[format].mime}));
 		link.click();
+	}
 
-		// 隱藏進度條
-		$naviContainer.show();
-		$progressContainer.hide();
-	});
+	// 改寫為 CID-keyed CFF，依字型語言採用 Adobe-Japan1 或 Adobe-CNS1 的 CID
+	// 無法取得對照表時詢問使用者，同意才改用 Adobe-Identity-0（CID 等於 GID），否則取消匯出
+	async function toCIDKeyed(sfntData, glyphs) {
+		let ordering = fdrawer.fontLang == 'ja' ? 'Japan1' : 'CNS1';
+		let cidMap = null;
+		try {
+			cidMap = await fontFormats.loadCIDMap(ordering);
+		} catch (err) {
+			console.error('CMap load failed:', err);
+			if (!confirm(formatMessage(fdrawer.cmapLoadConfirm, { ordering: 'Adobe-' + ordering }))) {
+				throw new DOMException('Canceled', 'AbortError');
+			}
+			ordering = 'Identity';
+		}
+		const cids = FontFormats.assignCIDs(glyphs.map(glyph => ({
+			unicode: glyph.unicode,
+			vertOf: glyphMap[glyph.name] && glyphMap[glyph.name].v ? glyphMap[glyph.name].c.codePointAt(0) : null
+		})), cidMap);
+		return FontFormats.toCIDKeyed(sfntData, cids, FontFormats.cidOrderings[ordering]);
+	}
 
     // 顯示設定畫面
     $('#settingButton').on('click', async function () {
 		$('#settings-title').text(settings.notNewFlag ? fdrawer.settingsTitle : fdrawer.welcomeTitle);
 		$('#span-welcome').toggle(!settings.notNewFlag);
 		$('#div-backup').toggle(settings.notNewFlag);
+		await updateProjectSelect();
 
-        $('#settings-container').show();
+        $('#settings-container').removeClass('hidden');
 		$('#fontNameEng').val(settings.fontNameEng);
 		$('#fontNameCJK').val(settings.fontNameCJK);
 		$('#smallModeCheck').prop('checked', settings.smallMode);
@@ -1056,16 +2376,26 @@ $(document).ready(async function () {
 		$('#pressureEffectSelect').val(settings.pressureEffect);
 		$('#pressureDrawingEnabled').prop('checked', settings.oldPressureMode);
 		$('#gridTypeSelect').val(settings.gridType);
+		fillTraceForm($('#traceSettings'), settings.traceParams);
+		$('[data-meta]').each(function () { $(this).val(settings[this.dataset.meta]); });
+		validateMetadata();
 
 		if (!settings.notNewFlag) updateSetting('notNewFlag', true); // 如果是第一次使用，則設定 notNewFlag 為 true
     });
 
     // 關閉設定畫面
     $('#closeSettingsButton').on('click', function () {
-        $('#settings-container').hide();
+        $('#settings-container').addClass('hidden');
+		if (traceSettingsChanged) {
+			traceSettingsChanged = false;
+			resetTracedOutlines();
+		}
     });
 
-	$('#fontNameEng').on('change', function () { updateSetting('fontNameEng', $(this).val().replace(/[^a-zA-Z0-9 ]/g, '')); });
+	$('#fontNameEng').on('change', async function () {
+		await updateSetting('fontNameEng', $(this).val().replace(/[^a-zA-Z0-9 ]/g, ''));
+		validateMetadata();
+	});
 	$('#fontNameCJK').on('change', function () { updateSetting('fontNameCJK', $(this).val()); });
 	$('#smallModeCheck').on('click', async function () {
 		await updateSetting('smallMode', $(this).prop('checked'));
@@ -1084,6 +2414,395 @@ $(document).ready(async function () {
 		initCanvas(canvas);
 	});
 
+	// 字型資訊：寫入 name 與 OS/2 表格，欄位以 data-meta 對應設定名稱
+	$('[data-meta]').on('change', async function () {
+		const key = this.dataset.meta;
+		let value = $(this).val().trim();
+		if (key == 'weightClass') value = parseInt(value, 10) || 400;
+		if (key == 'styleName') value = value.replace(/[^a-zA-Z0-9 ]/g, '').replace(/\s+/g, ' ') || 'Regular';
+		if (key == 'vendorID') value = value.replace(/[^\x21-\x7E]/g, '');
+		if (key == 'styleName') {	// 改成 Bold 或從 Bold 改回時，字重跟著在 400/700 之間切換
+			const bold = styleLink(value).bold;
+			if (bold != styleLink(settings.styleName).bold && settings.weightClass == (bold ? 400 : 700)) {
+				await updateSetting('weightClass', bold ? 700 : 400);
+				$('[data-meta="weightClass"]').val(settings.weightClass);
+			}
+		}
+		$(this).val(value);
+		await updateSetting(key, value);
+		validateMetadata();
+	});
+
+	// 檢查 PostScript 名稱等規則，顯示在設定畫面並回傳錯誤訊息
+	function validateMetadata() {
+		const errors = [];
+		const psName = postScriptName(settings.fontNameEng, settings.styleName);
+		if (!/^[a-zA-Z]/.test(psName)) errors.push(fdrawer.metaPSNameStart);
+		if (psName.length > 63) errors.push(formatMessage(fdrawer.metaPSNameLength, { length: psName.length }));
+		if (!/^\d+\.\d{3}$/.test(settings.fontVersion)) errors.push(fdrawer.metaVersionFormat);
+		if (!/^[\x21-\x7E]{1,4}$/.test(settings.vendorID)) errors.push(fdrawer.metaVendorFormat);
+		if (!(settings.weightClass >= 1 && settings.weightClass <= 1000)) errors.push(fdrawer.metaWeightRange);
+		else if (styleLink(settings.styleName).bold && settings.weightClass != 700) errors.push(fdrawer.metaWeightBold);
+
+		$('#postScriptName').text(psName);
+		$('#metaErrors').text(errors.join(' ')).toggle(errors.length > 0);
+		return errors;
+	}
+
+	// 描圖參數表單（設定畫面與描圖預覽共用），欄位以 data-param 對應參數名稱
+	function fillTraceForm($form, params) {
+		$form.find('[data-param]').each(function () {
+			if (this.type == 'checkbox') this.checked = params[this.dataset.param];
+			else this.value = params[this.dataset.param];
+		});
+	}
+
+	function readTraceForm($form) {
+		const params = {};
+		$form.find('[data-param]').each(function () {
+			const key = this.dataset.param;
+			if (this.type == 'checkbox') params[key] = this.checked;
+			else params[key] = isNaN(parseFloat(this.value)) ? defaultTraceParams[key] : parseFloat(this.value);
+		});
+		return params;
+	}
+
+	let traceSettingsChanged = false;	// 關閉設定畫面時才重新轉換外框
+	$('#traceSettings').on('change', '[data-param]', function () {
+		updateSetting('traceParams', readTraceForm($('#traceSettings')));
+		traceSettingsChanged = true;
+	});
+	$('#resetTraceButton').on('click', function () {
+		fillTraceForm($('#traceSettings'), defaultTraceParams);
+		updateSetting('traceParams', { ...defaultTraceParams });
+		traceSettingsChanged = true;
+	});
+
+	// 描圖預覽：左邊是點陣圖，右邊把轉出的外框疊在點陣圖上，可調整此字的個別參數
+	let traceGlyph = null;		// 預覽中的字符 { gname, png, strokes, traced }
+	let traceTimer = null;
+
+	$('#traceButton').on('click', async function () {
+		const png = await loadFromDB('g_' + nowGlyph);
+		if (!png) {
+			alert(fdrawer.traceNoGlyph);
+			return;
+		}
+		const strokes = await loadFromDB('k_' + nowGlyph);
+		traceGlyph = { gname: nowGlyph, png: png, strokes: strokes, traced: usesTrace(strokes) };
+
+		const override = settings.traceOverrides[nowGlyph];
+		$('#traceGlyphName').text(glyphMap[nowGlyph] ? glyphMap[nowGlyph].c : nowGlyph);
+		$('#traceBitmap, #traceOverlayBitmap').attr('src', png);
+		$('#traceOverlay path').attr('d', '');
+		$('#traceStrokeNote').toggle(!traceGlyph.traced);
+		$('#traceOverrideCheck').prop('checked', !!override).prop('disabled', !traceGlyph.traced);
+		fillTraceForm($('#traceGlyphSettings'), glyphTraceParams(nowGlyph));
+		$('#traceGlyphSettings [data-param]').prop('disabled', !traceGlyph.traced || !override);
+		$('#applyTraceButton').prop('disabled', !traceGlyph.traced);
+		$('#trace-container').removeClass('hidden');
+		updateTracePreview();
+	});
+
+	async function updateTracePreview() {
+		const target = traceGlyph;
+		if (!target) return;
+		let svgData;
+		try {
+			if (!target.traced) {
+				svgData = await glyphToSVG(target.gname, target.png, target.strokes, 'preview');
+			} else {
+				const params = $('#traceOverrideCheck').prop('checked') ? readTraceForm($('#traceGlyphSettings')) : settings.traceParams;
+				svgData = await traceImage(target.png, params, 'preview');
+			}
+		} catch (err) {
+			console.error('Trace preview failed:', err);
+		}
+		if (traceGlyph === target) $('#traceOverlay path').attr('d', svgData || '');
+	}
+
+	function scheduleTracePreview() {
+		if (traceTimer) clearTimeout(traceTimer);
+		traceTimer = setTimeout(updateTracePreview, 200);
+	}
+
+	$('#traceOverrideCheck').on('change', function () {
+		if (!this.checked) fillTraceForm($('#traceGlyphSettings'), settings.traceParams);
+		$('#traceGlyphSettings [data-param]').prop('disabled', !this.checked);
+		scheduleTracePreview();
+	});
+	$('#traceGlyphSettings').on('input change', '[data-param]', scheduleTracePreview);
+
+	// 儲存此字的個別參數並重新轉換外框
+	$('#applyTraceButton').on('click', async function () {
+		const target = traceGlyph;
+		if (!target || !target.traced) return;
+		if ($('#traceOverrideCheck').prop('checked')) {
+			settings.traceOverrides[target.gname] = readTraceForm($('#traceGlyphSettings'));
+		} else {
+			delete settings.traceOverrides[target.gname];
+		}
+		await updateSetting('traceOverrides');
+		await saveSVG(target.gname, target.png, target.strokes);
+		$('#closeTraceButton').click();
+	});
+
+	$('#closeTraceButton').on('click', function () {
+		traceGlyph = null;
+		$('#trace-container').addClass('hidden');
+	});
+
+	// 字寬編輯：顯示外框與左右邊界線，可拖曳或輸入數值，設定存在 glyphMetrics
+	let metricsGlyph = null;	// 編輯中的字符 { gname, box }
+
+	$('#metricsButton').on('click', async function () {
+		const svgData = await loadSVG(nowGlyph);
+		if (!svgData) {
+			alert(fdrawer.traceNoGlyph);
+			return;
+		}
+		const path = await svgToPath(svgData);
+		const box = path.getBoundingBox();
+		metricsGlyph = { gname: nowGlyph, box: box };
+
+		$('#metricsGlyphName').text(glyphMap[nowGlyph] ? glyphMap[nowGlyph].c : nowGlyph);
+		$('#metricsOutline').attr('d', path.toPathData(1));
+		setMetricsInputs(settings.glyphMetrics[nowGlyph] || autoMetrics(nowGlyph, box));
+		$('#metricsAuto').toggle(!settings.glyphMetrics[nowGlyph]);
+		$('#metrics-container').removeClass('hidden');
+	});
+
+	function setMetricsInputs(metrics) {
+		$('#metricsLsb').val(Math.round(metrics.lsb));
+		$('#metricsRsb').val(Math.round(metrics.rsb));
+		drawMetrics();
+	}
+
+	function readMetricsInputs() {
+		return {
+			lsb: parseInt($('#metricsLsb').val(), 10) || 0,
+			rsb: parseInt($('#metricsRsb').val(), 10) || 0
+		};
+	}
+
+	// 外框固定不動，邊界線畫在外框左右（字型座標，y 軸向上）；拖曳中不調整顯示範圍
+	function drawMetrics(fitView = true) {
+		const box = metricsGlyph.box;
+		const { lsb, rsb } = readMetricsInputs();
+		const left = Math.round(box.x1) - lsb;
+		const right = Math.round(box.x2) + rsb;
+		if (fitView) {
+			const margin = 150;
+			const x = Math.min(left, Math.round(box.x1)) - margin;
+			const width = Math.max(right, Math.round(box.x2)) + margin - x;
+			$('#metricsView').attr('viewBox', `${x} -${880 + margin / 2} ${width} ${upm + margin}`);
+		}
+		$('#metricsLeftLine').attr({ x1: left, x2: left });
+		$('#metricsRightLine').attr({ x1: right, x2: right });
+		$('#metricsAdvance').text(right - left);
+	}
+
+	// 拖曳邊界線：換算成 SVG 座標後更新左右邊界
+	let metricsDrag = null;
+	$('#metricsLeftLine, #metricsRightLine').on('pointerdown', function (event) {
+		metricsDrag = this.id == 'metricsLeftLine' ? 'left' : 'right';
+		this.setPointerCapture(event.pointerId);
+		event.preventDefault();
+	});
+	$('#metricsLeftLine, #metricsRightLine').on('pointermove', function (event) {
+		if (!metricsDrag) return;
+		const svg = document.getElementById('metricsView');
+		const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(svg.getScreenCTM().inverse());
+		if (metricsDrag == 'left') $('#metricsLsb').val(Math.round(metricsGlyph.box.x1 - point.x));
+		else $('#metricsRsb').val(Math.round(point.x - metricsGlyph.box.x2));
+		$('#metricsAuto').hide();
+		drawMetrics(false);
+	});
+	$('#metricsLeftLine, #metricsRightLine').on('pointerup pointercancel', function () {
+		metricsDrag = null;
+		drawMetrics();
+	});
+	$('#metricsLsb, #metricsRsb').on('input', function () {
+		$('#metricsAuto').hide();
+		drawMetrics();
+	});
+
+	async function saveGlyphMetrics(gnames, metrics) {
+		gnames.forEach(gname => {
+			if (metrics) settings.glyphMetrics[gname] = { ...metrics };
+			else delete settings.glyphMetrics[gname];
+		});
+		await updateSetting('glyphMetrics');
+		if (gnames.some(gname => previewGlyphs.has(gname))) schedulePreview();
+	}
+
+	$('#applyMetricsButton').on('click', async function () {
+		await saveGlyphMetrics([metricsGlyph.gname], readMetricsInputs());
+		$('#closeMetricsButton').click();
+	});
+
+	// 恢復自動：刪除個別設定
+	$('#autoMetricsButton').on('click', async function () {
+		await saveGlyphMetrics([metricsGlyph.gname], null);
+		setMetricsInputs(autoMetrics(metricsGlyph.gname, metricsGlyph.box));
+		$('#metricsAuto').show();
+	});
+
+	// 整個字表套用相同的左右邊界
+	$('#batchMetricsButton').on('click', async function () {
+		if (!nowList) return;
+		const metrics = readMetricsInputs();
+		const listName = $('#listSelect option:selected').text();
+		if (!confirm(formatMessage(fdrawer.metricsBatchConfirm, { list: listName, count: nowList.length, lsb: metrics.lsb, rsb: metrics.rsb }))) return;
+		await saveGlyphMetrics(nowList, metrics);
+	});
+
+	$('#batchAutoMetricsButton').on('click', async function () {
+		if (!nowList) return;
+		const listName = $('#listSelect option:selected').text();
+		if (!confirm(formatMessage(fdrawer.metricsResetConfirm, { list: listName, count: nowList.length }))) return;
+		await saveGlyphMetrics(nowList, null);
+		setMetricsInputs(autoMetrics(metricsGlyph.gname, metricsGlyph.box));
+		$('#metricsAuto').show();
+	});
+
+	$('#closeMetricsButton').on('click', function () {
+		metricsGlyph = null;
+		$('#metrics-container').addClass('hidden');
+	});
+
+	// 由文字找出字符名稱，字表中沒有的字回傳 null
+	function charToGlyph(c) {
+		const gname = GlyphProgress.glyphName(c.codePointAt(0));
+		if (glyphMap[gname]) return gname;
+		return Object.keys(glyphMap).find(g => glyphMap[g].c == c) || null;
+	}
+
+	function glyphLabel(gname) {
+		return glyphMap[gname] ? glyphMap[gname].c : gname;
+	}
+
+	// 字距編輯：字對的兩側可以是單一文字或 @類別，類別內的字共用相同字距
+	const kerningPreview = { $body: $('#kernPreviewBody'), face: null, family: null };
+	let kerningPreviewTimer = null;
+
+	function kernSideLabel(side) {
+		return side.startsWith('@') ? side : glyphLabel(side);
+	}
+
+	function parseKernSide(text) {
+		text = text.trim();
+		if (text.startsWith('@')) return settings.kerning.classes[text] ? text : null;
+		const chars = Array.from(text);
+		return chars.length == 1 ? charToGlyph(chars[0]) : null;
+	}
+
+	function renderKerning() {
+		const kerning = settings.kerning;
+		const $pairs = $('#kernPairs').empty();
+		kerning.pairs.forEach((pair, index) => {
+			$('<tr></tr>').append(
+				$('<th></th>').text(kernSideLabel(pair.left) + ' ' + kernSideLabel(pair.right)),
+				$('<td></td>').append($('<input type="number" step="5" class="kern-value" />').val(pair.value).attr('data-index', index)),
+				$('<td class="num"></td>').append($('<button class="small kern-remove">&times;</button>').attr('data-index', index))
+			).appendTo($pairs);
+		});
+
+		const $classes = $('#kernClasses').empty();
+		Object.keys(kerning.classes).forEach(name => {
+			$('<tr></tr>').append(
+				$('<th></th>').text(name),
+				$('<td></td>').text(kerning.classes[name].map(glyphLabel).join('')),
+				$('<td class="num"></td>').append(
+					$('<button class="small kern-class-edit">✎</button>').attr('data-name', name),
+					$('<button class="small kern-class-remove">&times;</button>').attr('data-name', name)
+				)
+			).appendTo($classes);
+		});
+	}
+
+	async function saveKerning() {
+		await updateSetting('kerning');
+		renderKerning();
+		scheduleKerningPreview();
+		schedulePreview();
+	}
+
+	function scheduleKerningPreview() {
+		if (kerningPreviewTimer) clearTimeout(kerningPreviewTimer);
+		kerningPreviewTimer = setTimeout(function () {
+			if (!$('#kerning-container').hasClass('hidden')) renderPreview(kerningPreview, $('#kernPreviewText').val());
+		}, 300);
+	}
+
+	$('#kerningButton').on('click', function () {
+		renderKerning();
+		$('#kerning-container').removeClass('hidden');
+		scheduleKerningPreview();
+	});
+
+	$('#closeKerningButton').on('click', function () {
+		$('#kerning-container').addClass('hidden');
+	});
+
+	$('#kernPreviewText').on('input', scheduleKerningPreview);
+
+	$('#addKernButton').on('click', async function () {
+		const left = parseKernSide($('#kernLeft').val());
+		const right = parseKernSide($('#kernRight').val());
+		const value = parseInt($('#kernValue').val(), 10);
+		if (!left || !right || isNaN(value)) {
+			alert(fdrawer.kernInvalid);
+			return;
+		}
+		const pair = settings.kerning.pairs.find(p => p.left == left && p.right == right);
+		if (pair) pair.value = value;
+		else settings.kerning.pairs.push({ left: left, right: right, value: value });
+		$('#kernLeft, #kernRight').val('');
+		await saveKerning();
+	});
+
+	$('#kernPairs').on('change', '.kern-value', async function () {
+		settings.kerning.pairs[this.dataset.index].value = parseInt(this.value, 10) || 0;
+		await saveKerning();
+	});
+
+	$('#kernPairs').on('click', '.kern-remove', async function () {
+		settings.kerning.pairs.splice(this.dataset.index, 1);
+		await saveKerning();
+	});
+
+	// 新增或更新類別，成員直接輸入文字
+	$('#saveKernClassButton').on('click', async function () {
+		let name = $('#kernClassName').val().trim().replace(/\s+/g, '');
+		if (!name) return;
+		if (!name.startsWith('@')) name = '@' + name;
+		const members = [...new Set(Array.from($('#kernClassMembers').val()).filter(c => c.trim() != '').map(charToGlyph).filter(g => g))];
+		if (members.length == 0) {
+			alert(fdrawer.kernInvalid);
+			return;
+		}
+		settings.kerning.classes[name] = members;
+		$('#kernClassName, #kernClassMembers').val('');
+		await saveKerning();
+	});
+
+	$('#kernClasses').on('click', '.kern-class-edit', function () {
+		const name = this.dataset.name;
+		$('#kernClassName').val(name);
+		$('#kernClassMembers').val(settings.kerning.classes[name].map(glyphLabel).join(''));
+	});
+
+	// 刪除類別時一併刪除用到它的字對
+	$('#kernClasses').on('click', '.kern-class-remove', async function () {
+		const name = this.dataset.name;
+		const used = settings.kerning.pairs.filter(p => p.left == name || p.right == name).length;
+		if (used > 0 && !confirm(formatMessage(fdrawer.kernClassRemoveConfirm, { name: name, count: used }))) return;
+		delete settings.kerning.classes[name];
+		settings.kerning.pairs = settings.kerning.pairs.filter(p => p.left != name && p.right != name);
+		await saveKerning();
+	});
+
 	// 筆壓繪圖設定事件監聽器
 	$('#pressureDrawingEnabled').on('change', async function () { 
 		updateSetting('oldPressureMode', $(this).prop('checked'));
@@ -1127,7 +2846,7 @@ $(document).ready(async function () {
             // Convert character to glyph name to check for saved drawing
             const char = entry.char;
             const uni = char.codePointAt(0).toString(16).toUpperCase();
-            const gname = uni.length <= 4 ? 'uni' + uni.padStart(4, '0') : 'u' + uni;
+            const gname = entry.gname || (uni.length <= 4 ? 'uni' + uni.padStart(4, '0') : 'u' + uni);		// 內建字表有直排、組合字等非編碼命名的字符
             
             // Check if there's a saved drawing
             const savedCanvas = await loadFromDB('g_' + gname);
@@ -1181,7 +2900,7 @@ $(document).ready(async function () {
         nowGlyphIndex = current;
         const char = entry.char;
         const uni = char.codePointAt(0).toString(16).toUpperCase();
-        const gname = uni.length <= 4 ? 'uni' + uni.padStart(4, '0') : 'u' + uni;
+        const gname = entry.gname || (uni.length <= 4 ? 'uni' + uni.padStart(4, '0') : 'u' + uni);
         nowGlyph = gname;
 
         // Update UI using original setGlyph logic
@@ -1196,6 +2915,9 @@ $(document).ready(async function () {
         if (CHARACTER_DECKS && CHARACTER_DECKS[selectedDeck]) {
             DECK = CHARACTER_DECKS[selectedDeck];
             current = nowGlyphIndex || 0;
+        } else if (glyphList[selectedDeck]) {		// 使用者字表等 HSK 以外的字表
+            DECK = glyphList[selectedDeck].map(gname => ({ char: glyphMap[gname].c, gname: gname }));
+            current = nowGlyphIndex || 0;
         }
     }
 
@@ -1218,6 +2940,281 @@ $(document).ready(async function () {
     });
 
 
+	// 切換到指定字表的第 index 字
+	function selectList(name, index = 0) {
+		$listSelect.val(name);
+		nowList = glyphList[name];
+		setGlyph(index);
+		updateDeckFromHSK();
+	}
+
+	// 由搜尋文字找出字符名稱：文字、編碼（U+4E00、0x4E00、uni4E00）或字符名稱（如 uni3042.vert、A_uni030B）
+	function searchGlyph(text) {
+		text = text.trim();
+		if (text == '') return null;
+		if (glyphMap[text]) return text;
+		const code = text.match(/^(?:U\+|0x|u(?:ni)?)([0-9A-F]{4,6})$/i);
+		if (code) {
+			const codePoint = parseInt(code[1], 16);
+			return codePoint <= 0x10FFFF ? GlyphProgress.glyphName(codePoint) : null;
+		}
+		const chars = Array.from(text);
+		return chars.length == 1 ? charToGlyph(chars[0]) || GlyphProgress.glyphName(chars[0].codePointAt(0)) : null;
+	}
+
+	// 找出字符所在的字表（目前的字表優先）
+	function findGlyphList(gname) {
+		const current = $listSelect.val();
+		const names = [current, ...Object.keys(glyphList).filter(name => name != current)];
+		for (const name of names) {
+			const index = glyphList[name] ? glyphList[name].indexOf(gname) : -1;
+			if (index >= 0) return { name: name, index: index };
+		}
+		return null;
+	}
+
+	$('#searchInput').attr('title', fdrawer.findMsg).on('keydown', async function (event) {
+		if (event.key != 'Enter') return;
+		const text = $(this).val();
+		if (text.trim() == '') return;
+		const gname = searchGlyph(text);
+		const found = gname && findGlyphList(gname);
+		if (found) {
+			selectList(found.name, found.index);
+			$(this).val('').blur();
+			return;
+		}
+		if (!gname || !/^u(ni)?[0-9A-F]{4,6}$/.test(gname)) {		// 使用者字表只能放有編碼的字
+			alert(fdrawer.notFound);
+			return;
+		}
+		if (!confirm(fdrawer.notFound + '\n' + fdrawer.confirmAdd)) return;
+		await addCustomGlyphs([gname]);
+		selectList(fdrawer.customList, glyphList[fdrawer.customList].indexOf(gname));
+		$(this).val('').blur();
+	});
+
+	// 使用者字表：以逗號分隔的字符名稱存在 customGlyphs
+	async function saveCustomList() {
+		const list = glyphList[fdrawer.customList] || [];
+		await updateSetting('customGlyphs', list.join(','));
+		glyphProgress.setList(fdrawer.customList, 'list', list);
+		updateDoneCount();
+
+		if (list.length == 0) delete glyphList[fdrawer.customList];		// 沒有字時不顯示在選單中
+		refreshListSelect();
+		if (nowList === list && list.length > 0) {
+			const index = list.indexOf(nowGlyph);		// 排序或刪除後，目前的字在字表中的位置可能改變
+			if (index >= 0) nowGlyphIndex = index;
+			else setGlyph(Math.min(nowGlyphIndex, list.length - 1));
+			updateDeckFromHSK();
+		}
+		renderCustomList();
+	}
+
+	// 字表增減後重建選單，目前的字表被刪除時切換到第一個字表
+	function refreshListSelect() {
+		const current = $listSelect.val();
+		initListSelect($listSelect);
+		if (glyphList[current]) $listSelect.val(current);
+		else selectList($listSelect.find('option').filter((i, option) => glyphList[option.value]).val());
+	}
+
+	// 新增到使用者字表（略過已有的字），回傳新增的字數
+	async function addCustomGlyphs(gnames) {
+		if (!glyphList[fdrawer.customList]) glyphList[fdrawer.customList] = [];
+		const list = glyphList[fdrawer.customList];
+		const added = gnames.filter((gname, i) => !list.includes(gname) && gnames.indexOf(gname) == i);
+		added.forEach(gname => {
+			addGlyphMapEntry(gname);
+			list.push(gname);
+		});
+		if (added.length > 0) await saveCustomList();
+		return added.length;
+	}
+
+	function renderCustomList() {
+		const list = glyphList[fdrawer.customList] || [];
+		const $body = $('#customGlyphs').empty();
+		list.forEach((gname, index) => {
+			$('<tr></tr>').append(
+				$('<th></th>').append($('<button class="small custom-jump"></button>').text(glyphLabel(gname)).attr('data-index', index).toggleClass('done', glyphProgress.done.has(gname))),
+				$('<td></td>').text('U+' + gname.replace(/^u(ni)?/, '')),
+				$('<td class="num"></td>').append(
+					$('<button class="small custom-move" data-step="-1">↑</button>').attr('data-index', index).prop('disabled', index == 0),
+					$('<button class="small custom-move" data-step="1">↓</button>').attr('data-index', index).prop('disabled', index == list.length - 1),
+					$('<button class="small custom-remove">&times;</button>').attr('data-index', index)
+				)
+			).appendTo($body);
+		});
+		$('#customCount').text(list.length);
+	}
+
+	$('#customListButton').on('click', function () {
+		renderCustomList();
+		renderImportedLists();
+		$('#custom-container').removeClass('hidden');
+	});
+
+	$('#closeCustomButton').on('click', function () {
+		$('#custom-container').addClass('hidden');
+	});
+
+	$('#addCustomButton').on('click', async function () {
+		const chars = Array.from($('#customAddText').val()).filter(c => c.trim() != '');
+		if (chars.length == 0) return;
+		await addCustomGlyphs(chars.map(c => GlyphProgress.glyphName(c.codePointAt(0))));
+		$('#customAddText').val('');
+	});
+	$('#customAddText').on('keydown', function (event) {
+		if (event.key == 'Enter') $('#addCustomButton').click();
+	});
+
+	$('#customGlyphs').on('click', '.custom-jump', function () {
+		selectList(fdrawer.customList, $(this).data('index'));
+		$('#closeCustomButton').click();
+	});
+
+	$('#customGlyphs').on('click', '.custom-move', async function () {
+		const list = glyphList[fdrawer.customList];
+		const index = $(this).data('index');
+		const target = index + $(this).data('step');
+		if (target < 0 || target >= list.length) return;
+		[list[index], list[target]] = [list[target], list[index]];
+		await saveCustomList();
+	});
+
+	$('#customGlyphs').on('click', '.custom-remove', async function () {
+		glyphList[fdrawer.customList].splice($(this).data('index'), 1);		// 只從字表移除，寫過的字不會刪除
+		await saveCustomList();
+	});
+
+	// 匯入字表：把貼上的文字或 .txt 檔整理成新的字表（去除重複，依出現順序或常用程度排列），存在 customLists
+	let frequencyRanks = null;		// 常用字的名次（文字 → 名次）
+	let importPreviewTimer = null;
+
+	async function loadFrequencyRanks() {
+		if (frequencyRanks) return frequencyRanks;
+		const response = await fetch(frequencyListUrl);
+		if (!response.ok) throw new Error(`HTTP ${response.status}`);
+		const ranks = new Map();
+		(await response.text()).split(/\r?\n/).forEach(line => {
+			const c = line.split('\t')[1];		// 名次、字、次數、累計次數、比例
+			if (c && !ranks.has(c)) ranks.set(c, ranks.size);
+		});
+		return frequencyRanks = ranks;
+	}
+
+	// 整理文字：去除空白、控制字元與組合符號，重複的字只留第一次出現的位置
+	async function importListGlyphs() {
+		let chars = [...new Set(Array.from($('#importListText').val()).filter(c => !/[\s\p{C}\p{M}]/u.test(c)))];
+		if ($('#importListOrder').val() == 'frequency' && chars.length > 0) {
+			try {
+				const ranks = await loadFrequencyRanks();
+				const rank = c => ranks.has(c) ? ranks.get(c) : Infinity;		// 頻率表沒有的字排在最後，維持出現順序
+				chars = chars.slice().sort((a, b) => rank(a) - rank(b));
+			} catch (err) {
+				console.error('常用字頻率表讀取失敗', err);
+				alert(fdrawer.importListFrequencyError);
+				$('#importListOrder').val('first');
+			}
+		}
+		// 已在字表中的字沿用原本的字符名稱（例如歐文字母），其他的以編碼命名
+		const byChar = new Map();
+		Object.keys(glyphMap).forEach(gname => {
+			if (!byChar.has(glyphMap[gname].c)) byChar.set(glyphMap[gname].c, gname);
+		});
+		return chars.map(c => {
+			const gname = GlyphProgress.glyphName(c.codePointAt(0));
+			return { c: c, gname: glyphMap[gname] ? gname : byChar.get(c) || gname };
+		});
+	}
+
+	async function renderImportPreview() {
+		const glyphs = await importListGlyphs();
+		const done = glyphs.filter(glyph => glyphProgress.done.has(glyph.gname)).length;
+		$('#importListSummary').text(glyphs.length > 0 ? formatMessage(fdrawer.importListSummary, { count: glyphs.length, done: done }) : '');
+		$('#importListPreview').empty().append(glyphs.map(glyph =>
+			$('<span></span>').text(glyph.c).toggleClass('done', glyphProgress.done.has(glyph.gname))));
+	}
+
+	function scheduleImportPreview() {
+		if (importPreviewTimer) clearTimeout(importPreviewTimer);
+		importPreviewTimer = setTimeout(renderImportPreview, 300);
+	}
+	$('#importListText').on('input', scheduleImportPreview);
+	$('#importListOrder').on('change', scheduleImportPreview);
+
+	$('#importListFile').on('change', async function () {
+		const file = this.files[0];
+		if (!file) return;
+		$('#importListText').val(await file.text());
+		if ($('#importListName').val().trim() == '') $('#importListName').val(file.name.replace(/\.[^.]*$/, ''));
+		$(this).val('');
+		renderImportPreview();
+	});
+
+	$('#importListButton').on('click', async function () {
+		const name = $('#importListName').val().trim();
+		const glyphs = await importListGlyphs();
+		if (name == '' || glyphs.length == 0) {
+			alert(fdrawer.importListEmpty);
+			return;
+		}
+		if (name == fdrawer.customList || (window.CHARACTER_DECKS && CHARACTER_DECKS[name]) || (glyphList[name] && !settings.customLists[name])) {
+			alert(formatMessage(fdrawer.importListNameTaken, { name: name }));
+			return;
+		}
+		if (settings.customLists[name] && !confirm(formatMessage(fdrawer.importListReplace, { name: name }))) return;
+
+		const gnames = glyphs.map(glyph => glyph.gname);
+		gnames.forEach(addGlyphMapEntry);
+		settings.customLists[name] = gnames;
+		glyphList[name] = gnames;
+		await updateSetting('customLists');
+		glyphProgress.setList(name, 'list', gnames);
+		updateDoneCount();
+		initListSelect($listSelect);
+		selectList(name);
+
+		$('#importListName, #importListText').val('');
+		renderImportPreview();
+		renderImportedLists();
+	});
+
+	function renderImportedLists() {
+		const $body = $('#importedLists').empty();
+		Object.keys(settings.customLists).forEach(name => {
+			const list = settings.customLists[name];
+			const done = list.filter(gname => glyphProgress.done.has(gname)).length;
+			$('<tr></tr>').append(
+				$('<th></th>').text(name),
+				$('<td class="num"></td>').text(`${done} / ${list.length}`),
+				$('<td class="num"></td>').append(
+					$('<button class="small imported-open">▶</button>').attr('data-name', name),
+					$('<button class="small imported-remove">&times;</button>').attr('data-name', name)
+				)
+			).appendTo($body);
+		});
+	}
+
+	$('#importedLists').on('click', '.imported-open', function () {
+		selectList($(this).attr('data-name'));
+		$('#closeCustomButton').click();
+	});
+
+	$('#importedLists').on('click', '.imported-remove', async function () {
+		const name = $(this).attr('data-name');
+		if (!confirm(formatMessage(fdrawer.importListRemoveConfirm, { name: name }))) return;
+		delete settings.customLists[name];
+		delete glyphList[name];
+		await updateSetting('customLists');
+		glyphProgress.removeList(name);
+		updateDoneCount();
+		refreshListSelect();
+		renderImportedLists();
+	});
+
 	// 顯示提示畫面
 	$('#hintButton').on('click', function () {
 		showHint = !showHint;
@@ -1253,7 +3250,7 @@ $(document).ready(async function () {
 	});
 	
 
-    // 取得滑鼠或觸控座標
+    // 取得滑鼠或觸控座標（畫布在螢幕上的位置，含縮放；乘上 ratio 即為畫布座標）
     function getCanvasCoordinates(event) {
         const rect = canvas.getBoundingClientRect();
         const touch = event.type.includes('touch') ? event.originalEvent.touches[0] : event;
@@ -1263,6 +3260,113 @@ $(document).ready(async function () {
         };
     }
 
+	// 畫布縮放與平移：#zoomLayer 以 CSS transform 放大，ratio 包含縮放倍率，筆畫仍以畫布座標儲存
+	const zoomLimits = { min: 1, max: 8 };
+	const canvasView = { zoom: 1, x: 0, y: 0 };		// 縮放倍率與平移量（螢幕像素）
+	const $canvasContainer = $('#canvas-container');
+	let spaceHeld = false;		// 按住空白鍵時拖曳畫布
+	let spacePanned = false;	// 按住空白鍵期間是否拖曳過（沒拖曳的話放開時切換到下一字）
+	let mousePan = null;		// 拖曳中 { x, y, viewX, viewY }
+	let touchGesture = null;	// 雙指手勢 { start, zoom, x, y, moved }
+
+	function clampZoom(zoom) {
+		return Math.min(zoomLimits.max, Math.max(zoomLimits.min, zoom));
+	}
+
+	function applyCanvasView() {
+		const container = $canvasContainer[0];
+		canvasView.zoom = clampZoom(canvasView.zoom);
+		canvasView.x = Math.min(0, Math.max(container.clientWidth * (1 - canvasView.zoom), canvasView.x));		// 畫布不移出框外
+		canvasView.y = Math.min(0, Math.max(container.clientHeight * (1 - canvasView.zoom), canvasView.y));
+		$('#zoomLayer').css('transform', `translate(${canvasView.x}px, ${canvasView.y}px) scale(${canvasView.zoom})`);
+		$('#zoomValue').text(Math.round(canvasView.zoom * 100) + '%');
+		ratio = canvas.height / canvas.getBoundingClientRect().height;
+		if (transformMode && !transformDrag) drawTransformOverlay();
+	}
+	$(window).on('resize', applyCanvasView);
+
+	// 螢幕座標轉成框內座標（不含邊框）
+	function containerPoint(clientX, clientY) {
+		const container = $canvasContainer[0];
+		const rect = container.getBoundingClientRect();
+		return { x: clientX - rect.left - container.clientLeft, y: clientY - rect.top - container.clientTop };
+	}
+
+	// 以螢幕上的一點為中心縮放（沒有指定則以框的中心）
+	function zoomCanvasAt(zoom, clientX = null, clientY = null) {
+		const container = $canvasContainer[0];
+		const point = clientX == null ? { x: container.clientWidth / 2, y: container.clientHeight / 2 } : containerPoint(clientX, clientY);
+		zoom = clampZoom(zoom);
+		canvasView.x = point.x - (point.x - canvasView.x) * zoom / canvasView.zoom;
+		canvasView.y = point.y - (point.y - canvasView.y) * zoom / canvasView.zoom;
+		canvasView.zoom = zoom;
+		applyCanvasView();
+	}
+
+	$('#zoomFitButton').on('click', function () {
+		Object.assign(canvasView, { zoom: 1, x: 0, y: 0 });
+		applyCanvasView();
+	});
+
+	// 滑鼠滾輪（觸控板捏合也是 ctrl + 滾輪）縮放
+	$canvasContainer.on('wheel', function (event) {
+		const e = event.originalEvent;
+		event.preventDefault();
+		zoomCanvasAt(canvasView.zoom * Math.exp(-e.deltaY * (e.deltaMode ? 0.05 : 0.002)), e.clientX, e.clientY);
+	});
+
+	// 按住空白鍵拖曳：在捕獲階段攔下事件，畫布與變形工具都不會收到
+	function startMousePan(event) {
+		if (!spaceHeld) return;
+		event.stopPropagation();
+		event.preventDefault();
+		if (mousePan) return;
+		mousePan = { x: event.clientX, y: event.clientY, viewX: canvasView.x, viewY: canvasView.y };
+		spacePanned = true;
+	}
+	$canvasContainer[0].addEventListener('pointerdown', startMousePan, true);
+	$canvasContainer[0].addEventListener('mousedown', startMousePan, true);
+	$(window).on('pointermove mousemove', function (event) {
+		if (!mousePan) return;
+		canvasView.x = mousePan.viewX + event.clientX - mousePan.x;
+		canvasView.y = mousePan.viewY + event.clientY - mousePan.y;
+		applyCanvasView();
+	}).on('pointerup mouseup', function () {
+		mousePan = null;
+	});
+
+	function touchCenter(touches) {
+		return {
+			x: (touches[0].clientX + touches[1].clientX) / 2,
+			y: (touches[0].clientY + touches[1].clientY) / 2,
+			distance: Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY)
+		};
+	}
+
+	function startTouchGesture(touches) {
+		if (transformDrag) {		// 第一指已經開始拖曳外框時取消
+			transformDrag = null;
+			renderStrokes(ctx, strokeData);
+			drawTransformOverlay();
+		}
+		return { start: touchCenter(touches), zoom: canvasView.zoom, x: canvasView.x, y: canvasView.y, moved: false };
+	}
+
+	// 捏合縮放、兩指拖曳平移：兩指中點下的畫布位置跟著手指移動
+	function moveTouchGesture(gesture, touches) {
+		const now = touchCenter(touches);
+		const start = gesture.start;
+		if (!gesture.moved && Math.hypot(now.x - start.x, now.y - start.y) < 10 && Math.abs(now.distance - start.distance) < 10) return;
+		gesture.moved = true;
+		const from = containerPoint(start.x, start.y);
+		const to = containerPoint(now.x, now.y);
+		const zoom = clampZoom(gesture.zoom * now.distance / (start.distance || 1));
+		canvasView.x = to.x - (from.x - gesture.x) * zoom / gesture.zoom;
+		canvasView.y = to.y - (from.y - gesture.y) * zoom / gesture.zoom;
+		canvasView.zoom = zoom;
+		applyCanvasView();
+	}
+
 	// 匯出事件 - Debugger
 	$('#exportEventsButton').on('click', async function () {
 		const data = events.join('\n');
@@ -1279,53 +3383,153 @@ $(document).ready(async function () {
 
 	// 匯出資料
 	$('#exportDataButton').on('click', async function () {
-		const transaction = db.transaction([storeName], 'readonly');
-		const store = transaction.objectStore(storeName);
-		const request = store.getAll();
-
-		request.onsuccess = async function (event) {
-			const data = event.target.result.map(item => `${item.key}\t${item.value}`).join('\n');
-			if (data.length > 0) {
-				const blob = new Blob([data], { type: 'text/plain' });
-				const link = document.createElement('a');
-				link.download = settings.fontNameEng + '-' + (new Date()).toISOString() + '.txt';
-				link.href = window.URL.createObjectURL(blob);
-				link.click();
-			} else {
-				alert(fdrawer.noDataToExport);
-			}
-		};
+		const rows = await loadAllFromDB();
+		if (rows.length == 0) {
+			alert(fdrawer.noDataToExport);
+			return;
+		}
+		const zip = $('#exportZipCheck').prop('checked');
+		const backup = await ProjectBackup.create(rows, { appVersion: version, project: project.name });
+		const link = document.createElement('a');
+		link.download = settings.fontNameEng + '-' + (new Date()).toISOString() + (zip ? '.zip' : '.json');
+		link.href = window.URL.createObjectURL(await ProjectBackup.toBlob(backup, zip));
+		link.click();
 	});
 
-    // 匯入資料
+	function formatMessage(template, values) {
+		return template.replace(/\{(\w+)\}/g, (m, name) => values[name]);
+	}
+
+    // 匯入資料：先試算並顯示結果，確認後才寫入
     $('#importDataFile').on('change', async function () {
-        if (confirm(fdrawer.importConfirm)) {
-            const fileInput = $(this);
-            const file = fileInput[0].files[0];
-            if (file) {
-                const reader = new FileReader();
-                reader.onload = async function (e) {
-                    await clearDB(); // 清除現有的 IndexedDB 資料
-                    const data = e.target.result;
-                    const lines = data.split('\n');
-                    for (const line of lines) {
-                        if (line.trim() === '') continue; // 跳過空行
-                        const parts = line.split('\t');
-                        if (parts.length < 2) continue; // 如果格式不正確，跳過
-                        const key = parts[0].trim();
-                        const value = parts[1].trim();
-                        await saveToDB(key, value);
-                    }
-                    alert(fdrawer.importDone);
-                    location.reload(); // 重新載入頁面
-                };
-                reader.readAsText(file);
-            }
-        } else {
-            $(this).val(''); // 清除選擇的檔案
-        }
+		const file = this.files[0];
+		$(this).val(''); // 清除選擇的檔案
+		if (!file) return;
+
+		let backup;
+		try {
+			backup = await ProjectBackup.read(await file.arrayBuffer());
+		} catch (err) {
+			console.error('Backup read failed:', err);
+			alert(fdrawer.importInvalid);
+			return;
+		}
+
+		const mode = $('#importModeSelect').val();
+		const plan = ProjectBackup.plan(backup, await loadAllFromDB(), mode);
+		let summary = formatMessage(backup.legacy ? fdrawer.importLegacy : fdrawer.importSource, {
+			version: backup.manifest.appVersion,
+			created: backup.manifest.created ? new Date(backup.manifest.created).toLocaleString() : '-'
+		}) + '\n\n';
+		summary += formatMessage(mode == 'replace' ? fdrawer.importReplaceSummary : fdrawer.importMergeSummary, {
+			add: plan.add.length, update: plan.update.length, keep: plan.keep.length, remove: plan.remove.length
+		});
+		if (plan.corrupted.length > 0) summary += '\n' + formatMessage(fdrawer.importCorrupted, { count: plan.corrupted.length });
+		if (!confirm(summary + '\n\n' + fdrawer.importConfirm)) return;
+
+		if (mode == 'replace') await clearDB(); // 清除現有的 IndexedDB 資料
+		for (const key of plan.delete) await deleteFromDB(key);
+		for (const row of plan.put) await saveToDB(row.key, row.value);
+
+		// 確認還原的字都在完成字數的索引中
+		const done = new Set(await loadDoneGlyphs());
+		const missing = plan.put.filter(row => row.key.startsWith('g_') && !done.has(row.key.substring(2)));
+		if (missing.length > 0) console.error('Restored glyphs missing from the done index:', missing.map(row => row.key));
+		alert(formatMessage(fdrawer.importDone, { count: done.size }));
+		location.reload(); // 重新載入頁面
     });
 
+	// 更新完成字數，進度畫面開啟中時一併更新
+	function updateDoneCount() {
+		$('#spanDoneCount').text(glyphProgress.count);
+		if (!$('#stats-container').hasClass('hidden')) renderStats();
+	}
+
+	function statRow(name, stat) {
+		const $row = $('<tr></tr>').append($('<th></th>').text(name));
+		if (!stat) return $row.append($('<td colspan="2" class="note"></td>').text(fdrawer.statsNotLoaded));
+		const percent = stat.total ? Math.floor(stat.done / stat.total * 1000) / 10 : 0;
+		return $row.append(
+			$('<td></td>').append($('<progress></progress>').attr({ max: stat.total || 1, value: stat.done })),
+			$('<td class="num"></td>').text(`${stat.done} / ${stat.total}（${percent}%）`)
+		);
+	}
+
+	// 進度畫面：各字表（含所有 HSK 字表與自訂字表）與標準字集的完成率
+	function renderStats() {
+		const $lists = $('#statsLists').empty();
+		const names = Object.keys(window.CHARACTER_DECKS || {});
+		for (const name in glyphList) if (!names.includes(name)) names.push(name);
+		names.forEach(name => $lists.append(statRow(name, glyphProgress.stat(name))));
+
+		const $charsets = $('#statsCharsets').empty();
+		glyphProgress.summary('charset').forEach(stat => $charsets.append(statRow(stat.name, stat)));
+		$('#statsTotal').text(glyphProgress.count);
+	}
+
+	$('#statsButton').on('click', function () {
+		$('#stats-container').removeClass('hidden');
+		renderStats();
+	});
+
+	$('#closeStatsButton').on('click', function () {
+		$('#stats-container').addClass('hidden');
+	});
+
+	// 專案管理
+	async function updateProjectSelect() {
+		const $projectSelect = $('#projectSelect').empty();
+		(await loadProjects()).forEach(p => {
+			$('<option></option>').val(p.id).text(p.name).appendTo($projectSelect);
+		});
+		$projectSelect.val(project.id);
+	}
+
+	function newProjectEntry(name) {
+		const id = Date.now().toString(36);
+		return { id: id, name: name, dbName: dbName + '-' + id, created: Date.now() };
+	}
+
+	$('#projectSelect').change(function () { switchProject($(this).val()); });
+
+	$('#newProjectButton').on('click', async function () {
+		const name = prompt(fdrawer.projectNamePrompt, '');
+		if (!name) return;
+		const p = newProjectEntry(name);
+		await saveProject(p);
+		switchProject(p.id);
+	});
+
+	$('#renameProjectButton').on('click', async function () {
+		const name = prompt(fdrawer.projectNamePrompt, project.name);
+		if (!name) return;
+		project.name = name;
+		await saveProject(project);
+		await updateProjectSelect();
+	});
+
+	$('#duplicateProjectButton').on('click', async function () {
+		const name = prompt(fdrawer.projectNamePrompt, project.name + fdrawer.projectCopySuffix);
+		if (!name) return;
+		const p = newProjectEntry(name);
+		await copyFontDB(project.dbName, p.dbName);
+		await saveProject(p);
+		switchProject(p.id);
+	});
+
+	$('#deleteProjectButton').on('click', async function () {
+		const projects = await loadProjects();
+		if (projects.length <= 1) {
+			alert(fdrawer.projectLastOne);
+			return;
+		}
+		if (!confirm(formatMessage(fdrawer.projectDeleteConfirm, { name: project.name }))) return;
+		db.close();
+		await deleteFontDB(project.dbName);
+		await deleteProject(project.id);
+		switchProject(projects.find(p => p.id != project.id).id);
+	});
+
     // 修改清除所有資料的功能
     $('#clearAllButton').on('click', async function () {
         if (confirm(fdrawer.clearConfirm)) {
@@ -0,0 +1,93 @@
+/**
+ * GlyphProgress Module
+ * 維護已完成字符的集合與各字表的完成字數
+ * 存檔時只更新包含該字符的字表，不需要重新掃描資料庫
+ */
+class GlyphProgress {
+    constructor() {
+        this.done = new Set();          // 已完成的字符名稱
+        this.lists = new Map();         // 字表名稱 → { name, group, glyphs: Set, done }
+        this.memberOf = new Map();      // 字符名稱 → 包含此字符的字表
+    }
+
+    // 依 Unicode 編碼產生字符名稱（與字表的命名規則相同）
+    static glyphName(codePoint) {
+        const hex = codePoint.toString(16).toUpperCase();
+        return hex.length <= 4 ? 'uni' + hex.padStart(4, '0') : 'u' + hex;
+    }
+
+    // 把編碼範圍 [[起, 迄], ...] 展開成字符名稱
+    static rangeGlyphs(ranges) {
+        const gnames = [];
+        ranges.forEach(([from, to]) => {
+            for (let c = from; c <= to; c++) gnames.push(GlyphProgress.glyphName(c));
+        });
+        return gnames;
+    }
+
+    get count() {
+        return this.done.size;
+    }
+
+    // 重新設定已完成的字符（只在開啟專案時使用）
+    reset(gnames) {
+        this.done = new Set(gnames);
+        this.lists.forEach(list => this.recount(list));
+    }
+
+    recount(list) {
+        list.done = 0;
+        list.glyphs.forEach(gname => {
+            if (this.done.has(gname)) list.done++;
+        });
+    }
+
+    // 新增或更新字表，group 用來分組顯示
+    setList(name, group, gnames) {
+        this.removeList(name);
+        const list = { name: name, group: group, glyphs: new Set(gnames), done: 0 };
+        list.glyphs.forEach(gname => {
+            if (!this.memberOf.has(gname)) this.memberOf.set(gname, []);
+            this.memberOf.get(gname).push(list);
+        });
+        this.recount(list);
+        this.lists.set(name, list);
+    }
+
+    removeList(name) {
+        const list = this.lists.get(name);
+        if (!list) return;
+        list.glyphs.forEach(gname => {
+            const lists = this.memberOf.get(gname).filter(l => l !== list);
+            if (lists.length > 0) this.memberOf.set(gname, lists);
+            else this.memberOf.delete(gname);
+        });
+        this.lists.delete(name);
+    }
+
+    // 標記字符完成與否，有變化時回傳 true
+    mark(gname, done) {
+        if (this.done.has(gname) === done) return false;
+        if (done) this.done.add(gname);
+        else this.done.delete(gname);
+        (this.memberOf.get(gname) || []).forEach(list => { list.done += done ? 1 : -1; });
+        return true;
+    }
+
+    has(name) {
+        return this.lists.has(name);
+    }
+
+    // 取得字表的完成統計 { name, done, total }
+    stat(name) {
+        const list = this.lists.get(name);
+        return list ? { name: name, done: list.done, total: list.glyphs.size } : null;
+    }
+
+    summary(group) {
+        return [...this.lists.values()].filter(list => list.group === group).map(list => this.stat(list.name));
+    }
+}
+
+// Export for use in other modules
+window.GlyphProgress = GlyphProgress;
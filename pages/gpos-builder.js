@@ -0,0 +1,287 @@
+/**
+ * GposBuilder Module
+ * 產生 OpenType GPOS 表格（opentype.js 只會輸出 GSUB，字距等定位資料由這裡補上）
+ * lookup 一律包在 Extension (type 9) 中，字數多時子表格也不會超出 16 位元位移的範圍
+ */
+class GposBuilder {
+    constructor() {
+        this.lookups = [];          // { type, subtables: [Uint8Array] }
+        this.features = new Map();  // 功能標籤 → lookup 索引
+    }
+
+    static scripts = ['DFLT', 'hani', 'kana', 'latn'];     // 各功能都登錄到這些書寫系統的預設語言
+    static maxSubtableSize = 40000;                         // 子表格大小上限（保留 16 位元位移的餘裕）
+    static valueFields = [['xPlacement', 0x1], ['yPlacement', 0x2], ['xAdvance', 0x4], ['yAdvance', 0x8]];
+
+    get isEmpty() {
+        return this.lookups.length === 0;
+    }
+
+    addFeature(tag, lookupIndex) {
+        if (!this.features.has(tag)) this.features.set(tag, []);
+        this.features.get(tag).push(lookupIndex);
+    }
+
+    // 單一位置調整 (type 1)：adjustments 為 [[gid, { xPlacement, yPlacement, xAdvance, yAdvance }], ...]，回傳 lookup 索引
+    addSingle(adjustments) {
+        adjustments = adjustments.slice().sort((a, b) => a[0] - b[0]);
+        let valueFormat = 0;
+        adjustments.forEach(([, value]) => { valueFormat |= GposBuilder.valueFormat(value); });
+        const recordSize = GposBuilder.valueSize(valueFormat);
+        const perTable = Math.floor(GposBuilder.maxSubtableSize / (recordSize + 2));
+
+        const subtables = [];
+        for (let i = 0; i < adjustments.length; i += perTable) {
+            const chunk = adjustments.slice(i, i + perTable);
+            const values = chunk.map(([, value]) => GposBuilder.valueRecord(value, valueFormat));
+            const headerSize = 8 + values.length * recordSize;
+            subtables.push(GposBuilder.concat([
+                GposBuilder.uint16([2, headerSize, valueFormat, values.length]),
+                ...values,
+                GposBuilder.coverage(chunk.map(([gid]) => gid))
+            ]));
+        }
+        return this.addLookup(1, subtables);
+    }
+
+    // 字距 (type 2)：pairs 為 [[左 gid, 右 gid, 值]]，classPairs 為 [[左 gid 陣列, 右 gid 陣列, 值]]
+    // 個別字對放在前面的子表格，優先於類別字距
+    addKerning(pairs, classPairs) {
+        const subtables = [
+            ...GposBuilder.glyphPairSubtables(pairs),
+            ...GposBuilder.classPairSubtables(classPairs)
+        ];
+        return this.addLookup(2, subtables);
+    }
+
+    addLookup(type, subtables) {
+        this.lookups.push({ type: type, subtables: subtables });
+        return this.lookups.length - 1;
+    }
+
+    // PairPos format 1：依左側字符分組，每組是一個 PairSet
+    static glyphPairSubtables(pairs) {
+        const sets = new Map();
+        pairs.forEach(([left, right, value]) => {
+            if (!sets.has(left)) sets.set(left, new Map());
+            sets.get(left).set(right, value);       // 重複的字對以後面的為準
+        });
+        const firsts = [...sets.keys()].sort((a, b) => a - b);
+
+        const subtables = [];
+        let chunk = [];
+        let size = 0;
+        const flush = () => {
+            if (chunk.length === 0) return;
+            const pairSets = chunk.map(left => {
+                const records = [...sets.get(left)].sort((a, b) => a[0] - b[0]);
+                return GposBuilder.uint16([records.length, ...records.flatMap(([right, value]) => [right, value])]);
+            });
+            const headerSize = 10 + chunk.length * 2;
+            const offsets = [];
+            let offset = headerSize;
+            pairSets.forEach(set => { offsets.push(offset); offset += set.length; });
+            subtables.push(GposBuilder.concat([
+                GposBuilder.uint16([1, offset, 0x4, 0, chunk.length, ...offsets]),
+                ...pairSets,
+                GposBuilder.coverage(chunk)
+            ]));
+            chunk = [];
+            size = 0;
+        };
+        firsts.forEach(left => {
+            const setSize = 6 + sets.get(left).size * 4;
+            if (size + setSize > GposBuilder.maxSubtableSize) flush();
+            chunk.push(left);
+            size += setSize;
+        });
+        flush();
+        return subtables;
+    }
+
+    // PairPos format 2：同一子表格內各側的類別不能重疊，而且左側字符一旦在 Coverage 中就不會再查後面的子表格
+    // 所以先把各側的類別依「屬於哪些類別」切成互不重疊的小類別，字對的值填到對應的小類別上（重複時以後面的為準）
+    // 子表格太大時依左側小類別拆開，各子表格的左側字符不重複，不會有字對被前面的子表格擋住
+    static classPairSubtables(classPairs) {
+        if (classPairs.length === 0) return [];
+        const left = GposBuilder.partition(classPairs.map(([gids]) => gids));
+        const right = GposBuilder.partition(classPairs.map(([, gids]) => gids));
+        const values = left.classes.map(() => new Map());      // 左側小類別 → (右側小類別 → 值)
+        classPairs.forEach(([leftGids, rightGids, value]) => {
+            const rightClasses = new Set(rightGids.map(gid => right.classOf.get(gid)));
+            new Set(leftGids.map(gid => left.classOf.get(gid))).forEach(c1 => {
+                rightClasses.forEach(c2 => values[c1].set(c2, value));
+            });
+        });
+
+        const rowSize = (right.classes.length + 1) * 2;
+        const perTable = Math.max(1, Math.floor(GposBuilder.maxSubtableSize / rowSize) - 1);
+        const subtables = [];
+        for (let start = 0; start < left.classes.length; start += perTable) {
+            const rows = left.classes.slice(start, start + perTable).map((gids, i) => ({ gids: gids, values: values[start + i] }));
+            const rightKeys = [...new Set(rows.flatMap(row => [...row.values.keys()]))].sort((a, b) => a - b);
+            const matrix = [];
+            for (let c1 = 0; c1 <= rows.length; c1++) {         // 類別 0 是其他字符
+                for (let c2 = 0; c2 <= rightKeys.length; c2++) {
+                    matrix.push(c1 && c2 ? rows[c1 - 1].values.get(rightKeys[c2 - 1]) || 0 : 0);
+                }
+            }
+            const valueData = GposBuilder.uint16(matrix);
+            const coverage = GposBuilder.coverage(rows.flatMap(row => row.gids));
+            const classDef1 = GposBuilder.classDef(rows.map(row => row.gids));
+            const classDef2 = GposBuilder.classDef(rightKeys.map(key => right.classes[key]));
+            const headerSize = 16;
+            const coverageOffset = headerSize + valueData.length;
+            subtables.push(GposBuilder.concat([
+                GposBuilder.uint16([2, coverageOffset, 0x4, 0,
+                    coverageOffset + coverage.length, coverageOffset + coverage.length + classDef1.length,
+                    rows.length + 1, rightKeys.length + 1]),
+                valueData, coverage, classDef1, classDef2
+            ]));
+        }
+        return subtables;
+    }
+
+    // 把可能重疊的字符集合切成互不重疊的類別：屬於相同集合的字符歸為同一類
+    // 回傳 { classes: [gid 陣列], classOf: gid → 類別索引 }
+    static partition(sets) {
+        const memberships = new Map();
+        sets.forEach((gids, i) => new Set(gids).forEach(gid => {
+            memberships.set(gid, (memberships.has(gid) ? memberships.get(gid) + ',' : '') + i);
+        }));
+        const keys = new Map();
+        const classes = [];
+        const classOf = new Map();
+        [...memberships.keys()].sort((a, b) => a - b).forEach(gid => {
+            const key = memberships.get(gid);
+            if (!keys.has(key)) {
+                keys.set(key, classes.length);
+                classes.push([]);
+            }
+            classes[keys.get(key)].push(gid);
+            classOf.set(gid, keys.get(key));
+        });
+        return { classes: classes, classOf: classOf };
+    }
+
+    // 組成 GPOS 表格：標頭、ScriptList、FeatureList、LookupList，子表格放在最後
+    build() {
+        const tags = [...this.features.keys()].sort();
+        const featureIndices = tags.map((tag, i) => i);
+
+        // ScriptList：每個書寫系統只有預設語言，啟用全部功能
+        const langSys = GposBuilder.uint16([0, 0xFFFF, featureIndices.length, ...featureIndices]);
+        const script = GposBuilder.concat([GposBuilder.uint16([4, 0]), langSys]);
+        const scripts = GposBuilder.scripts;
+        const scriptListHeader = 2 + scripts.length * 6;
+        const scriptList = GposBuilder.concat([
+            GposBuilder.uint16([scripts.length]),
+            ...scripts.map((tag, i) => GposBuilder.concat([GposBuilder.tag(tag), GposBuilder.uint16([scriptListHeader + i * script.length])])),
+            ...scripts.map(() => script)
+        ]);
+
+        // FeatureList
+        const features = tags.map(tag => {
+            const lookups = this.features.get(tag);
+            return GposBuilder.uint16([0, lookups.length, ...lookups]);
+        });
+        const featureRecords = [];
+        let featureOffset = 2 + tags.length * 6;
+        tags.forEach((tag, i) => {
+            featureRecords.push(GposBuilder.concat([GposBuilder.tag(tag), GposBuilder.uint16([featureOffset])]));
+            featureOffset += features[i].length;
+        });
+        const featureList = GposBuilder.concat([GposBuilder.uint16([tags.length]), ...featureRecords, ...features]);
+
+        // LookupList：每個 lookup 後面緊接 Extension 子表格，實際子表格以 32 位元位移指到表格尾端
+        const lookupListOffset = 10 + scriptList.length + featureList.length;
+        const lookupSizes = this.lookups.map(lookup => 6 + lookup.subtables.length * 2 + lookup.subtables.length * 8);
+        const lookupListSize = 2 + this.lookups.length * 2 + lookupSizes.reduce((a, b) => a + b, 0);
+        let dataOffset = lookupListOffset + lookupListSize;      // 實際子表格的位置（從 GPOS 開頭算起）
+
+        const lookupOffsets = [];
+        let lookupOffset = 2 + this.lookups.length * 2;
+        const lookups = this.lookups.map((lookup, i) => {
+            lookupOffsets.push(lookupOffset);
+            const count = lookup.subtables.length;
+            const extensionStart = 6 + count * 2;
+            const parts = [GposBuilder.uint16([9, 0, count, ...lookup.subtables.map((s, k) => extensionStart + k * 8)])];
+            lookup.subtables.forEach((subtable, k) => {
+                const extensionPos = lookupListOffset + lookupOffset + extensionStart + k * 8;
+                parts.push(GposBuilder.uint16([1, lookup.type]), GposBuilder.uint32(dataOffset - extensionPos));
+                dataOffset += subtable.length;
+            });
+            lookupOffset += lookupSizes[i];
+            return GposBuilder.concat(parts);
+        });
+        const lookupList = GposBuilder.concat([GposBuilder.uint16([this.lookups.length, ...lookupOffsets]), ...lookups]);
+
+        return GposBuilder.concat([
+            GposBuilder.uint16([1, 0, 10, 10 + scriptList.length, lookupListOffset]),
+            scriptList, featureList, lookupList,
+            ...this.lookups.flatMap(lookup => lookup.subtables)
+        ]);
+    }
+
+    static valueFormat(value) {
+        let format = 0;
+        GposBuilder.valueFields.forEach(([field, bit]) => { if (value[field]) format |= bit; });
+        return format;
+    }
+
+    static valueSize(format) {
+        return GposBuilder.valueFields.filter(([, bit]) => format & bit).length * 2;
+    }
+
+    static valueRecord(value, format) {
+        return GposBuilder.uint16(GposBuilder.valueFields.filter(([, bit]) => format & bit).map(([field]) => value[field] || 0));
+    }
+
+    // Coverage format 1（排序後的字符清單）
+    static coverage(gids) {
+        gids = [...new Set(gids)].sort((a, b) => a - b);
+        return GposBuilder.uint16([1, gids.length, ...gids]);
+    }
+
+    // ClassDef format 2：classes[i] 的字符屬於類別 i + 1，連續的字符合併成一段
+    static classDef(classes) {
+        const entries = [];
+        classes.forEach((gids, i) => gids.forEach(gid => entries.push([gid, i + 1])));
+        entries.sort((a, b) => a[0] - b[0]);
+        const ranges = [];
+        entries.forEach(([gid, cls]) => {
+            const last = ranges[ranges.length - 1];
+            if (last && last[1] + 1 === gid && last[2] === cls) last[1] = gid;
+            else ranges.push([gid, gid, cls]);
+        });
+        return GposBuilder.uint16([2, ranges.length, ...ranges.flat()]);
+    }
+
+    // 以大端序寫入 16 位元整數（負值以二補數表示）
+    static uint16(values) {
+        const bytes = new Uint8Array(values.length * 2);
+        const view = new DataView(bytes.buffer);
+        values.forEach((v, i) => view.setUint16(i * 2, v & 0xFFFF));
+        return bytes;
+    }
+
+    static uint32(value) {
+        const bytes = new Uint8Array(4);
+        new DataView(bytes.buffer).setUint32(0, value);
+        return bytes;
+    }
+
+    static tag(tag) {
+        return Uint8Array.from(tag, c => c.charCodeAt(0));
+    }
+
+    static concat(parts) {
+        const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => { bytes.set(part, offset); offset += part.length; });
+        return bytes;
+    }
+}
+
+// Export for use in other modules
+window.GposBuilder = GposBuilder;
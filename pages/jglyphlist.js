@@ -1,4 +1,4 @@
-const glyphMap = {
+const catalogGlyphMap = {
   "exclam": {"c":"!","w":"P","n":"半角びっくりマーク"},
   "quotedbl": {"c":"\"","w":"P","n":"半角ダブルクォート"},
   "numbersign": {"c":"#","w":"P","n":"ナンバー記号","f":"uniFF03"},
@@ -7328,4 +7328,4 @@ const glyphMap = {
   "u2B4BC": {"c":"𫒼","w":"F"},
   "u2CD6A": {"c":"𬵪","w":"F"}
 };
-const glyphList = {"半角記号":["a","b","c","d","e","f","g","h","i","j","k","l","m","n","o","p","q","r","s","t","u","v","w","x","y","z","A","B","C","D","E","F","G","H","I","J","K","L","M","N","O","P","Q","R","S","T","U","V","W","X","Y","Z","zero","one","two","three","four","five","six","seven","eight","nine","exclam","quotedbl","numbersign","dollar","percent","ampersand","quotesingle","parenleft","parenright","asterisk","plus","comma","hyphen","period","slash","colon","semicolon","less","equal","greater","question","at","bracketleft","backslash","bracketright","asciicircum","underscore","grave","braceleft","bar","braceright","asciitilde"],"ひらがな・カタカナ":["uni3041","uni3041.vert","uni3042","uni3043","uni3043.vert","uni3044","uni3045","uni3045.vert","uni3046","uni3047","uni3047.vert","uni3048","uni3049","uni3049.vert","uni304A","uni304B","uni304C","uni304D","uni304E","uni304F","uni3050","uni3051","uni3052","uni3053","uni3054","uni3055","uni3056","uni3057","uni3058","uni3059","uni305A","uni305B","uni305C","uni305D","uni305E","uni305F","uni3060","uni3061","uni3062","uni3063","uni3063.vert","uni3064","uni3065","uni3066","uni3067","uni3068","uni3069","uni306A","uni306B","uni306C","uni306D","uni306E","uni306F","uni3070","uni3071","uni3072","uni3073","uni3074","uni3075","uni3076","uni3077","uni3078","uni3079","uni307A","uni307B","uni307C","uni307D","uni307E","uni307F","uni3080","uni3081","uni3082","uni3083","uni3083.vert","uni3084","uni3085","uni3085.vert","uni3086","uni3087","uni3087.vert","uni3088","uni3089","uni308A","uni308B","uni308C","uni308D","uni308E","uni308E.vert","uni308F","uni3090","uni3091","uni3092","uni3093","uni30A1","uni30A1.vert","uni30A2","uni30A3","uni30A3.vert","uni30A4","uni30A5","uni30A5.vert","uni30A6","uni30A7","uni30A7.vert","uni30A8","uni30A9","uni30A9.vert","uni30AA","uni30AB","uni30AC","uni30AD","uni30AE","uni30AF","uni30B0","uni30B1","uni30B2","uni30B3","uni30B4","uni30B5","uni30B6","uni30B7","uni30B8","uni30B9","uni30BA","uni30BB","uni30BC","uni30BD","uni30BE","uni30BF","uni30C0","uni30C1","uni30C2","uni30C3","uni30C3.vert","uni30C4","uni30C5","uni30C6","uni30C7","uni30C8","uni30C9","uni30CA","uni30CB","uni30CC","uni30CD","uni30CE","uni30CF","uni30D0","uni30D1","uni30D2","uni30D3","uni30D4","uni30D5","uni30D6","uni30D7","uni30D8","uni30D9","uni30DA","uni30DB","uni30DC","uni30DD","uni30DE","uni30DF","uni30E0","uni30E1","uni30E2","uni30E3","uni30E3.vert","uni30E4","uni30E5","uni30E5.vert","uni30E6","uni30E7","uni30E7.vert","uni30E8","uni30E9","uni30EA","uni30EB","uni30EC","uni30ED","uni30EE","uni30EE.vert","uni30EF","uni30F0","uni30F1","uni30F2","uni30F3","uni30F4","uni30F5","uni30F5.vert","uni30F6","uni30F6.vert","uni30FC","uni30FC.vert","uni30FD","uni30FE","uni309D","uni309E"],"基本記号":["uni3001","uni3001.vert","uni3002","uni3002.vert","uniFF0C","uniFF0C.vert","uniFF0E","uniFF0E.vert","uni30FB","uniFF1F","uniFF01","uni309B","uni309C","uni3003","uni4EDD","uni3005","uni3006","uni3007","uni2015","uni2010","uniFF0F","uniFF3C","uniFF5E","uniFF5E.vert","uni301C","uni301C.vert","ellipsis","ellipsis.vert","twodotenleader","twodotenleader.vert","quoteleft","quoteright","quotedblleft","quotedblright","uniFF08","uniFF08.vert","uniFF09","uniFF09.vert","uni3014","uni3014.vert","uni3015","uni3015.vert","uniFF3B","uniFF3B.vert","uniFF3D","uniFF3D.vert","uni3008","uni3008.vert","uni3009","uni3009.vert","uni300A","uni300A.vert","uni300B","uni300B.vert","uni300C","uni300C.vert","uni300D","uni300D.vert","uni300E","uni300E.vert","uni300F","uni300F.vert","uni3010","uni3010.vert","uni3011","uni3011.vert","uniFF0B","uniFF0D","plusminus","multiply","divide","uniFF1D","notequal","uni2252","uniFF1C","uniFF1E","uni2266","uni2267","infinity","male","female","degree","minute","second","uni2103","uniFFE5","uniFFE0","uniFFE1","uni2606","uni2605","circle","H18533","uni25CE","uni25C7","uni25C6","H22073","filledbox","uni25B3","triagup","uni25BD","triagdn","uni203B","uni3012","arrowright","arrowleft","arrowup","arrowdown","musicalnote"],"教育漢字（1年）":["uni4E00","uni4E03","uni4E09","uni4E0A","uni4E0B","uni4E2D","uni4E5D","uni4E8C","uni4E94","uni4EBA","uni4F11","uni5148","uni5165","uni516B","uni516D","uni5186","uni51FA","uni529B","uni5341","uni5343","uni53E3","uni53F3","uni540D","uni56DB","uni571F","uni5915","uni5927","uni5929","uni5973","uni5B50","uni5B57","uni5B66","uni5C0F","uni5C71","uni5DDD","uni5DE6","uni5E74","uni624B","uni6587","uni65E5","uni65E9","uni6708","uni6728","uni672C","uni6751","uni6797","uni6821","uni68EE","uni6B63","uni6C17","uni6C34","uni706B","uni72AC","uni7389","uni738B","uni751F","uni7530","uni7537","uni753A","uni767D","uni767E","uni76EE","uni77F3","uni7A7A","uni7ACB","uni7AF9","uni7CF8","uni8033","uni82B1","uni8349","uni866B","uni898B","uni8C9D","uni8D64","uni8DB3","uni8ECA","uni91D1","uni96E8","uni9752","uni97F3"],"教育漢字（2年）":["uni4E07","uni4E38","uni4EA4","uni4EAC","uni4ECA","uni4F1A","uni4F53","uni4F55","uni4F5C","uni5143","uni5144","uni5149","uni516C","uni5185","uni51AC","uni5200","uni5206","uni5207","uni524D","uni5317","uni5348","uni534A","uni5357","uni539F","uni53CB","uni53E4","uni53F0","uni5408","uni540C","uni56DE","uni56F3","uni56FD","uni5712","uni5730","uni5834","uni58F0","uni58F2","uni590F","uni5916","uni591A","uni591C","uni592A","uni59B9","uni59C9","uni5BA4","uni5BB6","uni5BFA","uni5C11","uni5CA9","uni5DE5","uni5E02","uni5E30","uni5E83","uni5E97","uni5F13","uni5F15","uni5F1F","uni5F31","uni5F37","uni5F53","uni5F62","uni5F8C","uni5FC3","uni601D","uni6238","uni624D","uni6559","uni6570","uni65B0","uni65B9","uni660E","uni661F","uni6625","uni663C","uni6642","uni6674","uni66DC","uni66F8","uni671D","uni6765","uni6771","uni697D","uni6B4C","uni6B62","uni6B69","uni6BCD","uni6BCE","uni6BDB","uni6C60","uni6C7D","uni6D3B","uni6D77","uni70B9","uni7236","uni725B","uni7406","uni7528","uni753B","uni756A","uni76F4","uni77E2","uni77E5","uni793E","uni79CB","uni79D1","uni7B54","uni7B97","uni7C73","uni7D19","uni7D30","uni7D44","uni7D75","uni7DDA","uni7FBD","uni8003","uni805E","uni8089","uni81EA","uni8239","uni8272","uni8336","uni884C","uni897F","uni89AA","uni89D2","uni8A00","uni8A08","uni8A18","uni8A71","uni8A9E","uni8AAD","uni8C37","uni8CB7","uni8D70","uni8FD1","uni901A","uni9031","uni9053","uni9060","uni91CC","uni91CE","uni9577","uni9580","uni9593","uni96EA","uni96F2","uni96FB","uni982D","uni9854","uni98A8","uni98DF","uni9996","uni99AC","uni9AD8","uni9B5A","uni9CE5","uni9CF4","uni9EA6","uni9EC4","uni9ED2"],"教育漢字（3年）":["uni4E01","uni4E16","uni4E21","uni4E3B","uni4E57","uni4E88","uni4E8B","uni4ED5","uni4ED6","uni4EE3","uni4F4F","uni4F7F","uni4FC2","uni500D","uni5168","uni5177","uni5199","uni5217","uni52A9","uni52C9","uni52D5","uni52DD","uni5316","uni533A","uni533B","uni53BB","uni53CD","uni53D6","uni53D7","uni53F7","uni5411","uni541B","uni5473","uni547D","uni548C","uni54C1","uni54E1","uni5546","uni554F","uni5742","uni592E","uni59CB","uni59D4","uni5B88","uni5B89","uni5B9A","uni5B9F","uni5BA2","uni5BAE","uni5BBF","uni5BD2","uni5BFE","uni5C40","uni5C4B","uni5CB8","uni5CF6","uni5DDE","uni5E33","uni5E73","uni5E78","uni5EA6","uni5EAB","uni5EAD","uni5F0F","uni5F79","uni5F85","uni6025","uni606F","uni60AA","uni60B2","uni60F3","uni610F","uni611F","uni6240","uni6253","uni6295","uni62FE","uni6301","uni6307","uni653E","uni6574","uni65C5","uni65CF","uni6614","uni662D","uni6691","uni6697","uni66F2","uni6709","uni670D","uni671F","uni677F","uni67F1","uni6839","uni690D","uni696D","uni69D8","uni6A2A","uni6A4B","uni6B21","uni6B6F","uni6B7B","uni6C37","uni6C7A","uni6CB9","uni6CE2","uni6CE8","uni6CF3","uni6D0B","uni6D41","uni6D88","uni6DF1","uni6E29","uni6E2F","uni6E56","uni6E6F","uni6F22","uni70AD","uni7269","uni7403","uni7531","uni7533","uni754C","uni7551","uni75C5","uni767A","uni767B","uni76AE","uni76BF","uni76F8","uni770C","uni771F","uni7740","uni77ED","uni7814","uni793C","uni795E","uni796D","uni798F","uni79D2","uni7A76","uni7AE0","uni7AE5","uni7B1B","uni7B2C","uni7B46","uni7B49","uni7BB1","uni7D1A","uni7D42","uni7DD1","uni7DF4","uni7F8A","uni7F8E","uni7FD2","uni8005","uni80B2","uni82E6","uni8377","uni843D","uni8449","uni85AC","uni8840","uni8868","uni8A69","uni8ABF","uni8AC7","uni8C46","uni8CA0","uni8D77","uni8DEF","uni8EAB","uni8EE2","uni8EFD","uni8FB2","uni8FD4","uni8FFD","uni9001","uni901F","uni9032","uni904A","uni904B","uni90E8","uni90FD","uni914D","uni9152","uni91CD","uni9244","uni9280","uni958B","uni9662","uni967D","uni968E","uni96C6","uni9762","uni984C","uni98F2","uni9928","uni99C5","uni9F3B"],"教育漢字（4年）":["uni4E0D","uni4E89","uni4E95","uni4ED8","uni4EE4","uni4EE5","uni4EF2","uni4F1D","uni4F4D","uni4F4E","uni4F50","uni4F8B","uni4FBF","uni4FE1","uni5009","uni5019","uni501F","uni5065","uni5074","uni50CD","uni5104","uni5146","uni5150","uni5171","uni5175","uni5178","uni51B7","uni521D","uni5225","uni5229","uni5237","uni526F","uni529F","uni52A0","uni52AA","uni52B4","uni52C7","uni5305","uni5352","uni5354","uni5358","uni535A","uni5370","uni53C2","uni53F8","uni5404","uni5468","uni5531","uni5668","uni56FA","uni57CE","uni57FC","uni5869","uni5909","uni592B","uni5931","uni5948","uni597D","uni5A9B","uni5B63","uni5B6B","uni5B8C","uni5B98","uni5BB3","uni5BCC","uni5BDF","uni5C90","uni5CA1","uni5D0E","uni5DE3","uni5DEE","uni5E0C","uni5E2D","uni5E2F","uni5E95","uni5E9C","uni5EB7","uni5EFA","uni5F84","uni5F92","uni5FB3","uni5FC5","uni5FF5","uni611B","uni6210","uni6226","uni6298","uni6319","uni6539","uni6557","uni6563","uni6599","uni65D7","uni6628","uni666F","uni6700","uni671B","uni672A","uni672B","uni672D","uni6750","uni675F","uni677E","uni679C","uni6803","uni6804","uni6848","uni6885","uni68A8","uni68B0","uni6975","uni6A19","uni6A5F","uni6B20","uni6B8B","uni6C0F","uni6C11","uni6C42","uni6C96","uni6CBB","uni6CD5","uni6CE3","uni6D45","uni6D74","uni6E05","uni6E80","uni6ECB","uni6F01","uni6F5F","uni706F","uni7121","uni7136","uni713C","uni7167","uni718A","uni71B1","uni7267","uni7279","uni7523","uni7684","uni7701","uni795D","uni7968","uni7A2E","uni7A4D","uni7AF6","uni7B11","uni7BA1","uni7BC0","uni7D04","uni7D50","uni7D66","uni7D9A","uni7E04","uni7F6E","uni7FA4","uni8001","uni81E3","uni826F","uni82B8","uni82BD","uni82F1","uni8328","uni83DC","uni8857","uni8863","uni8981","uni899A","uni89B3","uni8A13","uni8A66","uni8AAC","uni8AB2","uni8B70","uni8CA8","uni8CC0","uni8ECD","uni8F2A","uni8F9E","uni8FBA","uni9023","uni9054","uni9078","uni90E1","uni91CF","uni9332","uni93E1","uni95A2","uni961C","uni962A","uni9678","uni968A","uni9759","uni9806","uni9858","uni985E","uni98DB","uni98EF","uni990A","uni9999","uni9A13","uni9E7F"],"教育漢字（5年）":["uni4E45","uni4ECF","uni4EEE","uni4EF6","uni4EFB","uni4F3C","uni4F59","uni4FA1","uni4FDD","uni4FEE","uni500B","uni505C","uni5099","uni50CF","uni518D","uni520A","uni5224","uni5236","uni5247","uni52B9","uni52D9","uni52E2","uni539A","uni53E5","uni53EF","uni53F2","uni544A","uni559C","uni55B6","uni56E0","uni56E3","uni56F2","uni5727","uni5728","uni5747","uni578B","uni57FA","uni5802","uni5831","uni5883","uni5893","uni5897","uni58EB","uni5922","uni59BB","uni5A66","uni5BB9","uni5BC4","uni5C0E","uni5C45","uni5C5E","uni5E03","uni5E2B","uni5E38","uni5E79","uni5E8F","uni5F01","uni5F35","uni5F80","uni5F97","uni5FA9","uni5FD7","uni5FDC","uni5FEB","uni6027","uni60C5","uni614B","uni6163","uni6280","uni62DB","uni6388","uni63A1","uni63A5","uni63D0","uni640D","uni652F","uni653F","uni6545","uni6551","uni65AD","uni65E7","uni6613","uni66B4","uni6761","uni679D","uni67FB","uni683C","uni685C","uni691C","uni69CB","uni6B66","uni6B74","uni6BBA","uni6BD2","uni6BD4","uni6C38","uni6CB3","uni6DB2","uni6DF7","uni6E1B","uni6E2C","uni6E96","uni6F14","uni6F54","uni707D","uni71C3","uni7248","uni72AF","uni72B6","uni72EC","uni7387","uni73FE","uni7559","uni7565","uni76CA","uni773C","uni7834","uni78BA","uni793A","uni7956","uni7981","uni79FB","uni7A0B","uni7A0E","uni7BC9","uni7C89","uni7CBE","uni7D00","uni7D20","uni7D4C","uni7D71","uni7D76","uni7DBF","uni7DCF","uni7DE8","uni7E3E","uni7E54","uni7F6A","uni7FA9","uni8015","uni8077","uni80A5","uni80FD","uni8108","uni8208","uni820E","uni822A","uni8853","uni885B","uni88FD","uni8907","uni898F","uni89E3","uni8A2D","uni8A31","uni8A3C","uni8A55","uni8B1B","uni8B1D","uni8B58","uni8B77","uni8C4A","uni8C61","uni8CA1","uni8CA7","uni8CAC","uni8CAF","uni8CB8","uni8CBB","uni8CBF","uni8CC7","uni8CDB","uni8CDE","uni8CEA","uni8F38","uni8FF0","uni8FF7","uni9006","uni9020","uni904E","uni9069","uni9178","uni9271","uni9285","uni9632","uni9650","uni967A","uni969B","uni96D1","uni975E","uni9818","uni984D","uni98FC"],"教育漢字（6年）":["uni4E26","uni4E71","uni4E73","uni4EA1","uni4EC1","uni4F9B","uni4FF3","uni4FF5","uni5024","uni50B7","uni512A","uni515A","uni518A","uni51E6","uni5238","uni523B","uni5272","uni5275","uni5287","uni52E4","uni5371","uni5375","uni53B3","uni53CE","uni540E","uni5426","uni5438","uni547C","uni5584","uni56F0","uni5782","uni57DF","uni594F","uni596E","uni59FF","uni5B58","uni5B5D","uni5B85","uni5B87","uni5B97","uni5B99","uni5B9D","uni5BA3","uni5BC6","uni5BF8","uni5C02","uni5C04","uni5C06","uni5C0A","uni5C31","uni5C3A","uni5C4A","uni5C55","uni5C64","uni5DF1","uni5DFB","uni5E55","uni5E72","uni5E7C","uni5E81","uni5EA7","uni5EF6","uni5F8B","uni5F93","uni5FD8","uni5FE0","uni6069","uni61B2","uni6211","uni6279","uni627F","uni62C5","uni62DD","uni62E1","uni6368","uni63A2","uni63A8","uni63EE","uni64CD","uni656C","uni6575","uni6620","uni6669","uni6696","uni66AE","uni6717","uni673A","uni679A","uni67D3","uni682A","uni68D2","uni6A21","uni6A29","uni6A39","uni6B32","uni6BB5","uni6CBF","uni6CC9","uni6D17","uni6D3E","uni6E08","uni6E90","uni6F6E","uni6FC0","uni7070","uni719F","uni7247","uni73ED","uni7570","uni7591","uni75DB","uni7687","uni76DB","uni76DF","uni770B","uni7802","uni78C1","uni79C1","uni79D8","uni7A40","uni7A74","uni7A93","uni7B4B","uni7B56","uni7C21","uni7CD6","uni7CFB","uni7D05","uni7D0D","uni7D14","uni7D79","uni7E26","uni7E2E","uni7F72","uni7FCC","uni8056","uni80BA","uni80C3","uni80CC","uni80F8","uni8133","uni8178","uni8179","uni81D3","uni81E8","uni81F3","uni820C","uni82E5","uni8457","uni84B8","uni8535","uni8695","uni8846","uni88C1","uni88C5","uni88CF","uni88DC","uni8996","uni89A7","uni8A0E","uni8A2A","uni8A33","uni8A5E","uni8A8C","uni8A8D","uni8A95","uni8AA0","uni8AA4","uni8AD6","uni8AF8","uni8B66","uni8CB4","uni8CC3","uni9000","uni907A","uni90F5","uni90F7","uni91DD","uni92AD","uni92FC","uni9589","uni95A3","uni964D","uni965B","uni9664","uni969C","uni96E3","uni9769","uni9802","uni9810","uni9AA8"],"漢検漢字（4級まで）":["uni4E08","uni4E0E","uni4E18","uni4E39","uni4E7E","uni4E92","uni4ECB","uni4EF0","uni4F3A","uni4F9D","uni4FB5","uni4FD7","uni5012","uni5049","uni508D","uni50BE","uni50E7","uni5100","uni517C","uni5192","uni51E1","uni51F6","uni5208","uni5230","uni523A","uni5263","uni5264","uni52A3","uni52E7","uni5339","uni5360","uni5373","uni5374","uni53CA","uni53EB","uni53EC","uni5410","uni542B","uni5439","uni54B2","uni5510","uni5606","uni5674","uni570F","uni574A","uni57F7","uni5805","uni5824","uni5854","uni58C1","uni58CA","uni58F1","uni5947","uni5965","uni5974","uni5999","uni59D3","uni5A01","uni5A18","uni5A5A","uni5BC2","uni5BDD","uni5C0B","uni5C3D","uni5C3E","uni5C48","uni5CE0","uni5CF0","uni5DE1","uni5DE8","uni5E3D","uni5E45","uni5E7E","uni5E8A","uni5F10","uni5F3E","uni5F69","uni5F71","uni5F7C","uni5F81","uni5FA1","uni5FAE","uni5FB4","uni5FD9","uni6012","uni6016","uni604B","uni6050","uni6052","uni6065","uni6075","uni60A9","uni60D1","uni60E8","uni614E","uni6162","uni616E","uni61B6","uni6212","uni622F","uni6247","uni6255","uni6271","uni6297","uni629C","uni62B1","uni62B5","uni62BC","uni62CD","uni62D3","uni62E0","uni632F","uni6355","uni6398","uni63CF","uni63E1","uni63F4","uni642C","uni6458","uni6483","uni653B","uni654F","uni6577","uni659C","uni65E8","uni65EC","uni662F","uni666E","uni6687","uni66A6","uni66C7","uni66F4","uni66FF","uni6731","uni673D","uni676F","uni67AF","uni67C4","uni67D4","uni6843","uni6B04","uni6B53","uni6B73","uni6B96","uni6BBF","uni6C57","uni6C5A","uni6C88","uni6CA2","uni6CBC","uni6CC1","uni6CCA","uni6D5C","uni6D6E","uni6D78","uni6D99","uni6DE1","uni6DFB","uni6E21","uni6EB6","uni6EF4","uni6F2B","uni6F84","uni6FC1","uni6FC3","uni70BA","uni70C8","uni7159","uni716E","uni71E5","uni7206","uni72C2","uni72E9","uni72ED","uni731B","uni7363","uni7372","uni7384","uni73CD","uni74B0","uni7518","uni7573","uni75B2","uni7642","uni7686","uni76C6","uni76D7","uni76E3","uni76E4","uni76FE","uni7720","uni77AC","uni77DB","uni7832","uni7948","uni79C0","uni79F0","uni7A32","uni7A3F","uni7A81","uni7AEF","uni7B87","uni7BC4","uni7C92","uni7D0B","uni7D2B","uni7D39","uni7D61","uni7D99","uni7DAD","uni7DB2","uni7DEF","uni7E01","uni7E41","uni7E70","uni7F70","uni7FFC","uni8010","uni80A9","uni80AA","uni80F4","uni8102","uni811A","uni8131","uni8150","uni8155","uni8170","uni819A","uni81F4","uni8217","uni821E","uni821F","uni822C","uni828B","uni829D","uni8302","uni8352","uni83D3","uni84C4","uni8584","uni85AA","uni88AB","uni8972","uni89E6","uni8A34","uni8A70","uni8A73","uni8A87","uni8A89","uni8B21","uni8C6A","uni8CA9","uni8CE6","uni8D08","uni8D8A","uni8DA3","uni8DDD","uni8DE1","uni8DF3","uni8E0A","uni8E0F","uni8E8D","uni8ED2","uni8F03","uni8F09","uni8F1D","uni8F29","uni8FBC","uni8FCE","uni8FEB","uni9003","uni900F","uni9014","uni9045","uni9055","uni9063","uni907F","uni90CE","uni91C8","uni920D","uni925B","uni92ED","uni9396","uni9451","uni95D8","uni9663","uni9670","uni96A0","uni96A3","uni96B7","uni96C4","uni96C5","uni96CC","uni96E2","uni96F7","uni9700","uni9707","uni9727","uni9732","uni97FF","uni9805","uni983C","uni98FE","uni99C6","uni9A12","uni9A5A","uni9AEA","uni9B3C","uni9BAE","uni9E97","uni9ED9","uni9F13","uni9F62"],"漢検漢字（3級）":["uni4E4F","uni4E59","uni4E86","uni4F01","uni4F0F","uni4F10","uni4F34","uni4F38","uni4F73","uni4F8D","uni4FC3","uni5023","uni5039","uni5076","uni50AC","uni50B5","uni514B","uni514D","uni5197","uni51A0","uni51CD","uni51DD","uni5211","uni524A","uni52B1","uni52D8","uni52DF","uni5320","uni533F","uni5351","uni5353","uni5378","uni5398","uni53C8","uni53CC","uni5409","uni540F","uni54C0","uni54F2","uni5553","uni559A","uni55AB","uni5631","uni5751","uni57CB","uni584A","uni5857","uni589C","uni58A8","uni58B3","uni58BE","uni58C7","uni5949","uni5951","uni596A","uni5982","uni59A8","uni59EB","uni5A2F","uni5A46","uni5A7F","uni5AC1","uni5B22","uni5B54","uni5B64","uni5BB4","uni5BE9","uni5BFF","uni5C01","uni5C3F","uni5CB3","uni5CE1","uni5D29","uni5DE7","uni5E06","uni5E1D","uni5E7B","uni5E7D","uni5EC9","uni5ECA","uni5F27","uni5F6B","uni5F90","uni5FCC","uni6020","uni602A","uni6068","uni6094","uni609F","uni60A6","uni60DC","uni611A","uni6148","uni614C","uni6155","uni6168","uni6170","uni6182","uni618E","uni61A9","uni623F","uni6291","uni629E","uni62BD","uni62D8","uni6383","uni638C","uni6392","uni639B","uni63A7","uni63AA","uni63B2","uni63DA","uni63DB","uni63FA","uni643A","uni643E","uni6442","uni64AE","uni64C1","uni64E6","uni6562","uni6597","uni65A4","uni65A5","uni65BD","uni65E2","uni6607","uni6676","uni66AB","uni67B6","uni67D0","uni6851","uni68C4","uni68CB","uni697C","uni6982","uni6B27","uni6B3A","uni6B8A","uni6BB4","uni6CA1","uni6CCC","uni6D6A","uni6E7E","uni6E7F","uni6EC5","uni6ED1","uni6EDD","uni6EDE","uni6F02","uni6F0F","uni6F5C","uni6F64","uni6FEB","uni702C","uni7089","uni708A","uni708E","uni7126","uni7272","uni72A0","uni731F","uni7344","uni7532","uni7554","uni755C","uni75BE","uni75D8","uni7656","uni786C","uni7891","uni790E","uni7949","uni7A1A","uni7A42","uni7A4F","uni7A6B","uni7A92","uni7B26","uni7BE4","uni7C3F","uni7C4D","uni7C8B","uni7C97","uni7C98","uni7CE7","uni7D1B","uni7D3A","uni7D5E","uni7DB1","uni7DCA","uni7DE0","uni7DE9","uni7E1B","uni7E2B","uni7E55","uni7FFB","uni8074","uni809D","uni80C6","uni80CE","uni80DE","uni8105","uni819C","uni81A8","uni82B3","uni82D7","uni83CA","uni83EF","uni846C","uni85E9","uni8650","uni865A","uni86EE","uni885D","uni8870","uni888B","uni88C2","uni88F8","uni8986","uni8A02","uni8A17","uni8A60","uni8A72","uni8A98","uni8ACB","uni8AEE","uni8AFE","uni8B00","uni8B72","uni8C5A","uni8CAB","uni8CCA","uni8CE2","uni8D66","uni8D74","uni8D85","uni8ECC","uni8EF8","uni8F9B","uni8FB1","uni902E","uni9042","uni9047","uni906D","uni9075","uni90A6","uni90AA","uni90CA","uni90ED","uni9154","uni9175","uni92F3","uni9320","uni932C","uni932F","uni935B","uni93AE","uni9418","uni95B2","uni963B","uni966A","uni9673","uni9675","uni9676","uni9686","uni968F","uni9694","uni96BB","uni96C7","uni96F6","uni970A","uni9867","uni98FD","uni9913","uni99D0","uni9A0E","uni9AC4","uni9B42","uni9B45","uni9B54","uni9BE8","uni9D8F"],"漢検漢字（準2級）":["uni4E14","uni4E19","uni4E9C","uni4EAB","uni4EAD","uni4ED9","uni4F2F","uni4F46","uni4F75","uni4FAE","uni4FAF","uni4FCA","uni4FF8","uni502B","uni504F","uni5075","uni507D","uni5091","uni5098","uni50D5","uni50DA","uni5112","uni511F","uni5145","uni51C6","uni51F8","uni51F9","uni5203","uni5256","uni525B","uni5270","uni52BE","uni52C5","uni52F2","uni5347","uni5384","uni53D4","uni53D9","uni541F","uni5448","uni5449","uni5506","uni5507","uni552F","uni559D","uni55AA","uni55E3","uni5687","uni56DA","uni576A","uni57A3","uni57F9","uni5800","uni5815","uni582A","uni5840","uni5841","uni5851","uni585A","uni587E","uni58CC","uni58EE","uni5954","uni5968","uni5983","uni5984","uni598A","uni59A5","uni59FB","uni5A20","uni5A92","uni5ACC","uni5AE1","uni5B9C","uni5BB0","uni5BB5","uni5BDB","uni5BE1","uni5BE7","uni5BEE","uni5C09","uni5C1A","uni5C3C","uni5C65","uni5C6F","uni5CAC","uni5D07","uni5E25","uni5E63","uni5EB6","uni5EB8","uni5EC3","uni5EF7","uni5F0A","uni5F14","uni5F26","uni5F70","uni5FAA","uni5FB9","uni5FCD","uni606D","uni60A0","uni60A3","uni60BC","uni60F0","uni6101","uni6109","uni6176","uni61A4","uni61BE","uni61C7","uni61D0","uni61F2","uni61F8","uni623B","uni6249","uni6276","uni6284","uni628A","uni62AB","uni62B9","uni62D0","uni62D2","uni62D9","uni62EC","uni62F7","uni6311","uni631F","uni633F","uni635C","uni636E","uni642D","uni6469","uni64A4","uni64B2","uni64EC","uni6589","uni658E","uni65CB","uni6606","uni6681","uni66F9","uni6715","uni6734","uni6749","uni6790","uni67A0","uni67A2","uni67F3","uni6813","uni6838","uni683D","uni685F","uni68DA","uni68DF","uni68FA","uni69FD","uni6B3E","uni6B89","uni6BBB","uni6C41","uni6C5F","uni6CB8","uni6CE1","uni6CE5","uni6CF0","uni6D1E","uni6D25","uni6D2A","uni6D44","uni6D66","uni6DAF","uni6DBC","uni6DD1","uni6E07","uni6E09","uni6E0B","uni6E13","uni6E26","uni6E9D","uni6F06","uni6F20","uni6F2C","uni6F38","uni6FEF","uni7169","uni7235","uni732B","uni732E","uni7336","uni733F","uni73E0","uni7434","uni74BD","uni74F6","uni751A","uni755D","uni758E","uni75AB","uni75C7","uni75E2","uni75F4","uni7652","uni76F2","uni773A","uni7761","uni7763","uni77EF","uni7815","uni785D","uni786B","uni7881","uni78E8","uni7901","uni7965","uni7985","uni798D","uni79DF","uni79E9","uni7A3C","uni7A83","uni7AAE","uni7AAF","uni7ADC","uni7B52","uni7C9B","uni7CA7","uni7CFE","uni7D21","uni7D22","uni7D2F","uni7D33","uni7DD2","uni7E4A","uni7E6D","uni7F36","uni7F77","uni7F85","uni7FC1","uni8017","uni808C","uni8096","uni80A2","uni80AF","uni81ED","uni8236","uni8247","uni8266","uni830E","uni8358","uni83CC","uni85A6","uni85AB","uni85FB","uni865C","uni865E","uni868A","uni86C7","uni86CD","uni878D","uni8861","uni8877","uni88D5","uni8910","uni8912","uni895F","uni8987","uni8A1F","uni8A3A","uni8A50","uni8A54","uni8A93","uni8AED","uni8B01","uni8B04","uni8B19","uni8B39","uni8B5C","uni8C9E","uni8CA2","uni8CC4","uni8CD3","uni8CDC","uni8CE0","uni8CFC","uni8DF5","uni8EDF","uni8F44","uni8FC5","uni8FED","uni9010","uni9013","uni901D","uni9038","uni904D","uni906E","uni9077","uni9084","uni90B8","uni914C","uni9162","uni916A","uni916C","uni9177","uni919C","uni91B8","uni91E3","uni9234","uni9262","uni9283","uni9298","uni9591","uni95A5","uni9644","uni9665","uni9685","uni96F0","uni971C","uni9774","uni97FB","uni9811","uni9812","uni983B","uni9855","uni98E2","uni99C4","uni9A30","uni9EBB"],"その他の常用漢字":["uni4E32","uni4E3C","uni4E5E","uni4E80","uni4F0E","uni4FB6","uni4FFA","uni50B2","uni50C5","uni51A5","uni51B6","uni51C4","uni5239","uni525D","uni5265","uni52C3","uni52FE","uni5302","uni53F1","uni5442","uni546A","uni54BD","uni54FA","uni5504","uni553E","uni5589","uni55A9","uni55BB","uni55C5","uni5632","uni5806","uni585E","uni5861","uni586B","uni5996","uni59AC","uni5AC9","uni5B9B","uni5C3B","uni5D16","uni5D50","uni5DFE","uni5F04","uni5F25","uni5F59","uni6028","uni6063","uni60E7","uni6144","uni61A7","uni61AC","uni621A","uni6234","uni62C9","uni62ED","uni62F3","uni62F6","uni6328","uni632B","uni6349","uni6357","uni637B","uni646F","uni6591","uni65AC","uni65E6","uni65FA","uni6627","uni66D6","uni66FD","uni6795","uni67F5","uni67FF","uni6841","uni6897","uni6905","uni690E","uni6977","uni6BC0","uni6C3E","uni6C4E","uni6C70","uni6C83","uni6C99","uni6DEB","uni6E67","uni6EBA","uni6F70","uni714E","uni722A","uni723D","uni7259","uni72D9","uni73A9","uni7460","uni7483","uni74A7","uni74E6","uni754F","uni757F","uni75D5","uni75E9","uni760D","uni7709","uni7766","uni77AD","uni77B3","uni7A3D","uni7A9F","uni7B8B","uni7BB8","uni7C60","uni7DBB","uni7DFB","uni7F75","uni7F9E","uni7FA8","uni8098","uni80A1","uni8107","uni810A","uni814E","uni816B","uni817A","uni819D","uni81B3","uni81C6","uni81FC","uni8237","uni8276","uni82AF","uni82DB","uni840E","uni845B","uni84CB","uni8511","uni853D","uni85CD","uni85E4","uni864E","uni8679","uni8702","uni871C","uni8896","uni88FE","uni8A03","uni8A63","uni8A6E","uni8AB0","uni8AE6","uni8AE7","uni8B0E","uni8C8C","uni8CAA","uni8CBC","uni8CC2","uni8CED","uni8E2A","uni8E74","uni8FA3","uni905C","uni9061","uni90A3","uni914E","uni9192","uni91C7","uni91DC","uni9326","uni932E","uni934B","uni9375","uni938C","uni95C7","uni9699","uni97D3","uni9803","uni9808","uni9813","uni982C","uni9830","uni984E","uni9905","uni990C","uni99D2","uni9AB8","uni9B31","uni9DB4","uni9E93","uni9EBA","u20B9F"],"JIS第一水準#1":["uni4E11","uni4E1E","uni4E43","uni4E4B","uni4E4D","uni4E4E","uni4E5F","uni4E91","uni4E98","uni4E99","uni4E9B","uni4EA5","uni4EA6","uni4EA8","uni4EAE","uni4EC0","uni4EC7","uni4ED4","uni4F0A","uni4F0D","uni4F36","uni4F3D","uni4F43","uni4F51","uni4F7C","uni4F83","uni4FA0","uni4FAD","uni4FC4","uni4FE3","uni5016","uni5026","uni502D","uni5036","uni5072","uni50AD","uni50D1","uni50FB","uni5132","uni5141","uni5147","uni514E","uni515C","uni5176","uni51A8","uni51B4","uni51CB","uni51CC","uni51E7","uni51EA","uni51F1","uni51FD","uni5243","uni5283","uni5289","uni52AB","uni52FA","uni52FF","uni5301","uni5319","uni531D","uni5321","uni532A","uni535C","uni5366","uni536F","uni537F","uni53A8","uni53A9","uni53AD","uni53C9","uni53DB","uni53E1","uni53E2","uni53E9","uni53EA","uni53F6","uni5403","uni540A","uni540B","uni5420","uni543B","uni543E","uni5446","uni5451","uni548B","uni54B3","uni54C9","uni54E8","uni54E9","uni5516","uni5544","uni558B","uni55A7","uni55AC","uni55B0","uni5609","uni5617","uni5618","uni5629","uni5642","uni564C","uni565B","uni5678","uni567A","uni56A2","uni5703","uni572D","uni5750","uni5764","uni5766","uni57A2","uni57DC","uni57E0","uni57F4","uni5830","uni5835","uni583A","uni5858","uni5859","uni5875","uni58D5","uni58EC","uni58F7","uni5919","uni5937","uni5944","uni5957","uni5993","uni59BE","uni59D0","uni59D1","uni59E5","uni59E6","uni59EA","uni59F6","uni5A03","uni5A29","uni5A3C","uni5A41","uni5B09","uni5B2C","uni5B30","uni5B5C","uni5B5F","uni5B8B","uni5B8D","uni5B8F","uni5B95","uni5BA5","uni5BC5","uni5BD3","uni5BF5","uni5C16","uni5C24","uni5C2D","uni5C4D","uni5C51","uni5C60","uni5C61","uni5CA8","uni5CB1","uni5CE8","uni5CEF","uni5CFB","uni5D69","uni5D6F","uni5D8B","uni5DBA","uni5DCC","uni5DF3","uni5DF4","uni5DF7","uni5DFD","uni5E16","uni5E4C","uni5E61","uni5E84","uni5E87","uni5E96","uni5E9A","uni5EB5","uni5ED3","uni5EDF","uni5EE0","uni5EFB","uni5EFC","uni5EFF","uni5F17","uni5F18","uni5F1B","uni5F3C","uni5F4A","uni5F66","uni5F6A","uni5F6C","uni5FBD","uni5FFD","uni601C","uni602F","uni6055","uni6062","uni6070","uni6089","uni608C","uni60B6","uni60C7","uni60DA","uni60DF","uni60E3","uni60F9","uni6108","uni6167","uni617E","uni6190","uni620A","uni620E","uni6216","uni621F","uni6258","uni626E","uni6309","uni633A","uni633D","uni634C","uni6367","uni6372","uni6377","uni637A","uni63A0","uni63A9","uni63AC","uni63B4","uni63BB","uni63C3","uni63D6","uni6478","uni647A","uni6492","uni649A","uni649E","uni64AB","uni64AD","uni64B0","uni64B9","uni64E2","uni64FE","uni6566","uni658C","uni6590","uni65A1","uni65A7","uni65AF","uni65BC","uni65ED","uni6602","uni660C","uni660F","uni6643","uni664B","uni6652","uni6666","uni667A","uni66A2","uni66D9","uni66DD","uni66F3","uni66FE","uni670B","uni6714","uni674E","uni674F","uni6753","uni6756","uni675C","uni6762","uni676D","uni6775","uni6777","uni6787","uni67C1","uni67CA","uni67CF","uni67D1","uni67D8","uni67DA","uni67F4","uni67FE","uni6802","uni6816","uni6817","uni6822","uni6834","uni6842","uni6850","uni6853","uni6854","uni685D","uni6867","uni6876","uni6881","uni6893","uni68A2","uni68A7","uni68AF","uni68B1","uni68B6","uni68BC","uni68C9","uni68F2","uni6900","uni690B","uni6919","uni691B","uni6934","uni693F","uni694A","uni6953","uni6955","uni695A","uni6960","uni6962","uni696F","uni6973","uni698A","uni698E","uni6994","uni699B","uni69CC","uni69CD","uni69D9","uni69FB","uni6A0B","uni6A17","uni6A1F","uni6A2B","uni6A35","uni6A3A","uni6A3D","uni6A58","uni6A61","uni6A7F","uni6A80","uni6A8E","uni6AD3","uni6ADB","uni6AE8","uni6B1D","uni6B23","uni6B3D","uni6B4E","uni6B64","uni6B6A","uni6B86","uni6BC5","uni6BD8","uni6C40","uni6C50","uni6C5D","uni6C72","uni6C8C","uni6C93","uni6CAB","uni6D1B","uni6D29","uni6D32","uni6D69","uni6D6C","uni6D8C","uni6D9B","uni6D9C","uni6DC0","uni6DCB","uni6DD8","uni6DF3","uni6DF5","uni6E1A","uni6E20","uni6E25","uni6E4A","uni6E58","uni6E5B","uni6E8C","uni6E9C","uni6EA2","uni6F09","uni6F15","uni6F23","uni6F45","uni6F97","uni6FB1","uni6FE0","uni6FE1","uni7015","uni701E","uni7026","uni7027","uni7058","uni7078","uni707C","uni70CF","uni70F9","uni7114","uni711A","uni7149","uni7164","uni717D","uni7194","uni71C8","uni71D0","uni71D5","uni71E6","uni71ED","uni723A","uni723E","uni724C","uni7252","uni725D","uni725F","uni7261"],"JIS第一水準#2":["uni7262","uni727D","uni7280","uni72D0","uni72D7","uni72DB","uni72F8","uni72FC","uni72FD","uni732A","uni7337","uni7345","uni7396","uni73B2","uni73C2","uni73CA","uni73EA","uni7409","uni7422","uni7433","uni7435","uni7436","uni745A","uni745B","uni745E","uni7473","uni74DC","uni74E2","uni7511","uni751C","uni7525","uni752B","uni7560","uni7562","uni7566","uni7577","uni758B","uni758F","uni75B9","uni75D4","uni764C","uni7690","uni76C3","uni76C8","uni77A5","uni77E7","uni77E9","uni7825","uni7826","uni7827","uni783A","uni783F","uni786F","uni7872","uni7887","uni788D","uni7893","uni7895","uni7897","uni78A7","uni78A9","uni78D0","uni78EF","uni7941","uni7947","uni7950","uni7962","uni7977","uni7984","uni798E","uni79A6","uni79B0","uni79BD","uni79BE","uni79BF","uni79E4","uni79E6","uni7A00","uni7A14","uni7A17","uni7A1C","uni7A46","uni7A4E","uni7A50","uni7A63","uni7A7F","uni7A84","uni7AAA","uni7ABA","uni7AC3","uni7AE3","uni7AEA","uni7AFA","uni7AFF","uni7B08","uni7B20","uni7B25","uni7B39","uni7B48","uni7B4F","uni7B51","uni7B86","uni7B94","uni7B95","uni7BAA","uni7BAD","uni7BC7","uni7BE0","uni7BED","uni7C38","uni7C3E","uni7C7E","uni7C81","uni7C82","uni7C8D","uni7C95","uni7C9F","uni7CA5","uni7CCA","uni7CCE","uni7CDE","uni7CDF","uni7CE0","uni7D10","uni7D17","uni7D18","uni7D2C","uni7D43","uni7D62","uni7D9C","uni7DAC","uni7DB4","uni7DBE","uni7DCB","uni7DEC","uni7E1E","uni7E4B","uni7E4D","uni7E82","uni7E8F","uni7F6B","uni7FE0","uni7FEB","uni7FF0","uni8000","uni800C","uni8036","uni803D","uni8061","uni806F","uni807E","uni8087","uni808B","uni80B1","uni80B4","uni80E1","uni80E4","uni8106","uni8139","uni8154","uni817F","uni818F","uni81BF","uni81E5","uni8218","uni821B","uni821C","uni8235","uni826E","uni8299","uni82A5","uni82A6","uni82AD","uni82B9","uni82C5","uni82D1","uni82D3","uni82D4","uni82E7","uni82EB","uni8304","uni8305","uni831C","uni8338","uni834A","uni834F","uni837B","uni839E","uni83AB","uni83B1","uni83C5","uni83D6","uni83DF","uni83E9","uni83F0","uni83F1","uni8404","uni840C","uni8429","uni8431","uni844E","uni8461","uni8463","uni8466","uni8471","uni8475","uni847A","uni848B","uni8490","uni8494","uni8499","uni849C","uni84B2","uni84BC","uni84C9","uni84D1","uni84EC","uni84EE","uni8500","uni8513","uni851A","uni8526","uni852D","uni8543","uni8549","uni854A","uni854E","uni8557","uni8568","uni8569","uni856A","uni8597","uni8599","uni85A9","uni85AE","uni85AF","uni85C1","uni85F7","uni8607","uni862D","uni867B","uni86A4","uni86CB","uni86CE","uni86D9","uni86E4","uni86ED","uni86F8","uni86FE","uni8718","uni8749","uni874B","uni8755","uni8766","uni8776","uni877F","uni87BA","uni87F9","uni87FB","uni887F","uni8888","uni88B4","uni88B7","uni88DF","uni88E1","uni88F3","uni8956","uni8997","uni8A0A","uni8A23","uni8A3B","uni8A51","uni8A6B","uni8AB9","uni8ABC","uni8ACC","uni8ACF","uni8AD2","uni8ADC","uni8AFA","uni8B02","uni8B2C","uni8B83","uni8B90","uni8C79","uni8CB0","uni8CCE","uni8CD1","uni8D0B","uni8D6B","uni8DA8","uni8DE8","uni8E44","uni8E5F","uni8EAF","uni8F14","uni8F2F","uni8F3F","uni8F4D","uni8F5F","uni8F61","uni8FB0","uni8FBB","uni8FBF","uni8FC2","uni8FC4","uni8FE6","uni8FE9","uni9017","uni9019","uni9022","uni903C","uni9041","uni9065","uni907C","uni9091","uni90C1","uni912D","uni9149","uni914B","uni9187","uni918D","uni9190","uni9197","uni91A4","uni91C6","uni91D8","uni91E6","uni91E7","uni920E","uni9237","uni9266","uni927E","uni9291","uni929A","uni92D2","uni92E4","uni92EA","uni92F2","uni92F8","uni9306","uni9310","uni9318","uni9328","uni932B","uni934D","uni9354","uni936C","uni937E","uni9397","uni939A","uni93A7","uni93D1","uni9419","uni9438","uni9453","uni9583","uni958F","uni95A4","uni963F","uni9640","uni9688","uni96BC","uni96C0","uni96C1","uni96DB","uni96EB","uni971E","uni9756","uni976D","uni9784","uni978D","uni9798","uni97A0","uni97AD","uni97EE","uni9801","uni9817","uni981A","uni9834","uni985B","uni98F4","uni9910","uni9957","uni99A8","uni99B3","uni99B4","uni99C1","uni99C8","uni99D5","uni99FF","uni9A28","uni9AED","uni9B41","uni9B6F","uni9B8E","uni9B92","uni9BAA","uni9BAB","uni9BAD","uni9BC9","uni9BD6","uni9BDB","uni9BF5","uni9C0D","uni9C10","uni9C2D","uni9C2F","uni9C39","uni9C3B","uni9C48","uni9C52","uni9C57","uni9CE9","uni9CF3","uni9CF6","uni9D07","uni9D0E","uni9D1B","uni9D28"],"JIS第一水準#3":["uni9D2B","uni9D2C","uni9D3B","uni9D5C","uni9D60","uni9D61","uni9D6C","uni9DF2","uni9DF9","uni9DFA","uni9E78","uni9E9F","uni9EB9","uni9EBF","uni9ECD","uni9EDB","uni9F0E","uni9F20","uni9F8D"],"JIS第二水準#1":["uni4E10","uni4E15","uni4E17","uni4E2A","uni4E31","uni4E36","uni4E3F","uni4E42","uni4E55","uni4E56","uni4E58","uni4E62","uni4E82","uni4E85","uni4E8A","uni4E8E","uni4E9E","uni4E9F","uni4EA0","uni4EA2","uni4EB0","uni4EB3","uni4EB6","uni4EC2","uni4EC4","uni4EC6","uni4ECD","uni4ECE","uni4ED7","uni4EDE","uni4EDF","uni4EED","uni4EF7","uni4F09","uni4F1C","uni4F30","uni4F47","uni4F57","uni4F5A","uni4F5B","uni4F5D","uni4F5E","uni4F69","uni4F6F","uni4F70","uni4F76","uni4F7B","uni4F86","uni4F88","uni4F8F","uni4F91","uni4F96","uni4F98","uni4FAB","uni4FCE","uni4FD0","uni4FD1","uni4FD4","uni4FD8","uni4FDA","uni4FDB","uni4FDF","uni4FE4","uni4FE5","uni4FEF","uni4FF6","uni4FFE","uni5005","uni5006","uni500F","uni5011","uni5014","uni501A","uni5021","uni5025","uni5028","uni5029","uni502A","uni502C","uni5043","uni5047","uni5048","uni5050","uni5055","uni5056","uni505A","uni506C","uni5078","uni5080","uni5085","uni509A","uni50B3","uni50B4","uni50C2","uni50C9","uni50CA","uni50D6","uni50DE","uni50E3","uni50E5","uni50ED","uni50EE","uni50F5","uni50F9","uni5101","uni5102","uni5109","uni5114","uni5115","uni5116","uni5118","uni511A","uni5121","uni5137","uni513A","uni513B","uni513C","uni513F","uni5140","uni514C","uni5152","uni5154","uni5162","uni5169","uni516A","uni516E","uni5180","uni5182","uni5189","uni518C","uni518F","uni5190","uni5191","uni5193","uni5195","uni5196","uni51A2","uni51A4","uni51A6","uni51A9","uni51AA","uni51AB","uni51B0","uni51B1","uni51B2","uni51B3","uni51B5","uni51BD","uni51C5","uni51C9","uni51D6","uni51DB","uni51DC","uni51E0","uni51E9","uni51ED","uni51F0","uni51F5","uni51FE","uni5204","uni520B","uni520E","uni5214","uni5227","uni522A","uni522E","uni5233","uni5244","uni524B","uni524C","uni524F","uni5254","uni525E","uni5269","uni526A","uni5271","uni5273","uni5274","uni527D","uni527F","uni5288","uni528D","uni5291","uni5292","uni5294","uni52AC","uni52AD","uni52B5","uni52BC","uni52C1","uni52CD","uni52D2","uni52D7","uni52DE","uni52E0","uni52E3","uni52E6","uni52F3","uni52F5","uni52F8","uni52F9","uni5306","uni5308","uni530D","uni530F","uni5310","uni5315","uni531A","uni5323","uni532F","uni5331","uni5333","uni5338","uni5340","uni5345","uni5346","uni5349","uni534D","uni535E","uni5369","uni536E","uni5377","uni537B","uni5382","uni5396","uni53A0","uni53A5","uni53A6","uni53AE","uni53B0","uni53B6","uni53C3","uni53DF","uni53E8","uni53ED","uni53EE","uni53FA","uni5401","uni541D","uni5429","uni542C","uni542D","uni542E","uni5436","uni543C","uni543D","uni5440","uni544E","uni545F","uni5470","uni5471","uni5475","uni5476","uni5477","uni547B","uni5480","uni5484","uni5486","uni548E","uni548F","uni5490","uni5492","uni54A2","uni54A4","uni54A5","uni54A8","uni54AB","uni54AC","uni54AF","uni54B8","uni54BC","uni54BE","uni54C2","uni54C4","uni54C7","uni54C8","uni54D8","uni54E2","uni54E5","uni54E6","uni54ED","uni54EE","uni54FD","uni550F","uni5514","uni552E","uni5533","uni5538","uni5539","uni5540","uni5545","uni554C","uni5556","uni5557","uni555C","uni555D","uni5563","uni557B","uni557C","uni557E","uni5580","uni5583","uni5587","uni558A","uni5598","uni5599","uni559E","uni559F","uni55A8","uni55AE","uni55C4","uni55C7","uni55D4","uni55DA","uni55DC","uni55DF","uni55E4","uni55F7","uni55F9","uni55FD","uni55FE","uni5614","uni5616","uni561B","uni562F","uni5634","uni5636","uni5638","uni564E","uni5650","uni5664","uni566A","uni566B","uni566C","uni5680","uni5686","uni568A","uni568F","uni5694","uni56A0","uni56A5","uni56AE","uni56B4","uni56B6","uni56BC","uni56C0","uni56C1","uni56C2","uni56C3","uni56C8","uni56CE","uni56D1","uni56D3","uni56D7","uni56D8","uni56EE","uni56F9","uni56FF","uni5700","uni5704","uni5708","uni5709","uni570B","uni570D","uni5713","uni5716","uni5718","uni571C","uni5726","uni5737","uni5738","uni573B","uni5740","uni574E","uni574F","uni5761","uni5769","uni577F","uni5788","uni5789","uni5793","uni57A0","uni57A4","uni57AA","uni57B0","uni57B3","uni57C0","uni57C3","uni57C6","uni57D2","uni57D3","uni57D4","uni57D6","uni57E3","uni580A","uni580B","uni5819","uni581D","uni5821","uni582F","uni583D","uni584B","uni5852","uni5862","uni5870","uni5872","uni5879","uni5885","uni589F","uni58AB","uni58AE","uni58B8","uni58B9","uni58BA","uni58BB","uni58C5","uni58D1","uni58D3","uni58D7","uni58D8"],"JIS第二水準#2":["uni58D9","uni58DC","uni58DE","uni58DF","uni58E4","uni58E5","uni58EF","uni58F9","uni58FA","uni58FB","uni58FC","uni58FD","uni5902","uni590A","uni5910","uni5918","uni591B","uni5925","uni592C","uni592D","uni5932","uni5938","uni593E","uni594E","uni5950","uni5955","uni5958","uni595A","uni5960","uni5962","uni5967","uni5969","uni596C","uni5978","uni5981","uni598D","uni599B","uni599D","uni59A3","uni59B2","uni59C6","uni59D9","uni59DA","uni59DC","uni59E8","uni5A09","uni5A11","uni5A1A","uni5A1C","uni5A1F","uni5A25","uni5A35","uni5A36","uni5A40","uni5A49","uni5A62","uni5A6A","uni5A6C","uni5A9A","uni5ABC","uni5ABD","uni5ABE","uni5AC2","uni5ACB","uni5AD0","uni5AD6","uni5AD7","uni5AE3","uni5AE6","uni5AE9","uni5AFA","uni5AFB","uni5B0B","uni5B0C","uni5B16","uni5B2A","uni5B32","uni5B36","uni5B3E","uni5B40","uni5B43","uni5B45","uni5B51","uni5B55","uni5B5A","uni5B5B","uni5B65","uni5B69","uni5B70","uni5B71","uni5B73","uni5B75","uni5B78","uni5B7A","uni5B80","uni5B83","uni5BA6","uni5BB8","uni5BC3","uni5BC7","uni5BC9","uni5BD0","uni5BD4","uni5BDE","uni5BE2","uni5BE4","uni5BE5","uni5BE6","uni5BE8","uni5BEB","uni5BF0","uni5BF3","uni5BF6","uni5C05","uni5C07","uni5C08","uni5C0D","uni5C13","uni5C20","uni5C22","uni5C28","uni5C38","uni5C39","uni5C41","uni5C46","uni5C4E","uni5C4F","uni5C50","uni5C53","uni5C6C","uni5C6E","uni5C76","uni5C79","uni5C8C","uni5C91","uni5C94","uni5CAB","uni5CB6","uni5CB7","uni5CBB","uni5CBC","uni5CBE","uni5CC5","uni5CC7","uni5CD9","uni5CE9","uni5CEA","uni5CED","uni5CFA","uni5CFD","uni5D0B","uni5D11","uni5D14","uni5D15","uni5D17","uni5D18","uni5D19","uni5D1A","uni5D1B","uni5D1F","uni5D22","uni5D4B","uni5D4C","uni5D4E","uni5D52","uni5D5C","uni5D6C","uni5D73","uni5D76","uni5D82","uni5D84","uni5D87","uni5D8C","uni5D90","uni5D9D","uni5DA2","uni5DAC","uni5DAE","uni5DB7","uni5DBC","uni5DBD","uni5DC9","uni5DCD","uni5DD2","uni5DD3","uni5DD6","uni5DDB","uni5DEB","uni5DF2","uni5DF5","uni5E0B","uni5E11","uni5E19","uni5E1A","uni5E1B","uni5E36","uni5E37","uni5E40","uni5E43","uni5E44","uni5E47","uni5E4E","uni5E54","uni5E57","uni5E5F","uni5E62","uni5E64","uni5E75","uni5E76","uni5E7A","uni5E7F","uni5EA0","uni5EC1","uni5EC2","uni5EC8","uni5ECF","uni5ED0","uni5ED6","uni5EDA","uni5EDB","uni5EDD","uni5EE1","uni5EE2","uni5EE3","uni5EE8","uni5EE9","uni5EEC","uni5EF0","uni5EF1","uni5EF3","uni5EF4","uni5EF8","uni5EFE","uni5F03","uni5F09","uni5F0B","uni5F0C","uni5F0D","uni5F11","uni5F16","uni5F29","uni5F2D","uni5F2F","uni5F38","uni5F41","uni5F48","uni5F4C","uni5F4E","uni5F51","uni5F56","uni5F57","uni5F5C","uni5F5D","uni5F61","uni5F6D","uni5F73","uni5F77","uni5F7F","uni5F82","uni5F83","uni5F87","uni5F88","uni5F8A","uni5F91","uni5F98","uni5F99","uni5F9E","uni5FA0","uni5FA8","uni5FAD","uni5FBC","uni5FD6","uni5FDD","uni5FE4","uni5FF0","uni5FF1","uni5FF8","uni5FFB","uni5FFF","uni600E","uni600F","uni6010","uni6015","uni6019","uni601B","uni6021","uni6026","uni6029","uni602B","uni6031","uni603A","uni6041","uni6042","uni6043","uni6046","uni604A","uni604D","uni6059","uni605A","uni605F","uni6060","uni6064","uni606A","uni606B","uni606C","uni6077","uni6081","uni6083","uni6084","uni608B","uni608D","uni6092","uni6096","uni6097","uni609A","uni609B","uni60A7","uni60B3","uni60B4","uni60B5","uni60B8","uni60BD","uni60C6","uni60D3","uni60D8","uni60E0","uni60E1","uni60F1","uni60F4","uni60F6","uni60F7","uni60FA","uni60FB","uni6100","uni6103","uni6106","uni610D","uni610E","uni6115","uni6121","uni6127","uni6128","uni612C","uni6134","uni613C","uni613D","uni613E","uni613F","uni6142","uni6147","uni614A","uni614D","uni6153","uni6158","uni6159","uni615A","uni615D","uni615F","uni6165","uni616B","uni616F","uni6171","uni6173","uni6174","uni6175","uni6177","uni6187","uni618A","uni6191","uni6194","uni6196","uni6199","uni619A","uni61AB","uni61AE","uni61BA","uni61C3","uni61C6","uni61C8","uni61C9","uni61CA","uni61CB","uni61CC","uni61CD","uni61E3","uni61E6","uni61F4","uni61F6","uni61F7","uni61FA","uni61FC","uni61FD","uni61FE","uni61FF","uni6200","uni6208","uni6209","uni620C","uni620D","uni6214","uni621B","uni621D","uni621E","uni6221","uni622A","uni622E","uni6230","uni6232","uni6233","uni6241","uni6248","uni624E","uni625B","uni625E","uni6260","uni6263","uni6268","uni627C","uni627E","uni6282"],"JIS第二水準#3":["uni6283","uni6289","uni6292","uni6293","uni6294","uni6296","uni629B","uni62AC","uni62BB","uni62C2","uni62C6","uni62C7","uni62C8","uni62CA","uni62CC","uni62CF","uni62D1","uni62D4","uni62D7","uni62DC","uni62EE","uni62EF","uni62F1","uni62F5","uni62FF","uni6302","uni6308","uni630C","uni6327","uni633E","uni634D","uni634F","uni6350","uni6369","uni636B","uni6376","uni6380","uni6389","uni638E","uni638F","uni6396","uni639F","uni63A3","uni63AB","uni63B5","uni63BE","uni63C0","uni63C4","uni63C6","uni63C9","uni63D2","uni63E3","uni63E9","uni63F6","uni6406","uni640F","uni6413","uni6416","uni6417","uni641C","uni6426","uni6428","uni6434","uni6436","uni644E","uni6467","uni6476","uni6488","uni6493","uni6495","uni64A5","uni64A9","uni64BB","uni64BC","uni64C2","uni64C5","uni64C7","uni64D2","uni64D4","uni64D8","uni64DA","uni64E0","uni64E1","uni64E3","uni64E7","uni64EF","uni64F1","uni64F2","uni64F4","uni64F6","uni64FA","uni64FD","uni6500","uni6505","uni6518","uni651C","uni651D","uni6523","uni6524","uni652A","uni652B","uni652C","uni6534","uni6535","uni6536","uni6537","uni6538","uni6548","uni654D","uni6555","uni6556","uni6558","uni655D","uni655E","uni6572","uni6578","uni6582","uni6583","uni6588","uni659B","uni659F","uni65AB","uni65B7","uni65C1","uni65C3","uni65C4","uni65C6","uni65CC","uni65D2","uni65D9","uni65DB","uni65E0","uni65E1","uni65F1","uni65FB","uni6603","uni660A","uni661C","uni6634","uni6635","uni6636","uni663F","uni6641","uni6644","uni6649","uni664F","uni665D","uni665E","uni665F","uni6662","uni6664","uni6667","uni6668","uni6670","uni6683","uni6684","uni6688","uni6689","uni668E","uni6698","uni669D","uni66B8","uni66B9","uni66BC","uni66BE","uni66C1","uni66C4","uni66C9","uni66DA","uni66E0","uni66E6","uni66E9","uni66F0","uni66F5","uni66F7","uni66FC","uni6703","uni670F","uni6716","uni671E","uni6726","uni6727","uni672E","uni6736","uni6737","uni6738","uni673F","uni6741","uni6746","uni6759","uni675E","uni6760","uni6763","uni6764","uni676A","uni6770","uni6772","uni6773","uni677C","uni6785","uni6789","uni678B","uni678C","uni67A1","uni67A6","uni67A9","uni67B3","uni67B4","uni67B7","uni67B8","uni67B9","uni67C6","uni67CE","uni67DD","uni67DE","uni67E2","uni67E4","uni67E7","uni67E9","uni67EC","uni67EE","uni67EF","uni681E","uni6829","uni682B","uni6832","uni6840","uni6846","uni684D","uni684E","uni6859","uni6863","uni6874","uni6877","uni687E","uni687F","uni6883","uni688D","uni688F","uni6894","uni689B","uni689D","uni689F","uni68A0","uni68A6","uni68AD","uni68B3","uni68B5","uni68B9","uni68BA","uni68C6","uni68CA","uni68CD","uni68D4","uni68D5","uni68D7","uni68D8","uni68E0","uni68E1","uni68E3","uni68E7","uni68EF","uni68F9","uni6901","uni6904","uni6908","uni690C","uni690F","uni6912","uni691A","uni6921","uni6922","uni6923","uni6925","uni6926","uni6928","uni692A","uni6930","uni6936","uni6939","uni693D","uni6954","uni6959","uni695C","uni695D","uni695E","uni6961","uni696A","uni696B","uni696E","uni6974","uni6978","uni6979","uni697E","uni6981","uni6991","uni6995","uni699C","uni69A0","uni69A7","uni69AE","uni69B1","uni69B2","uni69B4","uni69BB","uni69BE","uni69BF","uni69C1","uni69C3","uni69C7","uni69CA","uni69CE","uni69D0","uni69D3","uni69DD","uni69DE","uni69E7","uni69E8","uni69EB","uni69ED","uni69F2","uni69F9","uni69FF","uni6A02","uni6A05","uni6A0A","uni6A0C","uni6A12","uni6A13","uni6A14","uni6A1B","uni6A1E","uni6A22","uni6A23","uni6A2E","uni6A36","uni6A38","uni6A44","uni6A47","uni6A48","uni6A59","uni6A62","uni6A66","uni6A72","uni6A78","uni6A84","uni6A8D","uni6A90","uni6A97","uni6A9C","uni6AA0","uni6AA2","uni6AA3","uni6AAA","uni6AAC","uni6AAE","uni6AB3","uni6AB8","uni6ABB","uni6AC1","uni6AC2","uni6AC3","uni6AD1","uni6ADA","uni6ADE","uni6ADF","uni6AEA","uni6AFA","uni6AFB","uni6B05","uni6B0A","uni6B12","uni6B16","uni6B1F","uni6B37","uni6B38","uni6B39","uni6B43","uni6B47","uni6B49","uni6B50","uni6B54","uni6B59","uni6B5B","uni6B5F","uni6B61","uni6B78","uni6B79","uni6B7F","uni6B80","uni6B83","uni6B84","uni6B8D","uni6B95","uni6B98","uni6B9E","uni6BA4","uni6BAA","uni6BAB","uni6BAF","uni6BB1","uni6BB2","uni6BB3","uni6BB7","uni6BBC","uni6BC6","uni6BCB","uni6BD3","uni6BDF","uni6BEB","uni6BEC","uni6BEF","uni6BF3","uni6C08","uni6C13","uni6C14","uni6C1B","uni6C23","uni6C24","uni6C55"],"JIS第二水準#4":["uni6C5E","uni6C62","uni6C68","uni6C6A","uni6C73","uni6C7E","uni6C81","uni6C82","uni6C8D","uni6C90","uni6C92","uni6C9A","uni6C9B","uni6CAE","uni6CB1","uni6CBA","uni6CBD","uni6CBE","uni6CC4","uni6CC5","uni6CD3","uni6CD7","uni6CD9","uni6CDB","uni6CDD","uni6CEA","uni6CEF","uni6CF1","uni6D0C","uni6D12","uni6D19","uni6D1F","uni6D2B","uni6D33","uni6D35","uni6D36","uni6D38","uni6D3D","uni6D59","uni6D5A","uni6D63","uni6D64","uni6D79","uni6D85","uni6D8E","uni6D93","uni6D95","uni6DB5","uni6DB8","uni6DC5","uni6DC6","uni6DC7","uni6DCC","uni6DD2","uni6DD5","uni6DD9","uni6DDE","uni6DE4","uni6DE6","uni6DE8","uni6DEA","uni6DEC","uni6DEE","uni6DF9","uni6DFA","uni6E0A","uni6E15","uni6E19","uni6E1D","uni6E1F","uni6E23","uni6E24","uni6E2B","uni6E2D","uni6E2E","uni6E38","uni6E3A","uni6E3E","uni6E43","uni6E4D","uni6E4E","uni6E5F","uni6E6B","uni6E6E","uni6E72","uni6E76","uni6E82","uni6E8F","uni6E98","uni6E9F","uni6EA5","uni6EAA","uni6EAF","uni6EB2","uni6EB7","uni6EBD","uni6EC2","uni6EC4","uni6EC9","uni6ECC","uni6ED3","uni6ED4","uni6ED5","uni6EEC","uni6EEF","uni6EF2","uni6EF7","uni6EF8","uni6EFE","uni6EFF","uni6F11","uni6F13","uni6F31","uni6F32","uni6F3E","uni6F3F","uni6F41","uni6F58","uni6F5B","uni6F66","uni6F6D","uni6F6F","uni6F74","uni6F78","uni6F7A","uni6F7C","uni6F80","uni6F81","uni6F82","uni6F86","uni6F8E","uni6F91","uni6FA1","uni6FA3","uni6FA4","uni6FAA","uni6FB3","uni6FB9","uni6FC2","uni6FC6","uni6FD4","uni6FD5","uni6FD8","uni6FDB","uni6FDF","uni6FE4","uni6FEC","uni6FEE","uni6FF1","uni6FF3","uni6FF6","uni6FFA","uni6FFE","uni7001","uni7009","uni700B","uni700F","uni7011","uni7018","uni701A","uni701B","uni701D","uni701F","uni7030","uni7032","uni703E","uni704C","uni7051","uni7063","uni7092","uni7099","uni70AC","uni70AE","uni70AF","uni70B3","uni70B8","uni70CB","uni70D9","uni70DD","uni70DF","uni70F1","uni70FD","uni7109","uni7119","uni711C","uni714C","uni7155","uni7156","uni7162","uni7165","uni7166","uni716C","uni7184","uni7188","uni718F","uni7195","uni7199","uni71A8","uni71AC","uni71B9","uni71BE","uni71C9","uni71CE","uni71D2","uni71D4","uni71D7","uni71DF","uni71E0","uni71E7","uni71EC","uni71EE","uni71F5","uni71F9","uni71FB","uni71FC","uni71FF","uni720D","uni7210","uni721B","uni7228","uni722C","uni722D","uni7230","uni7232","uni723B","uni723C","uni723F","uni7240","uni7246","uni724B","uni7258","uni7274","uni727E","uni7281","uni7282","uni7287","uni7292","uni7296","uni72A2","uni72A7","uni72B2","uni72B9","uni72C3","uni72C4","uni72C6","uni72CE","uni72D2","uni72E0","uni72E1","uni72E2","uni72F7","uni72F9","uni730A","uni7316","uni7317","uni731C","uni731D","uni7325","uni7329","uni732F","uni7334","uni733E","uni734E","uni734F","uni7357","uni7368","uni736A","uni7370","uni7375","uni7378","uni737A","uni737B","uni73B3","uni73BB","uni73C0","uni73C8","uni73CE","uni73DE","uni73E5","uni73EE","uni73F1","uni73F8","uni7405","uni7425","uni7432","uni743A","uni743F","uni7441","uni7455","uni7459","uni745C","uni745F","uni7463","uni7464","uni7469","uni746A","uni746F","uni7470","uni7476","uni747E","uni748B","uni749E","uni74A2","uni74CA","uni74CF","uni74D4","uni74E0","uni74E3","uni74E7","uni74E9","uni74EE","uni74F0","uni74F1","uni74F2","uni74F7","uni74F8","uni7503","uni7504","uni7505","uni750C","uni750D","uni750E","uni7513","uni7515","uni751E","uni7526","uni752C","uni7538","uni753C","uni7544","uni7546","uni7549","uni754A","uni754B","uni754D","uni755A","uni755B","uni7564","uni7567","uni7569","uni756B","uni756D","uni7574","uni7576","uni7578","uni7582","uni7586","uni7587","uni7589","uni758A","uni7594","uni759A","uni759D","uni75A3","uni75A5","uni75B1","uni75B3","uni75B5","uni75B8","uni75BC","uni75BD","uni75C2","uni75C3","uni75CA","uni75CD","uni75D2","uni75D9","uni75DE","uni75E3","uni75F0","uni75F2","uni75F3","uni75FA","uni75FC","uni75FE","uni75FF","uni7601","uni7609","uni760B","uni761F","uni7620","uni7621","uni7622","uni7624","uni7627","uni7630","uni7634","uni763B","uni7646","uni7647","uni7648","uni7658","uni765C","uni7661","uni7662","uni7667","uni7668","uni7669","uni766A","uni766C","uni7670","uni7672","uni7676","uni7678","uni767C","uni7680","uni7683","uni7688","uni768B","uni768E","uni7693","uni7696","uni7699","uni769A","uni76B0","uni76B4","uni76B7","uni76B8","uni76B9","uni76BA"],"JIS第二水準#5":["uni76C2","uni76CD","uni76D2","uni76D6","uni76DC","uni76DE","uni76E1","uni76E5","uni76E7","uni76EA","uni76FB","uni7704","uni7707","uni7708","uni771B","uni771E","uni7724","uni7725","uni7726","uni7729","uni7737","uni7738","uni7747","uni775A","uni775B","uni7765","uni7768","uni776B","uni7779","uni777E","uni777F","uni778B","uni778E","uni7791","uni779E","uni77A0","uni77B0","uni77B6","uni77B9","uni77BB","uni77BC","uni77BD","uni77BF","uni77C7","uni77CD","uni77D7","uni77DA","uni77DC","uni77E3","uni77EE","uni77FC","uni780C","uni7812","uni7820","uni7845","uni7874","uni787C","uni7886","uni788C","uni788E","uni789A","uni78A3","uni78AA","uni78AF","uni78B5","uni78BC","uni78BE","uni78C5","uni78C6","uni78CA","uni78CB","uni78D1","uni78D4","uni78DA","uni78E7","uni78EC","uni78F4","uni78FD","uni7907","uni7911","uni7912","uni7919","uni7926","uni792A","uni792B","uni792C","uni7940","uni7953","uni7955","uni7957","uni795A","uni795F","uni7960","uni797A","uni797F","uni7980","uni798A","uni799D","uni79A7","uni79AA","uni79AE","uni79B3","uni79B9","uni79BA","uni79C9","uni79D5","uni79E1","uni79E3","uni79E7","uni79EC","uni7A08","uni7A0D","uni7A18","uni7A19","uni7A1F","uni7A20","uni7A31","uni7A37","uni7A3B","uni7A3E","uni7A43","uni7A49","uni7A57","uni7A61","uni7A62","uni7A69","uni7A70","uni7A79","uni7A7D","uni7A88","uni7A95","uni7A96","uni7A97","uni7A98","uni7AA9","uni7AB0","uni7AB6","uni7ABF","uni7AC4","uni7AC5","uni7AC7","uni7AC8","uni7ACA","uni7ACD","uni7ACF","uni7AD2","uni7AD3","uni7AD5","uni7AD9","uni7ADA","uni7ADD","uni7ADF","uni7AE1","uni7AE2","uni7AE6","uni7AED","uni7AF0","uni7AF8","uni7B02","uni7B04","uni7B06","uni7B0A","uni7B0B","uni7B0F","uni7B18","uni7B19","uni7B1E","uni7B28","uni7B33","uni7B35","uni7B36","uni7B45","uni7B4C","uni7B4D","uni7B50","uni7B5D","uni7B65","uni7B67","uni7B6C","uni7B6E","uni7B70","uni7B71","uni7B74","uni7B75","uni7B7A","uni7B8D","uni7B8F","uni7B92","uni7B98","uni7B99","uni7B9A","uni7B9C","uni7B9D","uni7B9F","uni7BB4","uni7BC1","uni7BC6","uni7BCB","uni7BCC","uni7BCF","uni7BDD","uni7BE5","uni7BE6","uni7BE9","uni7BF3","uni7BF6","uni7BF7","uni7C00","uni7C07","uni7C0D","uni7C11","uni7C12","uni7C13","uni7C14","uni7C17","uni7C1F","uni7C23","uni7C27","uni7C2A","uni7C2B","uni7C37","uni7C3D","uni7C40","uni7C43","uni7C4C","uni7C4F","uni7C50","uni7C54","uni7C56","uni7C58","uni7C5F","uni7C64","uni7C65","uni7C6C","uni7C75","uni7C83","uni7C90","uni7CA1","uni7CA2","uni7CA4","uni7CA8","uni7CAB","uni7CAD","uni7CAE","uni7CB1","uni7CB2","uni7CB3","uni7CB9","uni7CBD","uni7CC0","uni7CC2","uni7CC5","uni7CD2","uni7CD8","uni7CDC","uni7CE2","uni7CEF","uni7CF2","uni7CF4","uni7CF6","uni7CFA","uni7D02","uni7D06","uni7D0A","uni7D15","uni7D1C","uni7D2E","uni7D32","uni7D35","uni7D3F","uni7D45","uni7D46","uni7D4B","uni7D4E","uni7D4F","uni7D56","uni7D5B","uni7D63","uni7D68","uni7D6E","uni7D72","uni7D73","uni7D7D","uni7D89","uni7D8F","uni7D93","uni7D9B","uni7D9F","uni7DA2","uni7DA3","uni7DAB","uni7DAE","uni7DAF","uni7DB0","uni7DB5","uni7DB8","uni7DBA","uni7DBD","uni7DC7","uni7DD5","uni7DD8","uni7DDC","uni7DDD","uni7DDE","uni7DE1","uni7DE4","uni7DF2","uni7E05","uni7E09","uni7E0A","uni7E0B","uni7E12","uni7E1F","uni7E21","uni7E22","uni7E23","uni7E31","uni7E32","uni7E35","uni7E37","uni7E39","uni7E3A","uni7E3B","uni7E3D","uni7E43","uni7E46","uni7E56","uni7E59","uni7E5A","uni7E5D","uni7E5E","uni7E66","uni7E67","uni7E69","uni7E6A","uni7E79","uni7E7B","uni7E7C","uni7E7D","uni7E7F","uni7E83","uni7E88","uni7E89","uni7E8C","uni7E8E","uni7E90","uni7E92","uni7E93","uni7E94","uni7E96","uni7E9B","uni7E9C","uni7F38","uni7F3A","uni7F45","uni7F4C","uni7F4D","uni7F4E","uni7F50","uni7F51","uni7F54","uni7F55","uni7F58","uni7F5F","uni7F60","uni7F67","uni7F68","uni7F69","uni7F78","uni7F79","uni7F82","uni7F83","uni7F86","uni7F87","uni7F88","uni7F8C","uni7F94","uni7F9A","uni7F9D","uni7FA3","uni7FAE","uni7FAF","uni7FB2","uni7FB6","uni7FB8","uni7FB9","uni7FC5","uni7FC6","uni7FCA","uni7FD4","uni7FD5","uni7FE1","uni7FE6","uni7FE9","uni7FF3","uni7FF9","uni8004","uni8006","uni800B","uni8012","uni8018","uni8019","uni801C","uni8021","uni8028","uni803B","uni803F","uni8046","uni804A","uni8052","uni8058","uni805A","uni805F","uni8062","uni8068","uni8070","uni8072","uni8073","uni8076","uni8079"],"JIS第二水準#6":["uni807D","uni807F","uni8084","uni8085","uni8086","uni8093","uni809A","uni809B","uni80AC","uni80AD","uni80C4","uni80D6","uni80D9","uni80DA","uni80DB","uni80DD","uni80E5","uni80EF","uni80F1","uni80FC","uni8109","uni811B","uni8123","uni8129","uni812F","uni813E","uni8146","uni814B","uni8151","uni8153","uni815F","uni8165","uni8166","uni816E","uni8171","uni8174","uni8180","uni8182","uni8183","uni8188","uni818A","uni8193","uni8195","uni81A0","uni81A3","uni81A4","uni81A9","uni81B0","uni81B5","uni81B8","uni81BA","uni81BD","uni81BE","uni81C0","uni81C2","uni81C8","uni81C9","uni81CD","uni81D1","uni81D8","uni81D9","uni81DA","uni81DF","uni81E0","uni81E7","uni81FA","uni81FB","uni81FE","uni8201","uni8202","uni8205","uni8207","uni8209","uni820A","uni820D","uni8210","uni8212","uni8216","uni8229","uni822B","uni822E","uni8233","uni8238","uni8240","uni8258","uni8259","uni825A","uni825D","uni825F","uni8262","uni8264","uni8268","uni826A","uni826B","uni8271","uni8277","uni8278","uni827E","uni828D","uni8292","uni829F","uni82AB","uni82AC","uni82BB","uni82D2","uni82D9","uni82DC","uni82DE","uni82DF","uni82E1","uni82E3","uni82F3","uni82F4","uni82F9","uni82FA","uni82FB","uni8303","uni8306","uni8309","uni8316","uni8317","uni8318","uni8323","uni832B","uni832F","uni8331","uni8332","uni8334","uni8335","uni8339","uni8340","uni8345","uni8350","uni8373","uni8375","uni837C","uni8385","uni8387","uni8389","uni838A","uni838E","uni8393","uni8396","uni839A","uni839F","uni83A0","uni83A2","uni83A8","uni83AA","uni83B5","uni83BD","uni83C1","uni83CE","uni83D8","uni83E0","uni83EB","uni83F2","uni83F4","uni83F7","uni83FB","uni83FD","uni8403","uni8407","uni840B","uni840D","uni8413","uni8420","uni8422","uni842A","uni842C","uni8435","uni8438","uni843C","uni8446","uni8462","uni8469","uni846B","uni846D","uni846E","uni846F","uni8477","uni8479","uni8482","uni8484","uni849F","uni84A1","uni84AD","uni84B9","uni84BB","uni84BF","uni84C1","uni84C6","uni84CA","uni84CD","uni84D0","uni84D6","uni84D9","uni84DA","uni84F4","uni84FC","uni84FF","uni8506","uni8514","uni8515","uni8517","uni8518","uni851F","uni8521","uni852C","uni8540","uni8541","uni8548","uni854B","uni8555","uni8558","uni855A","uni8563","uni856D","uni8577","uni857E","uni8580","uni8587","uni8588","uni858A","uni8590","uni8591","uni8594","uni859B","uni859C","uni85A4","uni85A8","uni85B9","uni85BA","uni85C9","uni85CF","uni85D0","uni85D5","uni85DC","uni85DD","uni85E5","uni85EA","uni85F9","uni85FA","uni85FE","uni8602","uni8606","uni860A","uni860B","uni8613","uni8616","uni8617","uni861A","uni8622","uni862F","uni8630","uni863F","uni864D","uni8654","uni8655","uni865F","uni8667","uni8671","uni868B","uni868C","uni8693","uni86A3","uni86A9","uni86AA","uni86AB","uni86AF","uni86B0","uni86B6","uni86C4","uni86C6","uni86C9","uni86D4","uni86DB","uni86DE","uni86DF","uni86E9","uni86EC","uni86EF","uni86F9","uni86FB","uni8700","uni8703","uni8706","uni8708","uni8709","uni870A","uni870D","uni8711","uni8712","uni871A","uni8725","uni8729","uni8734","uni8737","uni873B","uni873F","uni874C","uni874E","uni8753","uni8757","uni8759","uni875F","uni8760","uni8763","uni8768","uni876A","uni876E","uni8774","uni8778","uni8782","uni879F","uni87A2","uni87AB","uni87AF","uni87B3","uni87BB","uni87BD","uni87C0","uni87C4","uni87C6","uni87C7","uni87CB","uni87D0","uni87D2","uni87E0","uni87EF","uni87F2","uni87F6","uni87F7","uni87FE","uni8805","uni880D","uni880E","uni880F","uni8811","uni8815","uni8816","uni8821","uni8822","uni8823","uni8827","uni8831","uni8836","uni8839","uni883B","uni8842","uni8844","uni884D","uni8852","uni8859","uni885E","uni8862","uni886B","uni8872","uni8875","uni887D","uni887E","uni8881","uni8882","uni888D","uni8892","uni8897","uni8899","uni889E","uni88A2","uni88A4","uni88AE","uni88B0","uni88B1","uni88B5","uni88BF","uni88C3","uni88C4","uni88D4","uni88D8","uni88D9","uni88DD","uni88E8","uni88F2","uni88F4","uni88F9","uni88FC","uni8902","uni8904","uni890A","uni890C","uni8913","uni891D","uni891E","uni8925","uni892A","uni892B","uni8936","uni8938","uni893B","uni8941","uni8943","uni8944","uni894C","uni894D","uni895E","uni8960","uni8964","uni8966","uni896A","uni896D","uni896F","uni8974","uni8977","uni897E","uni8983","uni8988","uni898A","uni8993","uni8998","uni89A1"],"JIS第二水準#7":["uni89A6","uni89A9","uni89AC","uni89AF","uni89B2","uni89BA","uni89BD","uni89BF","uni89C0","uni89DA","uni89DC","uni89DD","uni89E7","uni89F4","uni89F8","uni8A0C","uni8A10","uni8A16","uni8A1B","uni8A1D","uni8A25","uni8A36","uni8A41","uni8A46","uni8A48","uni8A52","uni8A5B","uni8A62","uni8A6C","uni8A6D","uni8A7C","uni8A82","uni8A84","uni8A85","uni8A91","uni8A9A","uni8AA1","uni8AA3","uni8AA5","uni8AA6","uni8AA8","uni8AC2","uni8AC4","uni8ACD","uni8ADA","uni8ADB","uni8ADE","uni8AE0","uni8AE1","uni8AE2","uni8AE4","uni8AEB","uni8AF1","uni8AF3","uni8AF7","uni8B07","uni8B0C","uni8B10","uni8B14","uni8B16","uni8B17","uni8B1A","uni8B20","uni8B26","uni8B28","uni8B2B","uni8B33","uni8B3E","uni8B41","uni8B49","uni8B4C","uni8B4E","uni8B4F","uni8B56","uni8B5A","uni8B5B","uni8B5F","uni8B6B","uni8B6C","uni8B6F","uni8B71","uni8B74","uni8B7D","uni8B80","uni8B8A","uni8B8C","uni8B8E","uni8B92","uni8B93","uni8B96","uni8B99","uni8B9A","uni8C3A","uni8C3F","uni8C41","uni8C48","uni8C4C","uni8C4E","uni8C50","uni8C55","uni8C62","uni8C6B","uni8C6C","uni8C78","uni8C7A","uni8C7C","uni8C82","uni8C85","uni8C89","uni8C8A","uni8C8D","uni8C8E","uni8C94","uni8C98","uni8CAD","uni8CAE","uni8CB2","uni8CB3","uni8CB6","uni8CBD","uni8CC1","uni8CC8","uni8CCD","uni8CDA","uni8CE3","uni8CE4","uni8CFA","uni8CFB","uni8CFD","uni8D04","uni8D05","uni8D07","uni8D0A","uni8D0D","uni8D0F","uni8D10","uni8D13","uni8D14","uni8D16","uni8D67","uni8D6D","uni8D71","uni8D73","uni8D81","uni8D99","uni8DBA","uni8DBE","uni8DC2","uni8DCB","uni8DCC","uni8DCF","uni8DD6","uni8DDA","uni8DDB","uni8DDF","uni8DE3","uni8DEA","uni8DEB","uni8DFC","uni8DFF","uni8E08","uni8E09","uni8E10","uni8E1D","uni8E1E","uni8E1F","uni8E30","uni8E34","uni8E35","uni8E42","uni8E47","uni8E48","uni8E49","uni8E4A","uni8E4C","uni8E50","uni8E55","uni8E59","uni8E60","uni8E63","uni8E64","uni8E72","uni8E76","uni8E7C","uni8E81","uni8E84","uni8E85","uni8E87","uni8E8A","uni8E8B","uni8E91","uni8E93","uni8E94","uni8E99","uni8EA1","uni8EAA","uni8EAC","uni8EB0","uni8EB1","uni8EBE","uni8EC5","uni8EC6","uni8EC8","uni8ECB","uni8EDB","uni8EE3","uni8EEB","uni8EFB","uni8EFC","uni8EFE","uni8F05","uni8F0A","uni8F0C","uni8F12","uni8F13","uni8F15","uni8F19","uni8F1B","uni8F1C","uni8F1F","uni8F26","uni8F33","uni8F39","uni8F3B","uni8F3E","uni8F42","uni8F45","uni8F46","uni8F49","uni8F4C","uni8F4E","uni8F57","uni8F5C","uni8F62","uni8F63","uni8F64","uni8F9C","uni8F9F","uni8FA7","uni8FA8","uni8FAD","uni8FAE","uni8FAF","uni8FB7","uni8FDA","uni8FE2","uni8FE5","uni8FEA","uni8FEF","uni8FF4","uni8FF8","uni8FF9","uni8FFA","uni9005","uni900B","uni900D","uni900E","uni9011","uni9015","uni9016","uni901E","uni9021","uni9027","uni9035","uni9036","uni9039","uni903E","uni9049","uni904F","uni9050","uni9051","uni9052","uni9056","uni9058","uni9059","uni905E","uni9068","uni906F","uni9072","uni9076","uni907D","uni9080","uni9081","uni9082","uni9083","uni9087","uni9089","uni908A","uni908F","uni90A8","uni90AF","uni90B1","uni90B5","uni90DB","uni90E2","uni90E4","uni9102","uni9112","uni9119","uni9130","uni9132","uni914A","uni9156","uni9158","uni9163","uni9165","uni9169","uni9172","uni9173","uni9182","uni9189","uni918B","uni91A2","uni91AA","uni91AB","uni91AF","uni91B4","uni91B5","uni91BA","uni91C0","uni91C1","uni91C9","uni91CB","uni91D0","uni91D6","uni91DB","uni91DF","uni91E1","uni91F5","uni91F6","uni91FC","uni91FF","uni9211","uni9214","uni9215","uni921E","uni9229","uni922C","uni923F","uni9245","uni9248","uni9249","uni924B","uni9250","uni9257","uni925A","uni925E","uni9264","uni9293","uni9295","uni9296","uni929B","uni929C","uni92B7","uni92B9","uni92CF","uni92E9","uni92FA","uni930F","uni9319","uni931A","uni9322","uni9323","uni9335","uni933A","uni933B","uni9344","uni9356","uni935C","uni9360","uni936E","uni937C","uni9394","uni93AC","uni93AD","uni93B0","uni93B9","uni93C3","uni93C8","uni93D0","uni93D6","uni93D7","uni93D8","uni93DD","uni93E4","uni93E5","uni93E8","uni9403","uni9407","uni9410","uni9413","uni9414","uni941A","uni9421","uni942B","uni9435","uni9436","uni943A","uni9441","uni9444","uni9452","uni945A","uni945B","uni945E","uni9460","uni9462","uni946A","uni9470","uni9475","uni9477","uni947C","uni947D","uni947E","uni947F","uni9481","uni9582","uni9587","uni958A","uni9594","uni9596"],"JIS第二水準#8":["uni9598","uni9599","uni95A0","uni95A7","uni95A8","uni95AD","uni95B9","uni95BB","uni95BC","uni95BE","uni95C3","uni95CA","uni95CC","uni95CD","uni95D4","uni95D5","uni95D6","uni95DC","uni95E1","uni95E2","uni95E5","uni9621","uni9628","uni962E","uni962F","uni9642","uni964B","uni964C","uni964F","uni965C","uni965D","uni965E","uni965F","uni9666","uni966C","uni9672","uni9677","uni968B","uni968D","uni9695","uni9697","uni9698","uni96A7","uni96A8","uni96AA","uni96B0","uni96B1","uni96B2","uni96B4","uni96B6","uni96B8","uni96B9","uni96C9","uni96CB","uni96CD","uni96CE","uni96D5","uni96D6","uni96D9","uni96DC","uni96F9","uni9704","uni9706","uni9708","uni970D","uni970E","uni970F","uni9711","uni9713","uni9716","uni9719","uni9724","uni972A","uni9730","uni9738","uni9739","uni973D","uni973E","uni9742","uni9744","uni9746","uni9748","uni9749","uni975C","uni9760","uni9761","uni9764","uni9766","uni9768","uni976B","uni9771","uni9779","uni977A","uni977C","uni9781","uni9785","uni9786","uni978B","uni978F","uni9790","uni979C","uni97A3","uni97A6","uni97A8","uni97AB","uni97B3","uni97B4","uni97C3","uni97C6","uni97C8","uni97CB","uni97DC","uni97ED","uni97F2","uni97F5","uni97F6","uni980C","uni980F","uni9821","uni9824","uni9837","uni9838","uni983D","uni9846","uni984B","uni984F","uni986B","uni986F","uni9870","uni9871","uni9873","uni9874","uni98AA","uni98AF","uni98B1","uni98B6","uni98C3","uni98C4","uni98C6","uni98DC","uni98E9","uni98EB","uni98ED","uni98EE","uni9903","uni9909","uni9912","uni9914","uni9918","uni991D","uni991E","uni9920","uni9921","uni9924","uni992C","uni992E","uni993D","uni993E","uni9942","uni9945","uni9949","uni994B","uni994C","uni9950","uni9951","uni9952","uni9955","uni9997","uni9998","uni99A5","uni99AD","uni99AE","uni99BC","uni99D1","uni99D8","uni99DB","uni99DD","uni99DF","uni99E2","uni99ED","uni99EE","uni99F1","uni99F2","uni99F8","uni99FB","uni9A01","uni9A05","uni9A0F","uni9A19","uni9A2B","uni9A37","uni9A3E","uni9A40","uni9A42","uni9A43","uni9A45","uni9A4D","uni9A55","uni9A57","uni9A5B","uni9A5F","uni9A62","uni9A64","uni9A65","uni9A69","uni9A6A","uni9A6B","uni9AAD","uni9AB0","uni9ABC","uni9AC0","uni9ACF","uni9AD1","uni9AD3","uni9AD4","uni9ADE","uni9ADF","uni9AE2","uni9AE3","uni9AE6","uni9AEB","uni9AEE","uni9AEF","uni9AF1","uni9AF4","uni9AF7","uni9AFB","uni9B06","uni9B18","uni9B1A","uni9B1F","uni9B22","uni9B23","uni9B25","uni9B27","uni9B28","uni9B29","uni9B2A","uni9B2E","uni9B2F","uni9B32","uni9B3B","uni9B43","uni9B44","uni9B4D","uni9B4E","uni9B4F","uni9B51","uni9B58","uni9B74","uni9B83","uni9B91","uni9B93","uni9B96","uni9B97","uni9B9F","uni9BA0","uni9BA8","uni9BB4","uni9BB9","uni9BC0","uni9BC6","uni9BCA","uni9BCF","uni9BD1","uni9BD2","uni9BD4","uni9BE1","uni9BE2","uni9BE3","uni9BE4","uni9BF0","uni9BF1","uni9BF2","uni9C04","uni9C06","uni9C08","uni9C09","uni9C0A","uni9C0C","uni9C12","uni9C13","uni9C14","uni9C15","uni9C1B","uni9C21","uni9C24","uni9C25","uni9C2E","uni9C30","uni9C32","uni9C3A","uni9C3E","uni9C46","uni9C47","uni9C5A","uni9C60","uni9C67","uni9C76","uni9C78","uni9CE7","uni9CEB","uni9CEC","uni9CF0","uni9D03","uni9D06","uni9D08","uni9D09","uni9D12","uni9D15","uni9D1F","uni9D23","uni9D26","uni9D2A","uni9D3E","uni9D3F","uni9D41","uni9D44","uni9D46","uni9D48","uni9D50","uni9D51","uni9D59","uni9D5D","uni9D5E","uni9D64","uni9D6F","uni9D72","uni9D7A","uni9D87","uni9D89","uni9D9A","uni9DA4","uni9DA9","uni9DAB","uni9DAF","uni9DB2","uni9DB8","uni9DBA","uni9DBB","uni9DC1","uni9DC2","uni9DC4","uni9DC6","uni9DCF","uni9DD3","uni9DD9","uni9DE6","uni9DED","uni9DEF","uni9DF8","uni9DFD","uni9E1A","uni9E1B","uni9E1E","uni9E75","uni9E79","uni9E7D","uni9E81","uni9E88","uni9E8B","uni9E8C","uni9E91","uni9E92","uni9E95","uni9E9D","uni9EA5","uni9EA9","uni9EAA","uni9EAD","uni9EB8","uni9EBC","uni9EBE","uni9ECC","uni9ECE","uni9ECF","uni9ED0","uni9ED4","uni9ED8","uni9EDC","uni9EDD","uni9EDE","uni9EE0","uni9EE5","uni9EE8","uni9EEF","uni9EF4","uni9EF6","uni9EF7","uni9EF9","uni9EFB","uni9EFC","uni9EFD","uni9F07","uni9F08","uni9F15","uni9F21","uni9F2C","uni9F3E","uni9F4A","uni9F4B","uni9F4E","uni9F4F","uni9F52","uni9F54","uni9F5F","uni9F60","uni9F61","uni9F63","uni9F66","uni9F67","uni9F6A","uni9F6C","uni9F72","uni9F76","uni9F77","uni9F95","uni9F9C","uni9F9D","uni9FA0"],"漢検漢字（1級まで）":["uni3D4E","uni4E2B","uni4FDE","uni4FE0","uni4FF1","uni5053","uni5077","uni5133","uni51CA","uni5220","uni5231","uni5284","uni52D6","uni5379","uni53B2","uni541E","uni544F","uni54F3","uni5550","uni555E","uni5591","uni5641","uni5653","uni5666","uni566F","uni5699","uni56AC","uni56CA","uni57F3","uni587F","uni58CE","uni59EE","uni59F8","uni5B52","uni5B76","uni5B7C","uni5B7D","uni5C5B","uni5C62","uni5C6D","uni5E00","uni5E6B","uni5E77","uni5F7D","uni60A4","uni60BE","uni6112","uni6160","uni62CB","uni6318","uni6353","uni6414","uni6424","uni644F","uni6451","uni6522","uni65F0","uni6663","uni6673","uni66EC","uni6844","uni685B","uni68B2","uni68BB","uni6980","uni6986","uni69D4","uni6A8B","uni6A94","uni6AF1","uni6AF8","uni6B60","uni6BD7","uni6CAA","uni6F51","uni7006","uni70B7","uni7120","uni7130","uni7256","uni730B","uni736E","uni73AB","uni7447","uni7487","uni756C","uni75F9","uni766D","uni7674","uni7681","uni76CC","uni77FB","uni79B1","uni7AFD","uni7B53","uni7B72","uni7BE1","uni7BEA","uni7C1E","uni7C52","uni7C59","uni7C61","uni7C8F","uni7CDD","uni7CF1","uni7D09","uni7DA6","uni7E15","uni7E48","uni7E61","uni7E6B","uni7E73","uni7E8A","uni7E98","uni8026","uni8141","uni8160","uni82C6","uni8346","uni8401","uni840A","uni8523","uni858F","uni8652","uni870B","uni870E","uni8713","uni8739","uni8758","uni8771","uni8772","uni8788","uni8797","uni87BE","uni87CE","uni87EA","uni87EC","uni8806","uni880A","uni881F","uni884A","uni886E","uni88CE","uni89E5","uni8D6C","uni8DCE","uni8E11","uni8E7B","uni8E83","uni8EAE","uni8EC0","uni8F00","uni902C","uni91AC","uni91B1","uni93BA","uni97DE","uni9839","uni985A","uni986C","uni9A08","uni9A2D","uni9A4E","uni9A52","uni9AE5","uni9B2D","uni9B5E","uni9B6C","uni9B73","uni9B78","uni9B87","uni9BB1","uni9BB2","uni9BB8","uni9BCE","uni9BD0","uni9C18","uni9C19","uni9C1A","uni9C27","uni9C4F","uni9C53","uni9C5B","uni9C5F","uni9C69","uni9C72","uni9D02","uni9D25","uni9D47","uni9D65","uni9D84","uni9D8D","uni9D8E","uni9DAA","uni9DD7","uni9E7C","uni9E87","uni9EA4","uni9EB4","uni9F2F","uni9F34","uni9F39","uni9F90","uniFA1F","uniFA3C","u23D8F","u29D97","u2B4BC","u2CD6A"],"その他の記号":["section","radical","therefore","uni2235","equivalence","acute","uniFF40","dieresis","uniFF3E","uniFFE3","uniFF3F","uni2225","uni3013","element","suchthat","reflexsubset","reflexsuperset","propersubset","propersuperset","union","intersection","logicaland","logicalor","uniFFE2","arrowdblright","arrowdblboth","universal","existential","angle","perpendicular","uni2312","partialdiff","gradient","uni226A","uni226B","uni223D","proportional","integral","uni222C","uni212B","perthousand","uni266F","uni266D","dagger","daggerdbl","paragraph","uni25EF","SF100000","SF110000","SF010000","SF030000","SF040000","SF020000","SF080000","SF060000","SF090000","SF070000","SF050000","uni2501","uni2503","uni250F","uni2513","uni251B","uni2517","uni2523","uni2533","uni252B","uni253B","uni254B","uni2520","uni252F","uni2528","uni2537","uni253F","uni251D","uni2530","uni2525","uni2538","uni2542"],"ギリシャ・キリル文字":["Alpha","Beta","Gamma","uni0394","Epsilon","Zeta","Eta","Theta","Iota","Kappa","Lambda","Mu","Nu","Xi","Omicron","Pi","Rho","Sigma","Tau","Upsilon","Phi","Chi","Psi","uni03A9","alpha","beta","gamma","delta","epsilon","zeta","eta","theta","iota","kappa","lambda","uni03BC","nu","xi","omicron","pi","rho","sigma","tau","upsilon","phi","chi","psi","omega","uni0410","uni0411","uni0412","uni0413","uni0414","uni0415","uni0401","uni0416","uni0417","uni0418","uni0419","uni041A","uni041B","uni041C","uni041D","uni041E","uni041F","uni0420","uni0421","uni0422","uni0423","uni0424","uni0425","uni0426","uni0427","uni0428","uni0429","uni042A","uni042B","uni042C","uni042D","uni042E","uni042F","uni0430","uni0431","uni0432","uni0433","uni0434","uni0435","uni0451","uni0436","uni0437","uni0438","uni0439","uni043A","uni043B","uni043C","uni043D","uni043E","uni043F","uni0440","uni0441","uni0442","uni0443","uni0444","uni0445","uni0446","uni0447","uni0448","uni0449","uni044A","uni044B","uni044C","uni044D","uni044E","uni044F"],"機種依存文字":["uniFF61","uniFF62","uniFF63","uniFF64","uniFF65","uniFF66","uniFF67","uniFF68","uniFF69","uniFF6A","uniFF6B","uniFF6C","uniFF6D","uniFF6E","uniFF6F","uniFF70","uniFF71","uniFF72","uniFF73","uniFF74","uniFF75","uniFF76","uniFF77","uniFF78","uniFF79","uniFF7A","uniFF7B","uniFF7C","uniFF7D","uniFF7E","uniFF7F","uniFF80","uniFF81","uniFF82","uniFF83","uniFF84","uniFF85","uniFF86","uniFF87","uniFF88","uniFF89","uniFF8A","uniFF8B","uniFF8C","uniFF8D","uniFF8E","uniFF8F","uniFF90","uniFF91","uniFF92","uniFF93","uniFF94","uniFF95","uniFF96","uniFF97","uniFF98","uniFF99","uniFF9A","uniFF9B","uniFF9C","uniFF9D","uniFF9E","uniFF9F","uni2460","uni2461","uni2462","uni2463","uni2464","uni2465","uni2466","uni2467","uni2468","uni2469","uni246A","uni246B","uni246C","uni246D","uni246E","uni246F","uni2470","uni2471","uni2472","uni2473","uni2160","uni2161","uni2162","uni2163","uni2164","uni2165","uni2166","uni2167","uni2168","uni2169","uni2170","uni2171","uni2172","uni2173","uni2174","uni2175","uni2176","uni2177","uni2178","uni2179","uni3349","uni3349.vert","uni3314","uni3314.vert","uni3322","uni3322.vert","uni334D","uni334D.vert","uni3318","uni3318.vert","uni3327","uni3327.vert","uni3303","uni3303.vert","uni3336","uni3336.vert","uni3351","uni3351.vert","uni3357","uni3357.vert","uni330D","uni330D.vert","uni3326","uni3326.vert","uni3323","uni3323.vert","uni332B","uni332B.vert","uni334A","uni334A.vert","uni333B","uni333B.vert","uni337E","uni337E.vert","uni337D","uni337D.vert","uni337C","uni337C.vert","uni337B","uni337B.vert","uni32FF","uni32FF.vert","uni339C","uni339D","uni339E","uni338E","uni338F","uni33C4","uni33A1","uni301D","uni301F","uni2116","uni33CD","uni2121","uni32A4","uni32A5","uni32A6","uni32A7","uni32A8","uni3231","uni3232","uni3239"],"付録：般若心経":["uni4ECF","uni8AAC","uni6469","uni8A36","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni5FC3","uni7D4C","uni89B3","uni81EA","uni5728","uni83E9","uni85A9","uni884C","uni6DF1","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni6642","uni7167","uni898B","uni4E94","uni860A","uni7686","uni7A7A","uni5EA6","uni4E00","uni5207","uni82E6","uni5384","uni820E","uni5229","uni5B50","uni8272","uni4E0D","uni7570","uni7A7A","uni7A7A","uni4E0D","uni7570","uni8272","uni8272","uni5373","uni662F","uni7A7A","uni7A7A","uni5373","uni662F","uni8272","uni53D7","uni60F3","uni884C","uni8B58","uni4EA6","uni5FA9","uni5982","uni662F","uni820E","uni5229","uni5B50","uni662F","uni8AF8","uni6CD5","uni7A7A","uni76F8","uni4E0D","uni751F","uni4E0D","uni6EC5","uni4E0D","uni57A2","uni4E0D","uni6D44","uni4E0D","uni5897","uni4E0D","uni6E1B","uni662F","uni6545","uni7A7A","uni4E2D","uni7121","uni8272","uni7121","uni53D7","uni60F3","uni884C","uni8B58","uni7121","uni773C","uni8033","uni9F3B","uni820C","uni8EAB","uni610F","uni7121","uni8272","uni58F0","uni9999","uni5473","uni89E6","uni6CD5","uni7121","uni773C","uni754C","uni4E43","uni81F3","uni7121","uni610F","uni8B58","uni754C","uni7121","uni7121","uni660E","uni4EA6","uni7121","uni7121","uni660E","uni5C3D","uni4E43","uni81F3","uni7121","uni8001","uni6B7B","uni4EA6","uni7121","uni8001","uni6B7B","uni5C3D","uni7121","uni82E6","uni96C6","uni6EC5","uni9053","uni7121","uni667A","uni4EA6","uni7121","uni5F97","uni4EE5","uni7121","uni6240","uni5F97","uni6545","uni83E9","uni63D0","uni85A9","uni57F5","uni4F9D","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni6545","uni5FC3","uni7121","uni7F63","uni7919","uni7121","uni7F63","uni7919","uni6545","uni7121","uni6709","uni6050","uni6016","uni9060","uni96E2","uni4E00","uni5207","uni985B","uni5012","uni5922","uni60F3","uni7A76","uni7ADF","uni6D85","uni69C3","uni4E09","uni4E16","uni8AF8","uni4ECF","uni4F9D","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni6545","uni5F97","uni963F","uni8028","uni591A","uni7F85","uni4E09","uni85D0","uni4E09","uni83E9","uni63D0","uni6545","uni77E5","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni662F","uni5927","uni795E","uni546A","uni662F","uni5927","uni660E","uni546A","uni662F","uni7121","uni4E0A","uni546A","uni662F","uni7121","uni7B49","uni7B49","uni546A","uni80FD","uni9664","uni4E00","uni5207","uni82E6","uni771F","uni5B9F","uni4E0D","uni865A","uni6545","uni8AAC","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni546A","uni5373","uni8AAC","uni546A","uni66F0","uni7FAF","uni8AE6","uni7FAF","uni8AE6","uni6CE2","uni7F85","uni7FAF","uni8AE6","uni6CE2","uni7F85","uni50E7","uni7FAF","uni8AE6","uni83E9","uni63D0","uni85A9","uni5A46","uni8A36","uni822C","uni82E5","uni5FC3","uni7D4C"]};
+const catalogGlyphList = {"半角記号":["a","b","c","d","e","f","g","h","i","j","k","l","m","n","o","p","q","r","s","t","u","v","w","x","y","z","A","B","C","D","E","F","G","H","I","J","K","L","M","N","O","P","Q","R","S","T","U","V","W","X","Y","Z","zero","one","two","three","four","five","six","seven","eight","nine","exclam","quotedbl","numbersign","dollar","percent","ampersand","quotesingle","parenleft","parenright","asterisk","plus","comma","hyphen","period","slash","colon","semicolon","less","equal","greater","question","at","bracketleft","backslash","bracketright","asciicircum","underscore","grave","braceleft","bar","braceright","asciitilde"],"ひらがな・カタカナ":["uni3041","uni3041.vert","uni3042","uni3043","uni3043.vert","uni3044","uni3045","uni3045.vert","uni3046","uni3047","uni3047.vert","uni3048","uni3049","uni3049.vert","uni304A","uni304B","uni304C","uni304D","uni304E","uni304F","uni3050","uni3051","uni3052","uni3053","uni3054","uni3055","uni3056","uni3057","uni3058","uni3059","uni305A","uni305B","uni305C","uni305D","uni305E","uni305F","uni3060","uni3061","uni3062","uni3063","uni3063.vert","uni3064","uni3065","uni3066","uni3067","uni3068","uni3069","uni306A","uni306B","uni306C","uni306D","uni306E","uni306F","uni3070","uni3071","uni3072","uni3073","uni3074","uni3075","uni3076","uni3077","uni3078","uni3079","uni307A","uni307B","uni307C","uni307D","uni307E","uni307F","uni3080","uni3081","uni3082","uni3083","uni3083.vert","uni3084","uni3085","uni3085.vert","uni3086","uni3087","uni3087.vert","uni3088","uni3089","uni308A","uni308B","uni308C","uni308D","uni308E","uni308E.vert","uni308F","uni3090","uni3091","uni3092","uni3093","uni30A1","uni30A1.vert","uni30A2","uni30A3","uni30A3.vert","uni30A4","uni30A5","uni30A5.vert","uni30A6","uni30A7","uni30A7.vert","uni30A8","uni30A9","uni30A9.vert","uni30AA","uni30AB","uni30AC","uni30AD","uni30AE","uni30AF","uni30B0","uni30B1","uni30B2","uni30B3","uni30B4","uni30B5","uni30B6","uni30B7","uni30B8","uni30B9","uni30BA","uni30BB","uni30BC","uni30BD","uni30BE","uni30BF","uni30C0","uni30C1","uni30C2","uni30C3","uni30C3.vert","uni30C4","uni30C5","uni30C6","uni30C7","uni30C8","uni30C9","uni30CA","uni30CB","uni30CC","uni30CD","uni30CE","uni30CF","uni30D0","uni30D1","uni30D2","uni30D3","uni30D4","uni30D5","uni30D6","uni30D7","uni30D8","uni30D9","uni30DA","uni30DB","uni30DC","uni30DD","uni30DE","uni30DF","uni30E0","uni30E1","uni30E2","uni30E3","uni30E3.vert","uni30E4","uni30E5","uni30E5.vert","uni30E6","uni30E7","uni30E7.vert","uni30E8","uni30E9","uni30EA","uni30EB","uni30EC","uni30ED","uni30EE","uni30EE.vert","uni30EF","uni30F0","uni30F1","uni30F2","uni30F3","uni30F4","uni30F5","uni30F5.vert","uni30F6","uni30F6.vert","uni30FC","uni30FC.vert","uni30FD","uni30FE","uni309D","uni309E"],"基本記号":["uni3001","uni3001.vert","uni3002","uni3002.vert","uniFF0C","uniFF0C.vert","uniFF0E","uniFF0E.vert","uni30FB","uniFF1F","uniFF01","uni309B","uni309C","uni3003","uni4EDD","uni3005","uni3006","uni3007","uni2015","uni2010","uniFF0F","uniFF3C","uniFF5E","uniFF5E.vert","uni301C","uni301C.vert","ellipsis","ellipsis.vert","twodotenleader","twodotenleader.vert","quoteleft","quoteright","quotedblleft","quotedblright","uniFF08","uniFF08.vert","uniFF09","uniFF09.vert","uni3014","uni3014.vert","uni3015","uni3015.vert","uniFF3B","uniFF3B.vert","uniFF3D","uniFF3D.vert","uni3008","uni3008.vert","uni3009","uni3009.vert","uni300A","uni300A.vert","uni300B","uni300B.vert","uni300C","uni300C.vert","uni300D","uni300D.vert","uni300E","uni300E.vert","uni300F","uni300F.vert","uni3010","uni3010.vert","uni3011","uni3011.vert","uniFF0B","uniFF0D","plusminus","multiply","divide","uniFF1D","notequal","uni2252","uniFF1C","uniFF1E","uni2266","uni2267","infinity","male","female","degree","minute","second","uni2103","uniFFE5","uniFFE0","uniFFE1","uni2606","uni2605","circle","H18533","uni25CE","uni25C7","uni25C6","H22073","filledbox","uni25B3","triagup","uni25BD","triagdn","uni203B","uni3012","arrowright","arrowleft","arrowup","arrowdown","musicalnote"],"教育漢字（1年）":["uni4E00","uni4E03","uni4E09","uni4E0A","uni4E0B","uni4E2D","uni4E5D","uni4E8C","uni4E94","uni4EBA","uni4F11","uni5148","uni5165","uni516B","uni516D","uni5186","uni51FA","uni529B","uni5341","uni5343","uni53E3","uni53F3","uni540D","uni56DB","uni571F","uni5915","uni5927","uni5929","uni5973","uni5B50","uni5B57","uni5B66","uni5C0F","uni5C71","uni5DDD","uni5DE6","uni5E74","uni624B","uni6587","uni65E5","uni65E9","uni6708","uni6728","uni672C","uni6751","uni6797","uni6821","uni68EE","uni6B63","uni6C17","uni6C34","uni706B","uni72AC","uni7389","uni738B","uni751F","uni7530","uni7537","uni753A","uni767D","uni767E","uni76EE","uni77F3","uni7A7A","uni7ACB","uni7AF9","uni7CF8","uni8033","uni82B1","uni8349","uni866B","uni898B","uni8C9D","uni8D64","uni8DB3","uni8ECA","uni91D1","uni96E8","uni9752","uni97F3"],"教育漢字（2年）":["uni4E07","uni4E38","uni4EA4","uni4EAC","uni4ECA","uni4F1A","uni4F53","uni4F55","uni4F5C","uni5143","uni5144","uni5149","uni516C","uni5185","uni51AC","uni5200","uni5206","uni5207","uni524D","uni5317","uni5348","uni534A","uni5357","uni539F","uni53CB","uni53E4","uni53F0","uni5408","uni540C","uni56DE","uni56F3","uni56FD","uni5712","uni5730","uni5834","uni58F0","uni58F2","uni590F","uni5916","uni591A","uni591C","uni592A","uni59B9","uni59C9","uni5BA4","uni5BB6","uni5BFA","uni5C11","uni5CA9","uni5DE5","uni5E02","uni5E30","uni5E83","uni5E97","uni5F13","uni5F15","uni5F1F","uni5F31","uni5F37","uni5F53","uni5F62","uni5F8C","uni5FC3","uni601D","uni6238","uni624D","uni6559","uni6570","uni65B0","uni65B9","uni660E","uni661F","uni6625","uni663C","uni6642","uni6674","uni66DC","uni66F8","uni671D","uni6765","uni6771","uni697D","uni6B4C","uni6B62","uni6B69","uni6BCD","uni6BCE","uni6BDB","uni6C60","uni6C7D","uni6D3B","uni6D77","uni70B9","uni7236","uni725B","uni7406","uni7528","uni753B","uni756A","uni76F4","uni77E2","uni77E5","uni793E","uni79CB","uni79D1","uni7B54","uni7B97","uni7C73","uni7D19","uni7D30","uni7D44","uni7D75","uni7DDA","uni7FBD","uni8003","uni805E","uni8089","uni81EA","uni8239","uni8272","uni8336","uni884C","uni897F","uni89AA","uni89D2","uni8A00","uni8A08","uni8A18","uni8A71","uni8A9E","uni8AAD","uni8C37","uni8CB7","uni8D70","uni8FD1","uni901A","uni9031","uni9053","uni9060","uni91CC","uni91CE","uni9577","uni9580","uni9593","uni96EA","uni96F2","uni96FB","uni982D","uni9854","uni98A8","uni98DF","uni9996","uni99AC","uni9AD8","uni9B5A","uni9CE5","uni9CF4","uni9EA6","uni9EC4","uni9ED2"],"教育漢字（3年）":["uni4E01","uni4E16","uni4E21","uni4E3B","uni4E57","uni4E88","uni4E8B","uni4ED5","uni4ED6","uni4EE3","uni4F4F","uni4F7F","uni4FC2","uni500D","uni5168","uni5177","uni5199","uni5217","uni52A9","uni52C9","uni52D5","uni52DD","uni5316","uni533A","uni533B","uni53BB","uni53CD","uni53D6","uni53D7","uni53F7","uni5411","uni541B","uni5473","uni547D","uni548C","uni54C1","uni54E1","uni5546","uni554F","uni5742","uni592E","uni59CB","uni59D4","uni5B88","uni5B89","uni5B9A","uni5B9F","uni5BA2","uni5BAE","uni5BBF","uni5BD2","uni5BFE","uni5C40","uni5C4B","uni5CB8","uni5CF6","uni5DDE","uni5E33","uni5E73","uni5E78","uni5EA6","uni5EAB","uni5EAD","uni5F0F","uni5F79","uni5F85","uni6025","uni606F","uni60AA","uni60B2","uni60F3","uni610F","uni611F","uni6240","uni6253","uni6295","uni62FE","uni6301","uni6307","uni653E","uni6574","uni65C5","uni65CF","uni6614","uni662D","uni6691","uni6697","uni66F2","uni6709","uni670D","uni671F","uni677F","uni67F1","uni6839","uni690D","uni696D","uni69D8","uni6A2A","uni6A4B","uni6B21","uni6B6F","uni6B7B","uni6C37","uni6C7A","uni6CB9","uni6CE2","uni6CE8","uni6CF3","uni6D0B","uni6D41","uni6D88","uni6DF1","uni6E29","uni6E2F","uni6E56","uni6E6F","uni6F22","uni70AD","uni7269","uni7403","uni7531","uni7533","uni754C","uni7551","uni75C5","uni767A","uni767B","uni76AE","uni76BF","uni76F8","uni770C","uni771F","uni7740","uni77ED","uni7814","uni793C","uni795E","uni796D","uni798F","uni79D2","uni7A76","uni7AE0","uni7AE5","uni7B1B","uni7B2C","uni7B46","uni7B49","uni7BB1","uni7D1A","uni7D42","uni7DD1","uni7DF4","uni7F8A","uni7F8E","uni7FD2","uni8005","uni80B2","uni82E6","uni8377","uni843D","uni8449","uni85AC","uni8840","uni8868","uni8A69","uni8ABF","uni8AC7","uni8C46","uni8CA0","uni8D77","uni8DEF","uni8EAB","uni8EE2","uni8EFD","uni8FB2","uni8FD4","uni8FFD","uni9001","uni901F","uni9032","uni904A","uni904B","uni90E8","uni90FD","uni914D","uni9152","uni91CD","uni9244","uni9280","uni958B","uni9662","uni967D","uni968E","uni96C6","uni9762","uni984C","uni98F2","uni9928","uni99C5","uni9F3B"],"教育漢字（4年）":["uni4E0D","uni4E89","uni4E95","uni4ED8","uni4EE4","uni4EE5","uni4EF2","uni4F1D","uni4F4D","uni4F4E","uni4F50","uni4F8B","uni4FBF","uni4FE1","uni5009","uni5019","uni501F","uni5065","uni5074","uni50CD","uni5104","uni5146","uni5150","uni5171","uni5175","uni5178","uni51B7","uni521D","uni5225","uni5229","uni5237","uni526F","uni529F","uni52A0","uni52AA","uni52B4","uni52C7","uni5305","uni5352","uni5354","uni5358","uni535A","uni5370","uni53C2","uni53F8","uni5404","uni5468","uni5531","uni5668","uni56FA","uni57CE","uni57FC","uni5869","uni5909","uni592B","uni5931","uni5948","uni597D","uni5A9B","uni5B63","uni5B6B","uni5B8C","uni5B98","uni5BB3","uni5BCC","uni5BDF","uni5C90","uni5CA1","uni5D0E","uni5DE3","uni5DEE","uni5E0C","uni5E2D","uni5E2F","uni5E95","uni5E9C","uni5EB7","uni5EFA","uni5F84","uni5F92","uni5FB3","uni5FC5","uni5FF5","uni611B","uni6210","uni6226","uni6298","uni6319","uni6539","uni6557","uni6563","uni6599","uni65D7","uni6628","uni666F","uni6700","uni671B","uni672A","uni672B","uni672D","uni6750","uni675F","uni677E","uni679C","uni6803","uni6804","uni6848","uni6885","uni68A8","uni68B0","uni6975","uni6A19","uni6A5F","uni6B20","uni6B8B","uni6C0F","uni6C11","uni6C42","uni6C96","uni6CBB","uni6CD5","uni6CE3","uni6D45","uni6D74","uni6E05","uni6E80","uni6ECB","uni6F01","uni6F5F","uni706F","uni7121","uni7136","uni713C","uni7167","uni718A","uni71B1","uni7267","uni7279","uni7523","uni7684","uni7701","uni795D","uni7968","uni7A2E","uni7A4D","uni7AF6","uni7B11","uni7BA1","uni7BC0","uni7D04","uni7D50","uni7D66","uni7D9A","uni7E04","uni7F6E","uni7FA4","uni8001","uni81E3","uni826F","uni82B8","uni82BD","uni82F1","uni8328","uni83DC","uni8857","uni8863","uni8981","uni899A","uni89B3","uni8A13","uni8A66","uni8AAC","uni8AB2","uni8B70","uni8CA8","uni8CC0","uni8ECD","uni8F2A","uni8F9E","uni8FBA","uni9023","uni9054","uni9078","uni90E1","uni91CF","uni9332","uni93E1","uni95A2","uni961C","uni962A","uni9678","uni968A","uni9759","uni9806","uni9858","uni985E","uni98DB","uni98EF","uni990A","uni9999","uni9A13","uni9E7F"],"教育漢字（5年）":["uni4E45","uni4ECF","uni4EEE","uni4EF6","uni4EFB","uni4F3C","uni4F59","uni4FA1","uni4FDD","uni4FEE","uni500B","uni505C","uni5099","uni50CF","uni518D","uni520A","uni5224","uni5236","uni5247","uni52B9","uni52D9","uni52E2","uni539A","uni53E5","uni53EF","uni53F2","uni544A","uni559C","uni55B6","uni56E0","uni56E3","uni56F2","uni5727","uni5728","uni5747","uni578B","uni57FA","uni5802","uni5831","uni5883","uni5893","uni5897","uni58EB","uni5922","uni59BB","uni5A66","uni5BB9","uni5BC4","uni5C0E","uni5C45","uni5C5E","uni5E03","uni5E2B","uni5E38","uni5E79","uni5E8F","uni5F01","uni5F35","uni5F80","uni5F97","uni5FA9","uni5FD7","uni5FDC","uni5FEB","uni6027","uni60C5","uni614B","uni6163","uni6280","uni62DB","uni6388","uni63A1","uni63A5","uni63D0","uni640D","uni652F","uni653F","uni6545","uni6551","uni65AD","uni65E7","uni6613","uni66B4","uni6761","uni679D","uni67FB","uni683C","uni685C","uni691C","uni69CB","uni6B66","uni6B74","uni6BBA","uni6BD2","uni6BD4","uni6C38","uni6CB3","uni6DB2","uni6DF7","uni6E1B","uni6E2C","uni6E96","uni6F14","uni6F54","uni707D","uni71C3","uni7248","uni72AF","uni72B6","uni72EC","uni7387","uni73FE","uni7559","uni7565","uni76CA","uni773C","uni7834","uni78BA","uni793A","uni7956","uni7981","uni79FB","uni7A0B","uni7A0E","uni7BC9","uni7C89","uni7CBE","uni7D00","uni7D20","uni7D4C","uni7D71","uni7D76","uni7DBF","uni7DCF","uni7DE8","uni7E3E","uni7E54","uni7F6A","uni7FA9","uni8015","uni8077","uni80A5","uni80FD","uni8108","uni8208","uni820E","uni822A","uni8853","uni885B","uni88FD","uni8907","uni898F","uni89E3","uni8A2D","uni8A31","uni8A3C","uni8A55","uni8B1B","uni8B1D","uni8B58","uni8B77","uni8C4A","uni8C61","uni8CA1","uni8CA7","uni8CAC","uni8CAF","uni8CB8","uni8CBB","uni8CBF","uni8CC7","uni8CDB","uni8CDE","uni8CEA","uni8F38","uni8FF0","uni8FF7","uni9006","uni9020","uni904E","uni9069","uni9178","uni9271","uni9285","uni9632","uni9650","uni967A","uni969B","uni96D1","uni975E","uni9818","uni984D","uni98FC"],"教育漢字（6年）":["uni4E26","uni4E71","uni4E73","uni4EA1","uni4EC1","uni4F9B","uni4FF3","uni4FF5","uni5024","uni50B7","uni512A","uni515A","uni518A","uni51E6","uni5238","uni523B","uni5272","uni5275","uni5287","uni52E4","uni5371","uni5375","uni53B3","uni53CE","uni540E","uni5426","uni5438","uni547C","uni5584","uni56F0","uni5782","uni57DF","uni594F","uni596E","uni59FF","uni5B58","uni5B5D","uni5B85","uni5B87","uni5B97","uni5B99","uni5B9D","uni5BA3","uni5BC6","uni5BF8","uni5C02","uni5C04","uni5C06","uni5C0A","uni5C31","uni5C3A","uni5C4A","uni5C55","uni5C64","uni5DF1","uni5DFB","uni5E55","uni5E72","uni5E7C","uni5E81","uni5EA7","uni5EF6","uni5F8B","uni5F93","uni5FD8","uni5FE0","uni6069","uni61B2","uni6211","uni6279","uni627F","uni62C5","uni62DD","uni62E1","uni6368","uni63A2","uni63A8","uni63EE","uni64CD","uni656C","uni6575","uni6620","uni6669","uni6696","uni66AE","uni6717","uni673A","uni679A","uni67D3","uni682A","uni68D2","uni6A21","uni6A29","uni6A39","uni6B32","uni6BB5","uni6CBF","uni6CC9","uni6D17","uni6D3E","uni6E08","uni6E90","uni6F6E","uni6FC0","uni7070","uni719F","uni7247","uni73ED","uni7570","uni7591","uni75DB","uni7687","uni76DB","uni76DF","uni770B","uni7802","uni78C1","uni79C1","uni79D8","uni7A40","uni7A74","uni7A93","uni7B4B","uni7B56","uni7C21","uni7CD6","uni7CFB","uni7D05","uni7D0D","uni7D14","uni7D79","uni7E26","uni7E2E","uni7F72","uni7FCC","uni8056","uni80BA","uni80C3","uni80CC","uni80F8","uni8133","uni8178","uni8179","uni81D3","uni81E8","uni81F3","uni820C","uni82E5","uni8457","uni84B8","uni8535","uni8695","uni8846","uni88C1","uni88C5","uni88CF","uni88DC","uni8996","uni89A7","uni8A0E","uni8A2A","uni8A33","uni8A5E","uni8A8C","uni8A8D","uni8A95","uni8AA0","uni8AA4","uni8AD6","uni8AF8","uni8B66","uni8CB4","uni8CC3","uni9000","uni907A","uni90F5","uni90F7","uni91DD","uni92AD","uni92FC","uni9589","uni95A3","uni964D","uni965B","uni9664","uni969C","uni96E3","uni9769","uni9802","uni9810","uni9AA8"],"漢検漢字（4級まで）":["uni4E08","uni4E0E","uni4E18","uni4E39","uni4E7E","uni4E92","uni4ECB","uni4EF0","uni4F3A","uni4F9D","uni4FB5","uni4FD7","uni5012","uni5049","uni508D","uni50BE","uni50E7","uni5100","uni517C","uni5192","uni51E1","uni51F6","uni5208","uni5230","uni523A","uni5263","uni5264","uni52A3","uni52E7","uni5339","uni5360","uni5373","uni5374","uni53CA","uni53EB","uni53EC","uni5410","uni542B","uni5439","uni54B2","uni5510","uni5606","uni5674","uni570F","uni574A","uni57F7","uni5805","uni5824","uni5854","uni58C1","uni58CA","uni58F1","uni5947","uni5965","uni5974","uni5999","uni59D3","uni5A01","uni5A18","uni5A5A","uni5BC2","uni5BDD","uni5C0B","uni5C3D","uni5C3E","uni5C48","uni5CE0","uni5CF0","uni5DE1","uni5DE8","uni5E3D","uni5E45","uni5E7E","uni5E8A","uni5F10","uni5F3E","uni5F69","uni5F71","uni5F7C","uni5F81","uni5FA1","uni5FAE","uni5FB4","uni5FD9","uni6012","uni6016","uni604B","uni6050","uni6052","uni6065","uni6075","uni60A9","uni60D1","uni60E8","uni614E","uni6162","uni616E","uni61B6","uni6212","uni622F","uni6247","uni6255","uni6271","uni6297","uni629C","uni62B1","uni62B5","uni62BC","uni62CD","uni62D3","uni62E0","uni632F","uni6355","uni6398","uni63CF","uni63E1","uni63F4","uni642C","uni6458","uni6483","uni653B","uni654F","uni6577","uni659C","uni65E8","uni65EC","uni662F","uni666E","uni6687","uni66A6","uni66C7","uni66F4","uni66FF","uni6731","uni673D","uni676F","uni67AF","uni67C4","uni67D4","uni6843","uni6B04","uni6B53","uni6B73","uni6B96","uni6BBF","uni6C57","uni6C5A","uni6C88","uni6CA2","uni6CBC","uni6CC1","uni6CCA","uni6D5C","uni6D6E","uni6D78","uni6D99","uni6DE1","uni6DFB","uni6E21","uni6EB6","uni6EF4","uni6F2B","uni6F84","uni6FC1","uni6FC3","uni70BA","uni70C8","uni7159","uni716E","uni71E5","uni7206","uni72C2","uni72E9","uni72ED","uni731B","uni7363","uni7372","uni7384","uni73CD","uni74B0","uni7518","uni7573","uni75B2","uni7642","uni7686","uni76C6","uni76D7","uni76E3","uni76E4","uni76FE","uni7720","uni77AC","uni77DB","uni7832","uni7948","uni79C0","uni79F0","uni7A32","uni7A3F","uni7A81","uni7AEF","uni7B87","uni7BC4","uni7C92","uni7D0B","uni7D2B","uni7D39","uni7D61","uni7D99","uni7DAD","uni7DB2","uni7DEF","uni7E01","uni7E41","uni7E70","uni7F70","uni7FFC","uni8010","uni80A9","uni80AA","uni80F4","uni8102","uni811A","uni8131","uni8150","uni8155","uni8170","uni819A","uni81F4","uni8217","uni821E","uni821F","uni822C","uni828B","uni829D","uni8302","uni8352","uni83D3","uni84C4","uni8584","uni85AA","uni88AB","uni8972","uni89E6","uni8A34","uni8A70","uni8A73","uni8A87","uni8A89","uni8B21","uni8C6A","uni8CA9","uni8CE6","uni8D08","uni8D8A","uni8DA3","uni8DDD","uni8DE1","uni8DF3","uni8E0A","uni8E0F","uni8E8D","uni8ED2","uni8F03","uni8F09","uni8F1D","uni8F29","uni8FBC","uni8FCE","uni8FEB","uni9003","uni900F","uni9014","uni9045","uni9055","uni9063","uni907F","uni90CE","uni91C8","uni920D","uni925B","uni92ED","uni9396","uni9451","uni95D8","uni9663","uni9670","uni96A0","uni96A3","uni96B7","uni96C4","uni96C5","uni96CC","uni96E2","uni96F7","uni9700","uni9707","uni9727","uni9732","uni97FF","uni9805","uni983C","uni98FE","uni99C6","uni9A12","uni9A5A","uni9AEA","uni9B3C","uni9BAE","uni9E97","uni9ED9","uni9F13","uni9F62"],"漢検漢字（3級）":["uni4E4F","uni4E59","uni4E86","uni4F01","uni4F0F","uni4F10","uni4F34","uni4F38","uni4F73","uni4F8D","uni4FC3","uni5023","uni5039","uni5076","uni50AC","uni50B5","uni514B","uni514D","uni5197","uni51A0","uni51CD","uni51DD","uni5211","uni524A","uni52B1","uni52D8","uni52DF","uni5320","uni533F","uni5351","uni5353","uni5378","uni5398","uni53C8","uni53CC","uni5409","uni540F","uni54C0","uni54F2","uni5553","uni559A","uni55AB","uni5631","uni5751","uni57CB","uni584A","uni5857","uni589C","uni58A8","uni58B3","uni58BE","uni58C7","uni5949","uni5951","uni596A","uni5982","uni59A8","uni59EB","uni5A2F","uni5A46","uni5A7F","uni5AC1","uni5B22","uni5B54","uni5B64","uni5BB4","uni5BE9","uni5BFF","uni5C01","uni5C3F","uni5CB3","uni5CE1","uni5D29","uni5DE7","uni5E06","uni5E1D","uni5E7B","uni5E7D","uni5EC9","uni5ECA","uni5F27","uni5F6B","uni5F90","uni5FCC","uni6020","uni602A","uni6068","uni6094","uni609F","uni60A6","uni60DC","uni611A","uni6148","uni614C","uni6155","uni6168","uni6170","uni6182","uni618E","uni61A9","uni623F","uni6291","uni629E","uni62BD","uni62D8","uni6383","uni638C","uni6392","uni639B","uni63A7","uni63AA","uni63B2","uni63DA","uni63DB","uni63FA","uni643A","uni643E","uni6442","uni64AE","uni64C1","uni64E6","uni6562","uni6597","uni65A4","uni65A5","uni65BD","uni65E2","uni6607","uni6676","uni66AB","uni67B6","uni67D0","uni6851","uni68C4","uni68CB","uni697C","uni6982","uni6B27","uni6B3A","uni6B8A","uni6BB4","uni6CA1","uni6CCC","uni6D6A","uni6E7E","uni6E7F","uni6EC5","uni6ED1","uni6EDD","uni6EDE","uni6F02","uni6F0F","uni6F5C","uni6F64","uni6FEB","uni702C","uni7089","uni708A","uni708E","uni7126","uni7272","uni72A0","uni731F","uni7344","uni7532","uni7554","uni755C","uni75BE","uni75D8","uni7656","uni786C","uni7891","uni790E","uni7949","uni7A1A","uni7A42","uni7A4F","uni7A6B","uni7A92","uni7B26","uni7BE4","uni7C3F","uni7C4D","uni7C8B","uni7C97","uni7C98","uni7CE7","uni7D1B","uni7D3A","uni7D5E","uni7DB1","uni7DCA","uni7DE0","uni7DE9","uni7E1B","uni7E2B","uni7E55","uni7FFB","uni8074","uni809D","uni80C6","uni80CE","uni80DE","uni8105","uni819C","uni81A8","uni82B3","uni82D7","uni83CA","uni83EF","uni846C","uni85E9","uni8650","uni865A","uni86EE","uni885D","uni8870","uni888B","uni88C2","uni88F8","uni8986","uni8A02","uni8A17","uni8A60","uni8A72","uni8A98","uni8ACB","uni8AEE","uni8AFE","uni8B00","uni8B72","uni8C5A","uni8CAB","uni8CCA","uni8CE2","uni8D66","uni8D74","uni8D85","uni8ECC","uni8EF8","uni8F9B","uni8FB1","uni902E","uni9042","uni9047","uni906D","uni9075","uni90A6","uni90AA","uni90CA","uni90ED","uni9154","uni9175","uni92F3","uni9320","uni932C","uni932F","uni935B","uni93AE","uni9418","uni95B2","uni963B","uni966A","uni9673","uni9675","uni9676","uni9686","uni968F","uni9694","uni96BB","uni96C7","uni96F6","uni970A","uni9867","uni98FD","uni9913","uni99D0","uni9A0E","uni9AC4","uni9B42","uni9B45","uni9B54","uni9BE8","uni9D8F"],"漢検漢字（準2級）":["uni4E14","uni4E19","uni4E9C","uni4EAB","uni4EAD","uni4ED9","uni4F2F","uni4F46","uni4F75","uni4FAE","uni4FAF","uni4FCA","uni4FF8","uni502B","uni504F","uni5075","uni507D","uni5091","uni5098","uni50D5","uni50DA","uni5112","uni511F","uni5145","uni51C6","uni51F8","uni51F9","uni5203","uni5256","uni525B","uni5270","uni52BE","uni52C5","uni52F2","uni5347","uni5384","uni53D4","uni53D9","uni541F","uni5448","uni5449","uni5506","uni5507","uni552F","uni559D","uni55AA","uni55E3","uni5687","uni56DA","uni576A","uni57A3","uni57F9","uni5800","uni5815","uni582A","uni5840","uni5841","uni5851","uni585A","uni587E","uni58CC","uni58EE","uni5954","uni5968","uni5983","uni5984","uni598A","uni59A5","uni59FB","uni5A20","uni5A92","uni5ACC","uni5AE1","uni5B9C","uni5BB0","uni5BB5","uni5BDB","uni5BE1","uni5BE7","uni5BEE","uni5C09","uni5C1A","uni5C3C","uni5C65","uni5C6F","uni5CAC","uni5D07","uni5E25","uni5E63","uni5EB6","uni5EB8","uni5EC3","uni5EF7","uni5F0A","uni5F14","uni5F26","uni5F70","uni5FAA","uni5FB9","uni5FCD","uni606D","uni60A0","uni60A3","uni60BC","uni60F0","uni6101","uni6109","uni6176","uni61A4","uni61BE","uni61C7","uni61D0","uni61F2","uni61F8","uni623B","uni6249","uni6276","uni6284","uni628A","uni62AB","uni62B9","uni62D0","uni62D2","uni62D9","uni62EC","uni62F7","uni6311","uni631F","uni633F","uni635C","uni636E","uni642D","uni6469","uni64A4","uni64B2","uni64EC","uni6589","uni658E","uni65CB","uni6606","uni6681","uni66F9","uni6715","uni6734","uni6749","uni6790","uni67A0","uni67A2","uni67F3","uni6813","uni6838","uni683D","uni685F","uni68DA","uni68DF","uni68FA","uni69FD","uni6B3E","uni6B89","uni6BBB","uni6C41","uni6C5F","uni6CB8","uni6CE1","uni6CE5","uni6CF0","uni6D1E","uni6D25","uni6D2A","uni6D44","uni6D66","uni6DAF","uni6DBC","uni6DD1","uni6E07","uni6E09","uni6E0B","uni6E13","uni6E26","uni6E9D","uni6F06","uni6F20","uni6F2C","uni6F38","uni6FEF","uni7169","uni7235","uni732B","uni732E","uni7336","uni733F","uni73E0","uni7434","uni74BD","uni74F6","uni751A","uni755D","uni758E","uni75AB","uni75C7","uni75E2","uni75F4","uni7652","uni76F2","uni773A","uni7761","uni7763","uni77EF","uni7815","uni785D","uni786B","uni7881","uni78E8","uni7901","uni7965","uni7985","uni798D","uni79DF","uni79E9","uni7A3C","uni7A83","uni7AAE","uni7AAF","uni7ADC","uni7B52","uni7C9B","uni7CA7","uni7CFE","uni7D21","uni7D22","uni7D2F","uni7D33","uni7DD2","uni7E4A","uni7E6D","uni7F36","uni7F77","uni7F85","uni7FC1","uni8017","uni808C","uni8096","uni80A2","uni80AF","uni81ED","uni8236","uni8247","uni8266","uni830E","uni8358","uni83CC","uni85A6","uni85AB","uni85FB","uni865C","uni865E","uni868A","uni86C7","uni86CD","uni878D","uni8861","uni8877","uni88D5","uni8910","uni8912","uni895F","uni8987","uni8A1F","uni8A3A","uni8A50","uni8A54","uni8A93","uni8AED","uni8B01","uni8B04","uni8B19","uni8B39","uni8B5C","uni8C9E","uni8CA2","uni8CC4","uni8CD3","uni8CDC","uni8CE0","uni8CFC","uni8DF5","uni8EDF","uni8F44","uni8FC5","uni8FED","uni9010","uni9013","uni901D","uni9038","uni904D","uni906E","uni9077","uni9084","uni90B8","uni914C","uni9162","uni916A","uni916C","uni9177","uni919C","uni91B8","uni91E3","uni9234","uni9262","uni9283","uni9298","uni9591","uni95A5","uni9644","uni9665","uni9685","uni96F0","uni971C","uni9774","uni97FB","uni9811","uni9812","uni983B","uni9855","uni98E2","uni99C4","uni9A30","uni9EBB"],"その他の常用漢字":["uni4E32","uni4E3C","uni4E5E","uni4E80","uni4F0E","uni4FB6","uni4FFA","uni50B2","uni50C5","uni51A5","uni51B6","uni51C4","uni5239","uni525D","uni5265","uni52C3","uni52FE","uni5302","uni53F1","uni5442","uni546A","uni54BD","uni54FA","uni5504","uni553E","uni5589","uni55A9","uni55BB","uni55C5","uni5632","uni5806","uni585E","uni5861","uni586B","uni5996","uni59AC","uni5AC9","uni5B9B","uni5C3B","uni5D16","uni5D50","uni5DFE","uni5F04","uni5F25","uni5F59","uni6028","uni6063","uni60E7","uni6144","uni61A7","uni61AC","uni621A","uni6234","uni62C9","uni62ED","uni62F3","uni62F6","uni6328","uni632B","uni6349","uni6357","uni637B","uni646F","uni6591","uni65AC","uni65E6","uni65FA","uni6627","uni66D6","uni66FD","uni6795","uni67F5","uni67FF","uni6841","uni6897","uni6905","uni690E","uni6977","uni6BC0","uni6C3E","uni6C4E","uni6C70","uni6C83","uni6C99","uni6DEB","uni6E67","uni6EBA","uni6F70","uni714E","uni722A","uni723D","uni7259","uni72D9","uni73A9","uni7460","uni7483","uni74A7","uni74E6","uni754F","uni757F","uni75D5","uni75E9","uni760D","uni7709","uni7766","uni77AD","uni77B3","uni7A3D","uni7A9F","uni7B8B","uni7BB8","uni7C60","uni7DBB","uni7DFB","uni7F75","uni7F9E","uni7FA8","uni8098","uni80A1","uni8107","uni810A","uni814E","uni816B","uni817A","uni819D","uni81B3","uni81C6","uni81FC","uni8237","uni8276","uni82AF","uni82DB","uni840E","uni845B","uni84CB","uni8511","uni853D","uni85CD","uni85E4","uni864E","uni8679","uni8702","uni871C","uni8896","uni88FE","uni8A03","uni8A63","uni8A6E","uni8AB0","uni8AE6","uni8AE7","uni8B0E","uni8C8C","uni8CAA","uni8CBC","uni8CC2","uni8CED","uni8E2A","uni8E74","uni8FA3","uni905C","uni9061","uni90A3","uni914E","uni9192","uni91C7","uni91DC","uni9326","uni932E","uni934B","uni9375","uni938C","uni95C7","uni9699","uni97D3","uni9803","uni9808","uni9813","uni982C","uni9830","uni984E","uni9905","uni990C","uni99D2","uni9AB8","uni9B31","uni9DB4","uni9E93","uni9EBA","u20B9F"],"JIS第一水準#1":["uni4E11","uni4E1E","uni4E43","uni4E4B","uni4E4D","uni4E4E","uni4E5F","uni4E91","uni4E98","uni4E99","uni4E9B","uni4EA5","uni4EA6","uni4EA8","uni4EAE","uni4EC0","uni4EC7","uni4ED4","uni4F0A","uni4F0D","uni4F36","uni4F3D","uni4F43","uni4F51","uni4F7C","uni4F83","uni4FA0","uni4FAD","uni4FC4","uni4FE3","uni5016","uni5026","uni502D","uni5036","uni5072","uni50AD","uni50D1","uni50FB","uni5132","uni5141","uni5147","uni514E","uni515C","uni5176","uni51A8","uni51B4","uni51CB","uni51CC","uni51E7","uni51EA","uni51F1","uni51FD","uni5243","uni5283","uni5289","uni52AB","uni52FA","uni52FF","uni5301","uni5319","uni531D","uni5321","uni532A","uni535C","uni5366","uni536F","uni537F","uni53A8","uni53A9","uni53AD","uni53C9","uni53DB","uni53E1","uni53E2","uni53E9","uni53EA","uni53F6","uni5403","uni540A","uni540B","uni5420","uni543B","uni543E","uni5446","uni5451","uni548B","uni54B3","uni54C9","uni54E8","uni54E9","uni5516","uni5544","uni558B","uni55A7","uni55AC","uni55B0","uni5609","uni5617","uni5618","uni5629","uni5642","uni564C","uni565B","uni5678","uni567A","uni56A2","uni5703","uni572D","uni5750","uni5764","uni5766","uni57A2","uni57DC","uni57E0","uni57F4","uni5830","uni5835","uni583A","uni5858","uni5859","uni5875","uni58D5","uni58EC","uni58F7","uni5919","uni5937","uni5944","uni5957","uni5993","uni59BE","uni59D0","uni59D1","uni59E5","uni59E6","uni59EA","uni59F6","uni5A03","uni5A29","uni5A3C","uni5A41","uni5B09","uni5B2C","uni5B30","uni5B5C","uni5B5F","uni5B8B","uni5B8D","uni5B8F","uni5B95","uni5BA5","uni5BC5","uni5BD3","uni5BF5","uni5C16","uni5C24","uni5C2D","uni5C4D","uni5C51","uni5C60","uni5C61","uni5CA8","uni5CB1","uni5CE8","uni5CEF","uni5CFB","uni5D69","uni5D6F","uni5D8B","uni5DBA","uni5DCC","uni5DF3","uni5DF4","uni5DF7","uni5DFD","uni5E16","uni5E4C","uni5E61","uni5E84","uni5E87","uni5E96","uni5E9A","uni5EB5","uni5ED3","uni5EDF","uni5EE0","uni5EFB","uni5EFC","uni5EFF","uni5F17","uni5F18","uni5F1B","uni5F3C","uni5F4A","uni5F66","uni5F6A","uni5F6C","uni5FBD","uni5FFD","uni601C","uni602F","uni6055","uni6062","uni6070","uni6089","uni608C","uni60B6","uni60C7","uni60DA","uni60DF","uni60E3","uni60F9","uni6108","uni6167","uni617E","uni6190","uni620A","uni620E","uni6216","uni621F","uni6258","uni626E","uni6309","uni633A","uni633D","uni634C","uni6367","uni6372","uni6377","uni637A","uni63A0","uni63A9","uni63AC","uni63B4","uni63BB","uni63C3","uni63D6","uni6478","uni647A","uni6492","uni649A","uni649E","uni64AB","uni64AD","uni64B0","uni64B9","uni64E2","uni64FE","uni6566","uni658C","uni6590","uni65A1","uni65A7","uni65AF","uni65BC","uni65ED","uni6602","uni660C","uni660F","uni6643","uni664B","uni6652","uni6666","uni667A","uni66A2","uni66D9","uni66DD","uni66F3","uni66FE","uni670B","uni6714","uni674E","uni674F","uni6753","uni6756","uni675C","uni6762","uni676D","uni6775","uni6777","uni6787","uni67C1","uni67CA","uni67CF","uni67D1","uni67D8","uni67DA","uni67F4","uni67FE","uni6802","uni6816","uni6817","uni6822","uni6834","uni6842","uni6850","uni6853","uni6854","uni685D","uni6867","uni6876","uni6881","uni6893","uni68A2","uni68A7","uni68AF","uni68B1","uni68B6","uni68BC","uni68C9","uni68F2","uni6900","uni690B","uni6919","uni691B","uni6934","uni693F","uni694A","uni6953","uni6955","uni695A","uni6960","uni6962","uni696F","uni6973","uni698A","uni698E","uni6994","uni699B","uni69CC","uni69CD","uni69D9","uni69FB","uni6A0B","uni6A17","uni6A1F","uni6A2B","uni6A35","uni6A3A","uni6A3D","uni6A58","uni6A61","uni6A7F","uni6A80","uni6A8E","uni6AD3","uni6ADB","uni6AE8","uni6B1D","uni6B23","uni6B3D","uni6B4E","uni6B64","uni6B6A","uni6B86","uni6BC5","uni6BD8","uni6C40","uni6C50","uni6C5D","uni6C72","uni6C8C","uni6C93","uni6CAB","uni6D1B","uni6D29","uni6D32","uni6D69","uni6D6C","uni6D8C","uni6D9B","uni6D9C","uni6DC0","uni6DCB","uni6DD8","uni6DF3","uni6DF5","uni6E1A","uni6E20","uni6E25","uni6E4A","uni6E58","uni6E5B","uni6E8C","uni6E9C","uni6EA2","uni6F09","uni6F15","uni6F23","uni6F45","uni6F97","uni6FB1","uni6FE0","uni6FE1","uni7015","uni701E","uni7026","uni7027","uni7058","uni7078","uni707C","uni70CF","uni70F9","uni7114","uni711A","uni7149","uni7164","uni717D","uni7194","uni71C8","uni71D0","uni71D5","uni71E6","uni71ED","uni723A","uni723E","uni724C","uni7252","uni725D","uni725F","uni7261"],"JIS第一水準#2":["uni7262","uni727D","uni7280","uni72D0","uni72D7","uni72DB","uni72F8","uni72FC","uni72FD","uni732A","uni7337","uni7345","uni7396","uni73B2","uni73C2","uni73CA","uni73EA","uni7409","uni7422","uni7433","uni7435","uni7436","uni745A","uni745B","uni745E","uni7473","uni74DC","uni74E2","uni7511","uni751C","uni7525","uni752B","uni7560","uni7562","uni7566","uni7577","uni758B","uni758F","uni75B9","uni75D4","uni764C","uni7690","uni76C3","uni76C8","uni77A5","uni77E7","uni77E9","uni7825","uni7826","uni7827","uni783A","uni783F","uni786F","uni7872","uni7887","uni788D","uni7893","uni7895","uni7897","uni78A7","uni78A9","uni78D0","uni78EF","uni7941","uni7947","uni7950","uni7962","uni7977","uni7984","uni798E","uni79A6","uni79B0","uni79BD","uni79BE","uni79BF","uni79E4","uni79E6","uni7A00","uni7A14","uni7A17","uni7A1C","uni7A46","uni7A4E","uni7A50","uni7A63","uni7A7F","uni7A84","uni7AAA","uni7ABA","uni7AC3","uni7AE3","uni7AEA","uni7AFA","uni7AFF","uni7B08","uni7B20","uni7B25","uni7B39","uni7B48","uni7B4F","uni7B51","uni7B86","uni7B94","uni7B95","uni7BAA","uni7BAD","uni7BC7","uni7BE0","uni7BED","uni7C38","uni7C3E","uni7C7E","uni7C81","uni7C82","uni7C8D","uni7C95","uni7C9F","uni7CA5","uni7CCA","uni7CCE","uni7CDE","uni7CDF","uni7CE0","uni7D10","uni7D17","uni7D18","uni7D2C","uni7D43","uni7D62","uni7D9C","uni7DAC","uni7DB4","uni7DBE","uni7DCB","uni7DEC","uni7E1E","uni7E4B","uni7E4D","uni7E82","uni7E8F","uni7F6B","uni7FE0","uni7FEB","uni7FF0","uni8000","uni800C","uni8036","uni803D","uni8061","uni806F","uni807E","uni8087","uni808B","uni80B1","uni80B4","uni80E1","uni80E4","uni8106","uni8139","uni8154","uni817F","uni818F","uni81BF","uni81E5","uni8218","uni821B","uni821C","uni8235","uni826E","uni8299","uni82A5","uni82A6","uni82AD","uni82B9","uni82C5","uni82D1","uni82D3","uni82D4","uni82E7","uni82EB","uni8304","uni8305","uni831C","uni8338","uni834A","uni834F","uni837B","uni839E","uni83AB","uni83B1","uni83C5","uni83D6","uni83DF","uni83E9","uni83F0","uni83F1","uni8404","uni840C","uni8429","uni8431","uni844E","uni8461","uni8463","uni8466","uni8471","uni8475","uni847A","uni848B","uni8490","uni8494","uni8499","uni849C","uni84B2","uni84BC","uni84C9","uni84D1","uni84EC","uni84EE","uni8500","uni8513","uni851A","uni8526","uni852D","uni8543","uni8549","uni854A","uni854E","uni8557","uni8568","uni8569","uni856A","uni8597","uni8599","uni85A9","uni85AE","uni85AF","uni85C1","uni85F7","uni8607","uni862D","uni867B","uni86A4","uni86CB","uni86CE","uni86D9","uni86E4","uni86ED","uni86F8","uni86FE","uni8718","uni8749","uni874B","uni8755","uni8766","uni8776","uni877F","uni87BA","uni87F9","uni87FB","uni887F","uni8888","uni88B4","uni88B7","uni88DF","uni88E1","uni88F3","uni8956","uni8997","uni8A0A","uni8A23","uni8A3B","uni8A51","uni8A6B","uni8AB9","uni8ABC","uni8ACC","uni8ACF","uni8AD2","uni8ADC","uni8AFA","uni8B02","uni8B2C","uni8B83","uni8B90","uni8C79","uni8CB0","uni8CCE","uni8CD1","uni8D0B","uni8D6B","uni8DA8","uni8DE8","uni8E44","uni8E5F","uni8EAF","uni8F14","uni8F2F","uni8F3F","uni8F4D","uni8F5F","uni8F61","uni8FB0","uni8FBB","uni8FBF","uni8FC2","uni8FC4","uni8FE6","uni8FE9","uni9017","uni9019","uni9022","uni903C","uni9041","uni9065","uni907C","uni9091","uni90C1","uni912D","uni9149","uni914B","uni9187","uni918D","uni9190","uni9197","uni91A4","uni91C6","uni91D8","uni91E6","uni91E7","uni920E","uni9237","uni9266","uni927E","uni9291","uni929A","uni92D2","uni92E4","uni92EA","uni92F2","uni92F8","uni9306","uni9310","uni9318","uni9328","uni932B","uni934D","uni9354","uni936C","uni937E","uni9397","uni939A","uni93A7","uni93D1","uni9419","uni9438","uni9453","uni9583","uni958F","uni95A4","uni963F","uni9640","uni9688","uni96BC","uni96C0","uni96C1","uni96DB","uni96EB","uni971E","uni9756","uni976D","uni9784","uni978D","uni9798","uni97A0","uni97AD","uni97EE","uni9801","uni9817","uni981A","uni9834","uni985B","uni98F4","uni9910","uni9957","uni99A8","uni99B3","uni99B4","uni99C1","uni99C8","uni99D5","uni99FF","uni9A28","uni9AED","uni9B41","uni9B6F","uni9B8E","uni9B92","uni9BAA","uni9BAB","uni9BAD","uni9BC9","uni9BD6","uni9BDB","uni9BF5","uni9C0D","uni9C10","uni9C2D","uni9C2F","uni9C39","uni9C3B","uni9C48","uni9C52","uni9C57","uni9CE9","uni9CF3","uni9CF6","uni9D07","uni9D0E","uni9D1B","uni9D28"],"JIS第一水準#3":["uni9D2B","uni9D2C","uni9D3B","uni9D5C","uni9D60","uni9D61","uni9D6C","uni9DF2","uni9DF9","uni9DFA","uni9E78","uni9E9F","uni9EB9","uni9EBF","uni9ECD","uni9EDB","uni9F0E","uni9F20","uni9F8D"],"JIS第二水準#1":["uni4E10","uni4E15","uni4E17","uni4E2A","uni4E31","uni4E36","uni4E3F","uni4E42","uni4E55","uni4E56","uni4E58","uni4E62","uni4E82","uni4E85","uni4E8A","uni4E8E","uni4E9E","uni4E9F","uni4EA0","uni4EA2","uni4EB0","uni4EB3","uni4EB6","uni4EC2","uni4EC4","uni4EC6","uni4ECD","uni4ECE","uni4ED7","uni4EDE","uni4EDF","uni4EED","uni4EF7","uni4F09","uni4F1C","uni4F30","uni4F47","uni4F57","uni4F5A","uni4F5B","uni4F5D","uni4F5E","uni4F69","uni4F6F","uni4F70","uni4F76","uni4F7B","uni4F86","uni4F88","uni4F8F","uni4F91","uni4F96","uni4F98","uni4FAB","uni4FCE","uni4FD0","uni4FD1","uni4FD4","uni4FD8","uni4FDA","uni4FDB","uni4FDF","uni4FE4","uni4FE5","uni4FEF","uni4FF6","uni4FFE","uni5005","uni5006","uni500F","uni5011","uni5014","uni501A","uni5021","uni5025","uni5028","uni5029","uni502A","uni502C","uni5043","uni5047","uni5048","uni5050","uni5055","uni5056","uni505A","uni506C","uni5078","uni5080","uni5085","uni509A","uni50B3","uni50B4","uni50C2","uni50C9","uni50CA","uni50D6","uni50DE","uni50E3","uni50E5","uni50ED","uni50EE","uni50F5","uni50F9","uni5101","uni5102","uni5109","uni5114","uni5115","uni5116","uni5118","uni511A","uni5121","uni5137","uni513A","uni513B","uni513C","uni513F","uni5140","uni514C","uni5152","uni5154","uni5162","uni5169","uni516A","uni516E","uni5180","uni5182","uni5189","uni518C","uni518F","uni5190","uni5191","uni5193","uni5195","uni5196","uni51A2","uni51A4","uni51A6","uni51A9","uni51AA","uni51AB","uni51B0","uni51B1","uni51B2","uni51B3","uni51B5","uni51BD","uni51C5","uni51C9","uni51D6","uni51DB","uni51DC","uni51E0","uni51E9","uni51ED","uni51F0","uni51F5","uni51FE","uni5204","uni520B","uni520E","uni5214","uni5227","uni522A","uni522E","uni5233","uni5244","uni524B","uni524C","uni524F","uni5254","uni525E","uni5269","uni526A","uni5271","uni5273","uni5274","uni527D","uni527F","uni5288","uni528D","uni5291","uni5292","uni5294","uni52AC","uni52AD","uni52B5","uni52BC","uni52C1","uni52CD","uni52D2","uni52D7","uni52DE","uni52E0","uni52E3","uni52E6","uni52F3","uni52F5","uni52F8","uni52F9","uni5306","uni5308","uni530D","uni530F","uni5310","uni5315","uni531A","uni5323","uni532F","uni5331","uni5333","uni5338","uni5340","uni5345","uni5346","uni5349","uni534D","uni535E","uni5369","uni536E","uni5377","uni537B","uni5382","uni5396","uni53A0","uni53A5","uni53A6","uni53AE","uni53B0","uni53B6","uni53C3","uni53DF","uni53E8","uni53ED","uni53EE","uni53FA","uni5401","uni541D","uni5429","uni542C","uni542D","uni542E","uni5436","uni543C","uni543D","uni5440","uni544E","uni545F","uni5470","uni5471","uni5475","uni5476","uni5477","uni547B","uni5480","uni5484","uni5486","uni548E","uni548F","uni5490","uni5492","uni54A2","uni54A4","uni54A5","uni54A8","uni54AB","uni54AC","uni54AF","uni54B8","uni54BC","uni54BE","uni54C2","uni54C4","uni54C7","uni54C8","uni54D8","uni54E2","uni54E5","uni54E6","uni54ED","uni54EE","uni54FD","uni550F","uni5514","uni552E","uni5533","uni5538","uni5539","uni5540","uni5545","uni554C","uni5556","uni5557","uni555C","uni555D","uni5563","uni557B","uni557C","uni557E","uni5580","uni5583","uni5587","uni558A","uni5598","uni5599","uni559E","uni559F","uni55A8","uni55AE","uni55C4","uni55C7","uni55D4","uni55DA","uni55DC","uni55DF","uni55E4","uni55F7","uni55F9","uni55FD","uni55FE","uni5614","uni5616","uni561B","uni562F","uni5634","uni5636","uni5638","uni564E","uni5650","uni5664","uni566A","uni566B","uni566C","uni5680","uni5686","uni568A","uni568F","uni5694","uni56A0","uni56A5","uni56AE","uni56B4","uni56B6","uni56BC","uni56C0","uni56C1","uni56C2","uni56C3","uni56C8","uni56CE","uni56D1","uni56D3","uni56D7","uni56D8","uni56EE","uni56F9","uni56FF","uni5700","uni5704","uni5708","uni5709","uni570B","uni570D","uni5713","uni5716","uni5718","uni571C","uni5726","uni5737","uni5738","uni573B","uni5740","uni574E","uni574F","uni5761","uni5769","uni577F","uni5788","uni5789","uni5793","uni57A0","uni57A4","uni57AA","uni57B0","uni57B3","uni57C0","uni57C3","uni57C6","uni57D2","uni57D3","uni57D4","uni57D6","uni57E3","uni580A","uni580B","uni5819","uni581D","uni5821","uni582F","uni583D","uni584B","uni5852","uni5862","uni5870","uni5872","uni5879","uni5885","uni589F","uni58AB","uni58AE","uni58B8","uni58B9","uni58BA","uni58BB","uni58C5","uni58D1","uni58D3","uni58D7","uni58D8"],"JIS第二水準#2":["uni58D9","uni58DC","uni58DE","uni58DF","uni58E4","uni58E5","uni58EF","uni58F9","uni58FA","uni58FB","uni58FC","uni58FD","uni5902","uni590A","uni5910","uni5918","uni591B","uni5925","uni592C","uni592D","uni5932","uni5938","uni593E","uni594E","uni5950","uni5955","uni5958","uni595A","uni5960","uni5962","uni5967","uni5969","uni596C","uni5978","uni5981","uni598D","uni599B","uni599D","uni59A3","uni59B2","uni59C6","uni59D9","uni59DA","uni59DC","uni59E8","uni5A09","uni5A11","uni5A1A","uni5A1C","uni5A1F","uni5A25","uni5A35","uni5A36","uni5A40","uni5A49","uni5A62","uni5A6A","uni5A6C","uni5A9A","uni5ABC","uni5ABD","uni5ABE","uni5AC2","uni5ACB","uni5AD0","uni5AD6","uni5AD7","uni5AE3","uni5AE6","uni5AE9","uni5AFA","uni5AFB","uni5B0B","uni5B0C","uni5B16","uni5B2A","uni5B32","uni5B36","uni5B3E","uni5B40","uni5B43","uni5B45","uni5B51","uni5B55","uni5B5A","uni5B5B","uni5B65","uni5B69","uni5B70","uni5B71","uni5B73","uni5B75","uni5B78","uni5B7A","uni5B80","uni5B83","uni5BA6","uni5BB8","uni5BC3","uni5BC7","uni5BC9","uni5BD0","uni5BD4","uni5BDE","uni5BE2","uni5BE4","uni5BE5","uni5BE6","uni5BE8","uni5BEB","uni5BF0","uni5BF3","uni5BF6","uni5C05","uni5C07","uni5C08","uni5C0D","uni5C13","uni5C20","uni5C22","uni5C28","uni5C38","uni5C39","uni5C41","uni5C46","uni5C4E","uni5C4F","uni5C50","uni5C53","uni5C6C","uni5C6E","uni5C76","uni5C79","uni5C8C","uni5C91","uni5C94","uni5CAB","uni5CB6","uni5CB7","uni5CBB","uni5CBC","uni5CBE","uni5CC5","uni5CC7","uni5CD9","uni5CE9","uni5CEA","uni5CED","uni5CFA","uni5CFD","uni5D0B","uni5D11","uni5D14","uni5D15","uni5D17","uni5D18","uni5D19","uni5D1A","uni5D1B","uni5D1F","uni5D22","uni5D4B","uni5D4C","uni5D4E","uni5D52","uni5D5C","uni5D6C","uni5D73","uni5D76","uni5D82","uni5D84","uni5D87","uni5D8C","uni5D90","uni5D9D","uni5DA2","uni5DAC","uni5DAE","uni5DB7","uni5DBC","uni5DBD","uni5DC9","uni5DCD","uni5DD2","uni5DD3","uni5DD6","uni5DDB","uni5DEB","uni5DF2","uni5DF5","uni5E0B","uni5E11","uni5E19","uni5E1A","uni5E1B","uni5E36","uni5E37","uni5E40","uni5E43","uni5E44","uni5E47","uni5E4E","uni5E54","uni5E57","uni5E5F","uni5E62","uni5E64","uni5E75","uni5E76","uni5E7A","uni5E7F","uni5EA0","uni5EC1","uni5EC2","uni5EC8","uni5ECF","uni5ED0","uni5ED6","uni5EDA","uni5EDB","uni5EDD","uni5EE1","uni5EE2","uni5EE3","uni5EE8","uni5EE9","uni5EEC","uni5EF0","uni5EF1","uni5EF3","uni5EF4","uni5EF8","uni5EFE","uni5F03","uni5F09","uni5F0B","uni5F0C","uni5F0D","uni5F11","uni5F16","uni5F29","uni5F2D","uni5F2F","uni5F38","uni5F41","uni5F48","uni5F4C","uni5F4E","uni5F51","uni5F56","uni5F57","uni5F5C","uni5F5D","uni5F61","uni5F6D","uni5F73","uni5F77","uni5F7F","uni5F82","uni5F83","uni5F87","uni5F88","uni5F8A","uni5F91","uni5F98","uni5F99","uni5F9E","uni5FA0","uni5FA8","uni5FAD","uni5FBC","uni5FD6","uni5FDD","uni5FE4","uni5FF0","uni5FF1","uni5FF8","uni5FFB","uni5FFF","uni600E","uni600F","uni6010","uni6015","uni6019","uni601B","uni6021","uni6026","uni6029","uni602B","uni6031","uni603A","uni6041","uni6042","uni6043","uni6046","uni604A","uni604D","uni6059","uni605A","uni605F","uni6060","uni6064","uni606A","uni606B","uni606C","uni6077","uni6081","uni6083","uni6084","uni608B","uni608D","uni6092","uni6096","uni6097","uni609A","uni609B","uni60A7","uni60B3","uni60B4","uni60B5","uni60B8","uni60BD","uni60C6","uni60D3","uni60D8","uni60E0","uni60E1","uni60F1","uni60F4","uni60F6","uni60F7","uni60FA","uni60FB","uni6100","uni6103","uni6106","uni610D","uni610E","uni6115","uni6121","uni6127","uni6128","uni612C","uni6134","uni613C","uni613D","uni613E","uni613F","uni6142","uni6147","uni614A","uni614D","uni6153","uni6158","uni6159","uni615A","uni615D","uni615F","uni6165","uni616B","uni616F","uni6171","uni6173","uni6174","uni6175","uni6177","uni6187","uni618A","uni6191","uni6194","uni6196","uni6199","uni619A","uni61AB","uni61AE","uni61BA","uni61C3","uni61C6","uni61C8","uni61C9","uni61CA","uni61CB","uni61CC","uni61CD","uni61E3","uni61E6","uni61F4","uni61F6","uni61F7","uni61FA","uni61FC","uni61FD","uni61FE","uni61FF","uni6200","uni6208","uni6209","uni620C","uni620D","uni6214","uni621B","uni621D","uni621E","uni6221","uni622A","uni622E","uni6230","uni6232","uni6233","uni6241","uni6248","uni624E","uni625B","uni625E","uni6260","uni6263","uni6268","uni627C","uni627E","uni6282"],"JIS第二水準#3":["uni6283","uni6289","uni6292","uni6293","uni6294","uni6296","uni629B","uni62AC","uni62BB","uni62C2","uni62C6","uni62C7","uni62C8","uni62CA","uni62CC","uni62CF","uni62D1","uni62D4","uni62D7","uni62DC","uni62EE","uni62EF","uni62F1","uni62F5","uni62FF","uni6302","uni6308","uni630C","uni6327","uni633E","uni634D","uni634F","uni6350","uni6369","uni636B","uni6376","uni6380","uni6389","uni638E","uni638F","uni6396","uni639F","uni63A3","uni63AB","uni63B5","uni63BE","uni63C0","uni63C4","uni63C6","uni63C9","uni63D2","uni63E3","uni63E9","uni63F6","uni6406","uni640F","uni6413","uni6416","uni6417","uni641C","uni6426","uni6428","uni6434","uni6436","uni644E","uni6467","uni6476","uni6488","uni6493","uni6495","uni64A5","uni64A9","uni64BB","uni64BC","uni64C2","uni64C5","uni64C7","uni64D2","uni64D4","uni64D8","uni64DA","uni64E0","uni64E1","uni64E3","uni64E7","uni64EF","uni64F1","uni64F2","uni64F4","uni64F6","uni64FA","uni64FD","uni6500","uni6505","uni6518","uni651C","uni651D","uni6523","uni6524","uni652A","uni652B","uni652C","uni6534","uni6535","uni6536","uni6537","uni6538","uni6548","uni654D","uni6555","uni6556","uni6558","uni655D","uni655E","uni6572","uni6578","uni6582","uni6583","uni6588","uni659B","uni659F","uni65AB","uni65B7","uni65C1","uni65C3","uni65C4","uni65C6","uni65CC","uni65D2","uni65D9","uni65DB","uni65E0","uni65E1","uni65F1","uni65FB","uni6603","uni660A","uni661C","uni6634","uni6635","uni6636","uni663F","uni6641","uni6644","uni6649","uni664F","uni665D","uni665E","uni665F","uni6662","uni6664","uni6667","uni6668","uni6670","uni6683","uni6684","uni6688","uni6689","uni668E","uni6698","uni669D","uni66B8","uni66B9","uni66BC","uni66BE","uni66C1","uni66C4","uni66C9","uni66DA","uni66E0","uni66E6","uni66E9","uni66F0","uni66F5","uni66F7","uni66FC","uni6703","uni670F","uni6716","uni671E","uni6726","uni6727","uni672E","uni6736","uni6737","uni6738","uni673F","uni6741","uni6746","uni6759","uni675E","uni6760","uni6763","uni6764","uni676A","uni6770","uni6772","uni6773","uni677C","uni6785","uni6789","uni678B","uni678C","uni67A1","uni67A6","uni67A9","uni67B3","uni67B4","uni67B7","uni67B8","uni67B9","uni67C6","uni67CE","uni67DD","uni67DE","uni67E2","uni67E4","uni67E7","uni67E9","uni67EC","uni67EE","uni67EF","uni681E","uni6829","uni682B","uni6832","uni6840","uni6846","uni684D","uni684E","uni6859","uni6863","uni6874","uni6877","uni687E","uni687F","uni6883","uni688D","uni688F","uni6894","uni689B","uni689D","uni689F","uni68A0","uni68A6","uni68AD","uni68B3","uni68B5","uni68B9","uni68BA","uni68C6","uni68CA","uni68CD","uni68D4","uni68D5","uni68D7","uni68D8","uni68E0","uni68E1","uni68E3","uni68E7","uni68EF","uni68F9","uni6901","uni6904","uni6908","uni690C","uni690F","uni6912","uni691A","uni6921","uni6922","uni6923","uni6925","uni6926","uni6928","uni692A","uni6930","uni6936","uni6939","uni693D","uni6954","uni6959","uni695C","uni695D","uni695E","uni6961","uni696A","uni696B","uni696E","uni6974","uni6978","uni6979","uni697E","uni6981","uni6991","uni6995","uni699C","uni69A0","uni69A7","uni69AE","uni69B1","uni69B2","uni69B4","uni69BB","uni69BE","uni69BF","uni69C1","uni69C3","uni69C7","uni69CA","uni69CE","uni69D0","uni69D3","uni69DD","uni69DE","uni69E7","uni69E8","uni69EB","uni69ED","uni69F2","uni69F9","uni69FF","uni6A02","uni6A05","uni6A0A","uni6A0C","uni6A12","uni6A13","uni6A14","uni6A1B","uni6A1E","uni6A22","uni6A23","uni6A2E","uni6A36","uni6A38","uni6A44","uni6A47","uni6A48","uni6A59","uni6A62","uni6A66","uni6A72","uni6A78","uni6A84","uni6A8D","uni6A90","uni6A97","uni6A9C","uni6AA0","uni6AA2","uni6AA3","uni6AAA","uni6AAC","uni6AAE","uni6AB3","uni6AB8","uni6ABB","uni6AC1","uni6AC2","uni6AC3","uni6AD1","uni6ADA","uni6ADE","uni6ADF","uni6AEA","uni6AFA","uni6AFB","uni6B05","uni6B0A","uni6B12","uni6B16","uni6B1F","uni6B37","uni6B38","uni6B39","uni6B43","uni6B47","uni6B49","uni6B50","uni6B54","uni6B59","uni6B5B","uni6B5F","uni6B61","uni6B78","uni6B79","uni6B7F","uni6B80","uni6B83","uni6B84","uni6B8D","uni6B95","uni6B98","uni6B9E","uni6BA4","uni6BAA","uni6BAB","uni6BAF","uni6BB1","uni6BB2","uni6BB3","uni6BB7","uni6BBC","uni6BC6","uni6BCB","uni6BD3","uni6BDF","uni6BEB","uni6BEC","uni6BEF","uni6BF3","uni6C08","uni6C13","uni6C14","uni6C1B","uni6C23","uni6C24","uni6C55"],"JIS第二水準#4":["uni6C5E","uni6C62","uni6C68","uni6C6A","uni6C73","uni6C7E","uni6C81","uni6C82","uni6C8D","uni6C90","uni6C92","uni6C9A","uni6C9B","uni6CAE","uni6CB1","uni6CBA","uni6CBD","uni6CBE","uni6CC4","uni6CC5","uni6CD3","uni6CD7","uni6CD9","uni6CDB","uni6CDD","uni6CEA","uni6CEF","uni6CF1","uni6D0C","uni6D12","uni6D19","uni6D1F","uni6D2B","uni6D33","uni6D35","uni6D36","uni6D38","uni6D3D","uni6D59","uni6D5A","uni6D63","uni6D64","uni6D79","uni6D85","uni6D8E","uni6D93","uni6D95","uni6DB5","uni6DB8","uni6DC5","uni6DC6","uni6DC7","uni6DCC","uni6DD2","uni6DD5","uni6DD9","uni6DDE","uni6DE4","uni6DE6","uni6DE8","uni6DEA","uni6DEC","uni6DEE","uni6DF9","uni6DFA","uni6E0A","uni6E15","uni6E19","uni6E1D","uni6E1F","uni6E23","uni6E24","uni6E2B","uni6E2D","uni6E2E","uni6E38","uni6E3A","uni6E3E","uni6E43","uni6E4D","uni6E4E","uni6E5F","uni6E6B","uni6E6E","uni6E72","uni6E76","uni6E82","uni6E8F","uni6E98","uni6E9F","uni6EA5","uni6EAA","uni6EAF","uni6EB2","uni6EB7","uni6EBD","uni6EC2","uni6EC4","uni6EC9","uni6ECC","uni6ED3","uni6ED4","uni6ED5","uni6EEC","uni6EEF","uni6EF2","uni6EF7","uni6EF8","uni6EFE","uni6EFF","uni6F11","uni6F13","uni6F31","uni6F32","uni6F3E","uni6F3F","uni6F41","uni6F58","uni6F5B","uni6F66","uni6F6D","uni6F6F","uni6F74","uni6F78","uni6F7A","uni6F7C","uni6F80","uni6F81","uni6F82","uni6F86","uni6F8E","uni6F91","uni6FA1","uni6FA3","uni6FA4","uni6FAA","uni6FB3","uni6FB9","uni6FC2","uni6FC6","uni6FD4","uni6FD5","uni6FD8","uni6FDB","uni6FDF","uni6FE4","uni6FEC","uni6FEE","uni6FF1","uni6FF3","uni6FF6","uni6FFA","uni6FFE","uni7001","uni7009","uni700B","uni700F","uni7011","uni7018","uni701A","uni701B","uni701D","uni701F","uni7030","uni7032","uni703E","uni704C","uni7051","uni7063","uni7092","uni7099","uni70AC","uni70AE","uni70AF","uni70B3","uni70B8","uni70CB","uni70D9","uni70DD","uni70DF","uni70F1","uni70FD","uni7109","uni7119","uni711C","uni714C","uni7155","uni7156","uni7162","uni7165","uni7166","uni716C","uni7184","uni7188","uni718F","uni7195","uni7199","uni71A8","uni71AC","uni71B9","uni71BE","uni71C9","uni71CE","uni71D2","uni71D4","uni71D7","uni71DF","uni71E0","uni71E7","uni71EC","uni71EE","uni71F5","uni71F9","uni71FB","uni71FC","uni71FF","uni720D","uni7210","uni721B","uni7228","uni722C","uni722D","uni7230","uni7232","uni723B","uni723C","uni723F","uni7240","uni7246","uni724B","uni7258","uni7274","uni727E","uni7281","uni7282","uni7287","uni7292","uni7296","uni72A2","uni72A7","uni72B2","uni72B9","uni72C3","uni72C4","uni72C6","uni72CE","uni72D2","uni72E0","uni72E1","uni72E2","uni72F7","uni72F9","uni730A","uni7316","uni7317","uni731C","uni731D","uni7325","uni7329","uni732F","uni7334","uni733E","uni734E","uni734F","uni7357","uni7368","uni736A","uni7370","uni7375","uni7378","uni737A","uni737B","uni73B3","uni73BB","uni73C0","uni73C8","uni73CE","uni73DE","uni73E5","uni73EE","uni73F1","uni73F8","uni7405","uni7425","uni7432","uni743A","uni743F","uni7441","uni7455","uni7459","uni745C","uni745F","uni7463","uni7464","uni7469","uni746A","uni746F","uni7470","uni7476","uni747E","uni748B","uni749E","uni74A2","uni74CA","uni74CF","uni74D4","uni74E0","uni74E3","uni74E7","uni74E9","uni74EE","uni74F0","uni74F1","uni74F2","uni74F7","uni74F8","uni7503","uni7504","uni7505","uni750C","uni750D","uni750E","uni7513","uni7515","uni751E","uni7526","uni752C","uni7538","uni753C","uni7544","uni7546","uni7549","uni754A","uni754B","uni754D","uni755A","uni755B","uni7564","uni7567","uni7569","uni756B","uni756D","uni7574","uni7576","uni7578","uni7582","uni7586","uni7587","uni7589","uni758A","uni7594","uni759A","uni759D","uni75A3","uni75A5","uni75B1","uni75B3","uni75B5","uni75B8","uni75BC","uni75BD","uni75C2","uni75C3","uni75CA","uni75CD","uni75D2","uni75D9","uni75DE","uni75E3","uni75F0","uni75F2","uni75F3","uni75FA","uni75FC","uni75FE","uni75FF","uni7601","uni7609","uni760B","uni761F","uni7620","uni7621","uni7622","uni7624","uni7627","uni7630","uni7634","uni763B","uni7646","uni7647","uni7648","uni7658","uni765C","uni7661","uni7662","uni7667","uni7668","uni7669","uni766A","uni766C","uni7670","uni7672","uni7676","uni7678","uni767C","uni7680","uni7683","uni7688","uni768B","uni768E","uni7693","uni7696","uni7699","uni769A","uni76B0","uni76B4","uni76B7","uni76B8","uni76B9","uni76BA"],"JIS第二水準#5":["uni76C2","uni76CD","uni76D2","uni76D6","uni76DC","uni76DE","uni76E1","uni76E5","uni76E7","uni76EA","uni76FB","uni7704","uni7707","uni7708","uni771B","uni771E","uni7724","uni7725","uni7726","uni7729","uni7737","uni7738","uni7747","uni775A","uni775B","uni7765","uni7768","uni776B","uni7779","uni777E","uni777F","uni778B","uni778E","uni7791","uni779E","uni77A0","uni77B0","uni77B6","uni77B9","uni77BB","uni77BC","uni77BD","uni77BF","uni77C7","uni77CD","uni77D7","uni77DA","uni77DC","uni77E3","uni77EE","uni77FC","uni780C","uni7812","uni7820","uni7845","uni7874","uni787C","uni7886","uni788C","uni788E","uni789A","uni78A3","uni78AA","uni78AF","uni78B5","uni78BC","uni78BE","uni78C5","uni78C6","uni78CA","uni78CB","uni78D1","uni78D4","uni78DA","uni78E7","uni78EC","uni78F4","uni78FD","uni7907","uni7911","uni7912","uni7919","uni7926","uni792A","uni792B","uni792C","uni7940","uni7953","uni7955","uni7957","uni795A","uni795F","uni7960","uni797A","uni797F","uni7980","uni798A","uni799D","uni79A7","uni79AA","uni79AE","uni79B3","uni79B9","uni79BA","uni79C9","uni79D5","uni79E1","uni79E3","uni79E7","uni79EC","uni7A08","uni7A0D","uni7A18","uni7A19","uni7A1F","uni7A20","uni7A31","uni7A37","uni7A3B","uni7A3E","uni7A43","uni7A49","uni7A57","uni7A61","uni7A62","uni7A69","uni7A70","uni7A79","uni7A7D","uni7A88","uni7A95","uni7A96","uni7A97","uni7A98","uni7AA9","uni7AB0","uni7AB6","uni7ABF","uni7AC4","uni7AC5","uni7AC7","uni7AC8","uni7ACA","uni7ACD","uni7ACF","uni7AD2","uni7AD3","uni7AD5","uni7AD9","uni7ADA","uni7ADD","uni7ADF","uni7AE1","uni7AE2","uni7AE6","uni7AED","uni7AF0","uni7AF8","uni7B02","uni7B04","uni7B06","uni7B0A","uni7B0B","uni7B0F","uni7B18","uni7B19","uni7B1E","uni7B28","uni7B33","uni7B35","uni7B36","uni7B45","uni7B4C","uni7B4D","uni7B50","uni7B5D","uni7B65","uni7B67","uni7B6C","uni7B6E","uni7B70","uni7B71","uni7B74","uni7B75","uni7B7A","uni7B8D","uni7B8F","uni7B92","uni7B98","uni7B99","uni7B9A","uni7B9C","uni7B9D","uni7B9F","uni7BB4","uni7BC1","uni7BC6","uni7BCB","uni7BCC","uni7BCF","uni7BDD","uni7BE5","uni7BE6","uni7BE9","uni7BF3","uni7BF6","uni7BF7","uni7C00","uni7C07","uni7C0D","uni7C11","uni7C12","uni7C13","uni7C14","uni7C17","uni7C1F","uni7C23","uni7C27","uni7C2A","uni7C2B","uni7C37","uni7C3D","uni7C40","uni7C43","uni7C4C","uni7C4F","uni7C50","uni7C54","uni7C56","uni7C58","uni7C5F","uni7C64","uni7C65","uni7C6C","uni7C75","uni7C83","uni7C90","uni7CA1","uni7CA2","uni7CA4","uni7CA8","uni7CAB","uni7CAD","uni7CAE","uni7CB1","uni7CB2","uni7CB3","uni7CB9","uni7CBD","uni7CC0","uni7CC2","uni7CC5","uni7CD2","uni7CD8","uni7CDC","uni7CE2","uni7CEF","uni7CF2","uni7CF4","uni7CF6","uni7CFA","uni7D02","uni7D06","uni7D0A","uni7D15","uni7D1C","uni7D2E","uni7D32","uni7D35","uni7D3F","uni7D45","uni7D46","uni7D4B","uni7D4E","uni7D4F","uni7D56","uni7D5B","uni7D63","uni7D68","uni7D6E","uni7D72","uni7D73","uni7D7D","uni7D89","uni7D8F","uni7D93","uni7D9B","uni7D9F","uni7DA2","uni7DA3","uni7DAB","uni7DAE","uni7DAF","uni7DB0","uni7DB5","uni7DB8","uni7DBA","uni7DBD","uni7DC7","uni7DD5","uni7DD8","uni7DDC","uni7DDD","uni7DDE","uni7DE1","uni7DE4","uni7DF2","uni7E05","uni7E09","uni7E0A","uni7E0B","uni7E12","uni7E1F","uni7E21","uni7E22","uni7E23","uni7E31","uni7E32","uni7E35","uni7E37","uni7E39","uni7E3A","uni7E3B","uni7E3D","uni7E43","uni7E46","uni7E56","uni7E59","uni7E5A","uni7E5D","uni7E5E","uni7E66","uni7E67","uni7E69","uni7E6A","uni7E79","uni7E7B","uni7E7C","uni7E7D","uni7E7F","uni7E83","uni7E88","uni7E89","uni7E8C","uni7E8E","uni7E90","uni7E92","uni7E93","uni7E94","uni7E96","uni7E9B","uni7E9C","uni7F38","uni7F3A","uni7F45","uni7F4C","uni7F4D","uni7F4E","uni7F50","uni7F51","uni7F54","uni7F55","uni7F58","uni7F5F","uni7F60","uni7F67","uni7F68","uni7F69","uni7F78","uni7F79","uni7F82","uni7F83","uni7F86","uni7F87","uni7F88","uni7F8C","uni7F94","uni7F9A","uni7F9D","uni7FA3","uni7FAE","uni7FAF","uni7FB2","uni7FB6","uni7FB8","uni7FB9","uni7FC5","uni7FC6","uni7FCA","uni7FD4","uni7FD5","uni7FE1","uni7FE6","uni7FE9","uni7FF3","uni7FF9","uni8004","uni8006","uni800B","uni8012","uni8018","uni8019","uni801C","uni8021","uni8028","uni803B","uni803F","uni8046","uni804A","uni8052","uni8058","uni805A","uni805F","uni8062","uni8068","uni8070","uni8072","uni8073","uni8076","uni8079"],"JIS第二水準#6":["uni807D","uni807F","uni8084","uni8085","uni8086","uni8093","uni809A","uni809B","uni80AC","uni80AD","uni80C4","uni80D6","uni80D9","uni80DA","uni80DB","uni80DD","uni80E5","uni80EF","uni80F1","uni80FC","uni8109","uni811B","uni8123","uni8129","uni812F","uni813E","uni8146","uni814B","uni8151","uni8153","uni815F","uni8165","uni8166","uni816E","uni8171","uni8174","uni8180","uni8182","uni8183","uni8188","uni818A","uni8193","uni8195","uni81A0","uni81A3","uni81A4","uni81A9","uni81B0","uni81B5","uni81B8","uni81BA","uni81BD","uni81BE","uni81C0","uni81C2","uni81C8","uni81C9","uni81CD","uni81D1","uni81D8","uni81D9","uni81DA","uni81DF","uni81E0","uni81E7","uni81FA","uni81FB","uni81FE","uni8201","uni8202","uni8205","uni8207","uni8209","uni820A","uni820D","uni8210","uni8212","uni8216","uni8229","uni822B","uni822E","uni8233","uni8238","uni8240","uni8258","uni8259","uni825A","uni825D","uni825F","uni8262","uni8264","uni8268","uni826A","uni826B","uni8271","uni8277","uni8278","uni827E","uni828D","uni8292","uni829F","uni82AB","uni82AC","uni82BB","uni82D2","uni82D9","uni82DC","uni82DE","uni82DF","uni82E1","uni82E3","uni82F3","uni82F4","uni82F9","uni82FA","uni82FB","uni8303","uni8306","uni8309","uni8316","uni8317","uni8318","uni8323","uni832B","uni832F","uni8331","uni8332","uni8334","uni8335","uni8339","uni8340","uni8345","uni8350","uni8373","uni8375","uni837C","uni8385","uni8387","uni8389","uni838A","uni838E","uni8393","uni8396","uni839A","uni839F","uni83A0","uni83A2","uni83A8","uni83AA","uni83B5","uni83BD","uni83C1","uni83CE","uni83D8","uni83E0","uni83EB","uni83F2","uni83F4","uni83F7","uni83FB","uni83FD","uni8403","uni8407","uni840B","uni840D","uni8413","uni8420","uni8422","uni842A","uni842C","uni8435","uni8438","uni843C","uni8446","uni8462","uni8469","uni846B","uni846D","uni846E","uni846F","uni8477","uni8479","uni8482","uni8484","uni849F","uni84A1","uni84AD","uni84B9","uni84BB","uni84BF","uni84C1","uni84C6","uni84CA","uni84CD","uni84D0","uni84D6","uni84D9","uni84DA","uni84F4","uni84FC","uni84FF","uni8506","uni8514","uni8515","uni8517","uni8518","uni851F","uni8521","uni852C","uni8540","uni8541","uni8548","uni854B","uni8555","uni8558","uni855A","uni8563","uni856D","uni8577","uni857E","uni8580","uni8587","uni8588","uni858A","uni8590","uni8591","uni8594","uni859B","uni859C","uni85A4","uni85A8","uni85B9","uni85BA","uni85C9","uni85CF","uni85D0","uni85D5","uni85DC","uni85DD","uni85E5","uni85EA","uni85F9","uni85FA","uni85FE","uni8602","uni8606","uni860A","uni860B","uni8613","uni8616","uni8617","uni861A","uni8622","uni862F","uni8630","uni863F","uni864D","uni8654","uni8655","uni865F","uni8667","uni8671","uni868B","uni868C","uni8693","uni86A3","uni86A9","uni86AA","uni86AB","uni86AF","uni86B0","uni86B6","uni86C4","uni86C6","uni86C9","uni86D4","uni86DB","uni86DE","uni86DF","uni86E9","uni86EC","uni86EF","uni86F9","uni86FB","uni8700","uni8703","uni8706","uni8708","uni8709","uni870A","uni870D","uni8711","uni8712","uni871A","uni8725","uni8729","uni8734","uni8737","uni873B","uni873F","uni874C","uni874E","uni8753","uni8757","uni8759","uni875F","uni8760","uni8763","uni8768","uni876A","uni876E","uni8774","uni8778","uni8782","uni879F","uni87A2","uni87AB","uni87AF","uni87B3","uni87BB","uni87BD","uni87C0","uni87C4","uni87C6","uni87C7","uni87CB","uni87D0","uni87D2","uni87E0","uni87EF","uni87F2","uni87F6","uni87F7","uni87FE","uni8805","uni880D","uni880E","uni880F","uni8811","uni8815","uni8816","uni8821","uni8822","uni8823","uni8827","uni8831","uni8836","uni8839","uni883B","uni8842","uni8844","uni884D","uni8852","uni8859","uni885E","uni8862","uni886B","uni8872","uni8875","uni887D","uni887E","uni8881","uni8882","uni888D","uni8892","uni8897","uni8899","uni889E","uni88A2","uni88A4","uni88AE","uni88B0","uni88B1","uni88B5","uni88BF","uni88C3","uni88C4","uni88D4","uni88D8","uni88D9","uni88DD","uni88E8","uni88F2","uni88F4","uni88F9","uni88FC","uni8902","uni8904","uni890A","uni890C","uni8913","uni891D","uni891E","uni8925","uni892A","uni892B","uni8936","uni8938","uni893B","uni8941","uni8943","uni8944","uni894C","uni894D","uni895E","uni8960","uni8964","uni8966","uni896A","uni896D","uni896F","uni8974","uni8977","uni897E","uni8983","uni8988","uni898A","uni8993","uni8998","uni89A1"],"JIS第二水準#7":["uni89A6","uni89A9","uni89AC","uni89AF","uni89B2","uni89BA","uni89BD","uni89BF","uni89C0","uni89DA","uni89DC","uni89DD","uni89E7","uni89F4","uni89F8","uni8A0C","uni8A10","uni8A16","uni8A1B","uni8A1D","uni8A25","uni8A36","uni8A41","uni8A46","uni8A48","uni8A52","uni8A5B","uni8A62","uni8A6C","uni8A6D","uni8A7C","uni8A82","uni8A84","uni8A85","uni8A91","uni8A9A","uni8AA1","uni8AA3","uni8AA5","uni8AA6","uni8AA8","uni8AC2","uni8AC4","uni8ACD","uni8ADA","uni8ADB","uni8ADE","uni8AE0","uni8AE1","uni8AE2","uni8AE4","uni8AEB","uni8AF1","uni8AF3","uni8AF7","uni8B07","uni8B0C","uni8B10","uni8B14","uni8B16","uni8B17","uni8B1A","uni8B20","uni8B26","uni8B28","uni8B2B","uni8B33","uni8B3E","uni8B41","uni8B49","uni8B4C","uni8B4E","uni8B4F","uni8B56","uni8B5A","uni8B5B","uni8B5F","uni8B6B","uni8B6C","uni8B6F","uni8B71","uni8B74","uni8B7D","uni8B80","uni8B8A","uni8B8C","uni8B8E","uni8B92","uni8B93","uni8B96","uni8B99","uni8B9A","uni8C3A","uni8C3F","uni8C41","uni8C48","uni8C4C","uni8C4E","uni8C50","uni8C55","uni8C62","uni8C6B","uni8C6C","uni8C78","uni8C7A","uni8C7C","uni8C82","uni8C85","uni8C89","uni8C8A","uni8C8D","uni8C8E","uni8C94","uni8C98","uni8CAD","uni8CAE","uni8CB2","uni8CB3","uni8CB6","uni8CBD","uni8CC1","uni8CC8","uni8CCD","uni8CDA","uni8CE3","uni8CE4","uni8CFA","uni8CFB","uni8CFD","uni8D04","uni8D05","uni8D07","uni8D0A","uni8D0D","uni8D0F","uni8D10","uni8D13","uni8D14","uni8D16","uni8D67","uni8D6D","uni8D71","uni8D73","uni8D81","uni8D99","uni8DBA","uni8DBE","uni8DC2","uni8DCB","uni8DCC","uni8DCF","uni8DD6","uni8DDA","uni8DDB","uni8DDF","uni8DE3","uni8DEA","uni8DEB","uni8DFC","uni8DFF","uni8E08","uni8E09","uni8E10","uni8E1D","uni8E1E","uni8E1F","uni8E30","uni8E34","uni8E35","uni8E42","uni8E47","uni8E48","uni8E49","uni8E4A","uni8E4C","uni8E50","uni8E55","uni8E59","uni8E60","uni8E63","uni8E64","uni8E72","uni8E76","uni8E7C","uni8E81","uni8E84","uni8E85","uni8E87","uni8E8A","uni8E8B","uni8E91","uni8E93","uni8E94","uni8E99","uni8EA1","uni8EAA","uni8EAC","uni8EB0","uni8EB1","uni8EBE","uni8EC5","uni8EC6","uni8EC8","uni8ECB","uni8EDB","uni8EE3","uni8EEB","uni8EFB","uni8EFC","uni8EFE","uni8F05","uni8F0A","uni8F0C","uni8F12","uni8F13","uni8F15","uni8F19","uni8F1B","uni8F1C","uni8F1F","uni8F26","uni8F33","uni8F39","uni8F3B","uni8F3E","uni8F42","uni8F45","uni8F46","uni8F49","uni8F4C","uni8F4E","uni8F57","uni8F5C","uni8F62","uni8F63","uni8F64","uni8F9C","uni8F9F","uni8FA7","uni8FA8","uni8FAD","uni8FAE","uni8FAF","uni8FB7","uni8FDA","uni8FE2","uni8FE5","uni8FEA","uni8FEF","uni8FF4","uni8FF8","uni8FF9","uni8FFA","uni9005","uni900B","uni900D","uni900E","uni9011","uni9015","uni9016","uni901E","uni9021","uni9027","uni9035","uni9036","uni9039","uni903E","uni9049","uni904F","uni9050","uni9051","uni9052","uni9056","uni9058","uni9059","uni905E","uni9068","uni906F","uni9072","uni9076","uni907D","uni9080","uni9081","uni9082","uni9083","uni9087","uni9089","uni908A","uni908F","uni90A8","uni90AF","uni90B1","uni90B5","uni90DB","uni90E2","uni90E4","uni9102","uni9112","uni9119","uni9130","uni9132","uni914A","uni9156","uni9158","uni9163","uni9165","uni9169","uni9172","uni9173","uni9182","uni9189","uni918B","uni91A2","uni91AA","uni91AB","uni91AF","uni91B4","uni91B5","uni91BA","uni91C0","uni91C1","uni91C9","uni91CB","uni91D0","uni91D6","uni91DB","uni91DF","uni91E1","uni91F5","uni91F6","uni91FC","uni91FF","uni9211","uni9214","uni9215","uni921E","uni9229","uni922C","uni923F","uni9245","uni9248","uni9249","uni924B","uni9250","uni9257","uni925A","uni925E","uni9264","uni9293","uni9295","uni9296","uni929B","uni929C","uni92B7","uni92B9","uni92CF","uni92E9","uni92FA","uni930F","uni9319","uni931A","uni9322","uni9323","uni9335","uni933A","uni933B","uni9344","uni9356","uni935C","uni9360","uni936E","uni937C","uni9394","uni93AC","uni93AD","uni93B0","uni93B9","uni93C3","uni93C8","uni93D0","uni93D6","uni93D7","uni93D8","uni93DD","uni93E4","uni93E5","uni93E8","uni9403","uni9407","uni9410","uni9413","uni9414","uni941A","uni9421","uni942B","uni9435","uni9436","uni943A","uni9441","uni9444","uni9452","uni945A","uni945B","uni945E","uni9460","uni9462","uni946A","uni9470","uni9475","uni9477","uni947C","uni947D","uni947E","uni947F","uni9481","uni9582","uni9587","uni958A","uni9594","uni9596"],"JIS第二水準#8":["uni9598","uni9599","uni95A0","uni95A7","uni95A8","uni95AD","uni95B9","uni95BB","uni95BC","uni95BE","uni95C3","uni95CA","uni95CC","uni95CD","uni95D4","uni95D5","uni95D6","uni95DC","uni95E1","uni95E2","uni95E5","uni9621","uni9628","uni962E","uni962F","uni9642","uni964B","uni964C","uni964F","uni965C","uni965D","uni965E","uni965F","uni9666","uni966C","uni9672","uni9677","uni968B","uni968D","uni9695","uni9697","uni9698","uni96A7","uni96A8","uni96AA","uni96B0","uni96B1","uni96B2","uni96B4","uni96B6","uni96B8","uni96B9","uni96C9","uni96CB","uni96CD","uni96CE","uni96D5","uni96D6","uni96D9","uni96DC","uni96F9","uni9704","uni9706","uni9708","uni970D","uni970E","uni970F","uni9711","uni9713","uni9716","uni9719","uni9724","uni972A","uni9730","uni9738","uni9739","uni973D","uni973E","uni9742","uni9744","uni9746","uni9748","uni9749","uni975C","uni9760","uni9761","uni9764","uni9766","uni9768","uni976B","uni9771","uni9779","uni977A","uni977C","uni9781","uni9785","uni9786","uni978B","uni978F","uni9790","uni979C","uni97A3","uni97A6","uni97A8","uni97AB","uni97B3","uni97B4","uni97C3","uni97C6","uni97C8","uni97CB","uni97DC","uni97ED","uni97F2","uni97F5","uni97F6","uni980C","uni980F","uni9821","uni9824","uni9837","uni9838","uni983D","uni9846","uni984B","uni984F","uni986B","uni986F","uni9870","uni9871","uni9873","uni9874","uni98AA","uni98AF","uni98B1","uni98B6","uni98C3","uni98C4","uni98C6","uni98DC","uni98E9","uni98EB","uni98ED","uni98EE","uni9903","uni9909","uni9912","uni9914","uni9918","uni991D","uni991E","uni9920","uni9921","uni9924","uni992C","uni992E","uni993D","uni993E","uni9942","uni9945","uni9949","uni994B","uni994C","uni9950","uni9951","uni9952","uni9955","uni9997","uni9998","uni99A5","uni99AD","uni99AE","uni99BC","uni99D1","uni99D8","uni99DB","uni99DD","uni99DF","uni99E2","uni99ED","uni99EE","uni99F1","uni99F2","uni99F8","uni99FB","uni9A01","uni9A05","uni9A0F","uni9A19","uni9A2B","uni9A37","uni9A3E","uni9A40","uni9A42","uni9A43","uni9A45","uni9A4D","uni9A55","uni9A57","uni9A5B","uni9A5F","uni9A62","uni9A64","uni9A65","uni9A69","uni9A6A","uni9A6B","uni9AAD","uni9AB0","uni9ABC","uni9AC0","uni9ACF","uni9AD1","uni9AD3","uni9AD4","uni9ADE","uni9ADF","uni9AE2","uni9AE3","uni9AE6","uni9AEB","uni9AEE","uni9AEF","uni9AF1","uni9AF4","uni9AF7","uni9AFB","uni9B06","uni9B18","uni9B1A","uni9B1F","uni9B22","uni9B23","uni9B25","uni9B27","uni9B28","uni9B29","uni9B2A","uni9B2E","uni9B2F","uni9B32","uni9B3B","uni9B43","uni9B44","uni9B4D","uni9B4E","uni9B4F","uni9B51","uni9B58","uni9B74","uni9B83","uni9B91","uni9B93","uni9B96","uni9B97","uni9B9F","uni9BA0","uni9BA8","uni9BB4","uni9BB9","uni9BC0","uni9BC6","uni9BCA","uni9BCF","uni9BD1","uni9BD2","uni9BD4","uni9BE1","uni9BE2","uni9BE3","uni9BE4","uni9BF0","uni9BF1","uni9BF2","uni9C04","uni9C06","uni9C08","uni9C09","uni9C0A","uni9C0C","uni9C12","uni9C13","uni9C14","uni9C15","uni9C1B","uni9C21","uni9C24","uni9C25","uni9C2E","uni9C30","uni9C32","uni9C3A","uni9C3E","uni9C46","uni9C47","uni9C5A","uni9C60","uni9C67","uni9C76","uni9C78","uni9CE7","uni9CEB","uni9CEC","uni9CF0","uni9D03","uni9D06","uni9D08","uni9D09","uni9D12","uni9D15","uni9D1F","uni9D23","uni9D26","uni9D2A","uni9D3E","uni9D3F","uni9D41","uni9D44","uni9D46","uni9D48","uni9D50","uni9D51","uni9D59","uni9D5D","uni9D5E","uni9D64","uni9D6F","uni9D72","uni9D7A","uni9D87","uni9D89","uni9D9A","uni9DA4","uni9DA9","uni9DAB","uni9DAF","uni9DB2","uni9DB8","uni9DBA","uni9DBB","uni9DC1","uni9DC2","uni9DC4","uni9DC6","uni9DCF","uni9DD3","uni9DD9","uni9DE6","uni9DED","uni9DEF","uni9DF8","uni9DFD","uni9E1A","uni9E1B","uni9E1E","uni9E75","uni9E79","uni9E7D","uni9E81","uni9E88","uni9E8B","uni9E8C","uni9E91","uni9E92","uni9E95","uni9E9D","uni9EA5","uni9EA9","uni9EAA","uni9EAD","uni9EB8","uni9EBC","uni9EBE","uni9ECC","uni9ECE","uni9ECF","uni9ED0","uni9ED4","uni9ED8","uni9EDC","uni9EDD","uni9EDE","uni9EE0","uni9EE5","uni9EE8","uni9EEF","uni9EF4","uni9EF6","uni9EF7","uni9EF9","uni9EFB","uni9EFC","uni9EFD","uni9F07","uni9F08","uni9F15","uni9F21","uni9F2C","uni9F3E","uni9F4A","uni9F4B","uni9F4E","uni9F4F","uni9F52","uni9F54","uni9F5F","uni9F60","uni9F61","uni9F63","uni9F66","uni9F67","uni9F6A","uni9F6C","uni9F72","uni9F76","uni9F77","uni9F95","uni9F9C","uni9F9D","uni9FA0"],"漢検漢字（1級まで）":["uni3D4E","uni4E2B","uni4FDE","uni4FE0","uni4FF1","uni5053","uni5077","uni5133","uni51CA","uni5220","uni5231","uni5284","uni52D6","uni5379","uni53B2","uni541E","uni544F","uni54F3","uni5550","uni555E","uni5591","uni5641","uni5653","uni5666","uni566F","uni5699","uni56AC","uni56CA","uni57F3","uni587F","uni58CE","uni59EE","uni59F8","uni5B52","uni5B76","uni5B7C","uni5B7D","uni5C5B","uni5C62","uni5C6D","uni5E00","uni5E6B","uni5E77","uni5F7D","uni60A4","uni60BE","uni6112","uni6160","uni62CB","uni6318","uni6353","uni6414","uni6424","uni644F","uni6451","uni6522","uni65F0","uni6663","uni6673","uni66EC","uni6844","uni685B","uni68B2","uni68BB","uni6980","uni6986","uni69D4","uni6A8B","uni6A94","uni6AF1","uni6AF8","uni6B60","uni6BD7","uni6CAA","uni6F51","uni7006","uni70B7","uni7120","uni7130","uni7256","uni730B","uni736E","uni73AB","uni7447","uni7487","uni756C","uni75F9","uni766D","uni7674","uni7681","uni76CC","uni77FB","uni79B1","uni7AFD","uni7B53","uni7B72","uni7BE1","uni7BEA","uni7C1E","uni7C52","uni7C59","uni7C61","uni7C8F","uni7CDD","uni7CF1","uni7D09","uni7DA6","uni7E15","uni7E48","uni7E61","uni7E6B","uni7E73","uni7E8A","uni7E98","uni8026","uni8141","uni8160","uni82C6","uni8346","uni8401","uni840A","uni8523","uni858F","uni8652","uni870B","uni870E","uni8713","uni8739","uni8758","uni8771","uni8772","uni8788","uni8797","uni87BE","uni87CE","uni87EA","uni87EC","uni8806","uni880A","uni881F","uni884A","uni886E","uni88CE","uni89E5","uni8D6C","uni8DCE","uni8E11","uni8E7B","uni8E83","uni8EAE","uni8EC0","uni8F00","uni902C","uni91AC","uni91B1","uni93BA","uni97DE","uni9839","uni985A","uni986C","uni9A08","uni9A2D","uni9A4E","uni9A52","uni9AE5","uni9B2D","uni9B5E","uni9B6C","uni9B73","uni9B78","uni9B87","uni9BB1","uni9BB2","uni9BB8","uni9BCE","uni9BD0","uni9C18","uni9C19","uni9C1A","uni9C27","uni9C4F","uni9C53","uni9C5B","uni9C5F","uni9C69","uni9C72","uni9D02","uni9D25","uni9D47","uni9D65","uni9D84","uni9D8D","uni9D8E","uni9DAA","uni9DD7","uni9E7C","uni9E87","uni9EA4","uni9EB4","uni9F2F","uni9F34","uni9F39","uni9F90","uniFA1F","uniFA3C","u23D8F","u29D97","u2B4BC","u2CD6A"],"その他の記号":["section","radical","therefore","uni2235","equivalence","acute","uniFF40","dieresis","uniFF3E","uniFFE3","uniFF3F","uni2225","uni3013","element","suchthat","reflexsubset","reflexsuperset","propersubset","propersuperset","union","intersection","logicaland","logicalor","uniFFE2","arrowdblright","arrowdblboth","universal","existential","angle","perpendicular","uni2312","partialdiff","gradient","uni226A","uni226B","uni223D","proportional","integral","uni222C","uni212B","perthousand","uni266F","uni266D","dagger","daggerdbl","paragraph","uni25EF","SF100000","SF110000","SF010000","SF030000","SF040000","SF020000","SF080000","SF060000","SF090000","SF070000","SF050000","uni2501","uni2503","uni250F","uni2513","uni251B","uni2517","uni2523","uni2533","uni252B","uni253B","uni254B","uni2520","uni252F","uni2528","uni2537","uni253F","uni251D","uni2530","uni2525","uni2538","uni2542"],"ギリシャ・キリル文字":["Alpha","Beta","Gamma","uni0394","Epsilon","Zeta","Eta","Theta","Iota","Kappa","Lambda","Mu","Nu","Xi","Omicron","Pi","Rho","Sigma","Tau","Upsilon","Phi","Chi","Psi","uni03A9","alpha","beta","gamma","delta","epsilon","zeta","eta","theta","iota","kappa","lambda","uni03BC","nu","xi","omicron","pi","rho","sigma","tau","upsilon","phi","chi","psi","omega","uni0410","uni0411","uni0412","uni0413","uni0414","uni0415","uni0401","uni0416","uni0417","uni0418","uni0419","uni041A","uni041B","uni041C","uni041D","uni041E","uni041F","uni0420","uni0421","uni0422","uni0423","uni0424","uni0425","uni0426","uni0427","uni0428","uni0429","uni042A","uni042B","uni042C","uni042D","uni042E","uni042F","uni0430","uni0431","uni0432","uni0433","uni0434","uni0435","uni0451","uni0436","uni0437","uni0438","uni0439","uni043A","uni043B","uni043C","uni043D","uni043E","uni043F","uni0440","uni0441","uni0442","uni0443","uni0444","uni0445","uni0446","uni0447","uni0448","uni0449","uni044A","uni044B","uni044C","uni044D","uni044E","uni044F"],"機種依存文字":["uniFF61","uniFF62","uniFF63","uniFF64","uniFF65","uniFF66","uniFF67","uniFF68","uniFF69","uniFF6A","uniFF6B","uniFF6C","uniFF6D","uniFF6E","uniFF6F","uniFF70","uniFF71","uniFF72","uniFF73","uniFF74","uniFF75","uniFF76","uniFF77","uniFF78","uniFF79","uniFF7A","uniFF7B","uniFF7C","uniFF7D","uniFF7E","uniFF7F","uniFF80","uniFF81","uniFF82","uniFF83","uniFF84","uniFF85","uniFF86","uniFF87","uniFF88","uniFF89","uniFF8A","uniFF8B","uniFF8C","uniFF8D","uniFF8E","uniFF8F","uniFF90","uniFF91","uniFF92","uniFF93","uniFF94","uniFF95","uniFF96","uniFF97","uniFF98","uniFF99","uniFF9A","uniFF9B","uniFF9C","uniFF9D","uniFF9E","uniFF9F","uni2460","uni2461","uni2462","uni2463","uni2464","uni2465","uni2466","uni2467","uni2468","uni2469","uni246A","uni246B","uni246C","uni246D","uni246E","uni246F","uni2470","uni2471","uni2472","uni2473","uni2160","uni2161","uni2162","uni2163","uni2164","uni2165","uni2166","uni2167","uni2168","uni2169","uni2170","uni2171","uni2172","uni2173","uni2174","uni2175","uni2176","uni2177","uni2178","uni2179","uni3349","uni3349.vert","uni3314","uni3314.vert","uni3322","uni3322.vert","uni334D","uni334D.vert","uni3318","uni3318.vert","uni3327","uni3327.vert","uni3303","uni3303.vert","uni3336","uni3336.vert","uni3351","uni3351.vert","uni3357","uni3357.vert","uni330D","uni330D.vert","uni3326","uni3326.vert","uni3323","uni3323.vert","uni332B","uni332B.vert","uni334A","uni334A.vert","uni333B","uni333B.vert","uni337E","uni337E.vert","uni337D","uni337D.vert","uni337C","uni337C.vert","uni337B","uni337B.vert","uni32FF","uni32FF.vert","uni339C","uni339D","uni339E","uni338E","uni338F","uni33C4","uni33A1","uni301D","uni301F","uni2116","uni33CD","uni2121","uni32A4","uni32A5","uni32A6","uni32A7","uni32A8","uni3231","uni3232","uni3239"],"付録：般若心経":["uni4ECF","uni8AAC","uni6469","uni8A36","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni5FC3","uni7D4C","uni89B3","uni81EA","uni5728","uni83E9","uni85A9","uni884C","uni6DF1","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni6642","uni7167","uni898B","uni4E94","uni860A","uni7686","uni7A7A","uni5EA6","uni4E00","uni5207","uni82E6","uni5384","uni820E","uni5229","uni5B50","uni8272","uni4E0D","uni7570","uni7A7A","uni7A7A","uni4E0D","uni7570","uni8272","uni8272","uni5373","uni662F","uni7A7A","uni7A7A","uni5373","uni662F","uni8272","uni53D7","uni60F3","uni884C","uni8B58","uni4EA6","uni5FA9","uni5982","uni662F","uni820E","uni5229","uni5B50","uni662F","uni8AF8","uni6CD5","uni7A7A","uni76F8","uni4E0D","uni751F","uni4E0D","uni6EC5","uni4E0D","uni57A2","uni4E0D","uni6D44","uni4E0D","uni5897","uni4E0D","uni6E1B","uni662F","uni6545","uni7A7A","uni4E2D","uni7121","uni8272","uni7121","uni53D7","uni60F3","uni884C","uni8B58","uni7121","uni773C","uni8033","uni9F3B","uni820C","uni8EAB","uni610F","uni7121","uni8272","uni58F0","uni9999","uni5473","uni89E6","uni6CD5","uni7121","uni773C","uni754C","uni4E43","uni81F3","uni7121","uni610F","uni8B58","uni754C","uni7121","uni7121","uni660E","uni4EA6","uni7121","uni7121","uni660E","uni5C3D","uni4E43","uni81F3","uni7121","uni8001","uni6B7B","uni4EA6","uni7121","uni8001","uni6B7B","uni5C3D","uni7121","uni82E6","uni96C6","uni6EC5","uni9053","uni7121","uni667A","uni4EA6","uni7121","uni5F97","uni4EE5","uni7121","uni6240","uni5F97","uni6545","uni83E9","uni63D0","uni85A9","uni57F5","uni4F9D","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni6545","uni5FC3","uni7121","uni7F63","uni7919","uni7121","uni7F63","uni7919","uni6545","uni7121","uni6709","uni6050","uni6016","uni9060","uni96E2","uni4E00","uni5207","uni985B","uni5012","uni5922","uni60F3","uni7A76","uni7ADF","uni6D85","uni69C3","uni4E09","uni4E16","uni8AF8","uni4ECF","uni4F9D","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni6545","uni5F97","uni963F","uni8028","uni591A","uni7F85","uni4E09","uni85D0","uni4E09","uni83E9","uni63D0","uni6545","uni77E5","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni662F","uni5927","uni795E","uni546A","uni662F","uni5927","uni660E","uni546A","uni662F","uni7121","uni4E0A","uni546A","uni662F","uni7121","uni7B49","uni7B49","uni546A","uni80FD","uni9664","uni4E00","uni5207","uni82E6","uni771F","uni5B9F","uni4E0D","uni865A","uni6545","uni8AAC","uni822C","uni82E5","uni6CE2","uni7F85","uni871C","uni591A","uni546A","uni5373","uni8AAC","uni546A","uni66F0","uni7FAF","uni8AE6","uni7FAF","uni8AE6","uni6CE2","uni7F85","uni7FAF","uni8AE6","uni6CE2","uni7F85","uni50E7","uni7FAF","uni8AE6","uni83E9","uni63D0","uni85A9","uni5A46","uni8A36","uni822C","uni82E5","uni5FC3","uni7D4C"]};
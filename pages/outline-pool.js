@@ -0,0 +1,95 @@
+/**
+ * OutlinePool Module
+ * 管理背景轉外框的 Web Worker (outline-worker.js)
+ * 工作依序排隊，有空的 worker 就接手；每個工作屬於一個群組（存檔 save／匯出 export），可整組取消
+ */
+class OutlinePool {
+    constructor(size = Math.max(1, Math.min((navigator.hardwareConcurrency || 2) - 1, 4))) {
+        this.size = size;           // 最多同時執行的 worker 數
+        this.workers = [];          // { worker, job }
+        this.queue = [];
+        this.nextId = 1;
+        this.brushShapes = null;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+    }
+
+    setBrushShapes(shapes) {
+        this.brushShapes = shapes;
+        this.workers.forEach(slot => slot.worker.postMessage({ type: 'brushes', shapes: shapes }));
+    }
+
+    // 由筆畫資料產生外框
+    strokes(data, scale, group = 'save') {
+        return this.run({ type: 'strokes', data: data, scale: scale }, [], group);
+    }
+
+    // 用 potrace 描圖，bitmap 會轉移給 worker
+    trace(bitmap, params, scale, group = 'save') {
+        return this.run({ type: 'trace', bitmap: bitmap, params: params, scale: scale }, [bitmap], group);
+    }
+
+    run(message, transfer, group) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ message: message, transfer: transfer, group: group, resolve: resolve, reject: reject });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            let slot = this.workers.find(s => !s.job);
+            if (!slot && this.workers.length < this.size) slot = this.spawn();
+            if (!slot) return;
+
+            const job = this.queue.shift();
+            job.id = this.nextId++;
+            slot.job = job;
+            slot.worker.postMessage({ id: job.id, ...job.message }, job.transfer);
+        }
+    }
+
+    spawn() {
+        const slot = { worker: new Worker('outline-worker.js'), job: null };
+        slot.worker.onmessage = (event) => {
+            const job = slot.job;
+            if (!job || event.data.id !== job.id) return;
+            slot.job = null;
+            if (event.data.error) job.reject(new Error(event.data.error));
+            else job.resolve(event.data.svg);
+            this.dispatch();
+        };
+        slot.worker.onerror = (event) => {      // 例如無法載入 worker 腳本
+            event.preventDefault();
+            const job = slot.job;
+            slot.job = null;
+            if (job) job.reject(new Error(event.message || 'Outline worker error'));
+            this.dispatch();
+        };
+        if (this.brushShapes) slot.worker.postMessage({ type: 'brushes', shapes: this.brushShapes });
+        this.workers.push(slot);
+        return slot;
+    }
+
+    // 取消群組內所有排隊中與執行中的工作（執行中的 worker 直接終止，之後再重新建立）
+    cancel(group) {
+        const error = new DOMException('Canceled', 'AbortError');
+        this.queue = this.queue.filter(job => {
+            if (job.group !== group) return true;
+            job.reject(error);
+            return false;
+        });
+        this.workers = this.workers.filter(slot => {
+            if (!slot.job || slot.job.group !== group) return true;
+            slot.worker.terminate();
+            slot.job.reject(error);
+            return false;
+        });
+        this.dispatch();
+    }
+}
+
+// Export for use in other modules
+window.OutlinePool = OutlinePool;
@@ -0,0 +1,57 @@
+/**
+ * Outline Worker
+ * 在背景執行緒把字符轉成外框：有筆畫資料時由筆畫產生，只有點陣圖時用 potrace 描圖
+ * 訊息格式：{ id, type: 'strokes' | 'trace' | 'brushes', ... }，回傳 { id, svg } 或 { id, error }
+ */
+self.window = self;     // 各模組以 window.X 匯出，在 worker 中改掛到 self
+importScripts('potrace.js', 'stroke-outline.js', 'pressure-drawing.js');
+
+const strokeOutline = new StrokeOutline();
+const pressureDrawing = new PressureDrawing();
+let pressureReady = null;       // perfect-freehand 載入中的 Promise
+
+// 由筆畫資料產生外框
+async function strokesToSVG(data, scale) {
+    if (data.strokes.some(stroke => stroke.mode == 'pressure')) {
+        if (!pressureReady) pressureReady = pressureDrawing.initialize();
+        if (!await pressureReady) throw new Error('perfect-freehand is not available');
+    }
+    const loops = strokeOutline.build(data, stroke => pressureDrawing.strokeFromPoints(stroke.pts, stroke.opts));
+    return StrokeOutline.toSVGPath(loops, scale);
+}
+
+// 用 potrace 描圖（背景填白，與主執行緒的 toSVG 相同），scale 為輸出座標相對於圖片的比例
+function traceBitmap(bitmap, params, scale) {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    Potrace.setParameter(params);      // threshold 在載入圖片時套用，要先設定
+    Potrace.loadImageData(ctx.getImageData(0, 0, canvas.width, canvas.height));
+    let svgData = '';
+    Potrace.process(function () {      // 圖片已載入，會立即執行
+        svgData = Potrace.getSVG(scale).replace(/^.+path d="/, '').replace(/".+$/, '');
+    });
+    return svgData;
+}
+
+self.onmessage = async function (event) {
+    const message = event.data;
+    if (message.type == 'brushes') {
+        strokeOutline.setBrushShapes(message.shapes);
+        return;
+    }
+
+    try {
+        let svg;
+        if (message.type == 'strokes') svg = await strokesToSVG(message.data, message.scale);
+        else if (message.type == 'trace') svg = traceBitmap(message.bitmap, message.params, message.scale);
+        else throw new Error('Unknown message type: ' + message.type);
+        self.postMessage({ id: message.id, svg: svg });
+    } catch (err) {
+        self.postMessage({ id: message.id, error: err.message });
+    }
+};
@@ -10,6 +10,8 @@
  *     because of the same-origin policy, can not load image from another domain.
  *     input color/grayscale image is simply converted to binary image. no pre-
  *     process is performed.
+ *   loadImageData(imageData): load image from ImageData (also works in Web Workers,
+ *                             where the img/canvas elements are not available)
  * 
  *   setParameter({para1: value, ...}) : set parameters
  *     parameters:
@@ -23,6 +25,9 @@
  *          corner threshold parameter (default: 1)
  *        opttolerance 
  *          curve optimization tolerance (default: 0.2)
+ *        threshold
+ *          pixels darker than this luminance (0-255) are black (default: 128)
+ *          applied when the image is loaded, so set it before loading
  *       
  *   process(callback) : wait for the image be loaded, then run potrace algorithm,
  *                       then call callback function.
@@ -101,8 +106,9 @@ var Potrace = (function() {
     this.beta = new Array(n);
   }
 
-  var imgElement = document.createElement("img"),
-      imgCanvas = document.createElement("canvas"),
+  var hasDocument = typeof document !== "undefined",
+      imgElement = hasDocument ? document.createElement("img") : null,
+      imgCanvas = hasDocument ? document.createElement("canvas") : null,
       bm = null,
       pathlist = [],
       callback,
@@ -112,13 +118,16 @@ var Potrace = (function() {
         turdsize: 2,
         optcurve: true,
         alphamax: 1,
-        opttolerance: 0.2
+        opttolerance: 0.2,
+        threshold: 128
       };
 
-  imgElement.onload = function() {
-    loadCanvas();
-    loadBm();
-  };
+  if (imgElement) {
+    imgElement.onload = function() {
+      loadCanvas();
+      loadBm();
+    };
+  }
 
   function loadImageFromFile(file) {
     if (info.isReady) {
@@ -142,6 +151,13 @@ var Potrace = (function() {
     
   }
   
+  function loadImageData(imageData) {
+    if (info.isReady) {
+      clear();
+    }
+    loadBmFromData(imageData);
+  }
+
   function setParameter(obj) {
    var key;
    for (key in obj) {
@@ -160,13 +176,16 @@ var Potrace = (function() {
   
   function loadBm() {
     var ctx = imgCanvas.getContext('2d');
-    bm = new Bitmap(imgCanvas.width, imgCanvas.height);
-    var imgdataobj = ctx.getImageData(0, 0, bm.w, bm.h);
+    loadBmFromData(ctx.getImageData(0, 0, imgCanvas.width, imgCanvas.height));
+  }
+
+  function loadBmFromData(imgdataobj) {
+    bm = new Bitmap(imgdataobj.width, imgdataobj.height);
     var l = imgdataobj.data.length, i, j, color;
     for (i = 0, j = 0; i < l; i += 4, j++) {
       color = 0.2126 * imgdataobj.data[i] + 0.7153 * imgdataobj.data[i + 1] +
           0.0721 * imgdataobj.data[i + 2];
-      bm.data[j] = (color < 128 ? 1 : 0);
+      bm.data[j] = (color < info.threshold ? 1 : 0);
     }
     info.isReady = true;
   }
@@ -1296,6 +1315,7 @@ var Potrace = (function() {
   return{
     loadImageFromFile: loadImageFromFile,
     loadImageFromUrl: loadImageFromUrl,
+    loadImageData: loadImageData,
     setParameter: setParameter,
     process: process,
     getSVG: getSVG,
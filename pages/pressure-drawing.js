@@ -92,34 +92,32 @@ class PressureDrawing {
             this.startPoint = null;
             return null;
         }
-        
-        // 如果還在延遲繪製狀態，說明沒有足夠的移動，直接生成圓形點
-        if (this.delayedStart && this.startPoint) {
-            this.isDrawing = false;
-            this.delayedStart = false;
-            const strokePoints = [[this.startPoint.x, this.startPoint.y, this.startPoint.pressure]];
-            this.startPoint = null;
-            return this.generateCircularDot(strokePoints, options);
-        }
-        
-        // 如果筆跡太短（只有起始點），也生成圓形點
-        if (this.currentStroke.length < 2) {
-            this.isDrawing = false;
-            this.delayedStart = false;
-            const strokePoints = [...this.currentStroke];
-            this.startPoint = null;
-            return this.generateCircularDot(strokePoints, options);
-        }
 
-        // 動態決定是否模擬壓力
-        const shouldSimulatePressure = !this.hasPressureSupport && this.pressureCheckCount > 3;
+        // 如果還在延遲繪製狀態，筆跡只會有起筆點，strokeFromPoints 會直接生成圓形點
+        const strokePoints = this.getCurrentStrokePoints();
+        const strokeOptions = { simulatePressure: this.shouldSimulatePressure(), ...options };
+
+        this.isDrawing = false;
+        this.currentStroke = [];
+        this.delayedStart = false;
+        this.startPoint = null;
+
+        return this.strokeFromPoints(strokePoints, strokeOptions);
+    }
 
-        const defaultOptions = {
+    // 動態決定是否模擬壓力（尚未偵測到真實筆壓時）
+    shouldSimulatePressure() {
+        return !this.hasPressureSupport && this.pressureCheckCount > 3;
+    }
+
+    // Default perfect-freehand options
+    defaultStrokeOptions() {
+        return {
             size: 12,
             thinning: 0.8,          // 增加壓力對粗細的影響
             smoothing: 0.5,
             streamline: 0.3,        // 減少流線化，讓壓力變化更明顯
-            simulatePressure: shouldSimulatePressure, // 動態決定是否模擬壓力
+            simulatePressure: false,
             easing: (t) => t,
             start: {
                 taper: 0,
@@ -132,26 +130,31 @@ class PressureDrawing {
                 cap: true           // 使用圓頭來避免尖銳結尾
             }
         };
+    }
 
-        const finalOptions = { ...defaultOptions, ...options };
+    // Build the stroke outline from recorded points
+    // 不依賴繪製中的狀態，因此也能用來重繪已儲存的筆畫
+    strokeFromPoints(points, options = {}) {
+        if (!points || points.length === 0) return null;
+
+        // 如果筆跡太短（只有起始點），生成圓形點
+        if (points.length < 2) {
+            return this.generateCircularDot(points, options);
+        }
+
+        const finalOptions = { ...this.defaultStrokeOptions(), ...options };
         
         try {
-                        // 複製 stroke 點，避免修改原始資料
-            let strokePoints = [...this.currentStroke];
+            // 複製 stroke 點，避免修改原始資料
+            let strokePoints = points.map(point => [...point]);
             
             // 壓力平滑處理
             if (strokePoints.length > 5) {
                 strokePoints = this.smoothPressureValues(strokePoints);
             }
             
-
-            
             // 檢查是否為靜止點或極短筆跡
             if (strokePoints.length <= 3) {
-                this.isDrawing = false;
-                this.currentStroke = [];
-                this.delayedStart = false;
-                this.startPoint = null;
                 return this.generateCircularDot(strokePoints, finalOptions);
             }
             
@@ -160,27 +163,12 @@ class PressureDrawing {
             const maxDistance = Math.max(bounds.width, bounds.height);
             
             if (maxDistance < 8) { // 如果筆跡範圍小於 8 像素
-                this.isDrawing = false;
-                this.currentStroke = [];
-                this.delayedStart = false;
-                this.startPoint = null;
                 return this.generateCircularDot(strokePoints, finalOptions);
             }
             
             // Get stroke outline from perfect-freehand
-            const outlinePoints = this.perfectFreehandModule.getStroke(strokePoints, finalOptions);
-            
-            this.isDrawing = false;
-            this.currentStroke = [];
-            this.delayedStart = false;
-            this.startPoint = null;
-            
-            return outlinePoints;
+            return this.perfectFreehandModule.getStroke(strokePoints, finalOptions);
         } catch (error) {
-            this.isDrawing = false;
-            this.currentStroke = [];
-            this.delayedStart = false;
-            this.startPoint = null;
             return null;
         }
     }
@@ -443,29 +431,7 @@ class PressureDrawing {
         // 在延遲繪製狀態下不生成預覽筆跡
         if (this.delayedStart) return null;
 
-        // 動態決定是否模擬壓力
-        const shouldSimulatePressure = !this.hasPressureSupport && this.pressureCheckCount > 3;
-
-        const defaultOptions = {
-            size: 12,
-            thinning: 0.8,          // 增加壓力對粗細的影響
-            smoothing: 0.5,
-            streamline: 0.3,        // 減少流線化，讓壓力變化更明顯
-            simulatePressure: shouldSimulatePressure, // 動態決定是否模擬壓力
-            easing: (t) => t,
-            start: {
-                taper: 0,
-                easing: (t) => t,
-                cap: true
-            },
-            end: {
-                taper: 25,          // 大幅增加結尾的漸減效果
-                easing: (t) => Math.sin((t * Math.PI) / 2), // 使用正弦緩動，更平滑
-                cap: true           // 使用圓頭來避免尖銳結尾
-            }
-        };
-
-        const finalOptions = { ...defaultOptions, ...options };
+        const finalOptions = { ...this.defaultStrokeOptions(), simulatePressure: this.shouldSimulatePressure(), ...options };
         
         try {
             // 對預覽筆跡也應用壓力平滑
@@ -0,0 +1,286 @@
+/**
+ * ProjectBackup Module
+ * 專案備份檔的建立與讀取：JSON 清單（版本、設定、各字符的時間與校驗碼）加上各字符資料，可選擇壓縮成 ZIP
+ * 也能讀取舊版以 Tab 分隔的 TXT 備份檔
+ */
+class ProjectBackup {
+    static format = 'writemyfont-backup';
+    static formatVersion = 1;
+    static glyphPrefixes = ['g', 's', 'k', 'h'];       // 點陣圖、外框、筆畫、復原紀錄
+    static timePrefix = 't';                            // 最後修改時間
+
+    // 把資料庫的資料列分成設定與字符
+    static splitRows(rows) {
+        const settings = {};
+        const glyphs = {};
+        rows.forEach(row => {
+            const m = row.key.match(/^([gskht])_(.+)$/);
+            if (!m) {
+                settings[row.key] = row.value;
+                return;
+            }
+            if (!glyphs[m[2]]) glyphs[m[2]] = {};
+            glyphs[m[2]][m[1]] = row.value;
+        });
+        return { settings: settings, glyphs: glyphs };
+    }
+
+    // 建立備份：info 為 { appVersion, project }
+    static async create(rows, info) {
+        const { settings, glyphs } = ProjectBackup.splitRows(rows);
+        const manifest = {
+            format: ProjectBackup.format,
+            formatVersion: ProjectBackup.formatVersion,
+            appVersion: info.appVersion,
+            created: new Date().toISOString(),
+            project: info.project,
+            settings: settings,
+            glyphs: {}
+        };
+        const entries = {};
+        for (const gname in glyphs) {
+            if (!glyphs[gname].g && !glyphs[gname].k) continue;     // 只剩復原紀錄等殘留資料的字符不備份
+            const entry = {};
+            ProjectBackup.glyphPrefixes.forEach(p => {
+                if (glyphs[gname][p] != null) entry[p] = glyphs[gname][p];
+            });
+            entries[gname] = entry;
+            manifest.glyphs[gname] = {
+                updated: (glyphs[gname].t || 0) * 1,
+                checksum: await ProjectBackup.sha256(JSON.stringify(entry))
+            };
+        }
+        manifest.checksum = await ProjectBackup.manifestChecksum(manifest);
+        return { manifest: manifest, entries: entries };
+    }
+
+    static async manifestChecksum(manifest) {
+        return ProjectBackup.sha256(JSON.stringify({ settings: manifest.settings, glyphs: manifest.glyphs }));
+    }
+
+    static async sha256(text) {
+        const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(hash), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // 輸出成檔案：JSON 單一檔案，或 ZIP（manifest.json 加上 glyphs/<字符名稱>.json）
+    static async toBlob(backup, zip = false) {
+        if (!zip) {
+            return new Blob([JSON.stringify(backup)], { type: 'application/json' });
+        }
+        const encoder = new TextEncoder();
+        const files = [{ name: 'manifest.json', data: encoder.encode(JSON.stringify(backup.manifest)) }];
+        for (const gname in backup.entries) {
+            files.push({ name: 'glyphs/' + gname + '.json', data: encoder.encode(JSON.stringify(backup.entries[gname])) });
+        }
+        return new Blob([await ProjectBackup.zip(files)], { type: 'application/zip' });
+    }
+
+    // 讀取備份檔（ZIP、JSON 或舊版 TXT），並檢查校驗碼
+    // 回傳 { manifest, entries, legacy, corrupted: [校驗失敗的字符名稱] }
+    static async read(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const decoder = new TextDecoder();
+        let backup;
+        if (bytes[0] === 0x50 && bytes[1] === 0x4B) {          // "PK"：ZIP
+            const files = await ProjectBackup.unzip(bytes);
+            if (!files.has('manifest.json')) throw new Error('manifest.json not found');
+            backup = { manifest: JSON.parse(decoder.decode(files.get('manifest.json'))), entries: {} };
+            for (const gname in backup.manifest.glyphs) {
+                const data = files.get('glyphs/' + gname + '.json');
+                if (data) backup.entries[gname] = JSON.parse(decoder.decode(data));
+            }
+        } else {
+            const text = decoder.decode(bytes);
+            if (text.trimStart().startsWith('{')) {
+                backup = JSON.parse(text);
+            } else {
+                return ProjectBackup.fromLegacy(text);
+            }
+        }
+
+        const manifest = backup.manifest;
+        if (!manifest || manifest.format !== ProjectBackup.format) throw new Error('Unknown backup format');
+        if (manifest.formatVersion > ProjectBackup.formatVersion) throw new Error('Backup is newer than this version');
+        if (manifest.checksum !== await ProjectBackup.manifestChecksum(manifest)) throw new Error('Manifest checksum mismatch');
+
+        backup.legacy = false;
+        backup.corrupted = [];
+        for (const gname in manifest.glyphs) {
+            const entry = backup.entries[gname];
+            if (!entry || manifest.glyphs[gname].checksum !== await ProjectBackup.sha256(JSON.stringify(entry))) {
+                backup.corrupted.push(gname);
+                delete backup.entries[gname];
+            }
+        }
+        return backup;
+    }
+
+    // 舊版備份檔：每行「鍵值<Tab>內容」，沒有修改時間
+    static fromLegacy(text) {
+        const rows = [];
+        text.split('\n').forEach(line => {
+            const tab = line.indexOf('\t');
+            if (tab <= 0) return;
+            rows.push({ key: line.substring(0, tab).trim(), value: line.substring(tab + 1).trim() });
+        });
+        const { settings, glyphs } = ProjectBackup.splitRows(rows);
+        const manifest = { format: ProjectBackup.format, formatVersion: 0, appVersion: null, created: null, settings: settings, glyphs: {} };
+        const entries = {};
+        for (const gname in glyphs) {
+            if (!glyphs[gname].g && !glyphs[gname].k) continue;
+            entries[gname] = glyphs[gname];
+            manifest.glyphs[gname] = { updated: 0 };
+        }
+        return { manifest: manifest, entries: entries, legacy: true, corrupted: [] };
+    }
+
+    // 試算還原結果（不寫入資料）：mode 為 'merge' 或 'replace'，rows 為目前資料庫的內容
+    // 合併時依字符的修改時間決定，備份較新才覆蓋；設定只補上目前沒有的項目，自訂字表取聯集
+    static plan(backup, rows, mode) {
+        const current = ProjectBackup.splitRows(rows);
+        const result = { mode: mode, add: [], update: [], keep: [], remove: [], corrupted: backup.corrupted, put: [], delete: [] };
+        const putGlyph = (gname) => {
+            const entry = backup.entries[gname];
+            ProjectBackup.glyphPrefixes.forEach(p => {
+                if (entry[p] != null) result.put.push({ key: p + '_' + gname, value: entry[p] });
+                else if (mode === 'merge' && current.glyphs[gname] && current.glyphs[gname][p] != null) result.delete.push(p + '_' + gname);
+            });
+            const updated = backup.manifest.glyphs[gname].updated;
+            if (updated) result.put.push({ key: ProjectBackup.timePrefix + '_' + gname, value: updated });
+        };
+
+        for (const gname in backup.entries) {
+            const local = current.glyphs[gname];
+            if (mode === 'replace' || !local || (!local.g && !local.k)) {
+                result.add.push(gname);
+                putGlyph(gname);
+            } else if (backup.manifest.glyphs[gname].updated > (local.t || 0) * 1) {
+                result.update.push(gname);
+                putGlyph(gname);
+            } else {
+                result.keep.push(gname);
+            }
+        }
+
+        const settings = backup.manifest.settings;
+        if (mode === 'replace') {
+            for (const gname in current.glyphs) {
+                if (!backup.entries[gname] && (current.glyphs[gname].g || current.glyphs[gname].k)) result.remove.push(gname);
+            }
+            for (const key in settings) result.put.push({ key: key, value: settings[key] });
+        } else {
+            for (const key in settings) {
+                if (key === 'customGlyphs' && current.settings[key]) {
+                    const list = current.settings[key].split(',');
+                    settings[key].split(',').forEach(g => { if (g && !list.includes(g)) list.push(g); });
+                    result.put.push({ key: key, value: list.join(',') });
+                } else if (current.settings[key] == null) {
+                    result.put.push({ key: key, value: settings[key] });
+                }
+            }
+        }
+        return result;
+    }
+
+    // 簡易 ZIP（deflate 壓縮，不支援時改為不壓縮）
+    static async zip(files) {
+        const encoder = new TextEncoder();
+        const local = [];
+        const central = [];
+        let offset = 0;
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+            const crc = ProjectBackup.crc32(file.data);
+            let method = 0;
+            let data = file.data;
+            if (typeof CompressionStream !== 'undefined') {
+                const compressed = new Uint8Array(await new Response(new Blob([file.data]).stream().pipeThrough(new CompressionStream('deflate-raw'))).arrayBuffer());
+                if (compressed.length < data.length) {
+                    method = 8;
+                    data = compressed;
+                }
+            }
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true);         // 檔名為 UTF-8
+            header.setUint16(8, method, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, file.data.length, true);
+            header.setUint16(26, name.length, true);
+            local.push(new Uint8Array(header.buffer), name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, method, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, file.data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+            offset += 30 + name.length + data.length;
+        }
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        return new Blob([...local, ...central, new Uint8Array(end.buffer)]);
+    }
+
+    // 讀取 ZIP，回傳 Map(檔名 → 內容)
+    static async unzip(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let end = bytes.length - 22;
+        while (end >= 0 && view.getUint32(end, true) !== 0x06054B50) end--;
+        if (end < 0) throw new Error('Invalid zip file');
+
+        const files = new Map();
+        const count = view.getUint16(end + 10, true);
+        let pos = view.getUint32(end + 16, true);
+        for (let i = 0; i < count; i++) {
+            const method = view.getUint16(pos + 10, true);
+            const size = view.getUint32(pos + 20, true);
+            const nameLength = view.getUint16(pos + 28, true);
+            const extraLength = view.getUint16(pos + 30, true);
+            const commentLength = view.getUint16(pos + 32, true);
+            const offset = view.getUint32(pos + 42, true);
+            const name = new TextDecoder().decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+            const dataStart = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+            let data = bytes.subarray(dataStart, dataStart + size);
+            if (method === 8) {
+                data = new Uint8Array(await new Response(new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).arrayBuffer());
+            } else if (method !== 0) {
+                throw new Error('Unsupported zip compression method');
+            }
+            files.set(name, data);
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+        return files;
+    }
+
+    static crc32(bytes) {
+        if (!ProjectBackup.crcTable) {
+            ProjectBackup.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                ProjectBackup.crcTable[n] = c;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = ProjectBackup.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// Export for use in other modules
+window.ProjectBackup = ProjectBackup;
@@ -0,0 +1,449 @@
+/**
+ * Stroke Outline Module
+ * 由筆畫資料直接產生向量外框（不經過點陣描圖）
+ * 每一筆先擴張成封閉的輪廓，再把所有輪廓做聯集（橡皮擦則為差集），輸出方向一致的外框
+ */
+
+class StrokeOutline {
+    constructor(options = {}) {
+        this.tolerance = options.tolerance ?? 0.6;      // 中心線簡化容差（畫布像素）
+        this.simplify = options.simplify ?? 0.3;        // 外框簡化容差（畫布像素）
+        this.minArea = options.minArea ?? 4;            // 小於此面積的輪廓視為雜點（平方像素）
+        this.brushShapes = [];                          // 各筆刷的外形（凸多邊形）
+    }
+
+    // 由筆刷圖檔取出外形：不透明度過半的像素所構成的凸包
+    // 座標正規化到 0～1，實際蓋印時再依筆寬縮放
+    static shapeFromImage(img, threshold = 128) {
+        const w = img.naturalWidth || img.width;
+        const h = img.naturalHeight || img.height;
+        const canvas = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(w, h) : Object.assign(document.createElement('canvas'), { width: w, height: h });
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+        const data = ctx.getImageData(0, 0, w, h).data;
+
+        const points = [];
+        for (let y = 0; y < h; y++) {
+            let left = -1, right = -1;
+            for (let x = 0; x < w; x++) {
+                if (data[(y * w + x) * 4 + 3] >= threshold) {
+                    if (left < 0) left = x;
+                    right = x;
+                }
+            }
+            if (left < 0) continue;
+            points.push([left, y], [left, y + 1], [right + 1, y], [right + 1, y + 1]);
+        }
+        if (points.length === 0) return null;
+
+        const hull = StrokeOutline.simplifyLoop(StrokeOutline.convexHull(points), Math.max(w, h) * 0.004);
+        return hull.map(([x, y]) => [x / w, y / h]);
+    }
+
+    // 設定筆刷外形（與 brushes 陣列的索引對應）
+    setBrushShapes(shapes) {
+        this.brushShapes = shapes;
+    }
+
+    // 建立整個字符的外框
+    // data: 筆畫資料（見 fontdrawer.js 的 newStrokeData）
+    // pressureOutline: 舊筆壓模式筆畫的外框產生函式 (stroke) => [[x, y], ...]
+    // 回傳輪廓陣列，座標為畫布座標；外框為順時針、內框為逆時針（畫布 y 軸向下）
+    build(data, pressureOutline = null) {
+        const layers = [];
+        data.strokes.forEach(stroke => {
+            const polygons = stroke.mode == 'pressure' ? this.pressurePolygons(stroke, pressureOutline) : this.brushPolygons(stroke);
+            if (polygons.length === 0) return;
+            layers.push({ erase: !!stroke.erase, polygons: polygons, box: StrokeOutline.boundsOf(polygons.map(p => p.box)) });
+        });
+        if (layers.length === 0) return [];
+
+        // 畫布外的部分不會被畫出來，所以畫布範圍也當成一個多邊形參與運算
+        const clipPts = [[0, 0], [data.w, 0], [data.w, data.h], [0, data.h]];
+        const clip = { pts: clipPts, box: StrokeOutline.boundsOf([clipPts]) };
+        const polygons = [clip];
+        layers.forEach(layer => polygons.push(...layer.polygons));
+
+        const segments = this.splitPolygons(polygons);
+        const boundary = this.classify(segments, clip, layers);
+        return this.chain(boundary)
+            .map(loop => StrokeOutline.simplifyLoop(loop, this.simplify))
+            .filter(loop => loop.length >= 3 && Math.abs(StrokeOutline.area(loop)) >= this.minArea);
+    }
+
+    // 一般筆刷：在每個取樣點依筆壓縮放筆刷外形，相鄰兩點的筆刷取凸包
+    // 筆刷外形是凸的，所以兩個印之間連續蓋印的範圍剛好就是這個凸包
+    brushPolygons(stroke) {
+        const shape = this.brushShapes[stroke.brush] || this.brushShapes[0] || StrokeOutline.circle(24);
+        const samples = stroke.pts.map(pt => [pt[0], pt[1], stroke.width * pt[2] * 2]);
+        const centerline = StrokeOutline.simplifyLine(samples, this.tolerance);
+
+        const stamp = ([x, y, lw]) => shape.map(([u, v]) => [x - lw / 2 + u * (lw + 1), y - lw / 2 + v * (lw + 1)]);
+        const polygons = [];
+        if (centerline.length === 1) {
+            polygons.push(stamp(centerline[0]));
+        }
+        for (let i = 1; i < centerline.length; i++) {
+            polygons.push(StrokeOutline.convexHull(stamp(centerline[i - 1]).concat(stamp(centerline[i]))));
+        }
+        return polygons.map(pts => ({ pts: pts, box: StrokeOutline.boundsOf([pts]) }));
+    }
+
+    // 舊筆壓模式：perfect-freehand 的外框可能自我交錯，以非零環繞規則判斷內外
+    pressurePolygons(stroke, pressureOutline) {
+        const outline = pressureOutline ? pressureOutline(stroke) : null;
+        if (!outline || outline.length < 3) return [];
+        const pts = outline.map(([x, y]) => [x, y]);
+        return [{ pts: pts, box: StrokeOutline.boundsOf([pts]) }];
+    }
+
+    // 在所有交點切開各多邊形的邊，並把頂點對齊到 1/128 像素的格點上
+    // 每個多邊形記下自己切開後的小段 (pieces)，重疊的小段則合併成同一條線段並記錄所屬的多邊形
+    splitPolygons(polygons) {
+        const edges = [];
+        polygons.forEach(polygon => {
+            polygon.pieces = [];
+            const pts = polygon.pts;
+            for (let i = 0; i < pts.length; i++) {
+                const a = pts[i];
+                const b = pts[(i + 1) % pts.length];
+                if (a[0] !== b[0] || a[1] !== b[1]) edges.push({ a: a, b: b, polygon: polygon, cuts: [{ t: 0, pt: a }, { t: 1, pt: b }] });
+            }
+        });
+
+        const cellSize = 16;
+        const grid = new Map();
+        edges.forEach((edge, index) => {
+            const { a, b } = edge;
+            const x0 = Math.floor(Math.min(a[0], b[0]) / cellSize), x1 = Math.floor(Math.max(a[0], b[0]) / cellSize);
+            const y0 = Math.floor(Math.min(a[1], b[1]) / cellSize), y1 = Math.floor(Math.max(a[1], b[1]) / cellSize);
+            for (let cx = x0; cx <= x1; cx++) {
+                for (let cy = y0; cy <= y1; cy++) {
+                    const key = cx + ',' + cy;
+                    if (!grid.has(key)) grid.set(key, []);
+                    grid.get(key).push(index);
+                }
+            }
+        });
+
+        const tested = new Set();
+        grid.forEach(list => {
+            for (let i = 0; i < list.length; i++) {
+                for (let j = i + 1; j < list.length; j++) {
+                    const p = Math.min(list[i], list[j]);
+                    const q = Math.max(list[i], list[j]);
+                    const key = p * edges.length + q;
+                    if (tested.has(key)) continue;
+                    tested.add(key);
+                    StrokeOutline.intersect(edges[p], edges[q]);
+                }
+            }
+        });
+
+        const segments = new Map();
+        edges.forEach(edge => {
+            const list = edge.cuts.sort((s, t) => s.t - t.t);
+            let prev = StrokeOutline.snap(list[0].pt);
+            for (let k = 1; k < list.length; k++) {
+                const next = StrokeOutline.snap(list[k].pt);
+                if (next[0] === prev[0] && next[1] === prev[1]) continue;
+                const ka = prev.join(','), kb = next.join(',');
+                const key = ka < kb ? ka + '|' + kb : kb + '|' + ka;
+                if (!segments.has(key)) {
+                    segments.set(key, ka < kb ? { key: key, a: prev, b: next, owners: [] } : { key: key, a: next, b: prev, owners: [] });
+                }
+                const segment = segments.get(key);
+                const piece = { key: key, a: prev, b: next };
+                segment.owners.push({ polygon: edge.polygon, piece: piece });
+                edge.polygon.pieces.push(piece);
+                prev = next;
+            }
+        });
+        return [...segments.values()];
+    }
+
+    // 判斷每條線段兩側的內外，只保留邊界，並讓內側一律在前進方向的右手邊（畫布座標）
+    // 從線段中點沿水平（線段為水平時改沿垂直）方向打射線計算各多邊形的環繞數，
+    // 線段本身對兩側的差異另外計算，因此不需要在線段兩側取測試點，細長的縫隙也不會誤判
+    // 頂點都在 1/128 格點上，這裡的乘法運算都是精確的
+    classify(segments, clip, layers) {
+        const boundary = [];
+        segments.forEach(segment => {
+            const { a, b, key } = segment;
+            const swap = a[1] === b[1];
+            const fx = swap ? 1 : 0, fy = swap ? 0 : 1;     // 水平線段時交換 x, y
+            const mx = (a[fx] + b[fx]) / 2, my = (a[fy] + b[fy]) / 2;
+
+            // 射線起點往 -x 方向偏一點的一側（near）會多穿過線段本身一次，另一側（far）則否
+            const windings = (polygon) => {
+                if (!StrokeOutline.inBox(polygon.box, swap ? my : mx, swap ? mx : my)) return [0, 0];
+                let far = 0, own = 0;
+                polygon.pieces.forEach(piece => {
+                    const p = piece.a, q = piece.b;
+                    if (piece.key === key) {
+                        own += Math.sign(q[fy] - p[fy]);
+                        return;
+                    }
+                    if (p[fy] <= my) {
+                        if (q[fy] > my && (q[fx] - p[fx]) * (my - p[fy]) - (mx - p[fx]) * (q[fy] - p[fy]) > 0) far++;
+                    } else if (q[fy] <= my && (q[fx] - p[fx]) * (my - p[fy]) - (mx - p[fx]) * (q[fy] - p[fy]) < 0) {
+                        far--;
+                    }
+                });
+                return [far + own, far];
+            };
+            const insideAt = (side) => {
+                if (windings(clip)[side] === 0) return false;
+                for (let i = layers.length - 1; i >= 0; i--) {      // 最後一個蓋到此點的筆畫決定塗或擦
+                    const layer = layers[i];
+                    if (!StrokeOutline.inBox(layer.box, swap ? my : mx, swap ? mx : my)) continue;
+                    if (layer.polygons.some(polygon => windings(polygon)[side] !== 0)) return !layer.erase;
+                }
+                return false;
+            };
+            const near = insideAt(0);
+            const far = insideAt(1);
+            if (near === far) return;
+
+            // near 側在畫布座標中是否為前進方向 (a→b) 的右手邊
+            const nearIsRight = swap ? (b[0] - a[0]) < 0 : (b[1] - a[1]) > 0;
+            boundary.push(near === nearIsRight ? [a, b] : [b, a]);
+        });
+        return boundary;
+    }
+
+    // 把邊界線段串成封閉輪廓
+    // 對齊格點時偶爾會讓相鄰的線段錯開一格，距離一格以內的頂點視為同一點
+    chain(boundary) {
+        const parent = new Map();
+        const find = (key) => {
+            while (parent.get(key) !== key) {
+                parent.set(key, parent.get(parent.get(key)));
+                key = parent.get(key);
+            }
+            return key;
+        };
+        boundary.forEach(edge => edge.forEach(pt => {
+            const key = pt.join(',');
+            if (!parent.has(key)) parent.set(key, key);
+        }));
+        parent.forEach((value, key) => {
+            const [x, y] = key.split(',').map(Number);
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    const near = (x + dx / 128) + ',' + (y + dy / 128);
+                    if (parent.has(near)) parent.set(find(near), find(key));
+                }
+            }
+        });
+
+        const outgoing = new Map();
+        const edges = boundary.filter(edge => find(edge[0].join(',')) !== find(edge[1].join(',')));
+        edges.forEach(edge => {
+            const key = find(edge[0].join(','));
+            if (!outgoing.has(key)) outgoing.set(key, []);
+            outgoing.get(key).push(edge);
+        });
+
+        const used = new Set();
+        const loops = [];
+        edges.forEach(first => {
+            if (used.has(first)) return;
+            const loop = [];
+            let edge = first;
+            const startKey = find(first[0].join(','));
+            while (edge) {
+                used.add(edge);
+                loop.push(edge[0]);
+                const endKey = find(edge[1].join(','));
+                if (endKey === startKey) {
+                    loops.push(loop);
+                    return;
+                }
+                const candidates = (outgoing.get(endKey) || []).filter(e => !used.has(e));
+                edge = StrokeOutline.sharpestTurn(edge, candidates);
+            }
+        });
+        return loops;
+    }
+
+    // 同一頂點有多條可走的邊時（兩個區域只碰到一點），選最往內側轉的那條，讓輪廓各自獨立
+    static sharpestTurn(edge, candidates) {
+        if (candidates.length <= 1) return candidates[0] || null;
+        const inAngle = Math.atan2(edge[1][1] - edge[0][1], edge[1][0] - edge[0][0]);
+        let best = null, bestTurn = -Infinity;
+        candidates.forEach(c => {
+            let turn = Math.atan2(c[1][1] - c[0][1], c[1][0] - c[0][0]) - inAngle;
+            while (turn <= -Math.PI) turn += Math.PI * 2;
+            while (turn > Math.PI) turn -= Math.PI * 2;
+            if (turn > bestTurn) {
+                bestTurn = turn;
+                best = c;
+            }
+        });
+        return best;
+    }
+
+    // 輸出成 SVG path（與 potrace 的 getSVG(2) 相同的座標比例）
+    static toSVGPath(loops, scale = 2) {
+        const fmt = (v) => Math.round(v * scale * 100) / 100;
+        return loops.map(loop => 'M ' + loop.map(([x, y]) => fmt(x) + ' ' + fmt(y)).join(' L ') + ' Z').join(' ');
+    }
+
+    // 兩邊求交點，交點記錄到各自的 cuts（共線重疊時記錄彼此的端點）
+    // 兩邊共用同一個交點座標，對齊格點後才會是同一個頂點
+    static intersect(e, f) {
+        const a = e.a, b = e.b, c = f.a, d = f.b;
+        const rx = b[0] - a[0], ry = b[1] - a[1];
+        const sx = d[0] - c[0], sy = d[1] - c[1];
+        const denom = rx * sy - ry * sx;
+        const qx = c[0] - a[0], qy = c[1] - a[1];
+        const rr = rx * rx + ry * ry, ss = sx * sx + sy * sy;
+        const tiny = 1e-9;
+
+        if (Math.abs(denom) < tiny * Math.sqrt(rr * ss)) {
+            if (Math.abs(qx * ry - qy * rx) > 1e-6 * Math.sqrt(rr)) return;    // 平行不共線
+            const onE = (p) => ((p[0] - a[0]) * rx + (p[1] - a[1]) * ry) / rr;
+            const onF = (p) => ((p[0] - c[0]) * sx + (p[1] - c[1]) * sy) / ss;
+            [c, d].forEach(p => { const t = onE(p); if (t > 0 && t < 1) e.cuts.push({ t: t, pt: p }); });
+            [a, b].forEach(p => { const t = onF(p); if (t > 0 && t < 1) f.cuts.push({ t: t, pt: p }); });
+            return;
+        }
+
+        const t = (qx * sy - qy * sx) / denom;
+        const u = (qx * ry - qy * rx) / denom;
+        if (t < -tiny || t > 1 + tiny || u < -tiny || u > 1 + tiny) return;
+        let pt;
+        if (t <= 0) pt = a;                 // 端點剛好落在另一條邊上
+        else if (t >= 1) pt = b;
+        else if (u <= 0) pt = c;
+        else if (u >= 1) pt = d;
+        else pt = [a[0] + rx * t, a[1] + ry * t];
+        if (t > 0 && t < 1) e.cuts.push({ t: t, pt: pt });
+        if (u > 0 && u < 1) f.cuts.push({ t: u, pt: pt });
+    }
+
+    // 對齊到 1/128 像素的格點
+    static snap([x, y]) {
+        return [Math.round(x * 128) / 128, Math.round(y * 128) / 128];
+    }
+
+    // 凸包 (Monotone chain)
+    static convexHull(points) {
+        const pts = points.slice().sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+        if (pts.length < 3) return pts;
+        const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+        const lower = [];
+        for (const p of pts) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+            lower.push(p);
+        }
+        const upper = [];
+        for (let i = pts.length - 1; i >= 0; i--) {
+            const p = pts[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+            upper.push(p);
+        }
+        lower.pop();
+        upper.pop();
+        return lower.concat(upper);
+    }
+
+    // 折線簡化 (Ramer–Douglas–Peucker)，各點的所有座標（含筆寬）都會列入誤差計算
+    static simplifyLine(points, tolerance) {
+        if (points.length <= 2) return points.slice();
+        const dist = (p, a, b) => {
+            let ab = 0, ap = 0;
+            for (let k = 0; k < p.length; k++) {
+                ab += (b[k] - a[k]) ** 2;
+                ap += (p[k] - a[k]) * (b[k] - a[k]);
+            }
+            const t = ab > 0 ? Math.max(0, Math.min(1, ap / ab)) : 0;
+            let d = 0;
+            for (let k = 0; k < p.length; k++) d += (p[k] - (a[k] + (b[k] - a[k]) * t)) ** 2;
+            return Math.sqrt(d);
+        };
+        const keep = new Array(points.length).fill(false);
+        keep[0] = keep[points.length - 1] = true;
+        const stack = [[0, points.length - 1]];
+        while (stack.length) {
+            const [s, e] = stack.pop();
+            let maxD = 0, index = -1;
+            for (let i = s + 1; i < e; i++) {
+                const d = dist(points[i], points[s], points[e]);
+                if (d > maxD) {
+                    maxD = d;
+                    index = i;
+                }
+            }
+            if (index >= 0 && maxD > tolerance) {
+                keep[index] = true;
+                stack.push([s, index], [index, e]);
+            }
+        }
+        return points.filter((p, i) => keep[i]);
+    }
+
+    // 封閉輪廓的簡化：從離彼此最遠的兩點切成兩條折線分別簡化
+    static simplifyLoop(loop, tolerance) {
+        if (loop.length <= 4) return loop;
+        let far = 0, farD = -1;
+        loop.forEach((p, i) => {
+            const d = (p[0] - loop[0][0]) ** 2 + (p[1] - loop[0][1]) ** 2;
+            if (d > farD) {
+                farD = d;
+                far = i;
+            }
+        });
+        const first = StrokeOutline.simplifyLine(loop.slice(0, far + 1), tolerance);
+        const second = StrokeOutline.simplifyLine(loop.slice(far).concat([loop[0]]), tolerance);
+        return first.slice(0, -1).concat(second.slice(0, -1));
+    }
+
+    // 有號面積（畫布座標中順時針為正）
+    static area(loop) {
+        let sum = 0;
+        for (let i = 0, n = loop.length; i < n; i++) {
+            const a = loop[i];
+            const b = loop[(i + 1) % n];
+            sum += a[0] * b[1] - b[0] * a[1];
+        }
+        return sum / 2;
+    }
+
+    static circle(n) {
+        const pts = [];
+        for (let i = 0; i < n; i++) {
+            const a = Math.PI * 2 * i / n;
+            pts.push([0.5 + Math.cos(a) / 2, 0.5 + Math.sin(a) / 2]);
+        }
+        return pts;
+    }
+
+    static boundsOf(list) {
+        const box = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+        list.forEach(item => {
+            if (Array.isArray(item)) {
+                item.forEach(([x, y]) => {
+                    box.x0 = Math.min(box.x0, x);
+                    box.y0 = Math.min(box.y0, y);
+                    box.x1 = Math.max(box.x1, x);
+                    box.y1 = Math.max(box.y1, y);
+                });
+            } else {
+                box.x0 = Math.min(box.x0, item.x0);
+                box.y0 = Math.min(box.y0, item.y0);
+                box.x1 = Math.max(box.x1, item.x1);
+                box.y1 = Math.max(box.y1, item.y1);
+            }
+        });
+        return box;
+    }
+
+    static inBox(box, x, y) {
+        return x >= box.x0 && x <= box.x1 && y >= box.y0 && y <= box.y1;
+    }
+}
+
+// Export for use in other modules
+window.StrokeOutline = StrokeOutline;